@@ -0,0 +1,301 @@
+// ============================================================================
+// BLE Tiny Motion Trainer - Analog Sensor Stream
+// ============================================================================
+// Streams the voltages of analog pins A0-A5 via BLE UART, for any analog
+// sensor: flex sensors, potentiometers, force sensors, EMG boards...
+//
+// Data Format: a0,a1,a2,a3,a4,a5
+// (6 voltages, 0.0-3.3 V - matches public/profiles/nano-analog.json)
+//
+// The app builds its "Custom Sensors" tab from that profile. For a different
+// set of sensors, change ANALOG_PINS here and the fields of a copy of the
+// profile (name, unit, range) to match.
+//
+// After the app writes "SEQ:ON" (answered "OK:SEQ_ON"), each line starts with
+// a frame counter (#seq,a0,...) so the trainer can count frames lost over BLE.
+// Every new connection starts with plain lines. The sketch always streams
+// CSV: it answers PROTO:BIN with ERROR:UNKNOWN_COMMAND, and the app falls
+// back.
+//
+// USB serial: while no BLE central is connected and a host has the port open,
+// the same lines are streamed to Serial (115200 baud) and commands are read
+// from Serial, one per line.
+//
+// INFO answers with one line the app parses on connect:
+// INFO:firmware=analog-sensor-stream;version=...;sensors=analog;imu=none;
+//      rate=50;mode=analog;channels=a0,...,a5;protocol=csv;sequence=off
+//
+// Hardware:
+// - Arduino Nano 33 BLE / BLE Sense
+// - Analog sensors wired to A0-A5 (3.3 V max!)
+//
+// Required Libraries:
+// - ArduinoBLE
+// ============================================================================
+
+#include <ArduinoBLE.h>
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+#define DEVICE_NAME "NanoBLE-Analog"
+#define FIRMWARE_VERSION "1.3.0"
+#define SAMPLE_RATE_HZ 50
+#define SAMPLE_INTERVAL_MS (1000 / SAMPLE_RATE_HZ)
+
+#define ADC_BITS 12
+#define ADC_MAX 4095.0
+#define ADC_REFERENCE_V 3.3
+
+const int ANALOG_PINS[] = { A0, A1, A2, A3, A4, A5 };
+const char* CHANNEL_NAMES[] = { "a0", "a1", "a2", "a3", "a4", "a5" };
+const int NUM_CHANNELS = sizeof(ANALOG_PINS) / sizeof(ANALOG_PINS[0]);
+
+// BLE UART Service (Nordic UART Service UUID)
+BLEService uartService("6E400001-B5A3-F393-E0A9-E50E24DCCA9E");
+
+// UART Characteristics
+BLECharacteristic txCharacteristic("6E400003-B5A3-F393-E0A9-E50E24DCCA9E", BLENotify, 512);
+BLECharacteristic rxCharacteristic("6E400002-B5A3-F393-E0A9-E50E24DCCA9E", BLEWrite, 512);
+
+// ============================================================================
+// Timing & Status
+// ============================================================================
+
+unsigned long lastSampleTime = 0;
+uint16_t frameSequence = 0;
+bool isConnected = false;
+bool serialStreaming = false;  // Streaming to a USB serial host instead
+bool streaming = true;  // MODE:ANALOG starts, MODE:OFF stops
+bool sequenceNumbers = false;  // Negotiated by the app with SEQ:ON
+
+// ============================================================================
+// Setup
+// ============================================================================
+
+void setup() {
+  Serial.begin(115200);
+  while (!Serial && millis() < 3000); // Wait up to 3 seconds for Serial
+
+  Serial.println("BLE Tiny Motion Trainer - Analog Sensor Stream");
+  Serial.println("==============================================");
+  Serial.println("VERSION " FIRMWARE_VERSION);
+
+  pinMode(LED_BUILTIN, OUTPUT);
+  digitalWrite(LED_BUILTIN, LOW);
+
+  analogReadResolution(ADC_BITS);
+
+  // Initialize BLE
+  if (!BLE.begin()) {
+    Serial.println("❌ Failed to initialize BLE!");
+    while (1) {
+      digitalWrite(LED_BUILTIN, !digitalRead(LED_BUILTIN));
+      delay(100);
+    }
+  }
+
+  Serial.println("✅ BLE initialized");
+
+  // Set up BLE
+  BLE.setLocalName(DEVICE_NAME);
+  BLE.setDeviceName(DEVICE_NAME);
+  BLE.setAdvertisedService(uartService);
+
+  uartService.addCharacteristic(txCharacteristic);
+  uartService.addCharacteristic(rxCharacteristic);
+  BLE.addService(uartService);
+
+  rxCharacteristic.setEventHandler(BLEWritten, onRxReceived);
+
+  BLE.advertise();
+
+  Serial.println("✅ BLE advertising started");
+  Serial.print("   Name: ");
+  Serial.println(DEVICE_NAME);
+  Serial.print("   Channels: ");
+  Serial.println(NUM_CHANNELS);
+  Serial.print("   Sample Rate: ");
+  Serial.print(SAMPLE_RATE_HZ);
+  Serial.println(" Hz");
+  Serial.println();
+  Serial.println("🔵 Waiting for connection...");
+}
+
+// ============================================================================
+// Main Loop
+// ============================================================================
+
+void loop() {
+  BLEDevice central = BLE.central();
+
+  if (central) {
+    if (!isConnected) {
+      isConnected = true;
+      frameSequence = 0;
+      sequenceNumbers = false;
+      Serial.print("✅ Connected to: ");
+      Serial.println(central.address());
+      digitalWrite(LED_BUILTIN, HIGH);
+    }
+
+  } else if (isConnected) {
+    isConnected = false;
+    streaming = true;
+    Serial.println("❌ Disconnected");
+    Serial.println("🔵 Waiting for connection...");
+    digitalWrite(LED_BUILTIN, LOW);
+  }
+
+  // USB serial: stream while a host has the port open and no BLE central is
+  // connected
+  bool serialHost = !isConnected && Serial;
+  if (serialHost && !serialStreaming) {
+    frameSequence = 0;
+    sequenceNumbers = false;
+    streaming = true;
+    Serial.println("🔌 Streaming over USB serial");
+  }
+  serialStreaming = serialHost;
+  readSerialCommands();
+
+  if (!isConnected && !serialStreaming) {
+    return;
+  }
+
+  unsigned long currentTime = millis();
+  if (streaming && currentTime - lastSampleTime >= SAMPLE_INTERVAL_MS) {
+    lastSampleTime = currentTime;
+    sendSensorData();
+  }
+}
+
+// ============================================================================
+// Output
+// ============================================================================
+// Data and replies go to the BLE central when one is connected, otherwise to
+// USB serial
+
+void writeOutput(const uint8_t* data, int length) {
+  if (isConnected) {
+    txCharacteristic.writeValue(data, length);
+  } else {
+    Serial.write(data, length);
+  }
+}
+
+void writeOutput(const char* text) {
+  writeOutput((const uint8_t*)text, strlen(text));
+}
+
+// ============================================================================
+// Send Sensor Data
+// ============================================================================
+
+void sendSensorData() {
+  char buffer[256];
+  int length = 0;
+
+  if (sequenceNumbers) {
+    length += snprintf(buffer, sizeof(buffer), "#%u,", frameSequence++);
+  }
+
+  for (int i = 0; i < NUM_CHANNELS; i++) {
+    float volts = analogRead(ANALOG_PINS[i]) * ADC_REFERENCE_V / ADC_MAX;
+    length += snprintf(buffer + length, sizeof(buffer) - length,
+                       i < NUM_CHANNELS - 1 ? "%.3f," : "%.3f\n", volts);
+  }
+
+  writeOutput((uint8_t*)buffer, length);
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+void onRxReceived(BLEDevice central, BLECharacteristic characteristic) {
+  int length = rxCharacteristic.valueLength();
+  if (length == 0) return;
+
+  uint8_t buffer[256];
+  rxCharacteristic.readValue(buffer, length);
+  buffer[length] = '\0';
+
+  handleCommand(String((char*)buffer));
+}
+
+// Commands written to the USB serial port, one per line
+void readSerialCommands() {
+  static char line[128];
+  static int length = 0;
+
+  while (Serial.available()) {
+    char c = Serial.read();
+    if (c == '\n') {
+      line[length] = '\0';
+      length = 0;
+      handleCommand(String(line));
+    } else if (length < (int)sizeof(line) - 1) {
+      line[length++] = c;
+    }
+  }
+}
+
+void handleCommand(String command) {
+  command.trim();
+  if (command.length() == 0) return;
+
+  Serial.print("📥 Received command: ");
+  Serial.println(command);
+
+  if (command == "PING") {
+    writeOutput("PONG\n");
+  }
+  else if (command == "INFO") {
+    // One machine-readable line - the app stores it with the device
+    String info = "INFO:firmware=analog-sensor-stream;version=" FIRMWARE_VERSION;
+    info += ";sensors=analog;imu=none";
+    info += ";rate=" + String(SAMPLE_RATE_HZ);
+    info += ";mode=" + String(streaming ? "analog" : "off");
+    info += ";channels=";
+    for (int i = 0; i < NUM_CHANNELS; i++) {
+      info += CHANNEL_NAMES[i];
+      if (i < NUM_CHANNELS - 1) info += ",";
+    }
+    info += ";protocol=csv";
+    info += ";sequence=" + String(sequenceNumbers ? "on" : "off");
+    info += "\n";
+
+    writeOutput(info.c_str());
+  }
+  else if (command == "SEQ:ON") {
+    sequenceNumbers = true;
+    frameSequence = 0;
+    writeOutput("OK:SEQ_ON\n");
+  }
+  else if (command == "SEQ:OFF") {
+    sequenceNumbers = false;
+    writeOutput("OK:SEQ_OFF\n");
+  }
+  else if (command == "MODE:ANALOG") {
+    streaming = true;
+    writeOutput("OK:MODE_ANALOG\n");
+  }
+  else if (command == "MODE:OFF") {
+    streaming = false;
+    writeOutput("OK:MODE_OFF\n");
+  }
+  else if (command == "LED_ON") {
+    digitalWrite(LED_BUILTIN, HIGH);
+    writeOutput("OK:LED_ON\n");
+  }
+  else if (command == "LED_OFF") {
+    digitalWrite(LED_BUILTIN, LOW);
+    writeOutput("OK:LED_OFF\n");
+  }
+  else {
+    Serial.println("❓ Unknown command");
+    writeOutput("ERROR:UNKNOWN_COMMAND\n");
+  }
+}
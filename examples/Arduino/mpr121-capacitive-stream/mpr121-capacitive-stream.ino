@@ -9,6 +9,18 @@
 // Data Format: e0,e1,e2,e3,e4,e5,e6,e7,e8,e9,e10,e11
 // (12 filtered/proximity values, one per electrode)
 //
+// Binary frames: after the app writes "PROTO:BIN" (answered "OK:PROTO_BIN"),
+// frames are sent as 0xA5 | 12 | uint16 counter | uint32 millis |
+// 12 x int16 (value x 8192) | XOR checksum. Every new connection starts in CSV.
+//
+// USB serial: while no BLE central is connected and a host has the port open,
+// the same lines are streamed to Serial (115200 baud) and commands are read
+// from Serial, one per line. Binary frames are BLE only.
+//
+// INFO answers with one line the app parses on connect:
+// INFO:firmware=mpr121-capacitive-stream;version=...;sensors=capacitive;
+//      imu=none;rate=50;mode=capacitive;channels=e0,...,e11;protocol=csv
+//
 // Hardware:
 // - Arduino Nano 33 BLE Sense
 // - MPR121 Capacitive Touch Sensor (I2C)
@@ -28,10 +40,15 @@
 // ============================================================================
 
 #define DEVICE_NAME "NanoBLE-MPR121"
+#define FIRMWARE_VERSION "1.3.0"
 #define SAMPLE_RATE_HZ 50
 #define SAMPLE_INTERVAL_MS (1000 / SAMPLE_RATE_HZ)
 #define NUM_ELECTRODES 12
 
+// Binary frame protocol (see src/transports/binary-protocol.js in the app)
+#define FRAME_SYNC 0xA5
+#define FRAME_SCALE 8192.0
+
 // MPR121 I2C address (default is 0x5A)
 #define MPR121_I2C_ADDR 0x5A
 
@@ -58,7 +75,10 @@ MPR121_Helper touch(&cap);
 // ============================================================================
 
 unsigned long lastSampleTime = 0;
+uint16_t frameSequence = 0;
+bool binaryProtocol = false;  // Negotiated by the app with PROTO:BIN
 bool isConnected = false;
+bool serialStreaming = false;  // Streaming to a USB serial host instead
 bool sensorEnabled = false;
 
 // Normalization constants for filtered data
@@ -77,7 +97,7 @@ void setup() {
 
   Serial.println("BLE Tiny Motion Trainer - MPR121 Capacitive Stream");
   Serial.println("===================================================");
-  Serial.println("VERSION 1.0.0");
+  Serial.println("VERSION " FIRMWARE_VERSION);
 
   // Initialize LED
   pinMode(LED_BUILTIN, OUTPUT);
@@ -181,26 +201,56 @@ void loop() {
       digitalWrite(LED_BUILTIN, HIGH);
     }
 
-    // Send sensor data at specified rate
-    unsigned long currentTime = millis();
-    if (currentTime - lastSampleTime >= SAMPLE_INTERVAL_MS) {
-      lastSampleTime = currentTime;
-      sendSensorData();
-    }
+  } else if (isConnected) {
+    isConnected = false;
+    binaryProtocol = false;
+    Serial.println("❌ Disconnected");
+    Serial.println("🔵 Waiting for connection...");
+    Serial.println();
 
-  } else {
-    if (isConnected) {
-      isConnected = false;
-      Serial.println("❌ Disconnected");
-      Serial.println("🔵 Waiting for connection...");
-      Serial.println();
+    // Turn off LED
+    digitalWrite(LED_BUILTIN, LOW);
+  }
 
-      // Turn off LED
-      digitalWrite(LED_BUILTIN, LOW);
-    }
+  // USB serial: stream while a host has the port open and no BLE central is
+  // connected
+  bool serialHost = !isConnected && Serial;
+  if (serialHost && !serialStreaming) {
+    Serial.println("🔌 Streaming over USB serial");
+  }
+  serialStreaming = serialHost;
+  readSerialCommands();
+
+  if (!isConnected && !serialStreaming) {
+    return;
+  }
+
+  // Send sensor data at specified rate
+  unsigned long currentTime = millis();
+  if (currentTime - lastSampleTime >= SAMPLE_INTERVAL_MS) {
+    lastSampleTime = currentTime;
+    sendSensorData();
+  }
+}
+
+// ============================================================================
+// Output
+// ============================================================================
+// Data and replies go to the BLE central when one is connected, otherwise to
+// USB serial
+
+void writeOutput(const uint8_t* data, int length) {
+  if (isConnected) {
+    txCharacteristic.writeValue(data, length);
+  } else {
+    Serial.write(data, length);
   }
 }
 
+void writeOutput(const char* text) {
+  writeOutput((const uint8_t*)text, strlen(text));
+}
+
 // ============================================================================
 // Send Sensor Data
 // ============================================================================
@@ -215,6 +265,7 @@ void sendSensorData() {
 
   // Build CSV string with all 12 electrode values
   String dataStr = "";
+  float values[NUM_ELECTRODES];
 
   for (uint8_t i = 0; i < NUM_ELECTRODES; i++) {
     uint16_t rawFiltered = touch.getFilteredData(i);
@@ -228,6 +279,8 @@ void sendSensorData() {
     if (normalized > 1.0) normalized = 1.0;
     if (normalized < 0.0) normalized = 0.0;
 
+    values[i] = normalized;
+
     // Format to 4 decimal places using String
     dataStr += String(normalized, 4);
 
@@ -237,15 +290,50 @@ void sendSensorData() {
     }
   }
 
+  if (binaryProtocol) {
+    sendBinaryFrame(values, NUM_ELECTRODES);
+    return;
+  }
+
   // Add newline
   dataStr += "\n";
 
-  // Send via BLE
-  txCharacteristic.writeValue((uint8_t*)dataStr.c_str(), dataStr.length());
+  writeOutput(dataStr.c_str());
+}
+
+// Sends one binary frame (PROTO:BIN)
+void sendBinaryFrame(const float* values, int count) {
+  uint8_t frame[8 + NUM_ELECTRODES * 2 + 1];
+  unsigned long timestamp = millis();
+  int length = 0;
+
+  frame[length++] = FRAME_SYNC;
+  frame[length++] = count;
+  frame[length++] = frameSequence & 0xFF;
+  frame[length++] = (frameSequence >> 8) & 0xFF;
+  frameSequence++;
+
+  for (int i = 0; i < 4; i++) {
+    frame[length++] = (timestamp >> (8 * i)) & 0xFF;
+  }
+
+  for (int i = 0; i < count; i++) {
+    int16_t value = (int16_t)lroundf(values[i] * FRAME_SCALE);
+    frame[length++] = value & 0xFF;
+    frame[length++] = (value >> 8) & 0xFF;
+  }
+
+  uint8_t checksum = 0;
+  for (int i = 0; i < length; i++) {
+    checksum ^= frame[i];
+  }
+  frame[length++] = checksum;
+
+  writeOutput(frame, length);
 }
 
 // ============================================================================
-// BLE RX Callback
+// Commands
 // ============================================================================
 
 void onRxReceived(BLEDevice central, BLECharacteristic characteristic) {
@@ -257,38 +345,76 @@ void onRxReceived(BLEDevice central, BLECharacteristic characteristic) {
   rxCharacteristic.readValue(buffer, length);
   buffer[length] = '\0';
 
-  String command = String((char*)buffer);
+  handleCommand(String((char*)buffer));
+}
+
+// Commands written to the USB serial port, one per line
+void readSerialCommands() {
+  static char line[128];
+  static int length = 0;
+
+  while (Serial.available()) {
+    char c = Serial.read();
+    if (c == '\n') {
+      line[length] = '\0';
+      length = 0;
+      handleCommand(String(line));
+    } else if (length < (int)sizeof(line) - 1) {
+      line[length++] = c;
+    }
+  }
+}
+
+void handleCommand(String command) {
   command.trim();
+  if (command.length() == 0) return;
 
   Serial.print("📥 Received command: ");
   Serial.println(command);
 
   // Handle commands
   if (command == "PING") {
-    txCharacteristic.writeValue("PONG\n");
+    writeOutput("PONG\n");
     Serial.println("📤 Sent: PONG");
   }
   else if (command == "INFO") {
-    String info = "Device: " + String(DEVICE_NAME) + "\n";
-    info += "Sensor: MPR121 (12-electrode capacitive)\n";
-    info += "Electrodes: " + String(NUM_ELECTRODES) + "\n";
-    info += "Sample Rate: " + String(SAMPLE_RATE_HZ) + " Hz\n";
-    info += "Data Type: Filtered (proximity)\n";
-    info += "Format: e0,e1,e2,e3,e4,e5,e6,e7,e8,e9,e10,e11\n";
-    info += "Values: 0.0-1.0 (normalized, higher = closer)\n";
-
-    txCharacteristic.writeValue(info.c_str());
+    // One machine-readable line - the app stores it with the device
+    String info = "INFO:firmware=mpr121-capacitive-stream;version=" FIRMWARE_VERSION;
+    info += ";sensors=" + String(sensorEnabled ? "capacitive" : "");
+    info += ";imu=none";
+    info += ";rate=" + String(SAMPLE_RATE_HZ);
+    info += ";mode=capacitive;channels=";
+    for (uint8_t i = 0; i < NUM_ELECTRODES; i++) {
+      info += "e" + String(i);
+      if (i < NUM_ELECTRODES - 1) info += ",";
+    }
+    info += ";protocol=" + String(binaryProtocol ? "binary" : "csv");
+    info += "\n";
+
+    writeOutput(info.c_str());
     Serial.println("📤 Sent: INFO");
   }
+  else if (command == "PROTO:BIN" && isConnected) {
+    // Binary frames are BLE only - serial hosts get ERROR:UNKNOWN_COMMAND
+    writeOutput("OK:PROTO_BIN\n");
+    binaryProtocol = true;
+    frameSequence = 0;
+    Serial.println("📦 Streaming binary frames");
+  }
+  else if (command == "PROTO:CSV") {
+    binaryProtocol = false;
+    writeOutput("OK:PROTO_CSV\n");
+    Serial.println("📝 Streaming CSV");
+  }
   else if (command == "LED_ON") {
     digitalWrite(LED_BUILTIN, HIGH);
     Serial.println("💡 LED ON");
-    txCharacteristic.writeValue("OK:LED_ON\n");
+    writeOutput("OK:LED_ON\n");
   }
   else if (command == "LED_OFF") {
     digitalWrite(LED_BUILTIN, LOW);
     Serial.println("💡 LED OFF");
-    txCharacteristic.writeValue("OK:LED_OFF\n");
+    writeOutput("OK:LED_OFF\n");
   }
   else if (command.startsWith("THRESHOLD:")) {
     // Parse threshold command: THRESHOLD:touch,release
@@ -307,12 +433,12 @@ void onRxReceived(BLEDevice central, BLECharacteristic characteristic) {
         Serial.print(touchThresh);
         Serial.print(", Release=");
         Serial.println(releaseThresh);
-        txCharacteristic.writeValue("OK:THRESHOLD_SET\n");
+        writeOutput("OK:THRESHOLD_SET\n");
       } else {
-        txCharacteristic.writeValue("ERROR:INVALID_THRESHOLD\n");
+        writeOutput("ERROR:INVALID_THRESHOLD\n");
       }
     } else {
-      txCharacteristic.writeValue("ERROR:INVALID_FORMAT\n");
+      writeOutput("ERROR:INVALID_FORMAT\n");
     }
   }
   else if (command == "DEBUG") {
@@ -325,10 +451,10 @@ void onRxReceived(BLEDevice central, BLECharacteristic characteristic) {
       Serial.print(": ");
       Serial.println(touch.getFilteredData(i));
     }
-    txCharacteristic.writeValue("OK:DEBUG_PRINTED\n");
+    writeOutput("OK:DEBUG_PRINTED\n");
   }
   else {
     Serial.println("❓ Unknown command");
-    txCharacteristic.writeValue("ERROR:UNKNOWN_COMMAND\n");
+    writeOutput("ERROR:UNKNOWN_COMMAND\n");
   }
 }
@@ -4,20 +4,48 @@
 // Streams IMU (9-axis) + Color (APDS9960) sensor data via BLE UART
 //
 // Sensors:
-// - IMU: LSM9DS1 (Accelerometer, Gyroscope, Magnetometer)
+// - IMU: LSM9DS1 (Accelerometer, Gyroscope, Magnetometer), or BMI270 + BMM150
+//   on the Nano 33 BLE Sense Rev2 (set USE_BMI270 to 1)
 // - Color: APDS9960 (RGB, Clear, Proximity)
 //
 // Data Format: ax,ay,az,gx,gy,gz,mx,my,mz,r,g,b,c,p
+// After the app writes "SEQ:ON" (answered "OK:SEQ_ON"), each line starts with
+// a frame counter (#seq,ax,ay,...) so the trainer can count frames lost over
+// BLE. Every new connection starts with plain lines.
 //
-// Hardware: Arduino Nano 33 BLE Sense
+// Binary frames: after the app writes "PROTO:BIN" (answered "OK:PROTO_BIN"),
+// frames are sent as 0xA5 | count | uint16 counter | uint32 millis |
+// count x int16 (value x 8192) | XOR checksum - 37 bytes instead of ~100
+// for all sensors. Every new connection starts in CSV. int16 x 8192 holds
+// ±4, so every channel is normalized into that range and both formats stream
+// the same (clamped) values.
+//
+// USB serial: while no BLE central is connected and a host has the port open,
+// the same lines are streamed to Serial (115200 baud) and commands are read
+// from Serial, one per line. Binary frames are BLE only.
+//
+// INFO answers with one line the app parses on connect:
+// INFO:firmware=multi-sensor-stream;version=...;sensors=imu,color;imu=LSM9DS1;
+//      rate=50;mode=all;channels=ax,...,p;protocol=csv
+//
+// Hardware: Arduino Nano 33 BLE Sense (Rev1 or Rev2)
 // Required Libraries:
 // - ArduinoBLE
-// - Arduino_LSM9DS1
+// - Arduino_LSM9DS1 (Rev1) or Arduino_BMI270_BMM150 (Rev2)
 // - Arduino_APDS9960
 // ============================================================================
 
+#define FIRMWARE_VERSION "1.3.0"
+#define USE_BMI270 0  // 1 = Nano 33 BLE Sense Rev2
+
 #include <ArduinoBLE.h>
+#if USE_BMI270
+#include <Arduino_BMI270_BMM150.h>
+#define IMU_CHIP "BMI270"
+#else
 #include <Arduino_LSM9DS1.h>
+#define IMU_CHIP "LSM9DS1"
+#endif
 #include <Arduino_APDS9960.h>
 
 // ============================================================================
@@ -28,6 +56,16 @@
 #define SAMPLE_RATE_HZ 50
 #define SAMPLE_INTERVAL_MS (1000 / SAMPLE_RATE_HZ)
 
+// Binary frame protocol (see src/transports/binary-protocol.js in the app)
+#define FRAME_SYNC 0xA5
+#define FRAME_SCALE 8192.0
+#define FRAME_MAX_VALUE 4.0  // 32767 / 8192
+#define MAX_FRAME_VALUES 14
+
+// APDS9960 clear channel saturates at 1025 counts per integration cycle -
+// 4 cycles with the library's 10 ms integration time
+#define CLEAR_MAX_COUNT 4100.0
+
 // Data modes
 #define MODE_IMU_ONLY 0
 #define MODE_COLOR_ONLY 1
@@ -58,7 +96,11 @@ const float CALIBRATION_THRESHOLD = 10.0;
 // ============================================================================
 
 unsigned long lastSampleTime = 0;
+uint16_t frameSequence = 0;  // Wraps at 65536, like the trainer expects
+bool binaryProtocol = false;  // Negotiated by the app with PROTO:BIN
+bool sequenceNumbers = false;  // Negotiated by the app with SEQ:ON
 bool isConnected = false;
+bool serialStreaming = false;  // Streaming to a USB serial host instead
 bool imuEnabled = false;
 bool colorEnabled = false;
 
@@ -72,7 +114,7 @@ void setup() {
 
   Serial.println("BLE Tiny Motion Trainer - Multi-Sensor Stream");
   Serial.println("==============================================");
-  Serial.println("VERSION 1.1.0 - FIXED COLOR NORMALIZATION (10000)");
+  Serial.println("VERSION " FIRMWARE_VERSION " - " IMU_CHIP);
 
   // Initialize LED
   pinMode(LED_BUILTIN, OUTPUT);
@@ -84,7 +126,7 @@ void setup() {
     imuEnabled = false;
   } else {
     imuEnabled = true;
-    Serial.println("✅ IMU (LSM9DS1) initialized");
+    Serial.println("✅ IMU (" IMU_CHIP ") initialized");
     Serial.print("   Accelerometer: ");
     Serial.print(IMU.accelerationSampleRate());
     Serial.println(" Hz");
@@ -184,41 +226,61 @@ void loop() {
       // Turn on LED to indicate connection
       digitalWrite(LED_BUILTIN, HIGH);
 
-      // Start magnetometer calibration if IMU is enabled
-      if (imuEnabled) {
-        Serial.println("🧭 Calibrating magnetometer...");
-        Serial.println("   Keep device still for calibration");
-        magnetometerCalibrated = false;
-        calibrationSteps = 0;
-      } else {
-        magnetometerCalibrated = true; // Skip calibration if no IMU
-      }
+      startStreaming();
     }
+  } else if (isConnected) {
+    isConnected = false;
+    binaryProtocol = false;
+    Serial.println("❌ Disconnected");
+    Serial.println("🔵 Waiting for connection...");
+    Serial.println();
+
+    // Turn off LED
+    digitalWrite(LED_BUILTIN, LOW);
+  }
 
-    // Calibrate magnetometer first (if IMU enabled)
-    if (!magnetometerCalibrated && imuEnabled) {
-      calibrateMagnetometer();
-      return;
-    }
+  // USB serial: stream while a host has the port open and no BLE central is
+  // connected
+  bool serialHost = !isConnected && Serial;
+  if (serialHost && !serialStreaming) {
+    Serial.println("🔌 Streaming over USB serial");
+    startStreaming();
+  }
+  serialStreaming = serialHost;
+  readSerialCommands();
 
-    // Send sensor data at specified rate
-    unsigned long currentTime = millis();
-    if (currentTime - lastSampleTime >= SAMPLE_INTERVAL_MS) {
-      lastSampleTime = currentTime;
-      sendSensorData();
-    }
+  if (!isConnected && !serialStreaming) {
+    return;
+  }
 
-  } else {
-    if (isConnected) {
-      isConnected = false;
-      magnetometerCalibrated = false;
-      Serial.println("❌ Disconnected");
-      Serial.println("🔵 Waiting for connection...");
-      Serial.println();
+  // Calibrate magnetometer first (if IMU enabled)
+  if (!magnetometerCalibrated && imuEnabled) {
+    calibrateMagnetometer();
+    return;
+  }
 
-      // Turn off LED
-      digitalWrite(LED_BUILTIN, LOW);
-    }
+  // Send sensor data at specified rate
+  unsigned long currentTime = millis();
+  if (currentTime - lastSampleTime >= SAMPLE_INTERVAL_MS) {
+    lastSampleTime = currentTime;
+    sendSensorData();
+  }
+}
+
+// Called when a BLE central connects or a serial host opens the port
+void startStreaming() {
+  // The trainer restarts sequence tracking on every connection
+  frameSequence = 0;
+  sequenceNumbers = false;
+
+  // Start magnetometer calibration if IMU is enabled
+  if (imuEnabled) {
+    Serial.println("🧭 Calibrating magnetometer...");
+    Serial.println("   Keep device still for calibration");
+    magnetometerCalibrated = false;
+    calibrationSteps = 0;
+  } else {
+    magnetometerCalibrated = true; // Skip calibration if no IMU
   }
 }
 
@@ -264,6 +326,24 @@ void calibrateMagnetometer() {
   }
 }
 
+// ============================================================================
+// Output
+// ============================================================================
+// Data and replies go to the BLE central when one is connected, otherwise to
+// USB serial
+
+void writeOutput(const uint8_t* data, int length) {
+  if (isConnected) {
+    txCharacteristic.writeValue(data, length);
+  } else {
+    Serial.write(data, length);
+  }
+}
+
+void writeOutput(const char* text) {
+  writeOutput((const uint8_t*)text, strlen(text));
+}
+
 // ============================================================================
 // Send Sensor Data
 // ============================================================================
@@ -286,6 +366,75 @@ void sendSensorData() {
   }
 }
 
+// Writes the "#seq," prefix (after SEQ:ON) and returns its length
+int writeSequence(char* buffer) {
+  if (!sequenceNumbers) {
+    return 0;
+  }
+  return snprintf(buffer, 256, "#%u,", frameSequence++);
+}
+
+// Sends one frame in the negotiated format. Values outside ±4 don't fit a
+// binary frame - they are clamped for CSV too, so both formats match
+void sendFrame(char* buffer, float* values, int count) {
+  static bool clampReported = false;
+
+  for (int i = 0; i < count; i++) {
+    if (fabs(values[i]) > FRAME_MAX_VALUE) {
+      if (!clampReported) {
+        Serial.print("⚠️ Channel ");
+        Serial.print(i);
+        Serial.println(" out of range (±4) - clamped");
+        clampReported = true;
+      }
+      values[i] = constrain(values[i], -FRAME_MAX_VALUE, FRAME_MAX_VALUE);
+    }
+  }
+
+  if (binaryProtocol) {
+    sendBinaryFrame(values, count);
+    return;
+  }
+
+  int length = writeSequence(buffer);
+  for (int i = 0; i < count; i++) {
+    length += snprintf(buffer + length, 256 - length, i < count - 1 ? "%.4f," : "%.4f\n", values[i]);
+  }
+
+  writeOutput(buffer);
+}
+
+// Sends one binary frame (PROTO:BIN)
+void sendBinaryFrame(const float* values, int count) {
+  uint8_t frame[8 + MAX_FRAME_VALUES * 2 + 1];
+  unsigned long timestamp = millis();
+  int length = 0;
+
+  frame[length++] = FRAME_SYNC;
+  frame[length++] = count;
+  frame[length++] = frameSequence & 0xFF;
+  frame[length++] = (frameSequence >> 8) & 0xFF;
+  frameSequence++;
+
+  for (int i = 0; i < 4; i++) {
+    frame[length++] = (timestamp >> (8 * i)) & 0xFF;
+  }
+
+  for (int i = 0; i < count; i++) {
+    int16_t value = (int16_t)constrain(lroundf(values[i] * FRAME_SCALE), -32767L, 32767L);
+    frame[length++] = value & 0xFF;
+    frame[length++] = (value >> 8) & 0xFF;
+  }
+
+  uint8_t checksum = 0;
+  for (int i = 0; i < length; i++) {
+    checksum ^= frame[i];
+  }
+  frame[length++] = checksum;
+
+  writeOutput(frame, length);
+}
+
 // Send IMU data only (9 values)
 void sendIMUData(char* buffer) {
   if (!imuEnabled) return;
@@ -329,11 +478,9 @@ void sendIMUData(char* buffer) {
     my = my / 50.0;
     mz = mz / 50.0;
 
-    // Format as CSV: ax,ay,az,gx,gy,gz,mx,my,mz
-    snprintf(buffer, 256, "%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f\n",
-             ax, ay, az, gx, gy, gz, mx, my, mz);
-
-    txCharacteristic.writeValue((uint8_t*)buffer, strlen(buffer));
+    // ax,ay,az,gx,gy,gz,mx,my,mz
+    float values[9] = {ax, ay, az, gx, gy, gz, mx, my, mz};
+    sendFrame(buffer, values, 9);
   }
 }
 
@@ -385,7 +532,7 @@ void sendColorData(char* buffer) {
     rNorm = (float)r / colorTotal;
     gNorm = (float)g / colorTotal;
     bNorm = (float)b / colorTotal;
-    cNorm = (float)c / 255.0;  // Keep clear absolute (for brightness info)
+    cNorm = min(c, (int)CLEAR_MAX_COUNT) / CLEAR_MAX_COUNT;  // Keep clear absolute (for brightness info)
     pNorm = proximity / 255.0;  // Keep proximity absolute
   } else {
     // No light detected
@@ -394,11 +541,9 @@ void sendColorData(char* buffer) {
     pNorm = proximity / 255.0;
   }
 
-  // Format as CSV: r,g,b,c,proximity
-  snprintf(buffer, 256, "%.4f,%.4f,%.4f,%.4f,%.4f\n",
-           rNorm, gNorm, bNorm, cNorm, pNorm);
-
-  txCharacteristic.writeValue((uint8_t*)buffer, strlen(buffer));
+  // r,g,b,c,proximity
+  float values[5] = {rNorm, gNorm, bNorm, cNorm, pNorm};
+  sendFrame(buffer, values, 5);
 }
 
 // Send all sensor data (14 values)
@@ -463,7 +608,7 @@ void sendAllSensorsData(char* buffer) {
       rNorm = (float)r / colorTotal;
       gNorm = (float)g / colorTotal;
       bNorm = (float)b / colorTotal;
-      cNorm = (float)c / 255.0;  // Keep clear absolute (for brightness info)
+      cNorm = min(c, (int)CLEAR_MAX_COUNT) / CLEAR_MAX_COUNT;  // Keep clear absolute (for brightness info)
       pNorm = proximity / 255.0;  // Keep proximity absolute
     } else {
       // No light detected - use last cached values or zeros
@@ -489,15 +634,13 @@ void sendAllSensorsData(char* buffer) {
     pNorm = lastColorReading[4];
   }
 
-  // Format as CSV: ax,ay,az,gx,gy,gz,mx,my,mz,r,g,b,c,p
-  snprintf(buffer, 256, "%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f,%.4f\n",
-           ax, ay, az, gx, gy, gz, mx, my, mz, rNorm, gNorm, bNorm, cNorm, pNorm);
-
-  txCharacteristic.writeValue((uint8_t*)buffer, strlen(buffer));
+  // ax,ay,az,gx,gy,gz,mx,my,mz,r,g,b,c,p
+  float values[14] = {ax, ay, az, gx, gy, gz, mx, my, mz, rNorm, gNorm, bNorm, cNorm, pNorm};
+  sendFrame(buffer, values, 14);
 }
 
 // ============================================================================
-// BLE RX Callback
+// Commands
 // ============================================================================
 
 void onRxReceived(BLEDevice central, BLECharacteristic characteristic) {
@@ -509,69 +652,118 @@ void onRxReceived(BLEDevice central, BLECharacteristic characteristic) {
   rxCharacteristic.readValue(buffer, length);
   buffer[length] = '\0';
 
-  String command = String((char*)buffer);
+  handleCommand(String((char*)buffer));
+}
+
+// Commands written to the USB serial port, one per line
+void readSerialCommands() {
+  static char line[128];
+  static int length = 0;
+
+  while (Serial.available()) {
+    char c = Serial.read();
+    if (c == '\n') {
+      line[length] = '\0';
+      length = 0;
+      handleCommand(String(line));
+    } else if (length < (int)sizeof(line) - 1) {
+      line[length++] = c;
+    }
+  }
+}
+
+void handleCommand(String command) {
   command.trim();
+  if (command.length() == 0) return;
 
   Serial.print("📥 Received command: ");
   Serial.println(command);
 
   // Handle commands
   if (command == "PING") {
-    txCharacteristic.writeValue("PONG\n");
+    writeOutput("PONG\n");
     Serial.println("📤 Sent: PONG");
   }
   else if (command == "INFO") {
-    String info = "Device: " + String(DEVICE_NAME) + "\n";
-    info += "IMU: " + String(imuEnabled ? "LSM9DS1 (9-axis)" : "Disabled") + "\n";
-    info += "Color: " + String(colorEnabled ? "APDS9960 (RGB+Proximity)" : "Disabled") + "\n";
-    info += "Sample Rate: " + String(SAMPLE_RATE_HZ) + " Hz\n";
-    info += "Mode: ";
+    // One machine-readable line - the app stores it with the device
+    String info = "INFO:firmware=multi-sensor-stream;version=" FIRMWARE_VERSION;
+
+    info += ";sensors=";
+    if (imuEnabled) info += "imu";
+    if (imuEnabled && colorEnabled) info += ",";
+    if (colorEnabled) info += "color";
+
+    info += ";imu=" + String(imuEnabled ? IMU_CHIP : "none");
+    info += ";rate=" + String(SAMPLE_RATE_HZ);
 
     switch (currentMode) {
       case MODE_IMU_ONLY:
-        info += "IMU Only (9 values)\n";
-        info += "Format: ax,ay,az,gx,gy,gz,mx,my,mz\n";
+        info += ";mode=imu;channels=ax,ay,az,gx,gy,gz,mx,my,mz";
         break;
       case MODE_COLOR_ONLY:
-        info += "Color Only (5 values)\n";
-        info += "Format: r,g,b,c,proximity\n";
+        info += ";mode=color;channels=r,g,b,c,p";
         break;
       case MODE_ALL_SENSORS:
-        info += "All Sensors (14 values)\n";
-        info += "Format: ax,ay,az,gx,gy,gz,mx,my,mz,r,g,b,c,p\n";
+        info += ";mode=all;channels=ax,ay,az,gx,gy,gz,mx,my,mz,r,g,b,c,p";
         break;
     }
 
-    txCharacteristic.writeValue(info.c_str());
+    info += ";protocol=" + String(binaryProtocol ? "binary" : "csv");
+    info += ";sequence=" + String(sequenceNumbers ? "on" : "off");
+    info += "\n";
+
+    writeOutput(info.c_str());
     Serial.println("📤 Sent: INFO");
   }
+  else if (command == "PROTO:BIN" && isConnected) {
+    // Binary frames are BLE only - serial hosts get ERROR:UNKNOWN_COMMAND
+    writeOutput("OK:PROTO_BIN\n");
+    binaryProtocol = true;
+    Serial.println("📦 Streaming binary frames");
+  }
+  else if (command == "PROTO:CSV") {
+    binaryProtocol = false;
+    writeOutput("OK:PROTO_CSV\n");
+    Serial.println("📝 Streaming CSV");
+  }
+  else if (command == "SEQ:ON") {
+    sequenceNumbers = true;
+    frameSequence = 0;
+    writeOutput("OK:SEQ_ON\n");
+    Serial.println("🔢 Sequence numbers on");
+  }
+  else if (command == "SEQ:OFF") {
+    sequenceNumbers = false;
+    writeOutput("OK:SEQ_OFF\n");
+    Serial.println("🔢 Sequence numbers off");
+  }
   else if (command == "MODE:IMU") {
     currentMode = MODE_IMU_ONLY;
     Serial.print("🔄 Mode changed to: ");
     printCurrentMode();
-    txCharacteristic.writeValue("OK:MODE_IMU\n");
+    writeOutput("OK:MODE_IMU\n");
   }
   else if (command == "MODE:COLOR") {
     currentMode = MODE_COLOR_ONLY;
     Serial.print("🔄 Mode changed to: ");
     printCurrentMode();
-    txCharacteristic.writeValue("OK:MODE_COLOR\n");
+    writeOutput("OK:MODE_COLOR\n");
   }
   else if (command == "MODE:ALL") {
     currentMode = MODE_ALL_SENSORS;
     Serial.print("🔄 Mode changed to: ");
     printCurrentMode();
-    txCharacteristic.writeValue("OK:MODE_ALL\n");
+    writeOutput("OK:MODE_ALL\n");
   }
   else if (command == "LED_ON") {
     digitalWrite(LED_BUILTIN, HIGH);
     Serial.println("💡 LED ON");
-    txCharacteristic.writeValue("OK:LED_ON\n");
+    writeOutput("OK:LED_ON\n");
   }
   else if (command == "LED_OFF") {
     digitalWrite(LED_BUILTIN, LOW);
     Serial.println("💡 LED OFF");
-    txCharacteristic.writeValue("OK:LED_OFF\n");
+    writeOutput("OK:LED_OFF\n");
   }
   else if (command == "RECALIBRATE") {
     if (imuEnabled) {
@@ -581,14 +773,14 @@ void onRxReceived(BLEDevice central, BLECharacteristic characteristic) {
       calibratedMagneticFieldHeading[0] = 0;
       calibratedMagneticFieldHeading[1] = 0;
       calibratedMagneticFieldHeading[2] = 0;
-      txCharacteristic.writeValue("OK:RECALIBRATING\n");
+      writeOutput("OK:RECALIBRATING\n");
     } else {
-      txCharacteristic.writeValue("ERROR:NO_IMU\n");
+      writeOutput("ERROR:NO_IMU\n");
     }
   }
   else {
     Serial.println("❓ Unknown command");
-    txCharacteristic.writeValue("ERROR:UNKNOWN_COMMAND\n");
+    writeOutput("ERROR:UNKNOWN_COMMAND\n");
   }
 }
 
@@ -3,8 +3,12 @@
 // ============================================================================
 // Electron main process that handles:
 // - BLE device connections (Arduino Nano BLE Sense)
+// - USB serial connections (same CSV stream, for flaky Bluetooth)
+// - Virtual (simulated) devices for running without hardware
+// - Recording and replaying raw stream sessions
 // - WebSocket server for real-time data streaming
 // - Model training data collection
+// - Native (tfjs-node) model training
 // - TFLite model export
 // ============================================================================
 
@@ -14,8 +18,12 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
-const noble = require('@abandonware/noble');
+const { TransportManager, BleTransport, SerialTransport, VirtualTransport } = require('./src/transports');
+const { loadProfiles, isGattProfile } = require('./src/profiles');
+const { SessionRecorder, SessionPlayer, SESSION_EXTENSION } = require('./src/sessions');
+const { NativeTrainer } = require('./src/training');
 const settingsManager = require('./settings-manager');
+const projectManager = require('./project-manager');
 
 // ============================================================================
 // CONFIGURATION
@@ -27,6 +35,15 @@ const CONFIG = {
   bleUartService: '6E400001-B5A3-F393-E0A9-E50E24DCCA9E',
   bleTxCharacteristic: '6E400003-B5A3-F393-E0A9-E50E24DCCA9E',
   bleRxCharacteristic: '6E400002-B5A3-F393-E0A9-E50E24DCCA9E',
+  serialBaudRate: 115200,     // Matches Serial.begin() in the example sketches
+  virtualSampleRateHz: 50,   // Virtual devices stream at the firmware's SAMPLE_RATE_HZ
+  reconnectBaseDelayMs: 1000, // First reconnect attempt after a dropped connection
+  reconnectMaxDelayMs: 30000, // Backoff doubles up to this delay
+  reconnectMaxAttempts: 10,   // Then give up and report the device as disconnected
+  reconnectTimeoutMs: 15000,  // A single connect attempt that hangs counts as failed
+  maxLastDevices: 10,         // Devices remembered in settings.lastDevices
+  minFirmwareVersion: '1.3.0', // Streaming sketches older than this get a warning (1.3.0: USB serial)
+  infoTimeoutMs: 1500,        // Wait for the SEQ:ON and INFO replies after connecting
 };
 
 // ============================================================================
@@ -40,12 +57,22 @@ let io = null;
 let serverPort = CONFIG.serverPort;
 
 // BLE Device Management
-const bleDevices = new Map(); // deviceId -> { peripheral, connection, profile }
-const deviceProfiles = new Map(); // Load from public/profiles/
+let transports = null; // TransportManager (BLE, serial and virtual devices)
+const bleDevices = new Map(); // deviceId -> { connection, transport, name, profile, connected, closing, protocol, info }
+const reconnectTimers = new Map(); // deviceId -> pending reconnect timeout
+const reconnectScans = new Set(); // deviceIds whose reconnect started a scan
+const deviceProfiles = new Map(); // id -> validated profile from public/profiles/
+
+// Stream Sessions (raw frame recording / replay)
+let sessionRecorder = null;
+let sessionPlayer = null;
 
 // Training Data Collection
 const trainingData = new Map(); // sessionId -> { gestures: [], samples: [] }
 
+// Native Training (tfjs-node) - renderer training is the fallback
+let nativeTrainer = null;
+
 // ============================================================================
 // ELECTRON APP LIFECYCLE
 // ============================================================================
@@ -56,10 +83,13 @@ app.whenReady().then(async () => {
   setupIPC();
   loadDeviceProfiles();
   initializeBLE();
+  initializeSessions();
+  initializeNativeTraining();
 });
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
+    cleanupSessions();
     cleanupBLE();
     app.quit();
   }
@@ -72,6 +102,7 @@ app.on('activate', () => {
 });
 
 app.on('before-quit', () => {
+  cleanupSessions();
   cleanupBLE();
 });
 
@@ -187,23 +218,32 @@ async function findAvailablePort(startPort) {
 function setupAPIEndpoints() {
   // Get BLE state
   expressApp.get('/api/ble/state', (req, res) => {
+    const ble = transports.get('ble');
     res.json({
-      available: noble.state === 'poweredOn',
-      state: noble.state,
+      available: transports.isAnyReady(),
+      state: ble ? ble.state : 'unsupported',
+      virtual: transports.get('virtual') !== null,
     });
   });
 
 
+  // Validated device profiles (the trainer builds custom sensor tabs from them)
+  expressApp.get('/api/profiles', (req, res) => {
+    res.json({ profiles: [...deviceProfiles.values()] });
+  });
+
   // Start BLE scanning
   expressApp.post('/api/ble/scan/start', (req, res) => {
-    if (noble.state !== 'poweredOn') {
+    if (!transports.isAnyReady()) {
       return res.status(503).json({ error: 'Bluetooth not ready' });
     }
 
     try {
-      // Scan for UART service devices
-      noble.startScanning([CONFIG.bleUartService], false);
-      res.json({ success: true, scanning: true });
+      // Scan for UART service devices (and advertise virtual devices).
+      // The scan is the user's now - reconnects must not stop it
+      const started = transports.startScanning();
+      reconnectScans.clear();
+      res.json({ success: true, scanning: true, transports: started });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -212,7 +252,7 @@ function setupAPIEndpoints() {
   // Stop BLE scanning
   expressApp.post('/api/ble/scan/stop', (req, res) => {
     try {
-      noble.stopScanning();
+      transports.stopScanning();
       res.json({ success: true, scanning: false });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -225,20 +265,15 @@ function setupAPIEndpoints() {
 
     try {
       console.log('🔍 Looking for peripheral:', peripheralId);
-      console.log('📋 Available peripherals:', Object.keys(noble._peripherals || {}).length);
-
-      // FIX: Use Object.values() instead of .values()
-      const peripheral = Object.values(noble._peripherals || {}).find(
-        p => p.id === peripheralId
-      );
 
-      if (!peripheral) {
+      const transport = transports.findTransport(peripheralId);
+      if (!transport) {
         console.log('❌ Peripheral not found!');
         return res.status(404).json({ error: 'Device not found' });
       }
 
-      console.log('✅ Found peripheral:', peripheral.advertisement.localName);
-      await connectBLEDevice(deviceId, peripheral, profile);
+      console.log(`✅ Found peripheral via ${transport.type} transport`);
+      await connectBLEDevice(deviceId, peripheralId, profile);
       res.json({ success: true, deviceId });
     } catch (error) {
       console.error('❌ Connection error:', error);
@@ -348,6 +383,48 @@ function setupAPIEndpoints() {
     });
   });
 
+  // ========================================
+  // NATIVE TRAINING ENDPOINTS
+  // ========================================
+  // Same jobs as the 'native-training-fit' IPC (see src/training), with plain
+  // arrays as tensor values. Progress goes out as socket.io
+  // 'native-training-event's, like the trainer window gets them.
+
+  expressApp.get('/api/training/native/status', (req, res) => {
+    res.json(getNativeTrainingStatus());
+  });
+
+  // tfjs-node didn't load, or the nativeTraining setting is off
+  const nativeTrainingUnavailable = (res) => {
+    const { available, enabled } = getNativeTrainingStatus();
+    if (available && enabled) return false;
+    res.status(503).json({ error: 'Native training unavailable' });
+    return true;
+  };
+
+  expressApp.post('/api/training/native/fit', async (req, res) => {
+    if (nativeTrainingUnavailable(res)) return;
+
+    try {
+      const { weights, stopped } = await nativeTrainer.fit(req.body);
+      res.json({
+        success: true,
+        weights: weights.map(weight => ({ values: Array.from(weight.values), shape: weight.shape })),
+        stopped,
+      });
+    } catch (error) {
+      console.error('❌ Native training error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  expressApp.post('/api/training/native/stop', (req, res) => {
+    if (nativeTrainingUnavailable(res)) return;
+
+    nativeTrainer.stop();
+    res.json({ success: true });
+  });
+
   // ========================================
   // MODEL EXPORT ENDPOINT
   // ========================================
@@ -416,23 +493,46 @@ function setupWebSocketEvents() {
   });
 }
 
-// Broadcast data to all connected clients
-function broadcastData(deviceId, data) {
+// Broadcast data to all connected clients (and into a session recording).
+// A frame counter ("#1234,ax,ay,..." after SEQ:ON, and on binary frames) is
+// sent as its own field, so clients always get plain CSV lines
+function broadcastData(deviceId, data, deviceTimestamp = null) {
+  if (sessionRecorder) {
+    sessionRecorder.record(deviceId, data, deviceTimestamp);
+  }
+
   if (io) {
+    const sequence = /^#(\d+),/.exec(data);
     io.emit('serial-data', {
       id: deviceId,
-      data: data,
+      data: sequence ? data.slice(sequence[0].length) : data,
+      sequence: sequence ? Number(sequence[1]) : null,
       timestamp: Date.now(),
+      deviceTimestamp: deviceTimestamp,
+    });
+  }
+}
+
+// Broadcast what the firmware reported on connect (see requestDeviceInfo)
+function broadcastDeviceInfo(deviceId, info, warning) {
+  if (io) {
+    io.emit('device-info', {
+      id: deviceId,
+      info: info,
+      warning: warning,
     });
   }
 }
 
 // Broadcast device status
-function broadcastStatus(deviceId, status) {
+// profile: the device profile it was connected with (collectors of custom
+// sensor tabs only take that device's frames)
+function broadcastStatus(deviceId, status, profile = bleDevices.get(deviceId)?.profile || null) {
   if (io) {
     io.emit('device-status', {
       id: deviceId,
       status: status,
+      profile: profile,
       timestamp: Date.now(),
     });
   }
@@ -443,9 +543,30 @@ function broadcastStatus(deviceId, status) {
 // ============================================================================
 
 function initializeBLE() {
+  transports = new TransportManager();
+
+  transports.register(new BleTransport({
+    service: CONFIG.bleUartService,
+    txCharacteristic: CONFIG.bleTxCharacteristic,
+    rxCharacteristic: CONFIG.bleRxCharacteristic,
+  }, getGattScanServices()));
+
+  transports.register(new SerialTransport({
+    baudRate: CONFIG.serialBaudRate,
+  }));
+
+  // Virtual devices let the app run without an Arduino (classrooms, tests)
+  if (settingsManager.getSetting('virtualDevicesEnabled') !== false) {
+    transports.register(new VirtualTransport({
+      sampleRateHz: CONFIG.virtualSampleRateHz,
+      recordingsDir: path.join(app.getPath('userData'), 'recordings'),
+    }));
+    console.log('🧪 Virtual devices enabled');
+  }
+
   // Monitor Bluetooth state
-  noble.on('stateChange', (state) => {
-    console.log(`🔵 Bluetooth state: ${state}`);
+  transports.on('stateChange', (type, state) => {
+    if (type !== 'ble') return;
 
     if (mainWindow) {
       mainWindow.webContents.send('ble-state-changed', state);
@@ -454,21 +575,10 @@ function initializeBLE() {
     if (io) {
       io.emit('ble-state', state);
     }
-
-    if (state !== 'poweredOn') {
-      noble.stopScanning();
-    }
   });
 
   // Handle discovered devices
-  noble.on('discover', (peripheral) => {
-    const deviceInfo = {
-      id: peripheral.id,
-      name: peripheral.advertisement.localName || 'Unknown Device',
-      rssi: peripheral.rssi,
-      connectable: peripheral.connectable,
-    };
-
+  transports.on('discover', (deviceInfo) => {
     console.log('🔍 Discovered:', deviceInfo.name);
 
     if (io) {
@@ -477,77 +587,103 @@ function initializeBLE() {
   });
 }
 
-async function connectBLEDevice(deviceId, peripheral, profile = 'generic_uart') {
+async function connectBLEDevice(deviceId, peripheralId, profile = 'generic_uart', reconnecting = false) {
+  if (!reconnecting) {
+    cancelReconnect(deviceId);
+  }
+
+  // Standard GATT devices are decoded with their profile's characteristics
+  const gattProfile = isGattProfile(deviceProfiles.get(profile) || {}) ? deviceProfiles.get(profile) : null;
+
   try {
-    console.log(`🔗 Connecting to ${peripheral.advertisement.localName}...`);
+    const options = gattProfile ? {
+      gatt: gattProfile.connection,
+      channels: gattProfile.dataFormat.fields,
+    } : {};
+    const connection = reconnecting
+      ? await connectWithTimeout(peripheralId, options, CONFIG.reconnectTimeoutMs)
+      : await transports.connect(peripheralId, options);
+
+    // The user disconnected the dropped device while we were reconnecting
+    if (reconnecting && !bleDevices.has(deviceId)) {
+      await connection.disconnect();
+      throw new Error('Reconnect cancelled');
+    }
 
-    // Connect to peripheral
-    await new Promise((resolve, reject) => {
-      peripheral.connect((error) => {
-        if (error) reject(error);
-        else resolve();
-      });
+    // Handle incoming data (deviceTimestamp: device millis of binary frames)
+    connection.on('data', (stringData, deviceTimestamp) => {
+      console.log(`📥 ${deviceId}: ${stringData}`);
+      broadcastData(deviceId, stringData, deviceTimestamp);
     });
 
-    console.log('✅ Connected to peripheral');
-
-    // Discover services and characteristics
-    const { services, characteristics } = await new Promise((resolve, reject) => {
-      peripheral.discoverAllServicesAndCharacteristics((error, services, characteristics) => {
-        if (error) reject(error);
-        else resolve({ services, characteristics });
-      });
+    // Store device connection
+    bleDevices.set(deviceId, {
+      connection,
+      transport: connection.transport,
+      name: connection.name,
+      profile,
+      connected: true,
+      closing: false,
+      protocol: gattProfile ? 'gatt' : 'csv',
+      info: null,
     });
 
-    console.log(`📡 Found ${services.length} services, ${characteristics.length} characteristics`);
+    // Handle disconnection - reconnect unless the user disconnected
+    connection.once('disconnect', () => {
+      const device = bleDevices.get(deviceId);
+      if (device?.connection !== connection) return;
 
-    // Find UART characteristics
-    const txCharacteristic = characteristics.find(
-      c => c.uuid.toLowerCase() === CONFIG.bleTxCharacteristic.toLowerCase().replace(/-/g, '')
-    );
+      if (device.closing) {
+        console.log(`🔌 ${deviceId} disconnected`);
+        bleDevices.delete(deviceId);
+        broadcastStatus(deviceId, 'disconnected');
+        return;
+      }
 
-    const rxCharacteristic = characteristics.find(
-      c => c.uuid.toLowerCase() === CONFIG.bleRxCharacteristic.toLowerCase().replace(/-/g, '')
-    );
+      console.log(`⚠️ ${deviceId} dropped out, reconnecting...`);
+      device.connected = false;
+      broadcastStatus(deviceId, 'reconnecting');
+      scheduleReconnect(deviceId, 0);
+    });
 
-    if (!txCharacteristic) {
-      throw new Error('TX characteristic not found');
+    // Compact binary frames where the firmware supports them, CSV otherwise
+    if (connection.negotiateBinary && settingsManager.getSetting('binaryProtocol') !== false) {
+      const protocol = await connection.negotiateBinary();
+      if (bleDevices.get(deviceId)?.connection === connection) {
+        bleDevices.get(deviceId).protocol = protocol;
+      }
+      console.log(`📦 ${deviceId} streams ${protocol === 'binary' ? 'binary frames' : 'CSV'}`);
     }
 
-    console.log('✅ Found UART characteristics');
-
-    // Subscribe to notifications
-    await new Promise((resolve, reject) => {
-      txCharacteristic.subscribe((error) => {
-        if (error) reject(error);
-        else resolve();
-      });
-    });
+    // Frame counters let the trainer count lost frames. Binary frames always
+    // carry one; CSV firmware only adds it to its lines after SEQ:ON
+    if (!gattProfile && bleDevices.get(deviceId)?.protocol === 'csv') {
+      const sequence = await negotiateSequence(connection);
+      console.log(`🔢 ${deviceId} ${sequence ? 'numbers its frames' : 'streams without frame counters'}`);
+    }
 
-    // Handle incoming data
-    txCharacteristic.on('data', (data) => {
-      const stringData = data.toString('utf8');
-      console.log(`📥 ${deviceId}: ${stringData}`);
-      broadcastData(deviceId, stringData);
-    });
+    // Ask the firmware what it streams (sensors, IMU chip, channels, version).
+    // GATT devices run their own firmware - the profile says what they stream
+    const info = gattProfile ? getProfileDeviceInfo(gattProfile) : await requestDeviceInfo(connection);
+    const warning = gattProfile ? null : getFirmwareWarning(info);
+    const device = bleDevices.get(deviceId);
+    if (device?.connection === connection) {
+      device.info = info;
+      device.firmwareWarning = warning;
+    }
+    broadcastDeviceInfo(deviceId, info, warning);
+    if (warning) {
+      console.warn(`⚠️ ${deviceId}: ${warning}`);
+    }
 
-    // Store device connection
-    bleDevices.set(deviceId, {
-      peripheral,
-      txCharacteristic,
-      rxCharacteristic,
+    rememberDevice(deviceId, {
+      peripheralId,
+      name: connection.name,
+      transport: connection.transport,
       profile,
-      connected: true,
     });
 
-    // Handle disconnection
-    peripheral.once('disconnect', () => {
-      console.log(`🔌 ${deviceId} disconnected`);
-      bleDevices.delete(deviceId);
-      broadcastStatus(deviceId, 'disconnected');
-    });
-
-    broadcastStatus(deviceId, 'connected');
+    broadcastStatus(deviceId, reconnecting ? 'reconnected' : 'connected');
     return true;
 
   } catch (error) {
@@ -562,87 +698,487 @@ async function disconnectBLEDevice(deviceId) {
     throw new Error('Device not found');
   }
 
-  return new Promise((resolve, reject) => {
-    device.peripheral.disconnect((error) => {
-      if (error) {
-        reject(error);
-      } else {
-        bleDevices.delete(deviceId);
-        broadcastStatus(deviceId, 'disconnected');
-        resolve();
-      }
-    });
-  });
+  cancelReconnect(deviceId);
+
+  // Dropped device that is still reconnecting - just stop trying
+  if (!device.connected) {
+    bleDevices.delete(deviceId);
+    broadcastStatus(deviceId, 'disconnected');
+    return;
+  }
+
+  device.closing = true;
+  await device.connection.disconnect();
+  bleDevices.delete(deviceId);
+  broadcastStatus(deviceId, 'disconnected');
 }
 
 async function sendBLEData(deviceId, data) {
   const device = bleDevices.get(deviceId);
-  if (!device || !device.rxCharacteristic) {
+  if (!device || !device.connected) {
     throw new Error('Device not connected or RX characteristic not available');
   }
 
-  const buffer = Buffer.from(data + '\n', 'utf8');
+  await device.connection.write(data + '\n');
 
-  return new Promise((resolve, reject) => {
-    device.rxCharacteristic.write(buffer, false, (error) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve();
-      }
-    });
-  });
+  // Remember the stream mode so it can be restored after a reconnect
+  if (data.startsWith('MODE:')) {
+    rememberDevice(deviceId, { mode: data });
+  }
 }
 
 function cleanupBLE() {
+  for (const deviceId of reconnectTimers.keys()) {
+    cancelReconnect(deviceId);
+  }
+
   // Disconnect all devices
   for (const [deviceId, device] of bleDevices.entries()) {
-    try {
-      device.peripheral.disconnect();
-    } catch (error) {
+    if (!device.connected) continue;
+
+    device.closing = true;
+    device.connection.disconnect().catch((error) => {
       console.error(`Error disconnecting ${deviceId}:`, error);
-    }
+    });
   }
   bleDevices.clear();
+  reconnectScans.clear();
 
   // Stop scanning
-  if (noble.state === 'poweredOn') {
-    noble.stopScanning();
+  if (transports) {
+    transports.stopScanning();
   }
 }
 
+// ============================================================================
+// AUTOMATIC RECONNECTION
+// ============================================================================
+// A device that drops out (out of range, power dip) stays in bleDevices with
+// connected: false while we retry with exponential backoff. The peripheral,
+// profile and last MODE: command come from settings.lastDevices, so the
+// stream resumes in the mode the trainer last selected.
+
+// Merge info into the device's settings.lastDevices entry (most recent first)
+function rememberDevice(deviceId, info) {
+  const lastDevices = settingsManager.getSetting('lastDevices') || [];
+  const previous = lastDevices.find(entry => entry.deviceId === deviceId) || {};
+
+  // A different board under the same id starts without the old mode
+  const entry = info.peripheralId && info.peripheralId !== previous.peripheralId
+    ? { deviceId, ...info }
+    : { ...previous, deviceId, ...info };
+
+  settingsManager.updateSetting('lastDevices', [
+    entry,
+    ...lastDevices.filter(other => other.deviceId !== deviceId),
+  ].slice(0, CONFIG.maxLastDevices));
+}
+
+function getLastDevice(deviceId) {
+  const lastDevices = settingsManager.getSetting('lastDevices') || [];
+  return lastDevices.find(entry => entry.deviceId === deviceId) || null;
+}
+
+function scheduleReconnect(deviceId, attempt) {
+  if (attempt >= CONFIG.reconnectMaxAttempts) {
+    console.log(`❌ ${deviceId} did not come back after ${attempt} attempts`);
+    stopReconnectScan(deviceId);
+    bleDevices.delete(deviceId);
+    broadcastStatus(deviceId, 'disconnected');
+    return;
+  }
+
+  const delay = Math.min(CONFIG.reconnectBaseDelayMs * 2 ** attempt, CONFIG.reconnectMaxDelayMs);
+
+  reconnectTimers.set(deviceId, setTimeout(async () => {
+    reconnectTimers.delete(deviceId);
+    const reconnected = await reconnectDevice(deviceId, attempt + 1);
+
+    // Stop when the user disconnected the device while we were trying
+    const device = bleDevices.get(deviceId);
+    if (!reconnected && device && !device.connected) {
+      scheduleReconnect(deviceId, attempt + 1);
+    }
+  }, delay));
+}
+
+function cancelReconnect(deviceId) {
+  clearTimeout(reconnectTimers.get(deviceId));
+  reconnectTimers.delete(deviceId);
+  stopReconnectScan(deviceId);
+}
+
+// Stops the scan a reconnect started once no other reconnect needs it
+function stopReconnectScan(deviceId) {
+  if (reconnectScans.delete(deviceId) && reconnectScans.size === 0) {
+    transports.stopScanning();
+  }
+}
+
+// A hanging attempt is cancelled, so it can't connect later while the next
+// attempt runs; a connection that comes up after the timeout anyway is closed
+function connectWithTimeout(peripheralId, options, timeoutMs) {
+  let timedOut = false;
+  let timer = null;
+  const connecting = transports.connect(peripheralId, options);
+
+  connecting.then((connection) => {
+    if (timedOut) {
+      connection.disconnect().catch(() => {});
+    }
+  }, () => {});
+
+  return Promise.race([
+    connecting,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        transports.cancelConnect(peripheralId);
+        reject(new Error('Reconnect timed out'));
+      }, timeoutMs);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function reconnectDevice(deviceId, attempt) {
+  const device = bleDevices.get(deviceId);
+  const lastDevice = getLastDevice(deviceId);
+  if (!device || !lastDevice) {
+    return false;
+  }
+
+  console.log(`🔄 Reconnecting ${deviceId} (attempt ${attempt}/${CONFIG.reconnectMaxAttempts})...`);
+
+  // Some platforms only connect to peripherals seen in a recent scan
+  if (!transports.findTransport(lastDevice.peripheralId)) {
+    try {
+      transports.startScanning();
+      reconnectScans.add(deviceId);
+    } catch (error) {
+      console.log(`⚠️ Cannot scan for ${deviceId}: ${error.message}`);
+    }
+    return false;
+  }
+
+  // Found - stop the scan this reconnect started
+  stopReconnectScan(deviceId);
+
+  try {
+    await connectBLEDevice(deviceId, lastDevice.peripheralId, lastDevice.profile, true);
+  } catch (error) {
+    console.log(`⚠️ Reconnect of ${deviceId} failed: ${error.message}`);
+    return false;
+  }
+
+  // The firmware boots in its default mode - restore the last one
+  if (lastDevice.mode) {
+    try {
+      await sendBLEData(deviceId, lastDevice.mode);
+      console.log(`✅ ${deviceId} resumed ${lastDevice.mode}`);
+    } catch (error) {
+      console.error(`Error restoring ${lastDevice.mode} on ${deviceId}:`, error);
+    }
+  }
+
+  return true;
+}
+
 function getConnectedDevices() {
   const devices = [];
   for (const [deviceId, device] of bleDevices.entries()) {
     devices.push({
       id: deviceId,
-      name: device.peripheral.advertisement.localName || 'Unknown',
+      name: device.name || 'Unknown',
       connected: device.connected,
       profile: device.profile,
+      transport: device.transport,
+      protocol: device.protocol,
+      info: device.info,
+      firmwareWarning: device.firmwareWarning || null,
     });
   }
   return devices;
 }
 
+// ============================================================================
+// STREAM SESSIONS
+// ============================================================================
+// The recorder writes every frame broadcastData() sends to a .tinysession
+// file; the player feeds one back through broadcastData(), so the trainer
+// treats a replay like a live board. Replayed devices stream as
+// 'replay:<recorded id>' next to the live ones and are reported as connected
+// for the length of the replay (test mode needs a device).
+
+function initializeSessions() {
+  const sessionsDir = path.join(app.getPath('userData'), 'sessions');
+  sessionRecorder = new SessionRecorder(sessionsDir);
+  sessionPlayer = new SessionPlayer(broadcastData);
+
+  sessionPlayer.on('finished', ({ deviceIds }) => {
+    endReplayedDevices(deviceIds);
+    broadcastSessionStatus();
+  });
+}
+
+function startSessionRecording(deviceIds = null) {
+  // Replayed frames go through broadcastData() too - don't record a recording
+  if (sessionPlayer.isPlaying()) {
+    throw new Error('Stop the replay before recording');
+  }
+
+  const devices = {};
+  for (const [deviceId, device] of bleDevices.entries()) {
+    if (deviceIds && !deviceIds.includes(deviceId)) continue;
+    devices[deviceId] = {
+      name: device.name,
+      profile: device.profile,
+      transport: device.transport,
+      protocol: device.protocol,
+      info: device.info,
+    };
+  }
+
+  const filePath = sessionRecorder.start(devices, deviceIds);
+  broadcastSessionStatus();
+  return filePath;
+}
+
+async function stopSessionRecording() {
+  const summary = await sessionRecorder.stop();
+  broadcastSessionStatus();
+  return summary;
+}
+
+function startSessionReplay(filePath, speed) {
+  if (sessionRecorder.isRecording()) {
+    throw new Error('Stop the recording before replaying');
+  }
+
+  const deviceIds = sessionPlayer.start(filePath, speed);
+
+  // The bridge restarts its sequence tracking on 'connected'
+  deviceIds.forEach((deviceId) => {
+    const device = sessionPlayer.getDevice(deviceId);
+    broadcastStatus(deviceId, 'connected', device ? device.profile : null);
+  });
+  broadcastSessionStatus();
+  return deviceIds;
+}
+
+function stopSessionReplay() {
+  endReplayedDevices(sessionPlayer.stop());
+  broadcastSessionStatus();
+}
+
+// Replayed devices are gone again
+function endReplayedDevices(deviceIds) {
+  deviceIds.forEach(deviceId => broadcastStatus(deviceId, 'disconnected'));
+}
+
+function getSessionStatus() {
+  return {
+    sessionsDir: sessionRecorder.sessionsDir,
+    extension: SESSION_EXTENSION,
+    recorder: sessionRecorder.getStatus(),
+    player: sessionPlayer.getStatus(),
+  };
+}
+
+function broadcastSessionStatus() {
+  if (mainWindow) {
+    mainWindow.webContents.send('session-status', getSessionStatus());
+  }
+}
+
+function cleanupSessions() {
+  if (sessionPlayer) {
+    sessionPlayer.stop();
+  }
+  if (sessionRecorder && sessionRecorder.isRecording()) {
+    sessionRecorder.stop().catch((error) => {
+      console.error('Error saving session recording:', error);
+    });
+  }
+}
+
+// ============================================================================
+// NATIVE TRAINING
+// ============================================================================
+// The renderer hands classifier fits to the main process when tfjs-node
+// loaded (see src/training). Progress goes back on 'native-training-event',
+// to the trainer window and to socket.io clients (REST fits).
+
+function initializeNativeTraining() {
+  nativeTrainer = new NativeTrainer();
+
+  ['trainingStart', 'epochBegin', 'epochEnd', 'trainingEnd'].forEach(event => {
+    nativeTrainer.on(event, (data) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('native-training-event', { event, ...data });
+      }
+      if (io) {
+        io.emit('native-training-event', { event, ...data });
+      }
+    });
+  });
+}
+
+function getNativeTrainingStatus() {
+  if (!nativeTrainer) {
+    return { available: false, enabled: false, training: false, backend: null, version: null };
+  }
+  return {
+    ...nativeTrainer.getStatus(),
+    enabled: settingsManager.getSetting('nativeTraining') !== false,
+  };
+}
+
+// ============================================================================
+// DEVICE CAPABILITIES
+// ============================================================================
+// The streaming sketches answer INFO with one line, e.g.
+//   INFO:firmware=multi-sensor-stream;version=1.3.0;sensors=imu,color;
+//        imu=LSM9DS1;rate=50;mode=all;channels=ax,ay,...,p;protocol=binary
+// Firmware before 1.2.0 answers with human-readable lines ("Device: ...") or
+// not at all; it gets an info object with version null.
+
+function requestDeviceInfo(connection) {
+  return new Promise((resolve) => {
+    const finish = (info) => {
+      clearTimeout(timer);
+      connection.off('data', onReply);
+      resolve(info);
+    };
+
+    const onReply = (line) => {
+      if (line.startsWith('INFO:')) {
+        finish(parseDeviceInfo(line));
+      } else if (line.startsWith('Device: ') || line.startsWith('ERROR:')) {
+        finish(parseDeviceInfo(''));
+      }
+    };
+
+    const timer = setTimeout(() => finish(parseDeviceInfo('')), CONFIG.infoTimeoutMs);
+    connection.on('data', onReply);
+
+    connection.write('INFO\n').catch(() => finish(parseDeviceInfo('')));
+  });
+}
+
+// Firmware 1.3.0 and newer prefix their CSV lines with "#seq," after SEQ:ON;
+// older firmware answers ERROR:UNKNOWN_COMMAND (or nothing) and stays plain
+function negotiateSequence(connection) {
+  return new Promise((resolve) => {
+    const finish = (enabled) => {
+      clearTimeout(timer);
+      connection.off('data', onReply);
+      resolve(enabled);
+    };
+
+    const onReply = (line) => {
+      if (line.startsWith('OK:SEQ_ON')) {
+        finish(true);
+      } else if (line.startsWith('ERROR:')) {
+        finish(false);
+      }
+    };
+
+    const timer = setTimeout(() => finish(false), CONFIG.infoTimeoutMs);
+    connection.on('data', onReply);
+
+    connection.write('SEQ:ON\n').catch(() => finish(false));
+  });
+}
+
+function parseDeviceInfo(line) {
+  const fields = {};
+  line.replace(/^INFO:/, '').trim().split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      fields[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+  });
+
+  const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+  return {
+    firmware: fields.firmware || 'unknown',
+    version: fields.version || null,
+    sensors: list(fields.sensors),
+    imu: fields.imu && fields.imu !== 'none' ? fields.imu : null,
+    sampleRateHz: Number(fields.rate) || null,
+    mode: fields.mode || null,
+    channels: list(fields.channels),
+    protocol: fields.protocol || null,
+  };
+}
+
+// Info of a standard GATT device, in the shape of parseDeviceInfo()
+function getProfileDeviceInfo(profile) {
+  return {
+    firmware: profile.name,
+    version: null,
+    sensors: Object.keys(profile.sensors || {}),
+    imu: null,
+    sampleRateHz: (profile.capture && profile.capture.sampleRate) || null,
+    mode: null,
+    channels: profile.dataFormat.fields.map(field => field.name),
+    protocol: 'gatt',
+  };
+}
+
+// -1 / 0 / 1 for dotted versions ("1.2.0")
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = b.split('.').map(part => parseInt(part, 10) || 0);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+// Warning text for firmware older than the app expects, null when current
+function getFirmwareWarning(info) {
+  if (!info.version) {
+    return `Firmware doesn't report its version - upload the example sketch (${CONFIG.minFirmwareVersion} or newer)`;
+  }
+  if (compareVersions(info.version, CONFIG.minFirmwareVersion) < 0) {
+    return `Firmware ${info.firmware} ${info.version} is older than ${CONFIG.minFirmwareVersion} - upload the latest example sketch`;
+  }
+  return null;
+}
+
 // ============================================================================
 // DEVICE PROFILES
 // ============================================================================
 
 function loadDeviceProfiles() {
   const profilesDir = path.join(__dirname, 'public', 'profiles');
+  const { profiles, errors } = loadProfiles(profilesDir);
 
-  // Load only the nano-ble profile
-  const nanoBleProfile = path.join(profilesDir, 'nano-ble.json');
+  deviceProfiles.clear();
+  profiles.forEach((profile, id) => {
+    deviceProfiles.set(id, profile);
+    console.log(`✅ Loaded device profile: ${id}`);
+  });
 
-  if (fs.existsSync(nanoBleProfile)) {
-    try {
-      const profile = JSON.parse(fs.readFileSync(nanoBleProfile, 'utf8'));
-      deviceProfiles.set('nano-ble', profile);
-      console.log('✅ Loaded device profile: nano-ble');
-    } catch (error) {
-      console.error('Error loading profile:', error);
+  errors.forEach(({ file, errors: problems }) => {
+    console.error(`❌ Skipped device profile ${file}:\n   ${problems.join('\n   ')}`);
+  });
+}
+
+// Service UUIDs of the GATT profiles - the BLE scan looks for them next to
+// the UART service
+function getGattScanServices() {
+  const uuids = new Set();
+  deviceProfiles.forEach(profile => {
+    if (isGattProfile(profile)) {
+      profile.connection.services.forEach(service => uuids.add(service.uuid));
     }
-  }
+  });
+  return [...uuids];
 }
 
 // ============================================================================
@@ -830,10 +1366,121 @@ function setupIPC() {
     return result;
   });
 
+  // Open file dialog for project loading
+  ipcMain.handle('show-open-dialog', async (event, options) => {
+    const result = await dialog.showOpenDialog(mainWindow, options);
+    return result;
+  });
+
   // Open folder in file explorer
   ipcMain.handle('open-folder', (event, folderPath) => {
     require('electron').shell.openPath(folderPath);
   });
+
+  // Save project (.tinyproj) - attaches the connected device's profile
+  ipcMain.handle('project-save', (event, { filePath, project, deviceId }) => {
+    try {
+      const device = deviceId ? bleDevices.get(deviceId) : null;
+      const profileId = device?.profile || 'nano-ble';
+
+      const savedPath = projectManager.saveProject(filePath, {
+        ...project,
+        deviceProfile: {
+          id: profileId,
+          ...(deviceProfiles.get(profileId) || deviceProfiles.get('nano-ble') || {})
+        }
+      });
+
+      return { success: true, filePath: savedPath };
+    } catch (error) {
+      console.error('❌ Error saving project:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Open project (.tinyproj)
+  ipcMain.handle('project-open', (event, filePath) => {
+    try {
+      const project = projectManager.loadProject(filePath);
+      return { success: true, filePath, project };
+    } catch (error) {
+      console.error('❌ Error opening project:', error);
+      if (!fs.existsSync(filePath)) {
+        projectManager.removeRecentProject(filePath);
+      }
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Recent projects
+  ipcMain.handle('get-recent-projects', () => {
+    return projectManager.getRecentProjects();
+  });
+
+  ipcMain.handle('clear-recent-projects', () => {
+    projectManager.clearRecentProjects();
+    return [];
+  });
+
+  // Stream sessions (.tinysession)
+  ipcMain.handle('session-status', () => {
+    return getSessionStatus();
+  });
+
+  ipcMain.handle('session-record-start', (event, deviceIds) => {
+    try {
+      const filePath = startSessionRecording(deviceIds || null);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('❌ Error starting session recording:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('session-record-stop', async () => {
+    try {
+      const summary = await stopSessionRecording();
+      return { success: true, ...summary };
+    } catch (error) {
+      console.error('❌ Error stopping session recording:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('session-replay-start', (event, { filePath, speed }) => {
+    try {
+      const deviceIds = startSessionReplay(filePath, speed);
+      return { success: true, deviceIds };
+    } catch (error) {
+      console.error('❌ Error replaying session:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('session-replay-stop', () => {
+    stopSessionReplay();
+    return { success: true };
+  });
+
+  // Native training (tfjs-node)
+  ipcMain.handle('native-training-status', () => {
+    return getNativeTrainingStatus();
+  });
+
+  ipcMain.handle('native-training-fit', async (event, job) => {
+    try {
+      const result = await nativeTrainer.fit(job);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('❌ Native training error:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('native-training-stop', () => {
+    nativeTrainer.stop();
+    return { success: true };
+  });
 }
 
 // ============================================================================
@@ -21,18 +21,37 @@ contextBridge.exposeInMainWorld('electron', {
   
   // File system
   showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
+  showOpenDialog: (options) => ipcRenderer.invoke('show-open-dialog', options),
   openFolder: (folderPath) => ipcRenderer.invoke('open-folder', folderPath),
   
+  // Projects (.tinyproj)
+  saveProject: (filePath, project, deviceId) => ipcRenderer.invoke('project-save', { filePath, project, deviceId }),
+  openProject: (filePath) => ipcRenderer.invoke('project-open', filePath),
+  getRecentProjects: () => ipcRenderer.invoke('get-recent-projects'),
+  clearRecentProjects: () => ipcRenderer.invoke('clear-recent-projects'),
+  
+  // Stream sessions (.tinysession)
+  getSessionStatus: () => ipcRenderer.invoke('session-status'),
+  startSessionRecording: (deviceIds) => ipcRenderer.invoke('session-record-start', deviceIds),
+  stopSessionRecording: () => ipcRenderer.invoke('session-record-stop'),
+  startSessionReplay: (filePath, speed) => ipcRenderer.invoke('session-replay-start', { filePath, speed }),
+  stopSessionReplay: () => ipcRenderer.invoke('session-replay-stop'),
+  
+  // Native training (tfjs-node in the main process)
+  getNativeTrainingStatus: () => ipcRenderer.invoke('native-training-status'),
+  fitNative: (job) => ipcRenderer.invoke('native-training-fit', job),
+  stopNativeTraining: () => ipcRenderer.invoke('native-training-stop'),
+  
   // IPC listeners
   on: (channel, callback) => {
-    const validChannels = ['server-started', 'ble-state-changed'];
+    const validChannels = ['server-started', 'ble-state-changed', 'session-status', 'native-training-event'];
     if (validChannels.includes(channel)) {
       ipcRenderer.on(channel, (event, ...args) => callback(...args));
     }
   },
   
   once: (channel, callback) => {
-    const validChannels = ['server-started', 'ble-state-changed'];
+    const validChannels = ['server-started', 'ble-state-changed', 'session-status', 'native-training-event'];
     if (validChannels.includes(channel)) {
       ipcRenderer.once(channel, (event, ...args) => callback(...args));
     }
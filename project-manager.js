@@ -0,0 +1,117 @@
+// ============================================================================
+// Project Manager
+// ============================================================================
+// Reads and writes .tinyproj project files for BLE Tiny Motion Trainer
+// A project bundles datasets, the trained model, history and settings
+// Recent projects are tracked through the settings manager
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const settingsManager = require('./settings-manager');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const PROJECT_EXTENSION = 'tinyproj';
+const PROJECT_FORMAT = 'tinyproj';
+const PROJECT_FORMAT_VERSION = 1;
+const MAX_RECENT_PROJECTS = 10;
+
+// ============================================================================
+// Project Files
+// ============================================================================
+
+function withProjectExtension(filePath) {
+  if (path.extname(filePath).toLowerCase() === `.${PROJECT_EXTENSION}`) {
+    return filePath;
+  }
+  return `${filePath}.${PROJECT_EXTENSION}`;
+}
+
+function saveProject(filePath, project) {
+  const targetPath = withProjectExtension(filePath);
+
+  const data = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...project
+  };
+
+  // Write to a temp file first so a failed save never truncates the project
+  const tempPath = `${targetPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data), 'utf8');
+  fs.renameSync(tempPath, targetPath);
+
+  addRecentProject(targetPath, project.name);
+
+  console.log('✅ Project saved to:', targetPath);
+  return targetPath;
+}
+
+function loadProject(filePath) {
+  const data = fs.readFileSync(filePath, 'utf8');
+  const project = JSON.parse(data);
+
+  if (project.format !== PROJECT_FORMAT) {
+    throw new Error('Not a Tiny Trainer project file');
+  }
+
+  if (project.version > PROJECT_FORMAT_VERSION) {
+    throw new Error(`Project was saved by a newer version (format v${project.version})`);
+  }
+
+  addRecentProject(filePath, project.name);
+
+  console.log('✅ Project loaded from:', filePath);
+  return project;
+}
+
+// ============================================================================
+// Recent Projects
+// ============================================================================
+
+function getRecentProjects() {
+  const recent = settingsManager.getSetting('recentProjects') || [];
+  return recent.filter(entry => fs.existsSync(entry.path));
+}
+
+function addRecentProject(filePath, name) {
+  const recent = (settingsManager.getSetting('recentProjects') || [])
+    .filter(entry => entry.path !== filePath);
+
+  recent.unshift({
+    path: filePath,
+    name: name || path.basename(filePath, `.${PROJECT_EXTENSION}`),
+    openedAt: Date.now()
+  });
+
+  return settingsManager.updateSetting('recentProjects', recent.slice(0, MAX_RECENT_PROJECTS));
+}
+
+function removeRecentProject(filePath) {
+  const recent = (settingsManager.getSetting('recentProjects') || [])
+    .filter(entry => entry.path !== filePath);
+
+  return settingsManager.updateSetting('recentProjects', recent);
+}
+
+function clearRecentProjects() {
+  return settingsManager.updateSetting('recentProjects', []);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  PROJECT_EXTENSION,
+  saveProject,
+  loadProject,
+  getRecentProjects,
+  addRecentProject,
+  removeRecentProject,
+  clearRecentProjects
+};
@@ -9,8 +9,16 @@
 //   bridge.onData('device_1', (data) => {
 //     console.log('Received:', data);
 //   });
+//
+// Frames may come with a sequence number (the server strips the firmware's
+// "#1234," prefix into the sequence field). The bridge counts the frames that
+// never arrived as dropped (see getStreamStats). After setFrameLengths(), data
+// lines with a broken value or an unexpected value count are counted as
+// garbled and not passed on.
 // ============================================================================
 
+const SEQUENCE_MODULO = 65536; // Firmware sequence numbers are uint16
+
 class BLEBridge {
     constructor(serverUrl = null) {
         // Auto-detect server URL from socket.io script tag
@@ -27,6 +35,12 @@ class BLEBridge {
         this.socket = null;
         this.dataCallbacks = new Map(); // deviceId -> callbacks[]
         this.statusCallbacks = new Map(); // deviceId -> callbacks[]
+        this.deviceProfiles = new Map(); // deviceId -> profile it was connected with
+        this.streamStatsCallbacks = [];
+        
+        // Stream health (dropped / garbled frames)
+        this.streamStats = new Map(); // deviceId -> { frames, dropped, garbled, lastSequence }
+        this.frameLengths = null; // Valid values per line, null = accept any
         
         // Data smoothing state
         this.smoothState = new Map(); // id -> lastValue
@@ -57,11 +71,16 @@ class BLEBridge {
         });
         
         this.socket.on('serial-data', (data) => {
-            this.handleData(data.id, data.data);
+            this.handleData(data.id, data.data, data.timestamp, data.sequence);
         });
         
         this.socket.on('device-status', (status) => {
-            this.handleStatus(status.id, status.status, status.port || '');
+            this.handleStatus(status.id, status.status, status.port || '', status.profile);
+        });
+        
+        // Devices connected before this page opened
+        this.socket.on('devices-list', (devices) => {
+            devices.forEach(device => this.deviceProfiles.set(device.id, device.profile || null));
         });
     }
     
@@ -83,23 +102,44 @@ class BLEBridge {
         this.statusCallbacks.get(deviceId).push(callback);
     }
     
-    handleData(deviceId, data) {
+    // timestamp: when the main process received the line (ms), used to
+    // align frames from several devices. sequence: the frame counter, or null
+    handleData(deviceId, data, timestamp = Date.now(), sequence = null) {
+        data = this.checkFrame(deviceId, data, sequence);
+        if (data === null) {
+            return;
+        }
+        
         // Handle wildcard listeners (*)
         if (this.dataCallbacks.has('*')) {
             this.dataCallbacks.get('*').forEach(callback => {
-                callback(data, deviceId);
+                callback(data, deviceId, timestamp);
             });
         }
         
         // Handle specific device listeners
         if (this.dataCallbacks.has(deviceId)) {
             this.dataCallbacks.get(deviceId).forEach(callback => {
-                callback(data);
+                callback(data, timestamp);
             });
         }
     }
     
-    handleStatus(deviceId, status, port) {
+    handleStatus(deviceId, status, port, profile = null) {
+        if (status === 'connected' || status === 'reconnected') {
+            this.deviceProfiles.set(deviceId, profile);
+        } else if (status === 'disconnected') {
+            this.deviceProfiles.delete(deviceId);
+        }
+        
+        // The firmware restarts its sequence after a (re)connect
+        if (status === 'connected' || status === 'reconnected') {
+            const stats = this.streamStats.get(deviceId);
+            if (stats) {
+                stats.lastSequence = null;
+            }
+        }
+        
         // Handle wildcard listeners (*)
         if (this.statusCallbacks.has('*')) {
             this.statusCallbacks.get('*').forEach(callback => {
@@ -115,6 +155,123 @@ class BLEBridge {
         }
     }
     
+    // Profile id the device was connected with (e.g. 'nano-analog'), or null
+    getDeviceProfile(deviceId) {
+        return this.deviceProfiles.get(deviceId) || null;
+    }
+    
+    // ========================================================================
+    // Stream Health
+    // ========================================================================
+    
+    // lengths: value counts of valid frames, e.g. [5, 9, 12, 14]
+    setFrameLengths(lengths) {
+        this.frameLengths = lengths ? new Set(lengths) : null;
+    }
+    
+    // Updates the device's counters. Returns the line to pass on, or null
+    // for a garbled frame.
+    checkFrame(deviceId, data, sequence = null) {
+        const line = data.trim();
+        
+        // Text replies (OK:..., PONG, INFO) aren't frames
+        if (!/^[#\d.+-]/.test(line)) {
+            return data;
+        }
+        
+        if (!this.streamStats.has(deviceId)) {
+            this.streamStats.set(deviceId, { frames: 0, dropped: 0, garbled: 0, lastSequence: null });
+        }
+        const stats = this.streamStats.get(deviceId);
+        
+        // A counter the server couldn't strip is corrupted
+        if (line.startsWith('#')) {
+            this.countGarbled(deviceId, stats);
+            return null;
+        }
+        
+        if (this.frameLengths && !this.isValidFrame(line)) {
+            this.countGarbled(deviceId, stats);
+            return null;
+        }
+        
+        stats.frames++;
+        
+        if (Number.isInteger(sequence)) {
+            if (stats.lastSequence !== null) {
+                const gap = (sequence - stats.lastSequence - 1 + SEQUENCE_MODULO) % SEQUENCE_MODULO;
+                
+                // A huge gap is a firmware restart, not lost frames
+                if (gap > 0 && gap < SEQUENCE_MODULO / 2) {
+                    stats.dropped += gap;
+                    this.emitStreamStats(deviceId, stats);
+                }
+            }
+            stats.lastSequence = sequence;
+        }
+        
+        return line;
+    }
+    
+    isValidFrame(line) {
+        const values = line.split(',');
+        return this.frameLengths.has(values.length) &&
+            values.every(value => value.trim() !== '' && Number.isFinite(Number(value)));
+    }
+    
+    countGarbled(deviceId, stats) {
+        stats.garbled++;
+        this.emitStreamStats(deviceId, stats);
+    }
+    
+    // callback(stats, deviceId) whenever a device's dropped/garbled count grows
+    onStreamStats(callback) {
+        this.streamStatsCallbacks.push(callback);
+    }
+    
+    emitStreamStats(deviceId, stats) {
+        const snapshot = this.getStreamStats(deviceId);
+        this.streamStatsCallbacks.forEach(callback => callback(snapshot, deviceId));
+    }
+    
+    getStreamStats(deviceId) {
+        const stats = this.streamStats.get(deviceId);
+        if (!stats) {
+            return { frames: 0, dropped: 0, garbled: 0 };
+        }
+        return { frames: stats.frames, dropped: stats.dropped, garbled: stats.garbled };
+    }
+    
+    // Summed counters of the given devices (all devices when null)
+    getStreamTotals(deviceIds = null) {
+        const ids = deviceIds || [...this.streamStats.keys()];
+        return ids.reduce((totals, deviceId) => {
+            const stats = this.getStreamStats(deviceId);
+            totals.frames += stats.frames;
+            totals.dropped += stats.dropped;
+            totals.garbled += stats.garbled;
+            return totals;
+        }, { frames: 0, dropped: 0, garbled: 0 });
+    }
+    
+    // Dropped/garbled frames of the given devices since a getStreamTotals()
+    // snapshot of the same devices - what the collectors store with a sample
+    getStreamStatsSince(snapshot, deviceIds) {
+        const totals = this.getStreamTotals(deviceIds);
+        return {
+            dropped: totals.dropped - snapshot.dropped,
+            garbled: totals.garbled - snapshot.garbled,
+        };
+    }
+    
+    resetStreamStats(deviceId = null) {
+        if (deviceId) {
+            this.streamStats.delete(deviceId);
+        } else {
+            this.streamStats.clear();
+        }
+    }
+    
     // ========================================================================
     // Send Data
     // ========================================================================
@@ -8,6 +8,7 @@ let socket = null;
 let connectedDevices = new Map(); // deviceId -> { name, status, profile, peripheral }
 let discoveredDevices = new Map(); // peripheralId -> { name, id, rssi }
 let isScanning = false;
+let virtualDevicesAvailable = false; // Simulated devices can be scanned without Bluetooth
 
 // ============================================================================
 // Initialize
@@ -30,6 +31,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Check BLE state
     checkBLEState();
+
+    // Offer the loaded device profiles (heart rate straps, custom sensors...)
+    loadDeviceProfiles();
 });
 
 // ============================================================================
@@ -69,6 +73,11 @@ function initializeSocket() {
         updateDeviceStatus(data.id, data.status);
     });
 
+    socket.on('device-info', (data) => {
+        console.log('📋 Device Info:', data);
+        updateDeviceInfo(data.id, data.info, data.warning);
+    });
+
     socket.on('serial-data', (data) => {
         // Note: Event name kept as 'serial-data' for compatibility
         console.log('📥 Data from', data.id + ':', data.data);
@@ -95,6 +104,7 @@ function initializeSocket() {
                     device.profile,
                     null
                 );
+                updateDeviceInfo(device.id, device.info, device.firmwareWarning);
 
                 console.log(`✅ Restored device in UI: ${device.name} (${device.id})`);
             }
@@ -157,6 +167,7 @@ async function checkBLEState() {
     try {
         const response = await fetch('/api/ble/state');
         const data = await response.json();
+        virtualDevicesAvailable = !!data.virtual;
         updateBLEStatus(data.state);
     } catch (error) {
         console.error('Error checking BLE state:', error);
@@ -186,6 +197,31 @@ function updateBLEStatus(state) {
         default:
             textElement.textContent = 'Checking Bluetooth...';
     }
+
+    // Virtual devices still work when Bluetooth is unavailable
+    if (state !== 'poweredOn' && virtualDevicesAvailable) {
+        textElement.textContent += ' (virtual devices available)';
+    }
+}
+
+async function loadDeviceProfiles() {
+    try {
+        const response = await fetch('/api/profiles');
+        const data = await response.json();
+        const select = document.getElementById('device-profile-select');
+        const known = new Set([...select.options].map(option => option.value));
+
+        data.profiles.forEach(profile => {
+            if (known.has(profile.id)) return;
+
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading device profiles:', error);
+    }
 }
 
 function updateServerURL(url) {
@@ -279,12 +315,20 @@ function addDiscoveredDevice(device) {
     discoveredDevices.set(device.id, device);
 
     const container = document.getElementById('discovered-devices');
+    // Serial and virtual devices have no signal strength
+    let signalText = `RSSI: ${device.rssi} dBm`;
+    if (device.transport === 'serial') {
+        signalText = 'USB Serial';
+    } else if (device.transport === 'virtual') {
+        signalText = 'Virtual device';
+    }
+
     const deviceElement = document.createElement('div');
     deviceElement.className = 'discovered-device';
     deviceElement.innerHTML = `
         <div class="name">${device.name || 'Unknown Device'}</div>
         <div class="id">${device.id}</div>
-        <div class="rssi">RSSI: ${device.rssi} dBm</div>
+        <div class="rssi">${signalText}</div>
     `;
 
     deviceElement.onclick = () => connectToDevice(device);
@@ -410,6 +454,8 @@ function addDeviceCard(deviceId, deviceName, status, profile, peripheralId) {
             <div class="status-badge ${status}">${status}</div>
         </div>
 
+        <div class="device-info" id="info-${deviceId}" hidden></div>
+
         <div class="device-controls">
             <div class="button-row">
                 <button class="btn btn-secondary" onclick="disconnectDevice('${deviceId}')">
@@ -455,6 +501,11 @@ function updateDeviceStatus(deviceId, status) {
     const card = document.getElementById(`device-${deviceId}`);
     if (!card) return;
 
+    // The backend resumed a dropped connection - same device card
+    if (status === 'reconnected') {
+        status = 'connected';
+    }
+
     const statusBadge = card.querySelector('.status-badge');
     statusBadge.className = `status-badge ${status}`;
     statusBadge.textContent = status;
@@ -471,6 +522,36 @@ function updateDeviceStatus(deviceId, status) {
     }
 }
 
+// Capabilities the firmware reported in its INFO reply
+function updateDeviceInfo(deviceId, info, warning) {
+    const infoEl = document.getElementById(`info-${deviceId}`);
+    if (!infoEl || !info) return;
+
+    const details = [];
+    if (info.version) {
+        details.push(`${escapeHtml(info.firmware)} v${escapeHtml(info.version)}`);
+    }
+    if (info.imu) {
+        details.push(`IMU: ${escapeHtml(info.imu)}`);
+    }
+    if (info.sensors.length > 0) {
+        details.push(`Sensors: ${escapeHtml(info.sensors.join(', '))}`);
+    }
+    if (info.sampleRateHz) {
+        details.push(`${info.sampleRateHz} Hz`);
+    }
+    if (info.protocol) {
+        details.push(escapeHtml(info.protocol.toUpperCase()));
+    }
+
+    infoEl.innerHTML = `
+        ${details.length > 0 ? `<div class="device-info-line">${details.join(' · ')}</div>` : ''}
+        ${info.channels.length > 0 ? `<div class="device-info-line">Channels: ${escapeHtml(info.channels.join(', '))}</div>` : ''}
+        ${warning ? `<div class="device-warning">⚠️ ${escapeHtml(warning)}</div>` : ''}
+    `;
+    infoEl.hidden = false;
+}
+
 function displayDeviceData(deviceId, data) {
     const monitor = document.getElementById(`data-${deviceId}`);
     if (!monitor) return;
@@ -17,9 +17,17 @@ const FeatureFlags = {
     // Uses sigmoid output activation for proper 0-1 range constraint
     ENABLE_REGRESSION: false,
 
-    // Future: Generic sensor input classification
+    // Custom sensor classification - EXPERIMENTAL
+    // Adds a capture tab for any CSV-streaming board with a device profile
+    // (public/profiles/*.json with a "capture" section)
     ENABLE_CUSTOM_SENSORS: false,
 
+    // Train classifiers and run test-mode predictions in a Web Worker when
+    // tfjs-node isn't available, so model.fit() and the prediction loop don't
+    // stall the visualizers. tf.js backend in the worker: 'cpu' or 'wasm'
+    ENABLE_TRAINING_WORKER: true,
+    TRAINING_WORKER_BACKEND: 'cpu',
+
     // Development/debug features
     DEBUG_MODE: false
 };
@@ -5,13 +5,20 @@ class ArduinoRegressionGenerator {
   constructor() {
     this.weights = [];
     this.outputLabels = [];
+    this.normalization = null;
     this.modelConfig = null;
   }
 
-  async convertModel(model, outputLabels) {
+  // normalization: per-channel stats the model was trained with (trainingData.normalization)
+  async convertModel(model, outputLabels, normalization) {
     console.log('Converting regression model for Arduino...');
 
+    if (!normalization) {
+      throw new Error('Input normalization stats are required to generate the sketch');
+    }
+
     this.outputLabels = outputLabels;
+    this.normalization = normalization;
     this.modelConfig = model.getConfig();
 
     // Extract all layer weights
@@ -212,10 +219,10 @@ void processContinuous() {
 }
 
 void predict() {
-  // Normalize input data - just use buffer as-is (most recent 2 seconds)
+  // Normalize input per channel, exactly as in training (most recent 2 seconds)
   float input[SAMPLE_SIZE];
   for (int i = 0; i < SAMPLE_SIZE; i++) {
-    input[i] = constrain(sampleBuffer[i], -4.0f, 4.0f) / 4.0f;
+    input[i] = normalizeInput(sampleBuffer[i], i % NUM_CHANNELS);
   }
 
   // Layer 1: 900 -> hiddenUnits1
@@ -308,6 +315,7 @@ const char* OUTPUT_LABELS[NUM_OUTPUTS] = {
 ${this.outputLabels.map(label => `  "${label}"`).join(',\n')}
 };
 
+${ArduinoModelGenerator.generateNormalizationCode(this.normalization)}
 `;
 
     // Add weights for each layer
@@ -1,25 +1,67 @@
 // Arduino Model Generator
 // Converts TensorFlow.js models to Arduino C++ code
 
+// Fused multi-device IMU models: the other boards stream their frames to the
+// primary board over this service, as int16 values (reading × scale)
+const FUSION_SERVICE_UUID = '7A1E0001-5C4B-4E2B-9F6A-3D2C1B0A9E8F';
+const FUSION_FRAME_UUID = '7A1E0002-5C4B-4E2B-9F6A-3D2C1B0A9E8F';
+const FUSION_FRAME_SCALE = 8192; // ±4 streamed units fit in an int16
+
 class ArduinoModelGenerator {
   constructor() {
     this.weights = [];
     this.labels = [];
+    this.idleLabels = [];
+    this.normalization = null;
+    this.inputChannels = [];
+    this.devices = null;
+    this.preTriggerFrames = 0;
+    this.trigger = new MotionTrigger();
+    this.preprocessing = new PreprocessingPipeline();
     this.modelConfig = null;
-  }
-
-  async convertToTFLite(model, labels, dataType = 'imu') {
+    this.tfliteModel = null;
+    this.tfliteError = null;
+    this.quantization = null;
+  }
+
+  // options: { quantize: bool, calibrationSamples: normalized sample arrays,
+  //            idleLabels: classes the sketch should not report,
+  //            normalization: per-channel stats the model was trained with
+  //                           (trainingData.normalization, required except audio),
+  //            channels: selected input channels (trainingData.inputChannels, default all),
+  //            devices: fused IMU device labels (trainingData.devices), primary first,
+  //            preprocessing: PreprocessingPipeline steps (trainingData.preprocessing),
+  //            preTriggerFrames: IMU frames from before the motion trigger
+  //                              (DataCollector.preTriggerFrames),
+  //            trigger: IMU capture trigger (DataCollector.trigger.toJSON()) }
+  async convertToTFLite(model, labels, dataType = 'imu', options = {}) {
     console.log('Converting model for Arduino...');
 
+    if (!options.normalization && dataType !== 'audio') {
+      throw new Error('Input normalization stats are required to generate the sketch');
+    }
+
     this.labels = labels;
+    this.idleLabels = options.idleLabels || [];
+    this.normalization = options.normalization || null;
+    this.devices = options.devices && options.devices.length > 1 ? options.devices : null;
+    this.inputChannels = options.channels && options.channels.length > 0
+      ? options.channels
+      : PreprocessingPipeline.getChannelNames(dataType, this.devices);
+    this.preprocessing = new PreprocessingPipeline(options.preprocessing || []);
+    this.preTriggerFrames = options.preTriggerFrames || 0;
+    this.trigger = new MotionTrigger(options.trigger);
     this.modelConfig = model.getConfig();
     this.dataType = dataType; // 'imu', 'color', or 'audio'
 
     // Extract all layer weights
     this.weights = [];
     this.denseWeights = [];  // Track only Dense layers for audio model
+    this.forwardLayers = []; // Inference steps for the C forward pass
 
     for (const layer of model.layers) {
+      this.forwardLayers.push(this.describeForwardLayer(layer));
+
       const layerWeights = layer.getWeights();
       if (layerWeights.length > 0) {
         const w = await layerWeights[0].data();
@@ -35,6 +77,7 @@ class ArduinoModelGenerator {
         };
 
         this.weights.push(weightInfo);
+        this.forwardLayers[this.forwardLayers.length - 1].weightIndex = this.weights.length - 1;
 
         // For audio models, track only Dense layers
         if (layer.getClassName() === 'Dense') {
@@ -46,6 +89,23 @@ class ArduinoModelGenerator {
     console.log(`   Extracted ${this.weights.length} layers`);
     console.log(`   Dense layers: ${this.denseWeights.length}`);
 
+    // Serialize a real TFLite flatbuffer for TensorFlow Lite Micro (model.h)
+    this.tfliteModel = null;
+    this.tfliteError = null;
+    this.quantization = null;
+
+    try {
+      const writer = new TFLiteWriter();
+      this.tfliteModel = await writer.convert(model, {
+        quantize: options.quantize || false,
+        calibrationSamples: options.calibrationSamples || []
+      });
+      this.quantization = writer.quantization;
+    } catch (error) {
+      console.warn(`⚠️ TFLite export skipped: ${error.message}`);
+      this.tfliteError = error.message;
+    }
+
     return true;
   }
 
@@ -76,6 +136,19 @@ class ArduinoModelGenerator {
       files['MPR121_Helper.h'] = this.generateMPR121Helper();
     }
 
+    // Fused IMU models: one streaming sketch per additional device
+    if (this.isFused()) {
+      this.getRemoteDevices().forEach(label => {
+        files[`${label}_stream/${label}_stream.ino`] = this.generateRemoteStreamSketch(label);
+      });
+    }
+
+    // Add TensorFlow Lite Micro model (flatbuffer + C array)
+    if (this.tfliteModel) {
+      files['model.h'] = TFLiteWriter.toCHeader(this.tfliteModel, this.quantization);
+      files['model.tflite'] = this.tfliteModel;
+    }
+
     return files;
   }
 
@@ -91,8 +164,327 @@ class ArduinoModelGenerator {
     }
   }
 
+  // ========================================================================
+  // Model Input
+  // ========================================================================
+
+  // Frames in one sample window (model input = frames × pipeline output channels)
+  getPipelineFrames() {
+    return this.weights[0].inputShape / this.preprocessing.getOutputChannels(this.inputChannels).length;
+  }
+
+  // Values the sketch buffers per sample (frames × selected sensor channels).
+  // Larger model inputs come from channels added by the preprocessing pipeline.
+  getRawInputSize() {
+    return this.getPipelineFrames() * this.inputChannels.length;
+  }
+
+  // One buffer write per selected channel, in frame order.
+  // variables maps channel names to the sketch's C expressions.
+  generateBufferWrites(variables, indent, target = 'sampleBuffer[bufferIndex++]') {
+    return this.inputChannels
+      .map(name => `${indent}${target} = ${variables[name]};`)
+      .join('\n');
+  }
+
+  // Pre-trigger frames must leave room for at least one frame after the trigger
+  getPreTriggerFrames() {
+    return Math.max(0, Math.min(this.preTriggerFrames, this.getPipelineFrames() - 1));
+  }
+
+  // ========================================================================
+  // Multi-Device Fusion (IMU)
+  // ========================================================================
+
+  isFused() {
+    return this.dataType === 'imu' && !!this.devices;
+  }
+
+  // Selected channels of one fused device, without the namespace (ax, gy, ...)
+  getDeviceChannels(label) {
+    return this.inputChannels
+      .filter(name => name.startsWith(`${label}.`))
+      .map(name => name.slice(label.length + 1));
+  }
+
+  // Channels read from the board running the model
+  getLocalChannels() {
+    return this.isFused() ? this.getDeviceChannels(this.devices[0]) : this.inputChannels;
+  }
+
+  // Devices that stream to the primary board (ones with no selected channel
+  // aren't needed on the device)
+  getRemoteDevices() {
+    return this.isFused()
+      ? this.devices.slice(1).filter(label => this.getDeviceChannels(label).length > 0)
+      : [];
+  }
+
+  // Sketch expressions for the model's channels: the board's own IMU
+  // variables, and the latest received frame for the other devices
+  getIMUVariables() {
+    const variables = {};
+
+    if (!this.isFused()) {
+      this.inputChannels.forEach(name => { variables[name] = name; });
+      return variables;
+    }
+
+    const primary = this.devices[0];
+    this.getDeviceChannels(primary).forEach(name => { variables[`${primary}.${name}`] = name; });
+    this.getRemoteDevices().forEach((label, k) => {
+      this.getDeviceChannels(label).forEach((name, j) => {
+        variables[`${label}.${name}`] = `remoteFrames[${k}][${j}]`;
+      });
+    });
+    return variables;
+  }
+
+  // IMU reads, scaled to the units the multi-sensor-stream firmware streams
+  // (what the model and trigger were trained on)
+  generateIMURead(useMagnetometer, indent) {
+    return [
+      'IMU.readAcceleration(ax, ay, az);',
+      'IMU.readGyroscope(gx, gy, gz);',
+      ...(useMagnetometer ? ['IMU.readMagneticField(mx, my, mz);'] : []),
+      '',
+      '// Scale to the streamed units the model and trigger were trained on',
+      'ax /= 4.0; ay /= 4.0; az /= 4.0;',
+      'gx /= 2000.0; gy /= 2000.0; gz /= 2000.0;',
+      ...(useMagnetometer ? ['mx /= 50.0; my /= 50.0; mz /= 50.0;'] : []),
+    ].map(line => (line ? `${indent}${line}` : '')).join('\n');
+  }
+
+  // Primary board: BLE central for the other boards' streaming sketches
+  generateRemoteDevicesCode() {
+    const remotes = this.getRemoteDevices();
+    const maxValues = Math.max(...remotes.map(label => this.getDeviceChannels(label).length));
+
+    return `// Fused devices: the other boards run their <label>_stream sketch and send
+// their IMU frames here. Each frame uses their latest values.
+const int NUM_REMOTES = ${remotes.length};
+const char* REMOTE_NAMES[NUM_REMOTES] = { ${remotes.map(label => `"TinyTrainer-${label}"`).join(', ')} };
+const int REMOTE_VALUES[NUM_REMOTES] = { ${remotes.map(label => this.getDeviceChannels(label).length).join(', ')} };
+const int MAX_REMOTE_VALUES = ${maxValues};
+const float FRAME_SCALE = ${FUSION_FRAME_SCALE}.0;
+BLEDevice remotes[NUM_REMOTES];
+BLECharacteristic remoteCharacteristics[NUM_REMOTES];
+float remoteFrames[NUM_REMOTES][MAX_REMOTE_VALUES];
+
+// Scan for and subscribe to any device that isn't connected
+void connectRemotes() {
+  for (int k = 0; k < NUM_REMOTES; k++) {
+    if (remotes[k] && remotes[k].connected()) continue;
+
+    BLE.scanForName(REMOTE_NAMES[k]);
+    unsigned long start = millis();
+    BLEDevice peripheral = BLE.available();
+    while (!peripheral && millis() - start < 2000) {
+      peripheral = BLE.available();
+    }
+    BLE.stopScan();
+
+    if (!peripheral) {
+      Serial.print("Waiting for ");
+      Serial.println(REMOTE_NAMES[k]);
+      continue;
+    }
+
+    if (!peripheral.connect()) continue;
+
+    BLECharacteristic characteristic;
+    if (peripheral.discoverService("${FUSION_SERVICE_UUID}")) {
+      characteristic = peripheral.characteristic("${FUSION_FRAME_UUID}");
+    }
+    if (!characteristic || !characteristic.subscribe()) {
+      peripheral.disconnect();
+      continue;
+    }
+
+    remotes[k] = peripheral;
+    remoteCharacteristics[k] = characteristic;
+    Serial.print("Connected to ");
+    Serial.println(REMOTE_NAMES[k]);
+  }
+}
+
+bool remotesConnected() {
+  for (int k = 0; k < NUM_REMOTES; k++) {
+    if (!remotes[k] || !remotes[k].connected()) return false;
+  }
+  return true;
+}
+
+// Keep the latest frame of every device
+void pollRemotes() {
+  int16_t raw[MAX_REMOTE_VALUES];
+  for (int k = 0; k < NUM_REMOTES; k++) {
+    if (!remoteCharacteristics[k].valueUpdated()) continue;
+
+    remoteCharacteristics[k].readValue(raw, REMOTE_VALUES[k] * sizeof(int16_t));
+    for (int j = 0; j < REMOTE_VALUES[k]; j++) {
+      remoteFrames[k][j] = raw[j] / FRAME_SCALE;
+    }
+  }
+}
+`;
+  }
+
+  // Secondary board of a fused model: streams its selected IMU channels to
+  // the primary board
+  generateRemoteStreamSketch(label) {
+    const channels = this.getDeviceChannels(label);
+    const useMagnetometer = channels.some(name => name.startsWith('m'));
+
+    return `// Fused Gesture Recognition - "${label}" board
+// Generated: ${new Date().toISOString()}
+//
+// Streams this board's IMU channels (${channels.join(', ')}) to the primary
+// board running gesture_model.ino, which adds them to its own frames.
+
+#include <Arduino_LSM9DS1.h>
+#include <ArduinoBLE.h>
+
+const int FRAME_VALUES = ${channels.length};
+const float FRAME_SCALE = ${FUSION_FRAME_SCALE}.0; // int16 value = reading × FRAME_SCALE
+
+BLEService fusionService("${FUSION_SERVICE_UUID}");
+BLECharacteristic frameCharacteristic("${FUSION_FRAME_UUID}", BLERead | BLENotify, FRAME_VALUES * sizeof(int16_t));
+
+int16_t frame[FRAME_VALUES];
+
+void setup() {
+  Serial.begin(115200);
+
+  if (!IMU.begin()) {
+    Serial.println("Failed to initialize IMU!");
+    while (1);
+  }
+
+  if (!BLE.begin()) {
+    Serial.println("Failed to initialize BLE!");
+    while (1);
+  }
+
+  // The primary board scans for this name
+  BLE.setLocalName("TinyTrainer-${label}");
+  BLE.setAdvertisedService(fusionService);
+  fusionService.addCharacteristic(frameCharacteristic);
+  BLE.addService(fusionService);
+  BLE.advertise();
+
+  Serial.println("✅ Streaming as TinyTrainer-${label}");
+}
+
+void loop() {
+  BLEDevice central = BLE.central();
+
+  if (central) {
+    Serial.print("Connected to: ");
+    Serial.println(central.address());
+
+    while (central.connected()) {
+      streamFrame();
+    }
+
+    Serial.print("Disconnected from: ");
+    Serial.println(central.address());
+  }
+}
+
+void streamFrame() {
+  float ax, ay, az, gx, gy, gz${useMagnetometer ? ', mx, my, mz' : ''};
+
+  if (IMU.accelerationAvailable() &&
+      IMU.gyroscopeAvailable()${useMagnetometer ? ` &&
+      IMU.magneticFieldAvailable()` : ''}) {
+
+${this.generateIMURead(useMagnetometer, '    ')}
+
+${channels.map((name, j) => `    frame[${j}] = (int16_t)constrain(${name} * FRAME_SCALE, -32767, 32767);`).join('\n')}
+    frameCharacteristic.writeValue(frame, sizeof(frame));
+  }
+
+  delay(10);
+}
+`;
+  }
+
+  // Start of predict(): sampleBuffer -> normalized model input
+  generateModelInputCode(comment) {
+    const modelInputSize = this.weights[0].inputShape;
+
+    if (this.preprocessing.isEmpty()) {
+      return `  // ${comment}
+  float input[${modelInputSize}];
+  for (int i = 0; i < ${modelInputSize}; i++) {
+    input[i] = normalizeInput(sampleBuffer[i], i % NUM_CHANNELS);
+  }
+`;
+    }
+
+    return `  // Preprocessing pipeline, then per-channel normalization, exactly as in training
+  float input[${modelInputSize}];
+  preprocessSample(sampleBuffer, input);
+  for (int i = 0; i < ${modelInputSize}; i++) {
+    input[i] = normalizeInput(input[i], i % NUM_CHANNELS);
+  }
+`;
+  }
+
+  // processGesture() body with the pre-trigger ring: every frame goes into
+  // the ring, and a trigger starts the sample with the ring's frames (ending
+  // with the trigger frame) - DataCollector.startCapture() does the same
+  generatePreTriggerLoop(imuVariables, inputSize) {
+    return `    int ringIndex = preTriggerHead * FRAME_VALUES;
+${this.generateBufferWrites(imuVariables, '    ', 'preTriggerRing[ringIndex++]')}
+    preTriggerHead = (preTriggerHead + 1) % PRE_TRIGGER_FRAMES;
+    if (preTriggerCount < PRE_TRIGGER_FRAMES) preTriggerCount++;
+
+    if (!isCapturing) {
+      unsigned long now = millis();
+
+      if (triggered && (now - lastCapture) >= CAPTURE_DELAY) {
+        isCapturing = true;
+        lastCapture = now;
+        copyPreTriggerFrames();
+        Serial.println("Capturing...");
+      }
+    } else {
+${this.generateBufferWrites(imuVariables, '      ')}
+
+      if (bufferIndex >= ${inputSize}) {
+        predict();
+        isCapturing = false;
+      }
+    }`;
+  }
+
+  generatePreTriggerCopy() {
+    return `// Start the sample with the ring's frames, oldest first
+void copyPreTriggerFrames() {
+  bufferIndex = 0;
+  int oldest = (preTriggerHead - preTriggerCount + PRE_TRIGGER_FRAMES) % PRE_TRIGGER_FRAMES;
+  for (int f = 0; f < preTriggerCount; f++) {
+    int slot = ((oldest + f) % PRE_TRIGGER_FRAMES) * FRAME_VALUES;
+    for (int v = 0; v < FRAME_VALUES; v++) {
+      sampleBuffer[bufferIndex++] = preTriggerRing[slot + v];
+    }
+  }
+}
+`;
+  }
+
   generateIMUSketch() {
     const numGestures = this.labels.length;
+    const inputSize = this.getRawInputSize();
+
+    // Only the selected axes are buffered; the magnetometer isn't read at all
+    // when none of its axes are used
+    const imuVariables = this.getIMUVariables();
+    const useMagnetometer = this.getLocalChannels().some(name => name.startsWith('m'));
+    const preTriggerFrames = this.getPreTriggerFrames();
+    const fused = this.getRemoteDevices().length > 0;
 
     return `// BLE Gesture Recognition
 // Generated: ${new Date().toISOString()}
@@ -110,14 +502,23 @@ BLEStringCharacteristic txCharacteristic("6E400003-B5A3-F393-E0A9-E50E24DCCA9E",
 // RX Characteristic - Arduino receives data (optional)
 BLEStringCharacteristic rxCharacteristic("6E400002-B5A3-F393-E0A9-E50E24DCCA9E", BLEWrite, 20);
 
-float sampleBuffer[900];
+float sampleBuffer[${inputSize}];
 int bufferIndex = 0;
 bool isCapturing = false;
-
-const float ACCEL_THRESHOLD = 0.167;
+${preTriggerFrames > 0 ? `
+// Pre-trigger ring buffer: the latest frames, so each sample starts
+// ${preTriggerFrames} frames before the motion trigger (same as the trainer)
+const int PRE_TRIGGER_FRAMES = ${preTriggerFrames};
+const int FRAME_VALUES = ${this.inputChannels.length};
+float preTriggerRing[PRE_TRIGGER_FRAMES * FRAME_VALUES];
+int preTriggerHead = 0; // Next frame slot to write
+int preTriggerCount = 0;
+` : ''}
+${this.trigger.generateC()}
 const int CAPTURE_DELAY = 125;
 unsigned long lastCapture = 0;
-
+${fused ? `
+${this.generateRemoteDevicesCode()}` : ''}
 void setup() {
   Serial.begin(115200);
   while (!Serial);
@@ -164,7 +565,18 @@ void setup() {
   Serial.println("Waiting for BLE connection...");
 }
 
-void loop() {
+void loop() {${fused ? `
+  BLE.poll();
+
+  // Every fused device is needed for a complete frame
+  if (!remotesConnected()) {
+    connectRemotes();
+    return;
+  }
+
+  pollRemotes();
+  processGesture();
+}` : `
   // Listen for BLE connections
   BLEDevice central = BLE.central();
 
@@ -182,24 +594,23 @@ void loop() {
     // Even without BLE connection, still process (for Serial output)
     processGesture();
   }
-}
+}`}
 
 void processGesture() {
-  float ax, ay, az, gx, gy, gz, mx, my, mz;
+  float ax, ay, az, gx, gy, gz${useMagnetometer ? ', mx, my, mz' : ''};
 
   if (IMU.accelerationAvailable() &&
-      IMU.gyroscopeAvailable() &&
-      IMU.magneticFieldAvailable()) {
+      IMU.gyroscopeAvailable()${useMagnetometer ? ` &&
+      IMU.magneticFieldAvailable()` : ''}) {
 
-    IMU.readAcceleration(ax, ay, az);
-    IMU.readGyroscope(gx, gy, gz);
-    IMU.readMagneticField(mx, my, mz);
+${this.generateIMURead(useMagnetometer, '    ')}
 
-    if (!isCapturing) {
-      float avgAccel = (abs(ax) + abs(ay) + abs(az) + abs(gx) + abs(gy) + abs(gz)) / 6.0;
+    bool triggered = updateTrigger(ax, ay, az, gx, gy, gz);
+
+${preTriggerFrames > 0 ? this.generatePreTriggerLoop(imuVariables, inputSize) : `    if (!isCapturing) {
       unsigned long now = millis();
 
-      if (avgAccel >= ACCEL_THRESHOLD && (now - lastCapture) >= CAPTURE_DELAY) {
+      if (triggered && (now - lastCapture) >= CAPTURE_DELAY) {
         isCapturing = true;
         bufferIndex = 0;
         lastCapture = now;
@@ -208,75 +619,22 @@ void processGesture() {
     }
 
     if (isCapturing) {
-      sampleBuffer[bufferIndex++] = ax;
-      sampleBuffer[bufferIndex++] = ay;
-      sampleBuffer[bufferIndex++] = az;
-      sampleBuffer[bufferIndex++] = gx;
-      sampleBuffer[bufferIndex++] = gy;
-      sampleBuffer[bufferIndex++] = gz;
-      sampleBuffer[bufferIndex++] = mx;
-      sampleBuffer[bufferIndex++] = my;
-      sampleBuffer[bufferIndex++] = mz;
-
-      if (bufferIndex >= 900) {
+${this.generateBufferWrites(imuVariables, '      ')}
+
+      if (bufferIndex >= ${inputSize}) {
         predict();
         isCapturing = false;
       }
-    }
+    }`}
   }
 
   delay(10);
 }
-
+${preTriggerFrames > 0 ? `
+${this.generatePreTriggerCopy()}` : ''}
 void predict() {
-  // Normalize input
-  float input[900];
-  for (int i = 0; i < 900; i++) {
-    input[i] = constrain(sampleBuffer[i], -4.0, 4.0) / 4.0;
-  }
-
-  // Layer 1: 900 -> 50
-  float h1[50];
-  for (int i = 0; i < 50; i++) {
-    float sum = layer1_bias[i];
-    for (int j = 0; j < 900; j++) {
-      sum += input[j] * layer1_weights[j * 50 + i];
-    }
-    h1[i] = max(0.0f, sum);
-  }
-
-  // Layer 2: 50 -> 15
-  float h2[15];
-  for (int i = 0; i < 15; i++) {
-    float sum = layer2_bias[i];
-    for (int j = 0; j < 50; j++) {
-      sum += h1[j] * layer2_weights[j * 15 + i];
-    }
-    h2[i] = max(0.0f, sum);
-  }
-
-  // Layer 3: 15 -> ${numGestures}
-  float output[${numGestures}];
-  float maxVal = -1000000.0f;
-  for (int i = 0; i < ${numGestures}; i++) {
-    float sum = layer3_bias[i];
-    for (int j = 0; j < 15; j++) {
-      sum += h2[j] * layer3_weights[j * ${numGestures} + i];
-    }
-    output[i] = sum;
-    if (sum > maxVal) maxVal = sum;
-  }
-
-  // Softmax
-  float sumExp = 0.0f;
-  for (int i = 0; i < ${numGestures}; i++) {
-    output[i] = exp(output[i] - maxVal);
-    sumExp += output[i];
-  }
-  for (int i = 0; i < ${numGestures}; i++) {
-    output[i] /= sumExp;
-  }
-
+${this.generateModelInputCode('Normalize input per channel, exactly as in training')}
+${this.generateForwardPass('input', 'output')}
   // Find max
   int pred = 0;
   float maxConf = output[0];
@@ -287,6 +645,11 @@ void predict() {
     }
   }
 
+  // Idle class = nothing happening, not a gesture
+  if (pred == IDLE_CLASS) {
+    return;
+  }
+
   // Format: "gesture,confidence" - compatible with serial-bridge parsing
   char predictionStr[64];
   snprintf(predictionStr, sizeof(predictionStr), "%s,%.2f\\n", GESTURES[pred], maxConf * 100.0);
@@ -314,8 +677,7 @@ void predict() {
 
   generateColorSketch() {
     const numColors = this.labels.length;
-    const inputSize = this.weights[0].inputShape;
-    const numFrames = inputSize / 5; // e.g., 500 / 5 = 100 frames
+    const inputSize = this.getRawInputSize();
 
     return `// BLE Color Recognition
 // Generated: ${new Date().toISOString()}
@@ -448,11 +810,7 @@ void processColor() {
         pNorm = (float)p / 255.0;
       }
 
-      sampleBuffer[bufferIndex++] = rNorm;
-      sampleBuffer[bufferIndex++] = gNorm;
-      sampleBuffer[bufferIndex++] = bNorm;
-      sampleBuffer[bufferIndex++] = cNorm;
-      sampleBuffer[bufferIndex++] = pNorm;
+${this.generateBufferWrites({ r: 'rNorm', g: 'gNorm', b: 'bNorm', c: 'cNorm', p: 'pNorm' }, '      ')}
 
       if (bufferIndex >= ${inputSize}) {
         predict();
@@ -465,54 +823,8 @@ void processColor() {
 }
 
 void predict() {
-  // Input already normalized during capture (0-1 range)
-  float input[${inputSize}];
-  for (int i = 0; i < ${inputSize}; i++) {
-    input[i] = sampleBuffer[i];
-  }
-
-  // Layer 1: ${inputSize} -> ${this.weights[0].outputShape}
-  float h1[${this.weights[0].outputShape}];
-  for (int i = 0; i < ${this.weights[0].outputShape}; i++) {
-    float sum = layer1_bias[i];
-    for (int j = 0; j < ${inputSize}; j++) {
-      sum += input[j] * layer1_weights[j * ${this.weights[0].outputShape} + i];
-    }
-    h1[i] = max(0.0f, sum);
-  }
-
-  // Layer 2: ${this.weights[0].outputShape} -> ${this.weights[1].outputShape}
-  float h2[${this.weights[1].outputShape}];
-  for (int i = 0; i < ${this.weights[1].outputShape}; i++) {
-    float sum = layer2_bias[i];
-    for (int j = 0; j < ${this.weights[0].outputShape}; j++) {
-      sum += h1[j] * layer2_weights[j * ${this.weights[1].outputShape} + i];
-    }
-    h2[i] = max(0.0f, sum);
-  }
-
-  // Layer 3: ${this.weights[1].outputShape} -> ${numColors}
-  float output[${numColors}];
-  float maxVal = -1000000.0f;
-  for (int i = 0; i < ${numColors}; i++) {
-    float sum = layer3_bias[i];
-    for (int j = 0; j < ${this.weights[1].outputShape}; j++) {
-      sum += h2[j] * layer3_weights[j * ${numColors} + i];
-    }
-    output[i] = sum;
-    if (sum > maxVal) maxVal = sum;
-  }
-
-  // Softmax
-  float sumExp = 0.0f;
-  for (int i = 0; i < ${numColors}; i++) {
-    output[i] = exp(output[i] - maxVal);
-    sumExp += output[i];
-  }
-  for (int i = 0; i < ${numColors}; i++) {
-    output[i] /= sumExp;
-  }
-
+${this.generateModelInputCode('Relative color values from capture, normalized per channel as in training')}
+${this.generateForwardPass('input', 'output')}
   // Find max
   int pred = 0;
   float maxConf = output[0];
@@ -523,6 +835,11 @@ void predict() {
     }
   }
 
+  // Idle class = nothing happening, not a color
+  if (pred == IDLE_CLASS) {
+    return;
+  }
+
   // Format: "color,confidence" - compatible with serial-bridge parsing
   char predictionStr[64];
   snprintf(predictionStr, sizeof(predictionStr), "%s,%.2f\\n", COLORS[pred], maxConf * 100.0);
@@ -550,8 +867,11 @@ void predict() {
 
   generateCapacitiveSketch() {
     const numPatterns = this.labels.length;
-    const inputSize = this.weights[0].inputShape;
-    const numFrames = inputSize / 12; // e.g., 1200 / 12 = 100 frames
+    const inputSize = this.getRawInputSize();
+    const numFrames = this.getPipelineFrames(); // e.g., 1200 / 12 = 100 frames
+    const numElectrodes = this.inputChannels.length;
+    const electrodeVariables = {};
+    this.inputChannels.forEach(name => { electrodeVariables[name] = `electrodeValues[${name.substring(1)}]`; });
 
     return `// BLE Capacitive Pattern Recognition
 // Generated: ${new Date().toISOString()}
@@ -690,7 +1010,7 @@ void setup() {
   Serial.print(${inputSize});
   Serial.print(" (");
   Serial.print(${numFrames});
-  Serial.println(" frames × 12 electrodes)");
+  Serial.println(" frames × ${numElectrodes} electrodes)");
   Serial.println("Standalone mode active - BLE optional");
 }
 
@@ -738,16 +1058,13 @@ void processPattern() {
     if (normalized > 1.0) normalized = 1.0;
     if (normalized < 0.0) normalized = 0.0;
 
-    // IMPORTANT: Match training normalization
-    // Training divides by 4 to normalize to [-1, 1] range (like IMU data)
-    // So we must do the same here for the model to work correctly
-    normalized = normalized / 4.0;
-
+    // Same 0.0-1.0 scale as the streamed training data - the model's
+    // per-channel normalization is applied in predict()
     electrodeValues[i] = normalized;
 
     // Check if any electrode detects proximity (for auto-trigger mode)
-    // Lower values = closer (sensor inverted)
-    if (USE_AUTO_TRIGGER && normalized <= PROXIMITY_THRESHOLD) {
+    // Threshold is on the /4 scale; lower values = closer (sensor inverted)
+    if (USE_AUTO_TRIGGER && normalized / 4.0 <= PROXIMITY_THRESHOLD) {
       proximityDetected = true;
     }
   }
@@ -777,13 +1094,11 @@ void processPattern() {
   if (isCapturing && (now - lastCapture >= CAPTURE_DELAY)) {
     lastCapture = now;
 
-    // Add all 12 electrode values to buffer
-    for (uint8_t i = 0; i < 12; i++) {
-      sampleBuffer[bufferIndex++] = electrodeValues[i];
-    }
+    // Add the selected electrode values to buffer
+${this.generateBufferWrites(electrodeVariables, '    ')}
 
     // Debug: print frame number every 10 frames
-    int frameNum = bufferIndex / 12;
+    int frameNum = bufferIndex / ${numElectrodes};
     if (frameNum % 10 == 0) {
       Serial.print("Frame ");
       Serial.print(frameNum);
@@ -820,54 +1135,8 @@ void predict() {
   Serial.print(", Avg: ");
   Serial.println(sampleAvg, 3);
 
-  // Input already normalized during capture (0-1 range)
-  float input[${inputSize}];
-  for (int i = 0; i < ${inputSize}; i++) {
-    input[i] = sampleBuffer[i];
-  }
-
-  // Layer 1: ${inputSize} -> ${this.weights[0].outputShape}
-  float h1[${this.weights[0].outputShape}];
-  for (int i = 0; i < ${this.weights[0].outputShape}; i++) {
-    float sum = layer1_bias[i];
-    for (int j = 0; j < ${inputSize}; j++) {
-      sum += input[j] * layer1_weights[j * ${this.weights[0].outputShape} + i];
-    }
-    h1[i] = max(0.0f, sum);
-  }
-
-  // Layer 2: ${this.weights[0].outputShape} -> ${this.weights[1].outputShape}
-  float h2[${this.weights[1].outputShape}];
-  for (int i = 0; i < ${this.weights[1].outputShape}; i++) {
-    float sum = layer2_bias[i];
-    for (int j = 0; j < ${this.weights[0].outputShape}; j++) {
-      sum += h1[j] * layer2_weights[j * ${this.weights[1].outputShape} + i];
-    }
-    h2[i] = max(0.0f, sum);
-  }
-
-  // Layer 3: ${this.weights[1].outputShape} -> ${numPatterns}
-  float output[${numPatterns}];
-  float maxVal = -1000000.0f;
-  for (int i = 0; i < ${numPatterns}; i++) {
-    float sum = layer3_bias[i];
-    for (int j = 0; j < ${this.weights[1].outputShape}; j++) {
-      sum += h2[j] * layer3_weights[j * ${numPatterns} + i];
-    }
-    output[i] = sum;
-    if (sum > maxVal) maxVal = sum;
-  }
-
-  // Softmax
-  float sumExp = 0.0f;
-  for (int i = 0; i < ${numPatterns}; i++) {
-    output[i] = exp(output[i] - maxVal);
-    sumExp += output[i];
-  }
-  for (int i = 0; i < ${numPatterns}; i++) {
-    output[i] /= sumExp;
-  }
-
+${this.generateModelInputCode('Normalize input per electrode, exactly as in training')}
+${this.generateForwardPass('input', 'output')}
   // Find max
   int pred = 0;
   float maxConf = output[0];
@@ -1195,6 +1464,177 @@ void predict() {
 `;
   }
 
+  // ========================================================================
+  // Forward Pass
+  // ========================================================================
+  // Shared by the IMU, color and capacitive sketches: walks the model's
+  // layers and emits one loop per Dense/activation layer, so any preset
+  // depth, width or activation produces a matching sketch.
+
+  describeForwardLayer(layer) {
+    const layerType = layer.getClassName();
+    const config = layer.getConfig();
+
+    if (layerType === 'Dense') {
+      return { kind: 'dense', name: layer.name, activation: config.activation || 'linear' };
+    }
+    if (layerType === 'Activation') {
+      return { kind: 'activation', name: layer.name, activation: config.activation };
+    }
+    if (['InputLayer', 'Dropout', 'Flatten'].includes(layerType)) {
+      // No-ops at inference time on flat input
+      return { kind: 'skip', name: layer.name };
+    }
+    return { kind: 'unsupported', name: layer.name, layerType };
+  }
+
+  // C expression applying an element-wise activation to `sum`
+  activationExpression(activation) {
+    const expressions = {
+      linear: 'sum',
+      relu: 'max(0.0f, sum)',
+      relu6: 'min(max(0.0f, sum), 6.0f)',
+      elu: 'sum > 0.0f ? sum : (exp(sum) - 1.0f)',
+      selu: '1.0507010f * (sum > 0.0f ? sum : 1.6732632f * (exp(sum) - 1.0f))',
+      sigmoid: '1.0f / (1.0f + exp(-sum))',
+      hardSigmoid: 'max(0.0f, min(1.0f, 0.2f * sum + 0.5f))',
+      tanh: 'tanh(sum)',
+      softplus: 'log(1.0f + exp(sum))',
+      softsign: 'sum / (1.0f + fabs(sum))',
+      swish: 'sum / (1.0f + exp(-sum))',
+      mish: 'sum * tanh(log(1.0f + exp(sum)))',
+      gelu: '0.5f * sum * (1.0f + erf(sum / sqrt(2.0f)))'
+    };
+
+    const expression = expressions[activation];
+    if (!expression) {
+      throw new Error(`Activation "${activation}" is not supported in Arduino sketches`);
+    }
+    return expression;
+  }
+
+  generateActivationLoop(activation, buffer, size) {
+    if (activation === 'softmax') {
+      return `  // Softmax
+  {
+    float maxVal = ${buffer}[0];
+    for (int i = 1; i < ${size}; i++) {
+      if (${buffer}[i] > maxVal) maxVal = ${buffer}[i];
+    }
+    float sumExp = 0.0f;
+    for (int i = 0; i < ${size}; i++) {
+      ${buffer}[i] = exp(${buffer}[i] - maxVal);
+      sumExp += ${buffer}[i];
+    }
+    for (int i = 0; i < ${size}; i++) {
+      ${buffer}[i] /= sumExp;
+    }
+  }
+`;
+    }
+
+    if (activation === 'linear') return '';
+
+    return `  // Activation: ${activation}
+  for (int i = 0; i < ${size}; i++) {
+    float sum = ${buffer}[i];
+    ${buffer}[i] = ${this.activationExpression(activation)};
+  }
+`;
+  }
+
+  generateForwardPass(inputName, outputName) {
+    const unsupported = this.forwardLayers.filter(l => l.kind === 'unsupported');
+    if (unsupported.length > 0) {
+      const names = unsupported.map(l => `${l.name} (${l.layerType})`).join(', ');
+      throw new Error(`Layers not supported in Arduino sketches: ${names}`);
+    }
+
+    const denseLayers = this.forwardLayers.filter(l => l.kind === 'dense');
+    if (denseLayers.length === 0) {
+      throw new Error('Model has no Dense layers to export');
+    }
+    const lastDense = denseLayers[denseLayers.length - 1];
+
+    let code = '';
+    let buffer = inputName;
+    let size = this.weights[denseLayers[0].weightIndex].inputShape;
+
+    for (const step of this.forwardLayers) {
+      if (step.kind === 'activation') {
+        code += this.generateActivationLoop(step.activation, buffer, size) + '\n';
+        continue;
+      }
+      if (step.kind !== 'dense') continue;
+
+      const layerNum = step.weightIndex + 1;
+      const layer = this.weights[step.weightIndex];
+      const inSize = size;
+      const outSize = layer.outputShape;
+      const outBuffer = step === lastDense ? outputName : `h${layerNum}`;
+      const fused = step.activation === 'softmax' || step.activation === 'linear'
+        ? 'sum'
+        : this.activationExpression(step.activation);
+
+      code += `  // Layer ${layerNum}: ${step.name} (${inSize} -> ${outSize}, ${step.activation})
+  float ${outBuffer}[${outSize}];
+  for (int i = 0; i < ${outSize}; i++) {
+    float sum = ${layer.bias ? `layer${layerNum}_bias[i]` : '0.0f'};
+    for (int j = 0; j < ${inSize}; j++) {
+      sum += ${buffer}[j] * layer${layerNum}_weights[j * ${outSize} + i];
+    }
+    ${outBuffer}[i] = ${fused};
+  }
+
+`;
+      if (step.activation === 'softmax') {
+        code += this.generateActivationLoop('softmax', outBuffer, outSize) + '\n';
+      }
+
+      buffer = outBuffer;
+      size = outSize;
+    }
+
+    return code.replace(/\n+$/, '\n');
+  }
+
+  // Per-channel input normalization, identical to DataProcessor.normalizeData().
+  // Static so the regression generator emits the same code.
+  static generateNormalizationCode(norm) {
+    if (!norm) {
+      return '';
+    }
+
+    const formatFloats = (values) => values.map(v => `${Number(v).toPrecision(8)}f`).join(', ');
+    const description = norm.method === 'fixed'
+      ? 'fixed scaling'
+      : `${norm.method === 'minmax' ? 'min/max' : 'mean/std'} computed from the training set`;
+
+    let code = `// Input normalization (${description})
+// input = (value - CHANNEL_OFFSET[c]) / CHANNEL_SCALE[c], c = index % NUM_CHANNELS
+const int NUM_CHANNELS = ${norm.channels};
+const float CHANNEL_OFFSET[NUM_CHANNELS] = { ${formatFloats(norm.offset)} };
+const float CHANNEL_SCALE[NUM_CHANNELS] = { ${formatFloats(norm.scale)} };
+`;
+
+    if (norm.clamp) {
+      code += `const float INPUT_MIN = ${Number(norm.clamp[0]).toFixed(1)}f;
+const float INPUT_MAX = ${Number(norm.clamp[1]).toFixed(1)}f;
+`;
+    }
+
+    code += `
+inline float normalizeInput(float value, int channel) {
+${norm.clamp ? '  value = constrain(value, INPUT_MIN, INPUT_MAX);\n' : ''}  return (value - CHANNEL_OFFSET[channel]) / CHANNEL_SCALE[channel];
+}
+`;
+    return code;
+  }
+
+  getIdleClassIndex() {
+    return this.labels.findIndex(l => this.idleLabels.includes(l));
+  }
+
   generateModelHeader() {
     let labelType, countName;
 
@@ -1223,6 +1663,13 @@ const char* ${labelType}[] = {
 ${this.labels.map(l => `  "${l}"`).join(',\n')}
 };
 
+// Index of the idle ("nothing happening") class, -1 if there is none
+const int IDLE_CLASS = ${this.getIdleClassIndex()};
+${this.dataType === 'audio' ? '' : `
+// Sensor channels buffered per frame: ${this.inputChannels.join(', ')}
+`}
+${ArduinoModelGenerator.generateNormalizationCode(this.normalization)}
+${this.preprocessing.isEmpty() ? '' : `${this.preprocessing.generateC(this.inputChannels, this.getPipelineFrames())}\n`}
 `;
 
     // Add weights for each layer
@@ -1305,7 +1752,7 @@ ${this.labels.map(l => `  "${l}"`).join(',\n')}
 Generated: ${new Date().toISOString()}
 
 ## ${classType}
-${this.labels.map((l, i) => `${i + 1}. ${l}`).join('\n')}
+${this.labels.map((l, i) => `${i + 1}. ${l}${this.idleLabels.includes(l) ? ' (idle class - not reported)' : ''}`).join('\n')}
 
 ## Hardware
 - Arduino Nano 33 BLE Sense${isColor ? ' Rev2' : ''}${isCapacitive ? '\n- MPR121 Capacitive Touch Sensor (12-electrode breakout board)' : ''}
@@ -1378,6 +1825,14 @@ The APDS9960 color sensor captures:
 
 The model captures ${this.weights[0].inputShape / 5} frames (${this.weights[0].inputShape} values total) when an object is detected near the sensor.
 
+` : ''}${this.getRemoteDevices().length > 0 ? `## Multiple Devices
+This model combines the IMU frames of ${this.devices.length} boards: ${this.devices.map((label, i) => `**${label}**${i === 0 ? ' (primary)' : ''}`).join(', ')}.
+
+1. Upload ${fileName} to the **${this.devices[0]}** board - it runs the model
+${this.getRemoteDevices().map((label, i) => `${i + 2}. Upload ${label}_stream/${label}_stream.ino to the **${label}** board`).join('\n')}
+
+The primary board connects to the others over BLE (they advertise as \`TinyTrainer-<label>\`) and only classifies while all of them are connected. Wear each board where it was during recording.
+
 ` : ''}## Usage
 
 ### BLE UART Mode (Wireless)
@@ -1408,7 +1863,14 @@ ${isAudio ? '🔊 Detected' : 'Predicted'}: ${exampleClass} (92.5%)
 ${this.labels.map(l => `  ${l}: ${l === exampleClass ? '92.5' : '7.5'}%`).join('\n')}
 \`\`\`
 
-## Power Options
+${this.tfliteModel ? `## TensorFlow Lite Micro
+The package also contains your model as a real TensorFlow Lite flatbuffer:
+- **model.tflite** - the raw flatbuffer (${this.tfliteModel.length} bytes)
+- **model.h** - the same bytes as a C array (\`model\`, \`model_len\`)
+
+Load it with \`tflite::GetModel(model)\` in any TensorFlow Lite Micro sketch. ${this.quantization ? `The model is **int8 quantized** - quantize each input with \`q = value / MODEL_INPUT_SCALE + MODEL_INPUT_ZERO_POINT\` and read outputs with \`(q - MODEL_OUTPUT_ZERO_POINT) * MODEL_OUTPUT_SCALE\`.` : 'The model uses float32 inputs and outputs.'}
+
+` : ''}## Power Options
 - USB powered (during development)
 - Battery powered (3.7V LiPo via JST connector or 5V via VIN)
 - Fully wireless when battery powered!
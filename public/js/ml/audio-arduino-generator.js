@@ -7,6 +7,8 @@ class AudioArduinoGenerator {
     this.model = null;
     this.labels = [];
     this.layers = [];
+    this.tfliteModel = null;
+    this.tfliteError = null;
     this.config = {
       numFrames: 63,
       numMFCC: 13,
@@ -50,6 +52,18 @@ class AudioArduinoGenerator {
     }
 
     console.log(`✅ Extracted ${this.layers.length} layers`);
+
+    // The same model as a TensorFlow Lite flatbuffer (model.tflite / model.h)
+    this.tfliteModel = null;
+    this.tfliteError = null;
+
+    try {
+      this.tfliteModel = await new TFLiteWriter().convert(model);
+    } catch (error) {
+      console.warn(`⚠️ TFLite export skipped: ${error.message}`);
+      this.tfliteError = error.message;
+    }
+
     return true;
   }
 
@@ -66,6 +80,11 @@ class AudioArduinoGenerator {
       'README.md': this.generateReadme()
     };
 
+    if (this.tfliteModel) {
+      files['model.h'] = TFLiteWriter.toCHeader(this.tfliteModel);
+      files['model.tflite'] = this.tfliteModel;
+    }
+
     return files;
   }
 
@@ -1016,7 +1035,13 @@ Open Serial Monitor at 115200 baud to see predictions:
 - No external dependencies beyond ArduinoBLE
 - Optimized for Arduino Nano 33 BLE memory constraints
 
-## Notes
+${this.tfliteModel ? `### TensorFlow Lite Micro
+- **model.tflite** - the same model as a float32 TensorFlow Lite flatbuffer (${this.tfliteModel.length} bytes)
+- **model.h** - the same bytes as a C array (\`model\`, \`model_len\`)
+
+Load it with \`tflite::GetModel(model)\` to run the model with TensorFlow Lite Micro instead of inference.cpp. Batch normalization runs as MUL + ADD and global average pooling as MEAN - register those ops next to CONV_2D, MAX_POOL_2D, FULLY_CONNECTED, RESHAPE and SOFTMAX.
+
+` : ''}## Notes
 This library implements the complete model architecture, including Conv1D and BatchNormalization layers, giving you the same accuracy as the web version!
 
 ## License
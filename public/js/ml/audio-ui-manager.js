@@ -579,8 +579,8 @@ class AudioUIManager {
     // Data Import/Export
     // ========================================================================
 
-    exportTrainingData() {
-        const data = {
+    getTrainingData() {
+        return {
             type: 'audio',
             version: '1.0',
             config: this.audioCollector.getConfig(),
@@ -593,6 +593,40 @@ class AudioUIManager {
             })),
             timestamp: new Date().toISOString()
         };
+    }
+
+    applyTrainingData(data) {
+        if (data.type !== 'audio') {
+            throw new Error('Invalid file type. Expected audio training data.');
+        }
+
+        // Load sounds
+        this.sounds = data.sounds.map((sound, index) => ({
+            name: sound.name,
+            samples: sound.samples,
+            id: `sound-${Date.now()}-${index}`
+        }));
+
+        // Load settings
+        if (data.samplesPerClass) {
+            this.samplesPerClass = data.samplesPerClass;
+            this.elements.samplesPerClass.value = this.samplesPerClass;
+        }
+
+        if (data.duration) {
+            this.duration = data.duration;
+            this.elements.duration.value = this.duration;
+            this.audioCollector.setSampleDuration(this.duration);
+        }
+
+        this.renderSounds();
+        this.updateUI();
+
+        return this.sounds.reduce((sum, s) => sum + s.samples.length, 0);
+    }
+
+    exportTrainingData() {
+        const data = this.getTrainingData();
 
         const json = JSON.stringify(data, null, 2);
         const blob = new Blob([json], { type: 'application/json' });
@@ -618,34 +652,7 @@ class AudioUIManager {
         reader.onload = (e) => {
             try {
                 const data = JSON.parse(e.target.result);
-
-                if (data.type !== 'audio') {
-                    throw new Error('Invalid file type. Expected audio training data.');
-                }
-
-                // Load sounds
-                this.sounds = data.sounds.map((sound, index) => ({
-                    name: sound.name,
-                    samples: sound.samples,
-                    id: `sound-${Date.now()}-${index}`
-                }));
-
-                // Load settings
-                if (data.samplesPerClass) {
-                    this.samplesPerClass = data.samplesPerClass;
-                    this.elements.samplesPerClass.value = this.samplesPerClass;
-                }
-
-                if (data.duration) {
-                    this.duration = data.duration;
-                    this.elements.duration.value = this.duration;
-                    this.audioCollector.setSampleDuration(this.duration);
-                }
-
-                this.renderSounds();
-                this.updateUI();
-
-                const totalSamples = this.sounds.reduce((sum, s) => sum + s.samples.length, 0);
+                const totalSamples = this.applyTrainingData(data);
 
                 console.log('📂 Training data loaded');
                 console.log(`   Sounds: ${this.sounds.length}`);
@@ -20,6 +20,9 @@ class CapacitiveDataCollector {
     // Pause state for manual testing
     this.isPaused = false;
 
+    // Device of the last electrode frame - a sample's stream stats count only it
+    this.sourceDevice = null;
+
     // Rolling buffer for testing and real-time predictions (last 100 frames)
     this.currentBuffer = [];
     this.maxBufferSize = 100 * 12; // 100 frames × 12 electrodes = 1200 values
@@ -72,11 +75,11 @@ class CapacitiveDataCollector {
   setupDataListener() {
     // Listen to all devices (use wildcard)
     this.bridge.onData('*', (data, deviceId) => {
-      this.processCapacitiveData(data);
+      this.processCapacitiveData(data, deviceId);
     });
   }
 
-  processCapacitiveData(data) {
+  processCapacitiveData(data, deviceId = null) {
     // Skip processing if paused
     if (this.isPaused) {
       return;
@@ -97,6 +100,7 @@ class CapacitiveDataCollector {
     }
 
     // Update latest values
+    this.sourceDevice = deviceId;
     this.latestValues = {
       e0: values[0], e1: values[1], e2: values[2], e3: values[3],
       e4: values[4], e5: values[5], e6: values[6], e7: values[7],
@@ -147,6 +151,8 @@ class CapacitiveDataCollector {
     this.currentSample = [];
     this.framesCollected = 0;
     this.lastCaptureTimestamp = Date.now();
+    this.captureDevices = this.getStreamDevices();
+    this.streamAtCapture = this.bridge.getStreamTotals(this.captureDevices);
 
     console.log(`📡 Started capturing capacitive sample for "${this.currentLabel}"`);
     this.emit('captureStarted', {
@@ -189,7 +195,9 @@ class CapacitiveDataCollector {
 
     try {
       // Add sample to gesture manager
-      this.gestureManager.addSample(this.currentLabel, this.currentSample);
+      this.gestureManager.addSample(this.currentLabel, this.currentSample, {
+        stream: this.getCaptureStreamStats(),
+      });
 
       console.log(`✅ Completed capacitive sample for "${this.currentLabel}"`);
       console.log(`   Frames: ${this.framesCollected}`);
@@ -211,6 +219,16 @@ class CapacitiveDataCollector {
     }
   }
 
+  // The device the frames come from (none before the first frame)
+  getStreamDevices() {
+    return this.sourceDevice ? [this.sourceDevice] : [];
+  }
+
+  // Dropped/garbled frames since the capture started, stored with the sample
+  getCaptureStreamStats() {
+    return this.bridge.getStreamStatsSince(this.streamAtCapture, this.captureDevices);
+  }
+
   cancelCapture() {
     if (!this.isCapturing) return;
 
@@ -20,6 +20,9 @@ class ColorDataCollector {
     // Pause state for manual testing
     this.isPaused = false;
 
+    // Device of the last color frame - a sample's stream stats count only it
+    this.sourceDevice = null;
+
     // Rolling buffer for testing and real-time predictions (last 100 frames)
     this.currentBuffer = [];
     this.maxBufferSize = 100 * 5; // 100 frames × 5 channels (r,g,b,c,p) = 500 values
@@ -76,11 +79,11 @@ class ColorDataCollector {
   setupDataListener() {
     // Listen to all devices (use wildcard)
     this.bridge.onData('*', (data, deviceId) => {
-      this.processColorData(data);
+      this.processColorData(data, deviceId);
     });
   }
 
-  processColorData(data) {
+  processColorData(data, deviceId = null) {
     // Skip processing if paused
     if (this.isPaused) {
       return;
@@ -109,6 +112,7 @@ class ColorDataCollector {
     }
 
     // Update latest values
+    this.sourceDevice = deviceId;
     this.latestValues = { r, g, b, c, p };
 
     // Update rolling buffer for testing (always, not just when capturing)
@@ -177,6 +181,8 @@ class ColorDataCollector {
     this.currentSample = [];
     this.framesCollected = 0;
     this.framesTarget = this.gestureManager.framesPerSample || 50;
+    this.captureDevices = this.getStreamDevices();
+    this.streamAtCapture = this.bridge.getStreamTotals(this.captureDevices);
 
     this.emit('captureStarted', {
       color: this.currentColor,
@@ -211,7 +217,10 @@ class ColorDataCollector {
 
     try {
       // Add sample to gesture manager with metadata
-      this.gestureManager.addSample(this.currentColor, this.currentSample, { dataType: 'color' });
+      this.gestureManager.addSample(this.currentColor, this.currentSample, {
+        dataType: 'color',
+        stream: this.getCaptureStreamStats(),
+      });
 
       this.emit('captureCompleted', {
         color: this.currentColor,
@@ -234,6 +243,16 @@ class ColorDataCollector {
     }
   }
 
+  // The device the frames come from (none before the first frame)
+  getStreamDevices() {
+    return this.sourceDevice ? [this.sourceDevice] : [];
+  }
+
+  // Dropped/garbled frames since the capture started, stored with the sample
+  getCaptureStreamStats() {
+    return this.bridge.getStreamStatsSince(this.streamAtCapture, this.captureDevices);
+  }
+
   cancelCapture() {
     if (!this.isCapturing) {
       return;
@@ -19,15 +19,38 @@ class DataCollector {
 
     // Rolling buffer for testing (last 100 frames)
     this.currentBuffer = [];
-    this.maxBufferSize = 100 * 9; // 100 frames × 9 axes
-
-    // Capture settings (matching TMT defaults)
-    this.accelerationThreshold = 0.167; // Minimum movement to trigger
+    this.maxBufferSize = 100 * 9; // 100 frames × 9 axes (× fused devices)
+
+    // Devices to record from. None selected = every device's frames as one
+    // stream (single board); several = fused frames, 9 channels per device
+    this.fusion = new DeviceFusion();
+    this.seenDevices = [];
+    this.sourceDevice = null; // Device of the last unfused frame
+
+    // Capture settings (matching TMT defaults). The trigger strategy and its
+    // threshold/hysteresis are stored with the project and generated into
+    // the IMU sketch.
+    this.trigger = new MotionTrigger();
     this.captureDelay = 125; // ms between captures
     this.lastCaptureTimestamp = 0;
 
+    // Pre-trigger ring buffer: the latest frames (ending with the trigger
+    // frame) start every sample, so captures include the gesture onset.
+    // The generated IMU sketch keeps the same ring.
+    this.preTriggerFrames = 20;
+    this.preTriggerRing = new Array(this.preTriggerFrames);
+    this.preTriggerHead = 0; // Next slot to write
+    this.preTriggerCount = 0;
+
     // Auto-capture control (can be disabled during training/testing)
     this.autoCaptureEnabled = true;
+
+    // Idle class auto-collection (background windows while nothing happens)
+    this.idleCollectionEnabled = false;
+    this.idleCollectionPaused = false; // e.g. while testing a model
+    this.idleCaptureInterval = 2000; // ms, randomized ±50% between windows
+    this.idleWindow = [];
+    this.nextIdleCaptureAt = 0;
     
     // Listeners
     this.listeners = {
@@ -35,6 +58,9 @@ class DataCollector {
       frameCollected: [],
       captureCompleted: [],
       captureFailed: [],
+      frame: [],
+      idleSampleCaptured: [],
+      devicesChanged: [],
     };
     
     // Setup data listener
@@ -51,6 +77,12 @@ class DataCollector {
     }
   }
 
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
   emit(event, data) {
     if (this.listeners[event]) {
       this.listeners[event].forEach(callback => callback(data));
@@ -62,13 +94,13 @@ class DataCollector {
   // ========================================================================
 
   setupDataListener() {
-    // Listen to all devices (use wildcard)
-    this.bridge.onData('*', (data, deviceId) => {
-      this.processIMUData(data);
+    // Listen to all devices (use wildcard) - DeviceFusion picks the devices
+    this.bridge.onData('*', (data, deviceId, timestamp) => {
+      this.processIMUData(data, deviceId, timestamp);
     });
   }
 
-  processIMUData(data) {
+  processIMUData(data, deviceId = null, timestamp = Date.now()) {
     // Parse CSV format: "ax,ay,az,gx,gy,gz,mx,my,mz" (9-axis)
     // OR "ax,ay,az,gx,gy,gz,mx,my,mz,r,g,b,c,p" (14 values - all sensors)
     const values = data.split(',').map(v => parseFloat(v.trim()));
@@ -79,23 +111,49 @@ class DataCollector {
       return;
     }
 
+    if (deviceId && !this.seenDevices.includes(deviceId)) {
+      this.seenDevices.push(deviceId);
+      this.emit('devicesChanged', this.seenDevices.slice());
+    }
+
     // Extract IMU values (first 9 values regardless of mode)
-    const [ax, ay, az, gx, gy, gz, mx, my, mz] = values;
-    
+    const imuFrame = values.slice(0, 9);
+
+    if (!this.fusion.isActive()) {
+      this.sourceDevice = deviceId;
+      this.processFrame(imuFrame);
+      return;
+    }
+
+    this.fusion.push(deviceId, imuFrame, timestamp).forEach(frame => this.processFrame(frame));
+  }
+
+  // One frame: 9 IMU values, or 9 per device when fused (the trigger and
+  // visualizer use the first - primary - device)
+  processFrame(frame) {
     // Update rolling buffer for testing (always, not just when capturing)
-    this.currentBuffer.push(ax, ay, az, gx, gy, gz, mx, my, mz);
+    this.currentBuffer.push(...frame);
     
-    // Keep only last 100 frames (900 values)
+    // Keep only last 100 frames
     if (this.currentBuffer.length > this.maxBufferSize) {
       this.currentBuffer = this.currentBuffer.slice(-this.maxBufferSize);
     }
+
+    const { motion, triggered } = this.trigger.update(frame);
+
+    this.pushPreTriggerFrame(frame);
+
+    // Every frame, for streaming inference
+    this.emit('frame', { values: frame, motion, triggered });
+
+    this.collectIdleFrame(frame, motion);
     
     // If we're capturing, collect this frame
     if (this.isCapturing) {
-      this.collectFrame(ax, ay, az, gx, gy, gz, mx, my, mz);
+      this.collectFrame(frame);
     } else {
       // Check if motion detected (auto-trigger)
-      this.checkForMotion(ax, ay, az, gx, gy, gz, mx, my, mz);
+      this.checkForMotion(triggered);
     }
   }
 
@@ -103,7 +161,7 @@ class DataCollector {
   // Motion Detection (Auto-trigger)
   // ========================================================================
 
-  checkForMotion(ax, ay, az, gx, gy, gz, mx, my, mz) {
+  checkForMotion(triggered) {
     // Don't auto-trigger if auto-capture is disabled
     if (!this.autoCaptureEnabled) {
       return;
@@ -120,12 +178,8 @@ class DataCollector {
       return;
     }
 
-    // Calculate average acceleration (including magnetometer for motion detection)
-    const aSum = (Math.abs(ax) + Math.abs(ay) + Math.abs(az) +
-                  Math.abs(gx) + Math.abs(gy) + Math.abs(gz)) / 6.0;
-
-    // Check if motion exceeds threshold
-    if (aSum >= this.accelerationThreshold) {
+    // Trigger fired on this frame (see MotionTrigger)
+    if (triggered) {
       this.startCapture();
     }
   }
@@ -146,9 +200,14 @@ class DataCollector {
     }
 
     this.isCapturing = true;
-    this.currentSample = [];
-    this.framesCollected = 0;
     this.framesTarget = this.gestureManager.framesPerSample;
+    this.captureDevices = this.getStreamDevices();
+    this.streamAtCapture = this.bridge.getStreamTotals(this.captureDevices);
+
+    // Start with the frames leading up to (and including) the trigger
+    const preTrigger = this.getPreTriggerFrames().slice(-(this.framesTarget - 1));
+    this.currentSample = preTrigger.flat();
+    this.framesCollected = preTrigger.length;
 
     this.emit('captureStarted', {
       gesture: this.currentGesture,
@@ -158,11 +217,13 @@ class DataCollector {
     console.log('🎬 Capture started:', this.currentGesture);
   }
 
-  collectFrame(ax, ay, az, gx, gy, gz, mx, my, mz) {
-    // Add frame to current sample (9 values per frame)
-    this.currentSample.push(ax, ay, az, gx, gy, gz, mx, my, mz);
+  collectFrame(frame) {
+    // Add frame to current sample (9 values per frame per device)
+    this.currentSample.push(...frame);
     this.framesCollected++;
 
+    const [ax, ay, az, gx, gy, gz, mx, my, mz] = frame;
+
     this.emit('frameCollected', {
       frame: this.framesCollected,
       total: this.framesTarget,
@@ -183,7 +244,10 @@ class DataCollector {
 
     try {
       // Add sample to gesture manager with metadata
-      this.gestureManager.addSample(this.currentGesture, this.currentSample, { dataType: 'imu' });
+      this.gestureManager.addSample(this.currentGesture, this.currentSample, {
+        dataType: 'imu',
+        stream: this.getCaptureStreamStats(),
+      });
 
       this.emit('captureCompleted', {
         gesture: this.currentGesture,
@@ -220,6 +284,111 @@ class DataCollector {
     this.emit('captureFailed', { error: 'Capture cancelled' });
   }
 
+  // ========================================================================
+  // Pre-Trigger Ring Buffer
+  // ========================================================================
+
+  pushPreTriggerFrame(frame) {
+    if (this.preTriggerFrames === 0) {
+      return;
+    }
+
+    this.preTriggerRing[this.preTriggerHead] = frame;
+    this.preTriggerHead = (this.preTriggerHead + 1) % this.preTriggerFrames;
+    this.preTriggerCount = Math.min(this.preTriggerCount + 1, this.preTriggerFrames);
+  }
+
+  // Buffered frames, oldest first (the latest frame last)
+  getPreTriggerFrames() {
+    const frames = [];
+    const oldest = (this.preTriggerHead - this.preTriggerCount + this.preTriggerFrames) % this.preTriggerFrames;
+
+    for (let i = 0; i < this.preTriggerCount; i++) {
+      frames.push(this.preTriggerRing[(oldest + i) % this.preTriggerFrames]);
+    }
+    return frames;
+  }
+
+  setPreTriggerFrames(frames) {
+    this.preTriggerFrames = Math.max(0, Math.min(100, Math.round(frames) || 0));
+    this.preTriggerRing = new Array(this.preTriggerFrames);
+    this.preTriggerHead = 0;
+    this.preTriggerCount = 0;
+    console.log('✅ Pre-trigger frames set to:', this.preTriggerFrames);
+  }
+
+  // ========================================================================
+  // Idle Class Auto-Collection
+  // ========================================================================
+
+  // A frame is idle when nothing is being recorded and either no gesture is
+  // selected or the device is below the motion threshold
+  isIdleFrame(motion) {
+    return !this.isCapturing && (!this.currentGesture || !motion);
+  }
+
+  collectIdleFrame(frame, motion) {
+    if (!this.idleCollectionEnabled || this.idleCollectionPaused || !this.autoCaptureEnabled) {
+      return;
+    }
+
+    const idleGesture = this.gestureManager.getIdleGesture();
+    if (!idleGesture || this.gestureManager.isSamplesFull(idleGesture.name)) {
+      return;
+    }
+
+    // Only windows that were idle from start to end
+    if (!this.isIdleFrame(motion)) {
+      this.idleWindow = [];
+      return;
+    }
+
+    const framesTarget = this.gestureManager.framesPerSample;
+    this.idleWindow.push(frame);
+    if (this.idleWindow.length > framesTarget) {
+      this.idleWindow.shift();
+    }
+
+    if (this.idleWindow.length < framesTarget || Date.now() < this.nextIdleCaptureAt) {
+      return;
+    }
+
+    const sampleData = this.idleWindow.flat();
+    this.resetIdleWindow();
+
+    this.gestureManager.addSample(idleGesture.name, sampleData, { dataType: 'imu' });
+
+    this.emit('idleSampleCaptured', {
+      gesture: idleGesture.name,
+      sampleCount: this.gestureManager.getSampleCount(idleGesture.name),
+    });
+  }
+
+  resetIdleWindow() {
+    this.idleWindow = [];
+    // Random spacing so windows don't lock onto anything periodic
+    this.nextIdleCaptureAt = Date.now() + this.idleCaptureInterval * (0.5 + Math.random());
+  }
+
+  enableIdleCollection() {
+    const gesture = this.gestureManager.ensureIdleGesture();
+    this.idleCollectionEnabled = true;
+    this.resetIdleWindow();
+    console.log('✅ Idle auto-collection enabled');
+    return gesture;
+  }
+
+  disableIdleCollection() {
+    this.idleCollectionEnabled = false;
+    this.idleWindow = [];
+    console.log('🛑 Idle auto-collection disabled');
+  }
+
+  setIdleCollectionPaused(paused) {
+    this.idleCollectionPaused = paused;
+    this.idleWindow = [];
+  }
+
   // ========================================================================
   // Manual Control
   // ========================================================================
@@ -238,9 +407,58 @@ class DataCollector {
   // Settings
   // ========================================================================
 
+  // Threshold of the current trigger strategy
   setThreshold(value) {
-    this.accelerationThreshold = Math.max(0.05, Math.min(1.0, value));
-    console.log('✅ Threshold set to:', this.accelerationThreshold);
+    this.trigger.setParams({ threshold: Math.max(0.01, Math.min(1.0, value)) });
+    console.log('✅ Threshold set to:', this.trigger.getParams().threshold);
+  }
+
+  // { strategy, params } as stored in the project (MotionTrigger.toJSON)
+  setTrigger(config) {
+    this.trigger = new MotionTrigger(config);
+    console.log('✅ Trigger set to:', this.trigger.strategy, this.trigger.getParams());
+  }
+
+  // devices: [{ id, label }] (DeviceFusion), [] to record from any device.
+  // Frame width changes, so buffered frames and any capture are dropped.
+  setDevices(devices, maxSkewMs) {
+    this.fusion.setDevices(devices);
+    if (maxSkewMs !== undefined) {
+      this.fusion.setMaxSkew(maxSkewMs);
+    }
+
+    this.cancelCapture();
+    this.currentBuffer = [];
+    this.maxBufferSize = 100 * this.getFrameChannels();
+    this.idleWindow = [];
+    this.setPreTriggerFrames(this.preTriggerFrames);
+    this.trigger.reset();
+
+    console.log('✅ Devices set to:', devices.length > 0 ? devices.map(d => `${d.label} (${d.id})`).join(', ') : 'any');
+  }
+
+  // Devices the frames come from: the fused ones, or the device of the last
+  // frame (none before the first frame)
+  getStreamDevices() {
+    if (this.fusion.isActive()) {
+      return this.fusion.devices.map(device => device.id);
+    }
+    return this.sourceDevice ? [this.sourceDevice] : [];
+  }
+
+  // Dropped/garbled frames since the capture started, stored with the sample
+  getCaptureStreamStats() {
+    return this.bridge.getStreamStatsSince(this.streamAtCapture, this.captureDevices);
+  }
+
+  // Fused device labels (channel namespaces), null for a single device
+  getDeviceLabels() {
+    return this.fusion.getLabels();
+  }
+
+  // Values per frame: 9 IMU channels per fused device
+  getFrameChannels() {
+    return 9 * Math.max(1, this.fusion.devices.length);
   }
 
   setCaptureDelay(ms) {
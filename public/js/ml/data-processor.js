@@ -11,13 +11,57 @@ class DataProcessor {
     this.randomSeed = 42;
     this.augmentationEnabled = false; // Data augmentation off by default
     this.augmentationNoise = 0.02; // ±1% noise
+    this.normalizationMethod = 'standard'; // Per-channel: 'standard' (mean/std) or 'minmax'
   }
 
   // ========================================================================
   // Prepare Training Data
   // ========================================================================
 
-  prepareTrainingData(gestureManager, dataType = 'imu') {
+  // options.normalization: 'standard' or 'minmax' (defaults to normalizationMethod)
+  // options.channels: channel names that feed the model (default: all)
+  // options.preprocessing: PreprocessingPipeline steps, run before normalization
+  // options.devices: DeviceFusion labels when samples are fused from several devices
+  prepareTrainingData(gestureManager, dataType = 'imu', options = {}) {
+    const collected = this.collectSamples(gestureManager, dataType);
+    const { gestures, labels, sampleIds } = collected;
+    const devices = this.getFusedDevices(options.devices);
+    const inputChannels = this.resolveInputChannels(dataType, options.channels, devices);
+    const selected = this.selectChannels(collected.samples, dataType, inputChannels, devices);
+    const preprocessed = this.applyPreprocessing(selected, inputChannels, options.preprocessing);
+    const samples = preprocessed.samples;
+
+    // Split into train/validation
+    const split = this.splitData(samples, labels, sampleIds);
+
+    // Per-channel stats come from the training rows only
+    const normalization = this.computeNormalizationStats(
+      split.trainX, dataType, options.normalization, preprocessed.channels
+    );
+
+    console.log(`   Training samples: ${split.trainX.length}`);
+    console.log(`   Validation samples: ${split.valX.length}`);
+
+    return {
+      trainX: this.normalizeData(split.trainX, dataType, normalization),
+      trainY: split.trainY,
+      valX: this.normalizeData(split.valX, dataType, normalization),
+      valY: split.valY,
+      valSampleIds: split.valIds, // Maps validation rows back to recorded samples
+      numClasses: gestures.length,
+      labels: gestures.map(g => g.name),
+      idleLabels: gestures.filter(g => g.isIdle).map(g => g.name), // Never reported as gestures
+      inputShape: [samples[0].length],
+      rawInputShape: [collected.samples[0].length], // As captured, every channel
+      dataType: dataType,
+      devices: devices,
+      inputChannels: inputChannels,
+      preprocessing: preprocessed.steps,
+      normalization: normalization, // Applied again in predict() and the generated sketches
+    };
+  }
+
+  collectSamples(gestureManager, dataType = 'imu') {
     const gestures = gestureManager.getAllGestures();
 
     if (gestures.length < 2) {
@@ -29,57 +73,233 @@ class DataProcessor {
     console.log(`   Classes: ${gestures.length}`);
 
     // Collect all samples and labels
-    const allSamples = [];
-    const allLabels = [];
+    const samples = [];
+    const labels = [];
+    const sampleIds = [];
 
     gestures.forEach((gesture, gestureIndex) => {
       gesture.samples.forEach(sample => {
-        allSamples.push(sample.data);
-        allLabels.push(gestureIndex);
+        samples.push(sample.data);
+        labels.push(gestureIndex);
+        sampleIds.push(sample.id || null);
       });
     });
 
-    console.log(`   Total samples: ${allSamples.length}`);
+    console.log(`   Total samples: ${samples.length}`);
 
-    // Normalize data based on type
-    const normalizedSamples = this.normalizeData(allSamples, dataType);
+    return { gestures, samples, labels, sampleIds };
+  }
 
-    // Split into train/validation
-    const split = this.splitData(normalizedSamples, allLabels);
+  // ========================================================================
+  // Cross-Validation Data
+  // ========================================================================
 
-    console.log(`   Training samples: ${split.trainX.length}`);
-    console.log(`   Validation samples: ${split.valX.length}`);
+  prepareCrossValidationData(gestureManager, dataType = 'imu', k = 5, options = {}) {
+    const collected = this.collectSamples(gestureManager, dataType);
+    const { gestures, labels, sampleIds } = collected;
+    const devices = this.getFusedDevices(options.devices);
+    const inputChannels = this.resolveInputChannels(dataType, options.channels, devices);
+    const selected = this.selectChannels(collected.samples, dataType, inputChannels, devices);
+    const preprocessed = this.applyPreprocessing(selected, inputChannels, options.preprocessing);
+    const samples = preprocessed.samples;
+
+    if (!Number.isInteger(k) || k < 2) {
+      throw new Error('Cross-validation needs at least 2 folds');
+    }
+
+    if (k > samples.length) {
+      throw new Error(`Need at least ${k} samples for ${k}-fold cross-validation`);
+    }
+
+    const folds = this.createStratifiedFolds(labels, k);
+
+    console.log(`   Folds: ${k} (${folds.map(f => f.length).join('/')} samples)`);
 
+    // Samples stay unnormalized - each fold normalizes with its own training stats
     return {
-      trainX: split.trainX,
-      trainY: split.trainY,
-      valX: split.valX,
-      valY: split.valY,
+      samples: samples,
+      sampleLabels: labels,
+      sampleIds: sampleIds,
+      folds: folds,
       numClasses: gestures.length,
       labels: gestures.map(g => g.name),
-      inputShape: [normalizedSamples[0].length],
+      idleLabels: gestures.filter(g => g.isIdle).map(g => g.name),
+      inputShape: [samples[0].length],
+      rawInputShape: [collected.samples[0].length],
       dataType: dataType,
+      devices: devices,
+      inputChannels: inputChannels,
+      preprocessing: preprocessed.steps,
+      channels: preprocessed.channels,
+      normalizationMethod: options.normalization,
+    };
+  }
+
+  // Shuffle each class separately and deal its samples round-robin into k
+  // folds, so every fold keeps roughly the overall class proportions
+  createStratifiedFolds(labels, k) {
+    const folds = Array.from({ length: k }, () => []);
+
+    let next = 0;
+    this.groupIndicesByClass(labels).forEach(indices => {
+      indices.forEach(index => {
+        folds[next].push(index);
+        next = (next + 1) % k;
+      });
+    });
+
+    return folds;
+  }
+
+  // Training data for one fold, in the same shape as prepareTrainingData()
+  getFoldData(cvData, foldIndex) {
+    const valIndices = cvData.folds[foldIndex];
+    const trainIndices = cvData.folds.filter((_, i) => i !== foldIndex).flat();
+
+    return this.selectTrainingData(cvData, trainIndices, valIndices);
+  }
+
+  // Every sample as training data (no validation rows) for the final model
+  getAllTrainingData(cvData) {
+    return this.selectTrainingData(cvData, cvData.folds.flat(), []);
+  }
+
+  selectTrainingData(cvData, trainIndices, valIndices) {
+    const trainX = trainIndices.map(i => cvData.samples[i]);
+    const valX = valIndices.map(i => cvData.samples[i]);
+    const normalization = this.computeNormalizationStats(
+      trainX, cvData.dataType, cvData.normalizationMethod, cvData.channels
+    );
+
+    return {
+      trainX: this.normalizeData(trainX, cvData.dataType, normalization),
+      trainY: trainIndices.map(i => cvData.sampleLabels[i]),
+      valX: this.normalizeData(valX, cvData.dataType, normalization),
+      valY: valIndices.map(i => cvData.sampleLabels[i]),
+      valSampleIds: valIndices.map(i => cvData.sampleIds[i]),
+      numClasses: cvData.numClasses,
+      labels: cvData.labels,
+      idleLabels: cvData.idleLabels,
+      inputShape: cvData.inputShape,
+      rawInputShape: cvData.rawInputShape,
+      dataType: cvData.dataType,
+      devices: cvData.devices,
+      inputChannels: cvData.inputChannels,
+      preprocessing: cvData.preprocessing,
+      normalization: normalization,
+    };
+  }
+
+  // ========================================================================
+  // Channel Selection
+  // ========================================================================
+
+  // Channel names that feed the model, in frame order. Samples are always
+  // recorded with every channel, so the selection can change without
+  // re-recording. null or [] selects every channel.
+  resolveInputChannels(dataType = 'imu', channels = null, devices = null) {
+    const names = PreprocessingPipeline.getChannelNames(dataType, devices);
+
+    if (!channels || channels.length === 0) {
+      return names.slice();
+    }
+
+    const unknown = channels.filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown ${dataType} channel(s): ${unknown.join(', ')}`);
+    }
+
+    return names.filter(name => channels.includes(name));
+  }
+
+  // Fused device labels, or null for a single device stream
+  getFusedDevices(devices) {
+    return devices && devices.length > 1 ? devices.slice() : null;
+  }
+
+  // Keep only the selected channels of every frame
+  selectChannels(samples, dataType = 'imu', inputChannels = null, devices = null) {
+    const names = PreprocessingPipeline.getChannelNames(dataType, devices);
+
+    // Samples recorded with a different set of fused devices don't line up
+    const mismatched = samples.find(sample => sample.length !== samples[0].length || sample.length % names.length !== 0);
+    if (mismatched) {
+      throw new Error(`Samples don't match the ${names.length} channels of the current devices - re-record them with the same devices`);
+    }
+
+    if (!inputChannels || inputChannels.length === names.length) {
+      return samples;
+    }
+
+    const indices = inputChannels.map(name => names.indexOf(name));
+    console.log(`🔧 Channels: ${inputChannels.join(', ')}`);
+
+    return samples.map(sample => {
+      const selected = [];
+      for (let i = 0; i + names.length <= sample.length; i += names.length) {
+        indices.forEach(c => selected.push(sample[i + c]));
+      }
+      return selected;
+    });
+  }
+
+  // ========================================================================
+  // Preprocessing
+  // ========================================================================
+
+  // Runs the PreprocessingPipeline steps on channel-selected samples. Returns
+  // the processed samples, the normalized step list (stored with the model)
+  // and the output channel count that normalization works on.
+  applyPreprocessing(samples, inputChannels, steps = []) {
+    const pipeline = new PreprocessingPipeline(steps);
+
+    if (pipeline.isEmpty()) {
+      return { samples, steps: [], channels: inputChannels.length };
+    }
+
+    const channels = pipeline.getOutputChannels(inputChannels);
+    console.log(`🔧 Preprocessing: ${pipeline.steps.map(s => s.type).join(' → ')} (${channels.length} channels)`);
+
+    return {
+      samples: pipeline.process(samples, inputChannels),
+      steps: pipeline.toJSON(),
+      channels: channels.length,
     };
   }
 
+  // One raw sample (as captured) -> model input: the trained channel
+  // selection and preprocessing steps, then the trained normalization
+  prepareInput(sample, trainingData) {
+    const dataType = (trainingData && trainingData.dataType) || 'imu';
+    const steps = (trainingData && trainingData.preprocessing) || [];
+    const devices = trainingData && trainingData.devices;
+    const inputChannels = this.resolveInputChannels(dataType, trainingData && trainingData.inputChannels, devices);
+    const selected = this.selectChannels([sample], dataType, inputChannels, devices);
+    const processed = new PreprocessingPipeline(steps).process(selected, inputChannels);
+
+    return this.normalizeData(processed, dataType, trainingData && trainingData.normalization)[0];
+  }
+
   // ========================================================================
   // Data Normalization
   // ========================================================================
 
-  normalizeData(samples, dataType = 'imu') {
+  // Samples are flat frames × channels (channel-interleaved). Every value is
+  // mapped with (value - offset[channel]) / scale[channel], using stats from
+  // computeNormalizationStats(). Without stats the original fixed scaling is
+  // used, so models trained before per-channel stats still predict the same.
+  normalizeData(samples, dataType = 'imu', stats = null) {
     console.log('🔧 Normalizing data...');
 
+    const norm = stats || this.getFixedNormalization(dataType);
+
     let normalized = samples.map(sample => {
-      return sample.map(value => {
-        if (dataType === 'color') {
-          // Color data: already in [0, 1] range from sensor
-          return Math.max(0, Math.min(1, value));
-        } else {
-          // IMU data: normalize to [-1, 1] range
-          // Constrain to ±4, then divide by 4 (matches Arduino inference)
-          const clamped = Math.max(-4, Math.min(4, value));
-          return clamped / 4.0;
-        }
+      return sample.map((value, i) => {
+        const channel = i % norm.channels;
+        const clamped = norm.clamp
+          ? Math.max(norm.clamp[0], Math.min(norm.clamp[1], value))
+          : value;
+        return (clamped - norm.offset[channel]) / norm.scale[channel];
       });
     });
 
@@ -94,6 +314,100 @@ class DataProcessor {
     return normalized;
   }
 
+  getChannelCount(dataType = 'imu') {
+    return PreprocessingPipeline.getChannelNames(dataType).length;
+  }
+
+  // Per-channel stats from (raw) training samples:
+  //   'standard' - offset = mean, scale = std
+  //   'minmax'   - maps each channel's [min, max] to [-1, 1]
+  // channels overrides the data type's count (preprocessing can add channels)
+  computeNormalizationStats(samples, dataType = 'imu', method = null, channels = null) {
+    method = method || this.normalizationMethod;
+    channels = channels || this.getChannelCount(dataType);
+
+    if (method !== 'standard' && method !== 'minmax') {
+      throw new Error(`Unknown normalization method: ${method}`);
+    }
+
+    const count = new Array(channels).fill(0);
+    const sum = new Array(channels).fill(0);
+    const sumSq = new Array(channels).fill(0);
+    const min = new Array(channels).fill(Infinity);
+    const max = new Array(channels).fill(-Infinity);
+
+    samples.forEach(sample => {
+      sample.forEach((value, i) => {
+        const c = i % channels;
+        count[c]++;
+        sum[c] += value;
+        sumSq[c] += value * value;
+        if (value < min[c]) min[c] = value;
+        if (value > max[c]) max[c] = value;
+      });
+    });
+
+    const offset = [];
+    const scale = [];
+
+    for (let c = 0; c < channels; c++) {
+      if (count[c] === 0) {
+        offset.push(0);
+        scale.push(1);
+        continue;
+      }
+
+      let spread;
+      if (method === 'standard') {
+        const mean = sum[c] / count[c];
+        offset.push(mean);
+        spread = Math.sqrt(Math.max(0, sumSq[c] / count[c] - mean * mean));
+      } else {
+        offset.push((min[c] + max[c]) / 2);
+        spread = (max[c] - min[c]) / 2;
+      }
+
+      // A constant channel (e.g. unused magnetometer) passes through centered
+      scale.push(spread > 1e-6 ? spread : 1);
+    }
+
+    console.log(`📏 Per-channel normalization (${method}, ${channels} channels)`);
+
+    return { method, channels, offset, scale, clamp: null };
+  }
+
+  // The original fixed scaling: IMU/capacitive clamp to ±4 and divide by 4,
+  // color is already in [0, 1]. Custom sensors map their profile ranges to
+  // [-1, 1] (channels without a range pass through).
+  getFixedNormalization(dataType = 'imu') {
+    const channels = this.getChannelCount(dataType);
+    const isColor = dataType === 'color';
+    const ranges = PreprocessingPipeline.getChannelRanges(dataType);
+
+    if (ranges) {
+      return {
+        method: 'fixed',
+        channels: channels,
+        offset: ranges.map(range => range ? (range[0] + range[1]) / 2 : 0),
+        scale: ranges.map(range => range ? (range[1] - range[0]) / 2 : 1),
+        clamp: null,
+      };
+    }
+
+    return {
+      method: 'fixed',
+      channels: channels,
+      offset: new Array(channels).fill(0),
+      scale: new Array(channels).fill(isColor ? 1 : 4),
+      clamp: isColor ? [0, 1] : [-4, 4],
+    };
+  }
+
+  setNormalizationMethod(method) {
+    this.normalizationMethod = method;
+    console.log(`✅ Normalization: ${method}`);
+  }
+
   // ========================================================================
   // Data Augmentation
   // ========================================================================
@@ -116,19 +430,24 @@ class DataProcessor {
   // Train/Validation Split
   // ========================================================================
 
-  splitData(samples, labels) {
-    // Create indices array
-    const indices = Array.from({ length: samples.length }, (_, i) => i);
-    
-    // Shuffle with seed for reproducibility
-    this.shuffleArray(indices, this.randomSeed);
-    
-    // Calculate split point
-    const splitIndex = Math.floor(samples.length * this.trainingSplit);
-    
-    // Split indices
-    const trainIndices = indices.slice(0, splitIndex);
-    const valIndices = indices.slice(splitIndex);
+  // Stratified: each class is split 80/20 on its own, so small classes
+  // always keep at least one validation sample (when they have 2+ samples)
+  splitData(samples, labels, ids = null) {
+    const trainIndices = [];
+    const valIndices = [];
+
+    this.groupIndicesByClass(labels).forEach(indices => {
+      const trainCount = indices.length < 2
+        ? indices.length
+        : Math.min(indices.length - 1, Math.max(1, Math.floor(indices.length * this.trainingSplit)));
+
+      trainIndices.push(...indices.slice(0, trainCount));
+      valIndices.push(...indices.slice(trainCount));
+    });
+
+    // Mix the classes back together
+    this.shuffleArray(trainIndices, this.randomSeed);
+    this.shuffleArray(valIndices, this.randomSeed);
     
     // Split data
     const trainX = trainIndices.map(i => samples[i]);
@@ -136,7 +455,82 @@ class DataProcessor {
     const valX = valIndices.map(i => samples[i]);
     const valY = valIndices.map(i => labels[i]);
     
-    return { trainX, trainY, valX, valY };
+    const split = { trainX, trainY, valX, valY };
+
+    // Optional per-sample ids, kept in the same order as the split rows
+    if (ids) {
+      split.trainIds = trainIndices.map(i => ids[i]);
+      split.valIds = valIndices.map(i => ids[i]);
+    }
+
+    return split;
+  }
+
+  // Sample indices per class (sorted by class), each shuffled with a
+  // class-specific seed for reproducibility
+  groupIndicesByClass(labels) {
+    const byClass = new Map();
+
+    labels.forEach((label, i) => {
+      if (!byClass.has(label)) byClass.set(label, []);
+      byClass.get(label).push(i);
+    });
+
+    return [...byClass.keys()].sort((a, b) => a - b).map(label => {
+      const indices = byClass.get(label);
+      this.shuffleArray(indices, this.randomSeed + label);
+      return indices;
+    });
+  }
+
+  // ========================================================================
+  // Class Balancing
+  // ========================================================================
+
+  // "Balanced" weights: n_samples / (n_classes * n_samples_in_class), so each
+  // class contributes equally to the loss. Keyed by class index for fit().
+  getClassWeights(labels, numClasses) {
+    const counts = new Array(numClasses).fill(0);
+    labels.forEach(label => counts[label]++);
+
+    const classWeight = {};
+    counts.forEach((count, classIdx) => {
+      classWeight[classIdx] = count > 0 ? labels.length / (numClasses * count) : 0;
+    });
+
+    return classWeight;
+  }
+
+  // Duplicate random training samples of smaller classes until every class
+  // matches the largest one. Duplicates get augmentation noise when enabled.
+  oversampleTrainingData(data) {
+    const byClass = this.groupIndicesByClass(data.trainY);
+    const maxCount = Math.max(...byClass.map(indices => indices.length));
+    const rng = this.seededRandom(this.randomSeed);
+
+    const trainX = [...data.trainX];
+    const trainY = [...data.trainY];
+
+    byClass.forEach(indices => {
+      for (let added = indices.length; added < maxCount; added++) {
+        const source = indices[Math.floor(rng() * indices.length)];
+        const sample = data.trainX[source];
+        trainX.push(this.augmentationEnabled ? this.augmentSample(sample) : sample);
+        trainY.push(data.trainY[source]);
+      }
+    });
+
+    console.log(`🔧 Oversampled training data: ${data.trainX.length} → ${trainX.length} samples`);
+
+    return { ...data, trainX, trainY };
+  }
+
+  getImbalanceRatio(labels, numClasses) {
+    const counts = new Array(numClasses).fill(0);
+    labels.forEach(label => counts[label]++);
+
+    const minCount = Math.min(...counts);
+    return minCount > 0 ? Math.max(...counts) / minCount : Infinity;
   }
 
   // ========================================================================
@@ -182,14 +576,19 @@ class DataProcessor {
 
     const trainX = tf.tensor2d(data.trainX);
     const trainY = tf.tensor2d(this.oneHotEncode(data.trainY, data.numClasses));
-    const valX = tf.tensor2d(data.valX);
-    const valY = tf.tensor2d(this.oneHotEncode(data.valY, data.numClasses));
+
+    // No validation rows when retraining on all data after cross-validation
+    const hasValidation = data.valX.length > 0;
+    const valX = hasValidation ? tf.tensor2d(data.valX) : null;
+    const valY = hasValidation ? tf.tensor2d(this.oneHotEncode(data.valY, data.numClasses)) : null;
 
     console.log('✅ Tensors created');
     console.log(`   trainX shape: [${trainX.shape}]`);
     console.log(`   trainY shape: [${trainY.shape}]`);
-    console.log(`   valX shape: [${valX.shape}]`);
-    console.log(`   valY shape: [${valY.shape}]`);
+    if (hasValidation) {
+      console.log(`   valX shape: [${valX.shape}]`);
+      console.log(`   valY shape: [${valY.shape}]`);
+    }
 
     return { trainX, trainY, valX, valY };
   }
@@ -222,6 +621,7 @@ class DataProcessor {
       validationSamples: data.valX.length,
       numClasses: data.numClasses,
       inputShape: data.inputShape,
+      imbalanceRatio: this.getImbalanceRatio(data.trainY, data.numClasses),
       samplesPerClass: [],
     };
 
@@ -244,8 +644,11 @@ class DataProcessor {
   // Validation
   // ========================================================================
 
+  // Errors block training; warnings are advisory (shown to the user, but
+  // imbalance is handled by class weights or oversampling)
   validateData(data) {
     const errors = [];
+    const warnings = [];
 
     // Check minimum samples
     if (data.trainX.length < 10) {
@@ -263,17 +666,26 @@ class DataProcessor {
     const minCount = Math.min(...classCounts);
     const maxCount = Math.max(...classCounts);
     
-    if (maxCount / minCount > 3) {
-      errors.push('Classes are imbalanced (>3x difference)');
-    }
-
     if (minCount < 3) {
       errors.push(`Class "${data.labels[classCounts.indexOf(minCount)]}" has too few samples`);
+    } else if (maxCount / minCount > 3) {
+      const smallest = data.labels[classCounts.indexOf(minCount)];
+      warnings.push(`Classes are imbalanced (${(maxCount / minCount).toFixed(1)}x difference) - consider recording more "${smallest}" samples`);
     }
 
+    // Stratified splitting keeps a validation sample per class when it can
+    const valCounts = new Array(data.numClasses).fill(0);
+    data.valY.forEach(label => valCounts[label]++);
+    valCounts.forEach((count, classIdx) => {
+      if (count === 0 && data.valX.length > 0) {
+        warnings.push(`Class "${data.labels[classIdx]}" has no validation samples`);
+      }
+    });
+
     return {
       valid: errors.length === 0,
       errors: errors,
+      warnings: warnings,
     };
   }
 
@@ -281,7 +693,7 @@ class DataProcessor {
   // Regression Data Preparation
   // ========================================================================
 
-  prepareRegressionData(regressionSamples) {
+  prepareRegressionData(regressionSamples, options = {}) {
     // Prepare data for regression training
     // regressionSamples = [{ data: [...], outputs: [val1, val2, ...] }, ...]
 
@@ -299,9 +711,6 @@ class DataProcessor {
     // Debug: Log first few output values
     console.log('📊 First 5 raw output values:', allOutputs.slice(0, 5));
 
-    // Normalize input data (same as classification)
-    const normalizedInputs = this.normalizeData(allInputs, 'imu');
-
     // Pass through output values (no normalization needed for 0-1 range)
     const normalizedOutputs = this.normalizeRegressionOutputs(allOutputs);
 
@@ -309,20 +718,24 @@ class DataProcessor {
     console.log('📊 First 5 normalized output values:', normalizedOutputs.slice(0, 5));
 
     // Split into train/validation
-    const split = this.splitRegressionData(normalizedInputs, normalizedOutputs);
+    const split = this.splitRegressionData(allInputs, normalizedOutputs);
+
+    // Normalize inputs with per-channel stats from the training rows (same as classification)
+    const normalization = this.computeNormalizationStats(split.trainX, 'imu', options.normalization);
 
     console.log(`   Training samples: ${split.trainX.length}`);
     console.log(`   Validation samples: ${split.valX.length}`);
     console.log(`   Output dimensions: ${split.trainY[0].length}`);
 
     return {
-      trainX: split.trainX,
+      trainX: this.normalizeData(split.trainX, 'imu', normalization),
       trainY: split.trainY,
-      valX: split.valX,
+      valX: this.normalizeData(split.valX, 'imu', normalization),
       valY: split.valY,
       numOutputs: split.trainY[0].length,
-      inputShape: [normalizedInputs[0].length],
+      inputShape: [allInputs[0].length],
       dataType: 'imu-regression',
+      normalization: normalization,
     };
   }
 
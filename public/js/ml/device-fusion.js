@@ -0,0 +1,175 @@
+// ============================================================================
+// Device Fusion
+// ============================================================================
+// Combines the IMU streams of several boards (e.g. wrist + ankle) into one
+// fused frame stream. Every device gets a label that namespaces its channels
+// (wrist.ax, ..., ankle.mz), and a fused frame is the devices' frames
+// concatenated in device order: 2 devices = 2 × 9 channels.
+//
+// The first device is the primary - its frames drive the clock. Each primary
+// frame is paired with every other device's frame closest in time (receive
+// timestamps from the main process), waiting until a newer frame arrives or
+// maxSkewMs has passed. Primary frames without a partner within maxSkewMs are
+// dropped, so a stalled board never produces half-empty frames.
+//
+// With a single device the stream is only filtered to that device; channel
+// names stay un-namespaced, so single-board projects are unchanged.
+// ============================================================================
+
+const FUSION_LABEL_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+class DeviceFusion {
+  constructor(config = {}) {
+    this.devices = []; // [{ id, label }], first = primary
+    this.maxSkewMs = 60;
+    this.historySize = 10; // Frames kept per secondary device for matching
+
+    this.load(config);
+  }
+
+  // ========================================================================
+  // Settings
+  // ========================================================================
+
+  load(config = {}) {
+    if (config.maxSkewMs !== undefined) {
+      this.setMaxSkew(config.maxSkewMs);
+    }
+    this.setDevices(config.devices || []);
+  }
+
+  toJSON() {
+    return {
+      devices: this.devices.map(device => ({ ...device })),
+      maxSkewMs: this.maxSkewMs,
+    };
+  }
+
+  // devices: [{ id, label }] in fused channel order
+  setDevices(devices) {
+    const labels = new Set();
+
+    devices.forEach(device => {
+      if (!FUSION_LABEL_PATTERN.test(device.label || '')) {
+        throw new Error(`Invalid device label "${device.label}" (letters, digits and _ only)`);
+      }
+      if (labels.has(device.label)) {
+        throw new Error(`Device label "${device.label}" is used twice`);
+      }
+      labels.add(device.label);
+    });
+
+    this.devices = devices.map(device => ({ id: device.id, label: device.label }));
+    this.reset();
+  }
+
+  setMaxSkew(ms) {
+    this.maxSkewMs = Math.max(5, Math.min(500, Math.round(ms) || 0));
+  }
+
+  // Devices are selected (frames from other devices are ignored)
+  isActive() {
+    return this.devices.length > 0;
+  }
+
+  // More than one device - frames are concatenated and channels namespaced
+  isFused() {
+    return this.devices.length > 1;
+  }
+
+  // Namespaces for PreprocessingPipeline.getChannelNames, null when not fused
+  getLabels() {
+    return this.isFused() ? this.devices.map(device => device.label) : null;
+  }
+
+  reset() {
+    this.pending = []; // Primary frames waiting for their partners
+    this.history = new Map(); // deviceId -> [{ frame, timestamp }]
+    this.latestTimestamp = 0;
+    this.stats = { fused: 0, dropped: 0 };
+  }
+
+  // ========================================================================
+  // Alignment
+  // ========================================================================
+
+  // One device frame in -> fused frames that became complete (usually 0 or 1)
+  push(deviceId, frame, timestamp = Date.now()) {
+    const index = this.devices.findIndex(device => device.id === deviceId);
+    if (index === -1) {
+      return [];
+    }
+
+    if (!this.isFused()) {
+      return [frame];
+    }
+
+    this.latestTimestamp = Math.max(this.latestTimestamp, timestamp);
+
+    if (index === 0) {
+      this.pending.push({ frame, timestamp });
+    } else {
+      const history = this.history.get(deviceId) || [];
+      history.push({ frame, timestamp });
+      if (history.length > this.historySize) {
+        history.shift();
+      }
+      this.history.set(deviceId, history);
+    }
+
+    return this.flush();
+  }
+
+  flush() {
+    const fused = [];
+
+    while (this.pending.length > 0) {
+      const primary = this.pending[0];
+      const timedOut = this.latestTimestamp - primary.timestamp > this.maxSkewMs;
+      const parts = [primary.frame];
+      let complete = true;
+
+      for (const device of this.devices.slice(1)) {
+        const history = this.history.get(device.id) || [];
+
+        // A newer frame may still be closer - wait for it unless too late
+        if (!timedOut && !history.some(entry => entry.timestamp >= primary.timestamp)) {
+          return fused;
+        }
+
+        const nearest = this.findNearest(history, primary.timestamp);
+        if (!nearest || Math.abs(nearest.timestamp - primary.timestamp) > this.maxSkewMs) {
+          complete = false;
+          break;
+        }
+        parts.push(nearest.frame);
+      }
+
+      this.pending.shift();
+
+      if (complete) {
+        fused.push(parts.flat());
+        this.stats.fused++;
+      } else {
+        this.stats.dropped++;
+      }
+    }
+
+    return fused;
+  }
+
+  findNearest(history, timestamp) {
+    let nearest = null;
+    history.forEach(entry => {
+      if (!nearest || Math.abs(entry.timestamp - timestamp) < Math.abs(nearest.timestamp - timestamp)) {
+        nearest = entry;
+      }
+    });
+    return nearest;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeviceFusion;
+}
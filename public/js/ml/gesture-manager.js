@@ -11,6 +11,7 @@ class GestureManager {
     this.selectedGesture = null;
     this.samplesPerGesture = 20;
     this.framesPerSample = 100;
+    this.idleGestureName = 'idle';
     this.listeners = {
       gestureAdded: [],
       gestureRemoved: [],
@@ -52,6 +53,7 @@ class GestureManager {
       name: name,
       samples: [],
       createdAt: Date.now(),
+      isIdle: false,
     };
 
     this.gestures.push(gesture);
@@ -61,6 +63,52 @@ class GestureManager {
     return gesture;
   }
 
+  // ========================================================================
+  // Idle Class
+  // ========================================================================
+  // Built-in "nothing happening" class that DataCollector fills with
+  // background windows. It trains like any other class, but is flagged so
+  // test mode and the generated sketches never report it as a gesture.
+
+  ensureIdleGesture() {
+    let gesture = this.getIdleGesture();
+    if (gesture) {
+      return gesture;
+    }
+
+    // Adopt a class the user already recorded as "idle"
+    gesture = this.gestures.find(g => g.name.toLowerCase() === this.idleGestureName.toLowerCase());
+
+    if (gesture) {
+      gesture.isIdle = true;
+    } else {
+      gesture = {
+        name: this.idleGestureName,
+        samples: [],
+        createdAt: Date.now(),
+        isIdle: true,
+      };
+      this.gestures.push(gesture);
+      this.emit('gestureAdded', gesture);
+    }
+
+    console.log('✅ Idle class ready:', gesture.name);
+    return gesture;
+  }
+
+  getIdleGesture() {
+    return this.gestures.find(g => g.isIdle) || null;
+  }
+
+  isIdleGesture(name) {
+    const gesture = this.getGesture(name);
+    return !!(gesture && gesture.isIdle);
+  }
+
+  getIdleLabels() {
+    return this.gestures.filter(g => g.isIdle).map(g => g.name);
+  }
+
   removeGesture(name) {
     const index = this.gestures.findIndex(g => g.name === name);
     if (index === -1) {
@@ -154,7 +202,10 @@ class GestureManager {
       200 * 12,                    // Capacitive samples 200 frames (2400)
     ];
 
-    if (!validLengths.includes(sampleData.length)) {
+    // Fused IMU samples (DeviceFusion) hold 9 axes per device
+    const isFusedIMU = sampleData.length % (this.framesPerSample * 9) === 0;
+
+    if (!validLengths.includes(sampleData.length) && !isFusedIMU) {
       console.warn(`⚠️ Unexpected sample length: ${sampleData.length}. Expected ${validLengths.join(', ')}`);
       // Don't throw - allow flexible sample sizes for different sensor types
     }
@@ -174,6 +225,11 @@ class GestureManager {
       stats: this._calculateSampleStats(sampleData),
     };
 
+    // Frames lost while recording: { dropped, garbled } (see BLEBridge)
+    if (metadata.stream) {
+      sample.stream = metadata.stream;
+    }
+
     gesture.samples.push(sample);
 
     this.emit('sampleAdded', {
@@ -220,6 +276,7 @@ class GestureManager {
     const data = {
       gestures: this.gestures.map(g => ({
         name: g.name,
+        isIdle: !!g.isIdle,
         samples: g.samples.map(s => s.data), // Just the data arrays
       })),
       metadata: {
@@ -228,6 +285,7 @@ class GestureManager {
         dataLength: this.framesPerSample * 9, // 9-axis IMU
         numClasses: this.gestures.length,
         labels: this.gestures.map(g => g.name),
+        idleLabels: this.getIdleLabels(),
         axes: 9, // 9-axis: ax, ay, az, gx, gy, gz, mx, my, mz
         createdAt: Date.now(),
       },
@@ -242,9 +300,31 @@ class GestureManager {
     return json;
   }
 
+  // Full snapshot (keeps sample ids, timestamps and data types) for project files
+  serialize() {
+    return {
+      gestures: this.gestures.map(g => ({
+        name: g.name,
+        createdAt: g.createdAt,
+        isIdle: !!g.isIdle,
+        samples: g.samples.map(s => ({
+          id: s.id,
+          data: s.data,
+          timestamp: s.timestamp,
+          dataType: s.dataType,
+          stream: s.stream,
+        })),
+      })),
+      metadata: {
+        samplesPerGesture: this.samplesPerGesture,
+        framesPerSample: this.framesPerSample,
+      },
+    };
+  }
+
   importJSON(json) {
     try {
-      const data = JSON.parse(json);
+      const data = typeof json === 'string' ? JSON.parse(json) : json;
       
       // Validate structure
       if (!data.gestures || !data.metadata) {
@@ -271,9 +351,11 @@ class GestureManager {
               dataType: dataType,
               preview: s.preview || this._generateSamplePreview(sampleData, dataType),
               stats: s.stats || this._calculateSampleStats(sampleData),
+              stream: s.stream,
             };
           }),
-          createdAt: Date.now(),
+          createdAt: g.createdAt || Date.now(),
+          isIdle: !!g.isIdle,
         };
         this.gestures.push(gesture);
       });
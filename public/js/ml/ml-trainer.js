@@ -13,6 +13,7 @@ class MLTrainer {
     // Training state
     this.model = null;
     this.trainingData = null;
+    this.trainingConfig = null;
     this.isTraining = false;
     this.shouldStop = false;
 
@@ -25,6 +26,9 @@ class MLTrainer {
       epochs: [],
     };
 
+    // Classifier fits run here unless a backend takes them (setFitBackend)
+    this.fitBackend = null;
+
     // Prediction smoothing (EMA)
     this.smoothingEnabled = true;
     this.smoothingAlpha = 0.3; // 30% new value, 70% previous (lower = smoother)
@@ -57,10 +61,29 @@ class MLTrainer {
     }
   }
 
+  // ========================================================================
+  // Fit Backend
+  // ========================================================================
+
+  // backend: { name, fit(model, tensors, options, callbacks), stop() } -
+  // e.g. NativeTrainingBackend. Backends with predict(model, rows) run the
+  // predictions too (WorkerTrainingBackend). null trains in this thread.
+  setFitBackend(backend) {
+    this.fitBackend = backend;
+    console.log(`✅ Classifier training backend: ${backend ? backend.name : 'tf.js (renderer)'}`);
+  }
+
   // ========================================================================
   // Train Model
   // ========================================================================
 
+  // config.crossValidation: true or { k: 5, retrainOnAll: true } trains k
+  // models on stratified folds instead of a single 80/20 split.
+  // config.balancing: 'classWeights' (default), 'oversample' or 'none'
+  // config.normalization: per-channel 'standard' (default) or 'minmax'
+  // config.channels: channel names that feed the model (e.g. no magnetometer)
+  // config.preprocessing: PreprocessingPipeline steps (e.g. low-pass, magnitude)
+  // config.devices: DeviceFusion labels when IMU samples are fused from several boards
   async train(gestureManager, config = {}) {
     if (this.isTraining) {
       throw new Error('Training already in progress');
@@ -68,20 +91,24 @@ class MLTrainer {
 
     this.isTraining = true;
     this.shouldStop = false;
-    this.history = {
-      loss: [],
-      accuracy: [],
-      valLoss: [],
-      valAccuracy: [],
-      epochs: [],
-    };
+    this.history = this._createHistory();
 
     try {
       console.log('🚀 Starting training...');
 
       // Prepare data (pass dataType from config, defaults to 'imu')
       const dataType = config.dataType || 'imu';
-      this.trainingData = this.dataProcessor.prepareTrainingData(gestureManager, dataType);
+
+      if (config.crossValidation) {
+        return await this._trainCrossValidation(gestureManager, config, dataType);
+      }
+
+      this.trainingData = this.dataProcessor.prepareTrainingData(gestureManager, dataType, {
+        normalization: config.normalization,
+        channels: config.channels,
+        preprocessing: config.preprocessing,
+        devices: config.devices,
+      });
 
       // Validate data
       const dataValidation = this.dataProcessor.validateData(this.trainingData);
@@ -94,40 +121,10 @@ class MLTrainer {
       console.log('📊 Data statistics:', stats);
       
       // Create tensors
-      const tensors = this.dataProcessor.createTensors(this.trainingData);
+      const { tensors, classWeight } = this._createBalancedTensors(config.balancing);
       
       // Build model
-      const modelConfig = this.modelBuilder.getPreset(config.preset || 'balanced');
-      const finalConfig = { ...modelConfig, ...config };
-      
-      this.model = this.modelBuilder.buildModel(
-        this.trainingData.inputShape,
-        this.trainingData.numClasses,
-        finalConfig
-      );
-      
-      // Validate model
-      const modelValidation = this.modelBuilder.validateModel(
-        this.model,
-        this.trainingData.inputShape,
-        this.trainingData.numClasses
-      );
-      
-      if (!modelValidation.valid) {
-        throw new Error(`Model validation failed: ${modelValidation.errors.join(', ')}`);
-      }
-      
-      // Get model info
-      const modelInfo = this.modelBuilder.getModelInfo(this.model);
-      console.log('🏗️ Model info:', modelInfo);
-      
-      // Estimate training time
-      const timeEstimate = this.modelBuilder.estimateTrainingTime(
-        this.trainingData.trainX.length,
-        finalConfig.epochs,
-        finalConfig.batchSize
-      );
-      console.log(`⏱️ Estimated training time: ~${timeEstimate.estimatedSeconds}s`);
+      const { finalConfig, modelInfo, timeEstimate } = this._buildClassifier(config);
       
       // Emit training start
       this.emit('trainingStart', {
@@ -135,56 +132,14 @@ class MLTrainer {
         stats: stats,
         modelInfo: modelInfo,
         timeEstimate: timeEstimate,
+        warnings: dataValidation.warnings,
       });
       
       // Train model
-      const result = await this.model.fit(tensors.trainX, tensors.trainY, {
-        epochs: finalConfig.epochs,
-        batchSize: finalConfig.batchSize,
-        validationData: [tensors.valX, tensors.valY],
-        shuffle: true,
-        callbacks: {
-          onEpochBegin: async (epoch, logs) => {
-            if (this.shouldStop) {
-              this.model.stopTraining = true;
-            }
-            this.emit('epochBegin', { epoch, logs });
-          },
-          onEpochEnd: async (epoch, logs) => {
-            // Store history
-            this.history.loss.push(logs.loss);
-            this.history.accuracy.push(logs.acc);
-            this.history.valLoss.push(logs.val_loss);
-            this.history.valAccuracy.push(logs.val_acc);
-            this.history.epochs.push(epoch);
-            
-            console.log(`Epoch ${epoch + 1}/${finalConfig.epochs}: loss=${logs.loss.toFixed(4)}, acc=${logs.acc.toFixed(4)}, val_loss=${logs.val_loss.toFixed(4)}, val_acc=${logs.val_acc.toFixed(4)}`);
-            
-            this.emit('epochEnd', {
-              epoch: epoch + 1,
-              totalEpochs: finalConfig.epochs,
-              loss: logs.loss,
-              accuracy: logs.acc,
-              valLoss: logs.val_loss,
-              valAccuracy: logs.val_acc,
-              history: this.history,
-            });
-            
-            if (this.shouldStop) {
-              this.model.stopTraining = true;
-            }
-          },
-          onBatchEnd: async (batch, logs) => {
-            this.emit('batchEnd', { batch, logs });
-          },
-        },
-      });
+      await this._fitClassifier(tensors, finalConfig, {}, classWeight);
       
       // Cleanup tensors
-      tensors.trainX.dispose();
-      tensors.trainY.dispose();
-      tensors.valX.dispose();
-      tensors.valY.dispose();
+      this._disposeTensors(tensors);
       
       console.log('✅ Training completed');
       
@@ -213,6 +168,334 @@ class MLTrainer {
     }
   }
 
+  _createHistory() {
+    return {
+      loss: [],
+      accuracy: [],
+      valLoss: [],
+      valAccuracy: [],
+      epochs: [],
+    };
+  }
+
+  // Tensors for the current trainingData. Imbalanced classes are handled by
+  // weighting the loss ('classWeights') or duplicating minority samples
+  // ('oversample'); 'none' trains on the data as recorded.
+  _createBalancedTensors(balancing = 'classWeights') {
+    const data = balancing === 'oversample'
+      ? this.dataProcessor.oversampleTrainingData(this.trainingData)
+      : this.trainingData;
+
+    const classWeight = balancing === 'classWeights'
+      ? this.dataProcessor.getClassWeights(this.trainingData.trainY, this.trainingData.numClasses)
+      : undefined;
+
+    return {
+      tensors: this.dataProcessor.createTensors(data),
+      classWeight: classWeight,
+    };
+  }
+
+  _disposeTensors(tensors) {
+    Object.values(tensors).forEach(tensor => {
+      if (tensor) tensor.dispose();
+    });
+  }
+
+  // Build and validate a classifier for the current trainingData
+  _buildClassifier(config) {
+    const modelConfig = this.modelBuilder.getPreset(config.preset || 'balanced');
+    const finalConfig = { ...modelConfig, ...config };
+    this.trainingConfig = finalConfig;
+    
+    this.model = this.modelBuilder.buildModel(
+      this.trainingData.inputShape,
+      this.trainingData.numClasses,
+      finalConfig
+    );
+    
+    // Validate model
+    const modelValidation = this.modelBuilder.validateModel(
+      this.model,
+      this.trainingData.inputShape,
+      this.trainingData.numClasses
+    );
+    
+    if (!modelValidation.valid) {
+      throw new Error(`Model validation failed: ${modelValidation.errors.join(', ')}`);
+    }
+    
+    // Get model info
+    const modelInfo = this.modelBuilder.getModelInfo(this.model);
+    console.log('🏗️ Model info:', modelInfo);
+    
+    // Estimate training time
+    const timeEstimate = this.modelBuilder.estimateTrainingTime(
+      this.trainingData.trainX.length,
+      finalConfig.epochs,
+      finalConfig.batchSize
+    );
+    console.log(`⏱️ Estimated training time: ~${timeEstimate.estimatedSeconds}s`);
+    
+    return { finalConfig, modelInfo, timeEstimate };
+  }
+
+  // Fit this.model, streaming epochEnd events. foldInfo ({ fold, totalFolds })
+  // is added to every event during cross-validation.
+  async _fitClassifier(tensors, finalConfig, foldInfo = {}, classWeight = undefined) {
+    const hasValidation = tensors.valX !== null;
+    const foldPrefix = foldInfo.totalFolds ? `[Fold ${foldInfo.fold + 1}/${foldInfo.totalFolds}] ` : '';
+    const options = {
+      epochs: finalConfig.epochs,
+      batchSize: finalConfig.batchSize,
+      classWeight: classWeight,
+    };
+
+    if (this.fitBackend) {
+      await this.fitBackend.fit(this.model, tensors, options, {
+        onEpochBegin: (epoch, logs) => {
+          if (this.shouldStop) {
+            this.fitBackend.stop();
+          }
+          this.emit('epochBegin', { epoch, logs, ...foldInfo });
+        },
+        onEpochEnd: (epoch, logs) => {
+          this._recordEpoch(epoch, logs, finalConfig, hasValidation, foldInfo, foldPrefix);
+          if (this.shouldStop) {
+            this.fitBackend.stop();
+          }
+        },
+      });
+      return;
+    }
+
+    await this.model.fit(tensors.trainX, tensors.trainY, {
+      ...options,
+      validationData: hasValidation ? [tensors.valX, tensors.valY] : undefined,
+      shuffle: true,
+      callbacks: {
+        onEpochBegin: async (epoch, logs) => {
+          if (this.shouldStop) {
+            this.model.stopTraining = true;
+          }
+          this.emit('epochBegin', { epoch, logs, ...foldInfo });
+        },
+        onEpochEnd: async (epoch, logs) => {
+          this._recordEpoch(epoch, logs, finalConfig, hasValidation, foldInfo, foldPrefix);
+          if (this.shouldStop) {
+            this.model.stopTraining = true;
+          }
+        },
+        onBatchEnd: async (batch, logs) => {
+          this.emit('batchEnd', { batch, logs });
+        },
+      },
+    });
+  }
+
+  // Store an epoch's logs in the history and emit epochEnd
+  _recordEpoch(epoch, logs, finalConfig, hasValidation, foldInfo, foldPrefix) {
+    this.history.loss.push(logs.loss);
+    this.history.accuracy.push(logs.acc);
+    if (hasValidation) {
+      this.history.valLoss.push(logs.val_loss);
+      this.history.valAccuracy.push(logs.val_acc);
+    }
+    this.history.epochs.push(epoch);
+
+    const validationLog = hasValidation
+      ? `, val_loss=${logs.val_loss.toFixed(4)}, val_acc=${logs.val_acc.toFixed(4)}`
+      : '';
+    console.log(`${foldPrefix}Epoch ${epoch + 1}/${finalConfig.epochs}: loss=${logs.loss.toFixed(4)}, acc=${logs.acc.toFixed(4)}${validationLog}`);
+
+    this.emit('epochEnd', {
+      epoch: epoch + 1,
+      totalEpochs: finalConfig.epochs,
+      loss: logs.loss,
+      accuracy: logs.acc,
+      valLoss: logs.val_loss,
+      valAccuracy: logs.val_acc,
+      history: this.history,
+      ...foldInfo,
+    });
+  }
+
+  // ========================================================================
+  // K-Fold Cross-Validation
+  // ========================================================================
+
+  async _trainCrossValidation(gestureManager, config, dataType) {
+    const cvConfig = config.crossValidation === true ? {} : config.crossValidation;
+    const k = cvConfig.k || 5;
+    const retrainOnAll = cvConfig.retrainOnAll !== false;
+
+    console.log(`🔁 ${k}-fold cross-validation${retrainOnAll ? ' (retrain on all data)' : ''}`);
+
+    const cvData = this.dataProcessor.prepareCrossValidationData(gestureManager, dataType, k, {
+      normalization: config.normalization,
+      channels: config.channels,
+      preprocessing: config.preprocessing,
+      devices: config.devices,
+    });
+    const foldResults = [];
+    let evaluation = null;
+
+    for (let fold = 0; fold < k && !this.shouldStop; fold++) {
+      const foldInfo = { fold, totalFolds: k };
+
+      this.trainingData = this.dataProcessor.getFoldData(cvData, fold);
+      this.history = this._createHistory();
+
+      const dataValidation = this.dataProcessor.validateData(this.trainingData);
+      if (!dataValidation.valid) {
+        throw new Error(`Data validation failed (fold ${fold + 1}): ${dataValidation.errors.join(', ')}`);
+      }
+
+      const stats = this.dataProcessor.getDataStats(this.trainingData);
+      const { tensors, classWeight } = this._createBalancedTensors(config.balancing);
+
+      // Previous fold's model is no longer needed
+      if (fold > 0 && this.model) {
+        this.model.dispose();
+      }
+      const { finalConfig, modelInfo, timeEstimate } = this._buildClassifier(config);
+
+      this.emit('trainingStart', {
+        config: finalConfig,
+        stats: stats,
+        modelInfo: modelInfo,
+        timeEstimate: timeEstimate,
+        crossValidation: true,
+        warnings: fold === 0 ? dataValidation.warnings : [],
+        ...foldInfo,
+      });
+
+      await this._fitClassifier(tensors, finalConfig, foldInfo, classWeight);
+      this._disposeTensors(tensors);
+
+      // A fold cut short by the stop button would skew the averages
+      if (this.shouldStop && foldResults.length > 0) {
+        break;
+      }
+
+      evaluation = await this.evaluateModel();
+      foldResults.push({ fold, ...evaluation });
+
+      console.log(`📁 Fold ${fold + 1}/${k}: accuracy=${(evaluation.accuracy * 100).toFixed(2)}%, macro F1=${(evaluation.macroAvg.f1 * 100).toFixed(2)}%`);
+    }
+
+    evaluation = this.summarizeCrossValidation(foldResults, cvData);
+
+    // Final model for export, trained on every sample
+    if (retrainOnAll && !this.shouldStop) {
+      console.log('🚀 Retraining on all data...');
+
+      this.trainingData = this.dataProcessor.getAllTrainingData(cvData);
+      this.history = this._createHistory();
+
+      const stats = this.dataProcessor.getDataStats(this.trainingData);
+      const { tensors, classWeight } = this._createBalancedTensors(config.balancing);
+
+      this.model.dispose();
+      const { finalConfig, modelInfo, timeEstimate } = this._buildClassifier(config);
+
+      this.emit('trainingStart', {
+        config: finalConfig,
+        stats: stats,
+        modelInfo: modelInfo,
+        timeEstimate: timeEstimate,
+        crossValidation: true,
+        fold: k,
+        totalFolds: k,
+        finalModel: true,
+      });
+
+      await this._fitClassifier(tensors, finalConfig, { fold: k, totalFolds: k, finalModel: true }, classWeight);
+      this._disposeTensors(tensors);
+
+      evaluation.crossValidation.retrainedOnAll = !this.shouldStop;
+    }
+
+    console.log('✅ Cross-validation completed');
+    console.log(`   Accuracy: ${(evaluation.crossValidation.meanAccuracy * 100).toFixed(2)}% ± ${(evaluation.crossValidation.stdAccuracy * 100).toFixed(2)}%`);
+
+    this.emit('trainingEnd', {
+      history: this.history,
+      evaluation: evaluation,
+      stopped: this.shouldStop,
+    });
+
+    return {
+      model: this.model,
+      history: this.history,
+      evaluation: evaluation,
+    };
+  }
+
+  // Mean ± std across folds, plus metrics from the pooled confusion matrix
+  // (every sample is validated exactly once across the k folds)
+  summarizeCrossValidation(foldResults, cvData) {
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const std = (values) => {
+      const m = mean(values);
+      return Math.sqrt(mean(values.map(v => Math.pow(v - m, 2))));
+    };
+
+    const numClasses = cvData.numClasses;
+    const confusionMatrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+    const confusionSampleIds = Array.from({ length: numClasses }, () =>
+      Array.from({ length: numClasses }, () => [])
+    );
+
+    foldResults.forEach(result => {
+      result.confusionMatrix.forEach((row, actual) => {
+        row.forEach((count, predicted) => {
+          confusionMatrix[actual][predicted] += count;
+          confusionSampleIds[actual][predicted].push(...result.confusionSampleIds[actual][predicted]);
+        });
+      });
+    });
+
+    const pooled = this.metricsFromConfusionMatrix(confusionMatrix, cvData.labels);
+    const accuracies = foldResults.map(r => r.accuracy);
+    const losses = foldResults.map(r => r.loss);
+    const macroF1s = foldResults.map(r => r.macroAvg.f1);
+
+    return {
+      loss: mean(losses),
+      accuracy: mean(accuracies),
+      perClassAccuracy: this._toPerClassAccuracy(pooled.perClass),
+      labels: cvData.labels,
+      confusionMatrix: confusionMatrix,
+      confusionSampleIds: confusionSampleIds,
+      classMetrics: pooled.perClass,
+      macroAvg: pooled.macroAvg,
+      weightedAvg: pooled.weightedAvg,
+      dataType: cvData.dataType,
+      crossValidation: {
+        k: cvData.folds.length,
+        completedFolds: foldResults.length,
+        meanAccuracy: mean(accuracies),
+        stdAccuracy: std(accuracies),
+        meanLoss: mean(losses),
+        stdLoss: std(losses),
+        meanMacroF1: mean(macroF1s),
+        stdMacroF1: std(macroF1s),
+        retrainedOnAll: false,
+        folds: foldResults.map(r => ({
+          fold: r.fold,
+          accuracy: r.accuracy,
+          loss: r.loss,
+          macroF1: r.macroAvg.f1,
+          confusionMatrix: r.confusionMatrix,
+          confusionSampleIds: r.confusionSampleIds,
+          classMetrics: r.classMetrics,
+          validationSamples: r.confusionMatrix.flat().reduce((sum, c) => sum + c, 0),
+        })),
+      },
+    };
+  }
+
   // ========================================================================
   // Stop Training
   // ========================================================================
@@ -252,18 +535,26 @@ class MLTrainer {
     result[0].dispose();
     result[1].dispose();
     
-    // Per-class accuracy
-    const perClassAccuracy = await this.calculatePerClassAccuracy();
+    // Confusion matrix and per-class precision/recall/F1
+    const metrics = await this.calculateClassificationMetrics();
     
     const evaluation = {
       loss: loss[0],
       accuracy: accuracy[0],
-      perClassAccuracy: perClassAccuracy,
+      perClassAccuracy: this._toPerClassAccuracy(metrics.perClass),
+      labels: this.trainingData.labels,
+      confusionMatrix: metrics.confusionMatrix,
+      confusionSampleIds: metrics.confusionSampleIds,
+      classMetrics: metrics.perClass,
+      macroAvg: metrics.macroAvg,
+      weightedAvg: metrics.weightedAvg,
+      dataType: this.trainingData.dataType,
     };
     
     console.log('✅ Evaluation complete');
     console.log(`   Loss: ${evaluation.loss.toFixed(4)}`);
     console.log(`   Accuracy: ${(evaluation.accuracy * 100).toFixed(2)}%`);
+    console.log(`   Macro F1: ${(evaluation.macroAvg.f1 * 100).toFixed(2)}%`);
     
     return evaluation;
   }
@@ -273,9 +564,30 @@ class MLTrainer {
   // ========================================================================
 
   async calculatePerClassAccuracy() {
+    const metrics = await this.calculateClassificationMetrics();
+    return this._toPerClassAccuracy(metrics.perClass);
+  }
+
+  // Per-class accuracy is the recall of each class
+  _toPerClassAccuracy(perClass) {
+    return perClass.map(stat => ({
+      label: stat.label,
+      accuracy: stat.recall,
+      correct: stat.correct,
+      total: stat.support,
+    }));
+  }
+
+  // ========================================================================
+  // Classification Metrics
+  // ========================================================================
+
+  async predictValidationClasses() {
     const valX = tf.tensor2d(this.trainingData.valX);
-    const predictions = await this.model.predict(valX).data();
+    const output = this.model.predict(valX);
+    const predictions = await output.data();
     valX.dispose();
+    output.dispose();
     
     // Get predicted classes
     const predictedClasses = [];
@@ -286,33 +598,95 @@ class MLTrainer {
       predictedClasses.push(classPredictions.indexOf(Math.max(...classPredictions)));
     }
     
-    // Calculate accuracy per class
-    const perClassStats = [];
-    for (let classIdx = 0; classIdx < this.trainingData.numClasses; classIdx++) {
-      const truePositives = predictedClasses.filter((pred, i) => 
-        pred === classIdx && this.trainingData.valY[i] === classIdx
-      ).length;
+    return predictedClasses;
+  }
+
+  async calculateClassificationMetrics() {
+    const predictedClasses = await this.predictValidationClasses();
+    
+    return this.computeClassificationMetrics(
+      this.trainingData.valY,
+      predictedClasses,
+      this.trainingData.labels,
+      this.trainingData.valSampleIds
+    );
+  }
+
+  // Confusion matrix rows are actual classes, columns are predicted classes.
+  // sampleIds (optional) maps each row of actual/predicted back to a recorded
+  // sample so the UI can show which samples landed in each cell.
+  computeClassificationMetrics(actualClasses, predictedClasses, labels, sampleIds = null) {
+    const numClasses = labels.length;
+    const confusionMatrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+    const confusionSampleIds = Array.from({ length: numClasses }, () =>
+      Array.from({ length: numClasses }, () => [])
+    );
+    
+    actualClasses.forEach((actual, i) => {
+      const predicted = predictedClasses[i];
+      confusionMatrix[actual][predicted]++;
       
-      const totalInClass = this.trainingData.valY.filter(label => label === classIdx).length;
+      if (sampleIds && sampleIds[i] !== null && sampleIds[i] !== undefined) {
+        confusionSampleIds[actual][predicted].push(sampleIds[i]);
+      }
+    });
+    
+    return {
+      confusionMatrix,
+      confusionSampleIds,
+      ...this.metricsFromConfusionMatrix(confusionMatrix, labels),
+    };
+  }
+
+  metricsFromConfusionMatrix(confusionMatrix, labels) {
+    const perClass = labels.map((label, classIdx) => {
+      const truePositives = confusionMatrix[classIdx][classIdx];
+      const support = confusionMatrix[classIdx].reduce((sum, count) => sum + count, 0);
+      const predictedCount = confusionMatrix.reduce((sum, row) => sum + row[classIdx], 0);
       
-      const accuracy = totalInClass > 0 ? truePositives / totalInClass : 0;
+      const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+      const recall = support > 0 ? truePositives / support : 0;
+      const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
       
-      perClassStats.push({
-        label: this.trainingData.labels[classIdx],
-        accuracy: accuracy,
-        correct: truePositives,
-        total: totalInClass,
-      });
-    }
+      return { label, precision, recall, f1, support, correct: truePositives };
+    });
+    
+    // Averages only include classes that appear in the validation set
+    const present = perClass.filter(stat => stat.support > 0);
+    const totalSupport = present.reduce((sum, stat) => sum + stat.support, 0);
+    
+    const average = (key, weighted) => {
+      if (present.length === 0) return 0;
+      if (weighted) {
+        return present.reduce((sum, stat) => sum + stat[key] * stat.support, 0) / totalSupport;
+      }
+      return present.reduce((sum, stat) => sum + stat[key], 0) / present.length;
+    };
     
-    return perClassStats;
+    const macroAvg = {
+      precision: average('precision', false),
+      recall: average('recall', false),
+      f1: average('f1', false),
+      support: totalSupport,
+    };
+    
+    const weightedAvg = {
+      precision: average('precision', true),
+      recall: average('recall', true),
+      f1: average('f1', true),
+      support: totalSupport,
+    };
+    
+    return { perClass, macroAvg, weightedAvg };
   }
 
   // ========================================================================
   // Test Single Sample
   // ========================================================================
 
-  async predict(sample) {
+  // options.smooth: false skips the EMA smoothing (used by streaming
+  // inference, which averages whole windows itself)
+  async predict(sample, options = {}) {
     if (!this.model) {
       throw new Error('No trained model available');
     }
@@ -331,22 +705,21 @@ class MLTrainer {
       // Audio MFCC features: use raw values, no normalization
       processedSample = [sample];
     } else {
-      // IMU/Color data: normalize using DataProcessor
-      processedSample = this.dataProcessor.normalizeData([sample], dataType);
+      // IMU/Color data: same preprocessing and per-channel stats the model
+      // was trained with
+      processedSample = [this.dataProcessor.prepareInput(sample, this.trainingData)];
     }
 
-    // Create tensor
-    const input = tf.tensor2d(processedSample);
-    console.log(`   Input tensor shape: [${input.shape}]`);
+    console.log(`   Input shape: [${processedSample.length},${processedSample[0].length}]`);
 
     // Predict
-    const prediction = this.model.predict(input);
-    let probabilities = Array.from(await prediction.data());
+    let probabilities = Array.from(await this._predictRows(processedSample));
 
     console.log(`   Raw probabilities:`, probabilities);
 
     // Apply EMA smoothing to reduce jitter in real-time predictions
-    if (this.smoothingEnabled && this.previousProbabilities) {
+    const smooth = options.smooth !== false;
+    if (smooth && this.smoothingEnabled && this.previousProbabilities) {
       const alpha = this.smoothingAlpha;
       probabilities = probabilities.map((prob, i) =>
         (alpha * prob) + ((1 - alpha) * this.previousProbabilities[i])
@@ -355,11 +728,9 @@ class MLTrainer {
     }
 
     // Store for next prediction
-    this.previousProbabilities = probabilities;
-
-    // Cleanup
-    input.dispose();
-    prediction.dispose();
+    if (smooth) {
+      this.previousProbabilities = probabilities;
+    }
 
     // Check if this is regression mode
     const isRegression = dataType === 'imu-regression';
@@ -389,10 +760,29 @@ class MLTrainer {
         predictedLabel: this.trainingData.labels[predictedClass],
         confidence: confidence,
         probabilities: Array.from(probabilities),
+        isIdle: this.isIdleLabel(this.trainingData.labels[predictedClass]),
       };
     }
   }
 
+  // Length of a raw captured sample (frames × every sensor channel). Differs
+  // from the model input size when channels are dropped or preprocessing
+  // adds channels.
+  getRawInputSize() {
+    const rawInputShape = this.trainingData?.rawInputShape;
+    if (rawInputShape) {
+      return rawInputShape[0];
+    }
+    return this.model ? this.model.inputs[0].shape[1] : 0;
+  }
+
+  // Built-in idle class (GestureManager.ensureIdleGesture) - trained on, but
+  // never reported as a gesture
+  isIdleLabel(label) {
+    const idleLabels = (this.trainingData && this.trainingData.idleLabels) || [];
+    return idleLabels.includes(label);
+  }
+
   // ========================================================================
   // Save/Load Model
   // ========================================================================
@@ -427,8 +817,14 @@ class MLTrainer {
       model: this.model.toJSON(),
       trainingData: {
         labels: this.trainingData.labels,
+        idleLabels: this.trainingData.idleLabels || [],
         numClasses: this.trainingData.numClasses,
         inputShape: this.trainingData.inputShape,
+        rawInputShape: this.trainingData.rawInputShape || this.trainingData.inputShape,
+        devices: this.trainingData.devices || null,
+        inputChannels: this.trainingData.inputChannels || null,
+        preprocessing: this.trainingData.preprocessing || [],
+        normalization: this.trainingData.normalization || null,
       },
       history: this.history,
       metadata: {
@@ -440,6 +836,94 @@ class MLTrainer {
     return JSON.stringify(modelJSON, null, 2);
   }
 
+  // ========================================================================
+  // Project Persistence
+  // ========================================================================
+
+  // Snapshot of the trained model (topology + weights), training metadata
+  // and history, in a JSON-safe form for .tinyproj files
+  async serializeModel() {
+    if (!this.model) {
+      return null;
+    }
+
+    let artifacts = null;
+    await this.model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+      artifacts = modelArtifacts;
+      return {
+        modelArtifactsInfo: {
+          dateSaved: new Date(),
+          modelTopologyType: 'JSON',
+        },
+      };
+    }));
+
+    // Keep only the metadata - the tensors are rebuilt from samples on retrain
+    const { trainX, trainY, valX, valY, ...trainingMeta } = this.trainingData || {};
+
+    return {
+      modelTopology: artifacts.modelTopology,
+      weightSpecs: artifacts.weightSpecs,
+      weightData: this._arrayBufferToBase64(artifacts.weightData),
+      trainingData: trainingMeta,
+      trainingConfig: this.trainingConfig,
+      history: this.history,
+      tensorflowVersion: tf.version.tfjs,
+    };
+  }
+
+  async restoreModel(state) {
+    if (!state || !state.modelTopology) {
+      throw new Error('No model in project');
+    }
+
+    if (this.isTraining) {
+      throw new Error('Cannot load a model while training');
+    }
+
+    const model = await tf.loadLayersModel(tf.io.fromMemory({
+      modelTopology: state.modelTopology,
+      weightSpecs: state.weightSpecs,
+      weightData: this._base64ToArrayBuffer(state.weightData),
+    }));
+
+    if (this.model) {
+      this.model.dispose();
+    }
+
+    this.model = model;
+    this.trainingData = state.trainingData || null;
+    this.trainingConfig = state.trainingConfig || null;
+    this.history = state.history || this.history;
+    this.previousProbabilities = null;
+
+    console.log('✅ Model restored from project');
+    return this.model;
+  }
+
+  _arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    const chunkSize = 0x8000;
+
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+
+    return btoa(binary);
+  }
+
+  _base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes.buffer;
+  }
+
   // ========================================================================
   // Get Training Status
   // ========================================================================
@@ -493,7 +977,9 @@ class MLTrainer {
       console.log('🔄 Starting regression model training...');
 
       // Prepare regression data
-      const preparedData = this.dataProcessor.prepareRegressionData(regressionSamples);
+      const preparedData = this.dataProcessor.prepareRegressionData(regressionSamples, {
+        normalization: config.normalization,
+      });
 
       console.log('📊 Training data prepared');
       console.log(`   Input shape: [${preparedData.inputShape}]`);
@@ -513,6 +999,11 @@ class MLTrainer {
         dropoutRate: config.dropoutRate || 0.2,
         learningRate: config.learningRate || 0.001,
       };
+      this.trainingConfig = {
+        ...modelConfig,
+        epochs: config.epochs || 50,
+        batchSize: config.batchSize || 16,
+      };
 
       this.model = this.modelBuilder.buildRegressionModel(
         preparedData.inputShape,
@@ -625,15 +1116,12 @@ class MLTrainer {
     console.log('🔄 Running regression prediction...');
 
     // Normalize input data
-    const processedSample = this.dataProcessor.normalizeData([sampleData], 'imu')[0];
+    const processedSample = this.dataProcessor.normalizeData([sampleData], 'imu', this.trainingData?.normalization)[0];
 
-    // Create tensor
-    const input = tf.tensor2d([processedSample]);
-    console.log(`   Input tensor shape: [${input.shape}]`);
+    console.log(`   Input shape: [1,${processedSample.length}]`);
 
     // Predict
-    const prediction = this.model.predict(input);
-    let outputs = Array.from(await prediction.data());
+    let outputs = Array.from(await this._predictRows([processedSample]));
 
     console.log(`   Raw outputs:`, outputs);
 
@@ -649,13 +1137,24 @@ class MLTrainer {
     // Store for next prediction
     this.previousProbabilities = outputs;
 
-    // Cleanup
-    input.dispose();
-    prediction.dispose();
-
     return outputs;
   }
 
+  // Model outputs (flat) for rows of inputs - in the backend's thread when
+  // it runs predictions
+  async _predictRows(rows) {
+    if (this.fitBackend && this.fitBackend.predict) {
+      return this.fitBackend.predict(this.model, rows);
+    }
+
+    const input = tf.tensor2d(rows);
+    const output = this.model.predict(input);
+    const values = await output.data();
+    input.dispose();
+    output.dispose();
+    return values;
+  }
+
   // ========================================================================
   // Train Audio Model
   // ========================================================================
@@ -754,6 +1253,7 @@ class MLTrainer {
         validationSplit: config.validationSplit || 0.2,
         ...config
       };
+      this.trainingConfig = trainingConfig;
 
       console.log(`   Training config:`, trainingConfig);
 
@@ -884,6 +1384,7 @@ class MLTrainer {
       this.model = null;
     }
     this.trainingData = null;
+    this.trainingConfig = null;
     this.history = {
       loss: [],
       accuracy: [],
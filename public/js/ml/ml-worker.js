@@ -0,0 +1,197 @@
+// ============================================================================
+// ML Worker
+// ============================================================================
+// Dedicated worker behind WorkerTrainingBackend: fits classifiers and runs
+// predictions with tf.js off the UI thread, so model.fit() and the test-mode
+// prediction loop don't stall the canvas visualizers or drop BLE frames.
+//
+// Messages in:  { id, type: 'init' | 'fit' | 'stop' | 'load' | 'predict', ... }
+// Messages out: { id, result } / { id, error } replies, and
+//               { type: 'event', event, jobId, ... } for training progress
+// ============================================================================
+
+const TFJS_VERSION = '4.11.0';
+const TFJS_CDN = `https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@${TFJS_VERSION}/dist/tf.min.js`;
+const TFJS_WASM_CDN = `https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@${TFJS_VERSION}/dist/`;
+
+importScripts(TFJS_CDN);
+
+let model = null;      // Trained or loaded model, used for predictions
+let modelKey = null;   // Which renderer model it mirrors
+let fitModel = null;   // Model being fitted
+let shouldStop = false;
+
+// ============================================================================
+// Backend
+// ============================================================================
+
+// 'wasm' falls back to 'cpu' when the WASM binaries can't be loaded
+async function init({ backend }) {
+  if (backend === 'wasm') {
+    try {
+      importScripts(`${TFJS_WASM_CDN}tf-backend-wasm.min.js`);
+      tf.wasm.setWasmPaths(TFJS_WASM_CDN);
+      if (await tf.setBackend('wasm')) {
+        await tf.ready();
+        return { backend: tf.getBackend() };
+      }
+    } catch (error) {
+      console.warn('⚠️ WASM backend unavailable, using CPU:', error.message);
+    }
+  }
+
+  await tf.setBackend('cpu');
+  await tf.ready();
+  return { backend: tf.getBackend() };
+}
+
+// ============================================================================
+// Training
+// ============================================================================
+
+// job: same shape as the main process's NativeTrainer.fit()
+async function fit(job) {
+  if (fitModel) {
+    throw new Error('Training already in progress');
+  }
+
+  shouldStop = false;
+
+  const toTensor = (data) => (data ? tf.tensor2d(data.values, data.shape) : null);
+  const tensors = {
+    trainX: toTensor(job.trainX),
+    trainY: toTensor(job.trainY),
+    valX: toTensor(job.valX),
+    valY: toTensor(job.valY),
+  };
+
+  const optimizer = tf.train.adam(job.compile.learningRate);
+  const emit = (event, data = {}) => self.postMessage({ type: 'event', event, jobId: job.jobId, ...data });
+
+  try {
+    fitModel = await tf.models.modelFromJSON(job.modelTopology);
+    fitModel.compile({
+      optimizer: optimizer,
+      loss: job.compile.loss,
+      metrics: job.compile.metrics,
+    });
+
+    emit('trainingStart', {
+      samples: job.trainX.shape[0],
+      inputs: job.trainX.shape[1],
+      backend: tf.getBackend(),
+    });
+
+    await fitModel.fit(tensors.trainX, tensors.trainY, {
+      epochs: job.epochs,
+      batchSize: job.batchSize,
+      validationData: tensors.valX ? [tensors.valX, tensors.valY] : undefined,
+      classWeight: job.classWeight,
+      shuffle: true,
+      callbacks: {
+        onEpochBegin: async (epoch, logs) => {
+          if (shouldStop) {
+            fitModel.stopTraining = true;
+          }
+          emit('epochBegin', { epoch, logs });
+        },
+        onEpochEnd: async (epoch, logs) => {
+          emit('epochEnd', { epoch, logs });
+
+          // Let a pending stop message in - fit() doesn't yield every epoch
+          await new Promise(resolve => setTimeout(resolve, 0));
+          if (shouldStop) {
+            fitModel.stopTraining = true;
+          }
+        },
+      },
+    });
+
+    const weights = fitModel.getWeights().map(weight => ({
+      values: weight.dataSync(),
+      shape: weight.shape,
+    }));
+
+    // Keep the trained model for predictions
+    setModel(fitModel, job.modelKey);
+    fitModel = null;
+
+    emit('trainingEnd', { stopped: shouldStop });
+    return { weights, stopped: shouldStop };
+
+  } finally {
+    Object.values(tensors).forEach(tensor => {
+      if (tensor) tensor.dispose();
+    });
+    if (fitModel) {
+      fitModel.dispose();
+      fitModel = null;
+    }
+    optimizer.dispose();
+  }
+}
+
+// ============================================================================
+// Prediction
+// ============================================================================
+
+function setModel(newModel, key) {
+  if (model && model !== newModel) {
+    model.dispose();
+  }
+  model = newModel;
+  modelKey = key;
+}
+
+// A model trained elsewhere (project, regression, audio) - topology + weights
+async function load({ modelKey: key, modelTopology, weights }) {
+  const loaded = await tf.models.modelFromJSON(modelTopology);
+  const tensors = weights.map(weight => tf.tensor(weight.values, weight.shape));
+  loaded.setWeights(tensors);
+  tensors.forEach(tensor => tensor.dispose());
+
+  setModel(loaded, key);
+  return { modelKey: key };
+}
+
+async function predict({ modelKey: key, rows }) {
+  if (!model || key !== modelKey) {
+    throw new Error('Model not loaded in worker');
+  }
+
+  const input = tf.tensor2d(rows);
+  const output = model.predict(input);
+  const values = await output.data();
+  input.dispose();
+  output.dispose();
+  return values;
+}
+
+// ============================================================================
+// Messages
+// ============================================================================
+
+const handlers = {
+  init,
+  fit: ({ job }) => fit(job),
+  stop: () => {
+    shouldStop = true;
+    return { stopping: fitModel !== null };
+  },
+  load,
+  predict,
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown message: ${type}`);
+    }
+    const result = await handlers[type](data);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,251 @@
+// ============================================================================
+// Motion Trigger
+// ============================================================================
+// Decides when an IMU capture starts. DataCollector runs it on every frame
+// (sample capture, idle collection and test-mode gesture detection), and the
+// same logic is generated as updateTrigger() in the IMU sketch, so the device
+// triggers the way the trainer does.
+//
+// Each strategy computes a level per frame. Motion is active from
+// level >= threshold until level < threshold - hysteresis, and a capture
+// triggers on the rising edge. doubleTap triggers on the second spike within
+// maxGapFrames; manual never triggers on its own.
+//
+// Values are in the streamed units of the multi-sensor-stream firmware:
+// accelerometer g / 4, gyroscope dps / 2000.
+// ============================================================================
+
+const ONE_G = 0.25; // 1g in streamed accelerometer units
+const TRIGGER_AXES = ['ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+const NO_SPIKE = 32767; // Frames since the last tap spike, before any spike
+
+const accelMagnitudeLevel = (f) => Math.abs(Math.sqrt(f[0] * f[0] + f[1] * f[1] + f[2] * f[2]) - ONE_G);
+const ACCEL_MAGNITUDE_C = 'fabs(sqrtf(ax * ax + ay * ay + az * az) - ONE_G)';
+
+const TRIGGER_STRATEGIES = {
+  average: {
+    label: 'Average motion',
+    description: 'Mean absolute accelerometer and gyroscope value. Includes gravity, so it can fire constantly when the board is tilted',
+    defaults: { threshold: 0.167, hysteresis: 0 },
+    level: (f) => (Math.abs(f[0]) + Math.abs(f[1]) + Math.abs(f[2]) +
+                   Math.abs(f[3]) + Math.abs(f[4]) + Math.abs(f[5])) / 6,
+    levelC: () => '(fabs(ax) + fabs(ay) + fabs(az) + fabs(gx) + fabs(gy) + fabs(gz)) / 6.0f',
+  },
+
+  accelMagnitude: {
+    label: 'Acceleration - 1g',
+    description: 'How far the acceleration magnitude is from gravity, so tilting the board does not trigger',
+    defaults: { threshold: 0.05, hysteresis: 0.02 },
+    level: accelMagnitudeLevel,
+    levelC: () => ACCEL_MAGNITUDE_C,
+  },
+
+  gyroMagnitude: {
+    label: 'Gyro magnitude',
+    description: 'Rotation speed only',
+    defaults: { threshold: 0.05, hysteresis: 0.02 },
+    level: (f) => Math.sqrt(f[3] * f[3] + f[4] * f[4] + f[5] * f[5]),
+    levelC: () => 'sqrtf(gx * gx + gy * gy + gz * gz)',
+  },
+
+  axis: {
+    label: 'Single axis',
+    description: 'Absolute value of one accelerometer or gyroscope axis',
+    defaults: { axis: 'ax', threshold: 0.1, hysteresis: 0.03 },
+    level: (f, params) => Math.abs(f[TRIGGER_AXES.indexOf(params.axis)]),
+    levelC: (params) => `fabs(${params.axis})`,
+  },
+
+  doubleTap: {
+    label: 'Double tap',
+    description: 'Two acceleration spikes within the tap gap',
+    defaults: { threshold: 0.5, hysteresis: 0.25, maxGapFrames: 25 },
+    level: accelMagnitudeLevel,
+    levelC: () => ACCEL_MAGNITUDE_C,
+  },
+
+  manual: {
+    label: 'Manual only',
+    description: 'Captures only start from the Record button (or a CAPTURE command on the device)',
+    defaults: {},
+    level: () => 0,
+    levelC: () => '0.0f',
+  },
+};
+
+class MotionTrigger {
+  constructor(config = {}) {
+    this.strategy = 'average';
+    this.params = {}; // strategy -> its own threshold/hysteresis/...
+
+    Object.entries(TRIGGER_STRATEGIES).forEach(([name, strategy]) => {
+      this.params[name] = { ...strategy.defaults };
+    });
+
+    this.load(config);
+  }
+
+  static getStrategies() {
+    return TRIGGER_STRATEGIES;
+  }
+
+  static getAxes() {
+    return TRIGGER_AXES;
+  }
+
+  // ========================================================================
+  // Settings
+  // ========================================================================
+
+  load(config = {}) {
+    Object.entries(config.params || {}).forEach(([name, params]) => {
+      if (this.params[name]) {
+        this.params[name] = { ...this.params[name], ...params };
+      }
+    });
+
+    this.setStrategy(config.strategy || this.strategy);
+  }
+
+  toJSON() {
+    const params = {};
+    Object.entries(this.params).forEach(([name, values]) => {
+      params[name] = { ...values };
+    });
+    return { strategy: this.strategy, params };
+  }
+
+  setStrategy(strategy) {
+    if (!TRIGGER_STRATEGIES[strategy]) {
+      throw new Error(`Unknown trigger strategy: ${strategy}`);
+    }
+
+    this.strategy = strategy;
+    this.reset();
+  }
+
+  getParams() {
+    return this.params[this.strategy];
+  }
+
+  // Update the current strategy's params (e.g. { threshold: 0.2 })
+  setParams(params) {
+    const current = this.getParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (key === 'axis') {
+        if (!TRIGGER_AXES.includes(value)) {
+          throw new Error(`Unknown trigger axis: ${value}`);
+        }
+        current.axis = value;
+      } else if (key in current) {
+        current[key] = Math.max(0, Number(value) || 0);
+      }
+    });
+
+    this.reset();
+  }
+
+  reset() {
+    this.active = false;
+    this.framesSinceSpike = NO_SPIKE;
+  }
+
+  // ========================================================================
+  // Per-Frame Update
+  // ========================================================================
+
+  // frame: [ax, ay, az, gx, gy, gz, ...] -> { motion, triggered, level }
+  update(frame) {
+    // No motion detection - count every frame as motion so idle windows are
+    // only collected while no gesture is selected
+    if (this.strategy === 'manual') {
+      return { motion: true, triggered: false, level: 0 };
+    }
+
+    const params = this.getParams();
+    const level = TRIGGER_STRATEGIES[this.strategy].level(frame, params);
+
+    const wasActive = this.active;
+    if (level >= params.threshold) {
+      this.active = true;
+    } else if (level < params.threshold - params.hysteresis) {
+      this.active = false;
+    }
+
+    const rising = this.active && !wasActive;
+    let triggered = rising;
+
+    if (this.strategy === 'doubleTap') {
+      if (this.framesSinceSpike < NO_SPIKE) this.framesSinceSpike++;
+
+      triggered = rising && this.framesSinceSpike <= params.maxGapFrames;
+      if (rising) {
+        this.framesSinceSpike = triggered ? NO_SPIKE : 0;
+      }
+    }
+
+    return { motion: this.active, triggered, level };
+  }
+
+  // ========================================================================
+  // C Code Generation
+  // ========================================================================
+
+  // Globals + bool updateTrigger(ax, ay, az, gx, gy, gz) for the IMU sketch.
+  // Expects the values in streamed units and rxCharacteristic (manual mode).
+  generateC() {
+    const strategy = TRIGGER_STRATEGIES[this.strategy];
+    const params = this.getParams();
+    const formatFloat = (value) => `${Number(value).toPrecision(8)}f`;
+
+    if (this.strategy === 'manual') {
+      return `// Capture trigger: ${strategy.label} - write "CAPTURE" to the UART RX characteristic
+bool updateTrigger(float ax, float ay, float az, float gx, float gy, float gz) {
+  return rxCharacteristic.written() && rxCharacteristic.value() == "CAPTURE";
+}
+`;
+    }
+
+    const isDoubleTap = this.strategy === 'doubleTap';
+
+    return `// Capture trigger: ${strategy.label} (same as the trainer)
+// Active from level >= TRIGGER_THRESHOLD until level < TRIGGER_RELEASE;
+// ${isDoubleTap ? 'a capture starts on the second spike within TAP_MAX_GAP_FRAMES' : 'a capture starts on the rising edge'}
+const float ONE_G = ${formatFloat(ONE_G)}; // 1g in streamed units (g / 4)
+const float TRIGGER_THRESHOLD = ${formatFloat(params.threshold)};
+const float TRIGGER_RELEASE = ${formatFloat(params.threshold - params.hysteresis)};
+bool triggerActive = false;
+${isDoubleTap ? `const int TAP_MAX_GAP_FRAMES = ${Math.round(params.maxGapFrames)};
+int framesSinceSpike = ${NO_SPIKE};
+` : ''}
+bool updateTrigger(float ax, float ay, float az, float gx, float gy, float gz) {
+  float level = ${strategy.levelC(params)};
+
+  bool wasActive = triggerActive;
+  if (level >= TRIGGER_THRESHOLD) {
+    triggerActive = true;
+  } else if (level < TRIGGER_RELEASE) {
+    triggerActive = false;
+  }
+
+  bool rising = triggerActive && !wasActive;
+${isDoubleTap ? `  if (framesSinceSpike < ${NO_SPIKE}) framesSinceSpike++;
+  if (!rising) return false;
+
+  if (framesSinceSpike <= TAP_MAX_GAP_FRAMES) {
+    framesSinceSpike = ${NO_SPIKE};
+    return true;
+  }
+
+  framesSinceSpike = 0;
+  return false;` : '  return rising;'}
+}
+`;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MotionTrigger;
+}
@@ -0,0 +1,99 @@
+// ============================================================================
+// Native Training Backend
+// ============================================================================
+// MLTrainer fit backend (see MLTrainer.setFitBackend) that trains in the
+// Electron main process with tfjs-node. The model is built and compiled here;
+// its topology and the training tensors go to the main process, epochs come
+// back as events and the trained weights are copied into the local model.
+// ============================================================================
+
+class NativeTrainingBackend {
+  constructor() {
+    this.name = 'tfjs-node';
+    this.jobId = null;
+    this.callbacks = null;
+
+    window.electron.on('native-training-event', (data) => this.handleEvent(data));
+  }
+
+  // True when running in Electron with tfjs-node loaded and the
+  // nativeTraining setting on
+  static async isAvailable() {
+    if (typeof window === 'undefined' || !window.electron || !window.electron.getNativeTrainingStatus) {
+      return false;
+    }
+
+    const status = await window.electron.getNativeTrainingStatus();
+    return status.available && status.enabled;
+  }
+
+  // Fits model in the main process. callbacks: { onEpochBegin(epoch, logs),
+  // onEpochEnd(epoch, logs) } like model.fit(). Resolves once the trained
+  // weights are set on model.
+  async fit(model, tensors, options, callbacks = {}) {
+    const jobId = `fit_${Date.now()}`;
+
+    const job = {
+      jobId,
+      modelTopology: model.toJSON(null, false),
+      compile: {
+        learningRate: model.optimizer.getConfig().learningRate,
+        loss: model.loss,
+        metrics: ['accuracy'],
+      },
+      trainX: await this.toTransferable(tensors.trainX),
+      trainY: await this.toTransferable(tensors.trainY),
+      valX: await this.toTransferable(tensors.valX),
+      valY: await this.toTransferable(tensors.valY),
+      epochs: options.epochs,
+      batchSize: options.batchSize,
+      classWeight: options.classWeight,
+    };
+
+    this.jobId = jobId;
+    this.callbacks = callbacks;
+
+    try {
+      const result = await window.electron.fitNative(job);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const weights = result.weights.map(weight => tf.tensor(weight.values, weight.shape));
+      model.setWeights(weights);
+      weights.forEach(weight => weight.dispose());
+
+      return { stopped: result.stopped };
+    } finally {
+      this.jobId = null;
+      this.callbacks = null;
+    }
+  }
+
+  stop() {
+    if (this.jobId) {
+      window.electron.stopNativeTraining();
+    }
+  }
+
+  async toTransferable(tensor) {
+    if (!tensor) return null;
+    return { values: await tensor.data(), shape: tensor.shape };
+  }
+
+  handleEvent({ event, jobId, epoch, logs, ...data }) {
+    if (jobId !== this.jobId || !this.callbacks) return;
+
+    if (event === 'trainingStart') {
+      console.log(`🧠 Training in the main process (${data.backend}): ${data.samples} samples × ${data.inputs} inputs`);
+    } else if (event === 'epochBegin' && this.callbacks.onEpochBegin) {
+      this.callbacks.onEpochBegin(epoch, logs);
+    } else if (event === 'epochEnd' && this.callbacks.onEpochEnd) {
+      this.callbacks.onEpochEnd(epoch, logs);
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NativeTrainingBackend;
+}
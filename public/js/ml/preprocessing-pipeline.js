@@ -0,0 +1,372 @@
+// ============================================================================
+// Preprocessing Pipeline
+// ============================================================================
+// Declarative, ordered list of filters applied to every sample window before
+// normalization:
+//   [{ type: 'lowPass', params: { alpha: 0.5 } }, { type: 'magnitude' }, ...]
+// The same steps run in DataProcessor (training), MLTrainer.predict (test
+// mode) and as generated C (preprocessSample() in the exported model_data.h),
+// so all three stay identical without keeping them in sync by hand.
+//
+// Each window is processed on its own, starting from its first frame, so the
+// stateful filters (low-pass, gravity removal, derivative) give the same
+// result wherever the window is captured.
+//
+// The pipeline works on the model's input channels - the data type's channels
+// (getChannelNames, namespaced per device when several are fused) or the
+// subset selected for training.
+// ============================================================================
+
+// Channel names per data type, in the order they are streamed
+const PIPELINE_CHANNELS = {
+  imu: ['ax', 'ay', 'az', 'gx', 'gy', 'gz', 'mx', 'my', 'mz'],
+  color: ['r', 'g', 'b', 'c', 'p'],
+  capacitive: ['e0', 'e1', 'e2', 'e3', 'e4', 'e5', 'e6', 'e7', 'e8', 'e9', 'e10', 'e11'],
+};
+
+// [min, max] per channel of the registered (profile-driven) data types
+const PIPELINE_RANGES = {};
+
+// ============================================================================
+// Filters
+// ============================================================================
+// resolve(params, names)  -> { inputs, outputs, names } channel indices for the step
+// apply(frames, step)     -> mutates frames (array of per-frame arrays)
+// generateC(step)         -> C statements on pipelineWork[f][c]
+// Empty `channels` params mean every current channel.
+
+const PIPELINE_FILTERS = {
+  lowPass: {
+    label: 'Low-pass filter',
+    description: 'Exponential smoothing, y += alpha * (x - y)',
+    defaults: { alpha: 0.5, channels: [] },
+    params: [{ name: 'alpha', label: 'Alpha', min: 0.01, max: 1, step: 0.01 }],
+
+    resolve(params, names) {
+      const inputs = resolveChannels(params.channels, names);
+      return { inputs, outputs: inputs, names };
+    },
+
+    apply(frames, step) {
+      const alpha = step.params.alpha;
+      step.inputs.forEach(c => {
+        let y = frames[0][c];
+        frames.forEach(frame => {
+          y += alpha * (frame[c] - y);
+          frame[c] = y;
+        });
+      });
+    },
+
+    generateC(step) {
+      return `  {
+    const int ch[] = { ${step.inputs.join(', ')} };
+    for (int k = 0; k < ${step.inputs.length}; k++) {
+      int c = ch[k];
+      float y = pipelineWork[0][c];
+      for (int f = 0; f < PIPELINE_FRAMES; f++) {
+        y += ${formatFloat(step.params.alpha)} * (pipelineWork[f][c] - y);
+        pipelineWork[f][c] = y;
+      }
+    }
+  }`;
+    },
+  },
+
+  removeGravity: {
+    label: 'Remove gravity',
+    description: 'Subtracts a slow low-pass estimate of gravity from the accelerometer',
+    defaults: { alpha: 0.9, channels: ['ax', 'ay', 'az'] },
+    params: [{ name: 'alpha', label: 'Alpha', min: 0.5, max: 0.999, step: 0.001 }],
+
+    resolve(params, names) {
+      const inputs = resolveChannels(params.channels, names);
+      return { inputs, outputs: inputs, names };
+    },
+
+    apply(frames, step) {
+      const alpha = step.params.alpha;
+      step.inputs.forEach(c => {
+        let gravity = frames[0][c];
+        frames.forEach(frame => {
+          gravity = alpha * gravity + (1 - alpha) * frame[c];
+          frame[c] -= gravity;
+        });
+      });
+    },
+
+    generateC(step) {
+      const alpha = step.params.alpha;
+      return `  {
+    const int ch[] = { ${step.inputs.join(', ')} };
+    for (int k = 0; k < ${step.inputs.length}; k++) {
+      int c = ch[k];
+      float gravity = pipelineWork[0][c];
+      for (int f = 0; f < PIPELINE_FRAMES; f++) {
+        gravity = ${formatFloat(alpha)} * gravity + ${formatFloat(1 - alpha)} * pipelineWork[f][c];
+        pipelineWork[f][c] -= gravity;
+      }
+    }
+  }`;
+    },
+  },
+
+  derivative: {
+    label: 'First derivative',
+    description: 'Frame-to-frame difference (0 on the first frame)',
+    defaults: { channels: [], append: true },
+    params: [{ name: 'append', label: 'Keep original channels', type: 'boolean' }],
+
+    resolve(params, names) {
+      const inputs = resolveChannels(params.channels, names);
+      if (!params.append) {
+        return { inputs, outputs: inputs, names };
+      }
+
+      const outputs = inputs.map((_, k) => names.length + k);
+      return { inputs, outputs, names: names.concat(inputs.map(c => `d_${names[c]}`)) };
+    },
+
+    apply(frames, step) {
+      step.inputs.forEach((c, k) => {
+        const d = step.outputs[k];
+        let previous = frames[0][c];
+        frames.forEach(frame => {
+          const x = frame[c];
+          frame[d] = x - previous;
+          previous = x;
+        });
+      });
+    },
+
+    generateC(step) {
+      return `  {
+    const int ch[] = { ${step.inputs.join(', ')} };
+    const int out[] = { ${step.outputs.join(', ')} };
+    for (int k = 0; k < ${step.inputs.length}; k++) {
+      int c = ch[k];
+      int d = out[k];
+      float previous = pipelineWork[0][c];
+      for (int f = 0; f < PIPELINE_FRAMES; f++) {
+        float x = pipelineWork[f][c];
+        pipelineWork[f][d] = x - previous;
+        previous = x;
+      }
+    }
+  }`;
+    },
+  },
+
+  magnitude: {
+    label: 'Magnitude',
+    description: 'Adds the vector length of each channel group',
+    defaults: { groups: [['ax', 'ay', 'az'], ['gx', 'gy', 'gz']] },
+    params: [],
+
+    resolve(params, names) {
+      const groups = params.groups.map(group => resolveChannels(group, names));
+      const outputs = groups.map((_, k) => names.length + k);
+      const added = params.groups.map(group => `mag_${group.join('_')}`);
+      return { inputs: groups, outputs, names: names.concat(added) };
+    },
+
+    apply(frames, step) {
+      step.inputs.forEach((group, k) => {
+        const d = step.outputs[k];
+        frames.forEach(frame => {
+          let sum = 0;
+          group.forEach(c => { sum += frame[c] * frame[c]; });
+          frame[d] = Math.sqrt(sum);
+        });
+      });
+    },
+
+    generateC(step) {
+      const lines = step.inputs.map((group, k) => {
+        const sum = group.map(c => `pipelineWork[f][${c}] * pipelineWork[f][${c}]`).join(' + ');
+        return `    pipelineWork[f][${step.outputs[k]}] = sqrtf(${sum});`;
+      });
+
+      return `  for (int f = 0; f < PIPELINE_FRAMES; f++) {
+${lines.join('\n')}
+  }`;
+    },
+  },
+};
+
+function resolveChannels(channels, names) {
+  if (!channels || channels.length === 0) {
+    return names.map((_, i) => i);
+  }
+
+  return channels.map(name => {
+    const index = names.indexOf(name);
+    if (index === -1) {
+      throw new Error(`Unknown channel "${name}" (available: ${names.join(', ')})`);
+    }
+    return index;
+  });
+}
+
+function formatFloat(value) {
+  return `${Number(value).toPrecision(8)}f`;
+}
+
+// ============================================================================
+// Pipeline
+// ============================================================================
+
+class PreprocessingPipeline {
+  constructor(steps = []) {
+    this.steps = (steps || []).map(step => PreprocessingPipeline.normalizeStep(step));
+  }
+
+  static getFilters() {
+    return PIPELINE_FILTERS;
+  }
+
+  // devices: DeviceFusion labels - fused frames repeat the channels once per
+  // device, namespaced as wrist.ax, ..., ankle.mz
+  static getChannelNames(dataType = 'imu', devices = null) {
+    const names = PIPELINE_CHANNELS[dataType] || PIPELINE_CHANNELS.imu;
+
+    if (!devices || devices.length < 2) {
+      return names;
+    }
+
+    return devices.flatMap(device => names.map(name => `${device}.${name}`));
+  }
+
+  // Custom sensor data types ('sensor:<profile id>') from device profiles:
+  // fields are the profile's dataFormat.fields ({ name, range })
+  static registerDataType(dataType, fields) {
+    if (PIPELINE_CHANNELS[dataType] && !PIPELINE_RANGES[dataType]) {
+      throw new Error(`Data type ${dataType} is built in`);
+    }
+
+    PIPELINE_CHANNELS[dataType] = fields.map(field => field.name);
+    PIPELINE_RANGES[dataType] = fields.map(field => field.range || null);
+  }
+
+  // [min, max] (or null) per channel - null for the built-in data types
+  static getChannelRanges(dataType) {
+    return PIPELINE_RANGES[dataType] || null;
+  }
+
+  // Fill in default params so stored configs stay explicit
+  static normalizeStep(step) {
+    const filter = PIPELINE_FILTERS[step.type];
+    if (!filter) {
+      throw new Error(`Unknown preprocessing filter: ${step.type}`);
+    }
+
+    return {
+      type: step.type,
+      params: { ...filter.defaults, ...(step.params || {}) },
+    };
+  }
+
+  isEmpty() {
+    return this.steps.length === 0;
+  }
+
+  toJSON() {
+    return this.steps.map(step => ({ type: step.type, params: { ...step.params } }));
+  }
+
+  // Resolve channel names to indices for the input channels. Returns the
+  // resolved steps and the output channel names (inputs plus any added channels).
+  compile(inputChannels = PIPELINE_CHANNELS.imu) {
+    let names = inputChannels;
+
+    const steps = this.steps.map(step => {
+      const resolved = PIPELINE_FILTERS[step.type].resolve(step.params, names);
+      names = resolved.names;
+      return { type: step.type, params: step.params, inputs: resolved.inputs, outputs: resolved.outputs };
+    });
+
+    return { steps, channels: names };
+  }
+
+  getOutputChannels(inputChannels = PIPELINE_CHANNELS.imu) {
+    return this.compile(inputChannels).channels;
+  }
+
+  // ========================================================================
+  // JavaScript
+  // ========================================================================
+
+  // samples: flat frames × input channels arrays -> flat frames × output channels
+  process(samples, inputChannels = PIPELINE_CHANNELS.imu) {
+    if (this.isEmpty()) {
+      return samples;
+    }
+
+    const { steps, channels } = this.compile(inputChannels);
+    const rawChannels = inputChannels.length;
+
+    return samples.map(sample => {
+      const frames = [];
+      for (let i = 0; i + rawChannels <= sample.length; i += rawChannels) {
+        const frame = new Array(channels.length).fill(0);
+        for (let c = 0; c < rawChannels; c++) frame[c] = sample[i + c];
+        frames.push(frame);
+      }
+
+      if (frames.length === 0) {
+        return [];
+      }
+
+      steps.forEach(step => PIPELINE_FILTERS[step.type].apply(frames, step));
+      return frames.flat();
+    });
+  }
+
+  // ========================================================================
+  // C Code Generation
+  // ========================================================================
+
+  // preprocessSample(raw, out): raw is numFrames × input channels as buffered,
+  // out is numFrames × output channels (the model input before normalization)
+  generateC(inputChannels, numFrames) {
+    const { steps, channels } = this.compile(inputChannels);
+    const rawChannels = inputChannels.length;
+
+    const summary = steps.length > 0
+      ? steps.map((step, i) => `//   ${i + 1}. ${PIPELINE_FILTERS[step.type].label} ${JSON.stringify(step.params)}`).join('\n')
+      : '//   (no steps - raw values pass through)';
+
+    const body = steps.map((step, i) =>
+      `  // ${i + 1}. ${PIPELINE_FILTERS[step.type].label}\n${PIPELINE_FILTERS[step.type].generateC(step)}`
+    ).join('\n\n');
+
+    return `// Preprocessing pipeline (same steps as training and the web app test mode)
+${summary}
+// Output channels: ${channels.join(', ')}
+const int PIPELINE_FRAMES = ${numFrames};
+const int PIPELINE_RAW_CHANNELS = ${rawChannels};
+const int PIPELINE_CHANNELS = ${channels.length};
+
+float pipelineWork[PIPELINE_FRAMES][PIPELINE_CHANNELS];
+
+void preprocessSample(const float* raw, float* out) {
+  for (int f = 0; f < PIPELINE_FRAMES; f++) {
+    for (int c = 0; c < PIPELINE_RAW_CHANNELS; c++) {
+      pipelineWork[f][c] = raw[f * PIPELINE_RAW_CHANNELS + c];
+    }
+  }
+${body ? `\n${body}\n` : ''}
+  for (int f = 0; f < PIPELINE_FRAMES; f++) {
+    for (int c = 0; c < PIPELINE_CHANNELS; c++) {
+      out[f * PIPELINE_CHANNELS + c] = pipelineWork[f][c];
+    }
+  }
+}
+`;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PreprocessingPipeline;
+}
@@ -131,7 +131,7 @@ class RegressionManager {
 
   importJSON(json) {
     try {
-      const data = JSON.parse(json);
+      const data = typeof json === 'string' ? JSON.parse(json) : json;
 
       // Validate structure
       if (!data.samples || !data.metadata) {
@@ -0,0 +1,306 @@
+// ============================================================================
+// Custom Sensor Data Collector
+// ============================================================================
+// Captures samples from any CSV-streaming board described by a device profile
+// (public/profiles/*.json with a `capture` section): flex sensors,
+// potentiometers, EMG... One line of the stream is one frame with one value
+// per profile field, in field order. Only devices connected with the selected
+// profile are listened to.
+// Based on CapacitiveDataCollector pattern
+// ============================================================================
+
+class SensorDataCollector {
+  constructor(bridge, gestureManager) {
+    this.bridge = bridge;
+    this.gestureManager = gestureManager;  // Reuses GestureManager for sensor samples
+
+    // Active profile (setProfile) - nothing is collected without one
+    this.profile = null;
+    this.fields = [];
+    this.dataType = null;
+
+    // Capture state
+    this.isCapturing = false;
+    this.currentSample = [];
+    this.currentLabel = null;
+    this.framesCollected = 0;
+    this.framesTarget = 50;
+
+    // Pause state for manual testing
+    this.isPaused = false;
+
+    // Device of the last sensor frame - a sample's stream stats count only it
+    this.sourceDevice = null;
+
+    // Rolling buffer for testing and real-time predictions
+    this.currentBuffer = [];
+    this.maxBufferFrames = 200;
+
+    // Latest frame for display, in field order
+    this.latestValues = [];
+
+    // Capture settings
+    this.captureDelay = 20; // ms between captures (50 Hz), from the profile's sampleRate
+    this.lastCaptureTimestamp = 0;
+
+    // Listeners
+    this.listeners = {
+      captureStarted: [],
+      frameCollected: [],
+      captureCompleted: [],
+      captureFailed: [],
+      captureCancelled: [],
+      dataUpdate: [],
+    };
+
+    this.setupDataListener();
+  }
+
+  // ========================================================================
+  // Event System
+  // ========================================================================
+
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // ========================================================================
+  // Profile
+  // ========================================================================
+
+  // Frames are parsed with the profile's fields from now on. Data type of
+  // the samples: 'sensor:<profile id>'
+  setProfile(profile) {
+    this.cancelCapture();
+
+    this.profile = profile;
+    this.fields = profile ? profile.dataFormat.fields : [];
+    this.dataType = profile ? SensorDataCollector.getDataType(profile) : null;
+    this.currentBuffer = [];
+    this.latestValues = [];
+
+    const capture = (profile && profile.capture) || {};
+    this.captureDelay = capture.sampleRate ? 1000 / capture.sampleRate : 20;
+    if (capture.framesPerSample) {
+      this.framesTarget = capture.framesPerSample;
+    }
+  }
+
+  static getDataType(profile) {
+    return `sensor:${profile.id}`;
+  }
+
+  getChannelCount() {
+    return this.fields.length;
+  }
+
+  // ========================================================================
+  // Data Listening
+  // ========================================================================
+
+  setupDataListener() {
+    // Listen to all devices (use wildcard)
+    this.bridge.onData('*', (data, deviceId) => {
+      this.processSensorData(data, deviceId);
+    });
+  }
+
+  processSensorData(data, deviceId) {
+    if (this.isPaused || !this.profile) {
+      return;
+    }
+
+    // Other boards (IMU, color, ...) can stream as many values per line -
+    // only take frames from devices connected with this profile
+    if (this.bridge.getDeviceProfile(deviceId) !== this.profile.id) {
+      return;
+    }
+
+    const values = data.split(',').map(v => parseFloat(v.trim()));
+
+    // Text replies and broken lines
+    if (values.length !== this.fields.length || values.some(v => isNaN(v))) {
+      return;
+    }
+
+    this.sourceDevice = deviceId;
+    this.latestValues = values;
+
+    // Update rolling buffer for testing (always, not just when capturing)
+    this.currentBuffer.push(...values);
+
+    const maxBufferSize = this.maxBufferFrames * this.fields.length;
+    if (this.currentBuffer.length > maxBufferSize) {
+      this.currentBuffer = this.currentBuffer.slice(-maxBufferSize);
+    }
+
+    // Emit data update for real-time visualization
+    this.emit('dataUpdate', values);
+
+    if (this.isCapturing) {
+      this.collectFrame(values);
+    }
+  }
+
+  // ========================================================================
+  // Capture Control
+  // ========================================================================
+
+  selectLabel(labelName) {
+    this.currentLabel = labelName;
+    console.log('✅ Selected sensor label:', labelName);
+  }
+
+  startCapture() {
+    if (!this.profile) {
+      const error = 'No sensor profile selected';
+      console.error('❌', error);
+      this.emit('captureFailed', { error });
+      return false;
+    }
+
+    if (!this.currentLabel) {
+      const error = 'No label selected';
+      console.error('❌', error);
+      this.emit('captureFailed', { error });
+      return false;
+    }
+
+    if (this.isCapturing) {
+      console.warn('⚠️ Already capturing');
+      return false;
+    }
+
+    this.isCapturing = true;
+    this.currentSample = [];
+    this.framesCollected = 0;
+    this.lastCaptureTimestamp = 0;
+    this.captureDevices = this.getStreamDevices();
+    this.streamAtCapture = this.bridge.getStreamTotals(this.captureDevices);
+
+    console.log(`📡 Started capturing ${this.profile.id} sample for "${this.currentLabel}"`);
+    this.emit('captureStarted', {
+      label: this.currentLabel,
+      framesTarget: this.framesTarget
+    });
+
+    return true;
+  }
+
+  collectFrame(values) {
+    // Honor capture delay
+    const now = Date.now();
+    if (now - this.lastCaptureTimestamp < this.captureDelay) {
+      return;
+    }
+    this.lastCaptureTimestamp = now;
+
+    this.currentSample.push(...values);
+    this.framesCollected++;
+
+    this.emit('frameCollected', {
+      framesCollected: this.framesCollected,
+      framesTarget: this.framesTarget,
+      progress: this.framesCollected / this.framesTarget
+    });
+
+    if (this.framesCollected >= this.framesTarget) {
+      this.completeCapture();
+    }
+  }
+
+  completeCapture() {
+    if (!this.isCapturing) return;
+
+    this.isCapturing = false;
+
+    try {
+      this.gestureManager.addSample(this.currentLabel, this.currentSample, {
+        dataType: this.dataType,
+        stream: this.getCaptureStreamStats(),
+      });
+
+      console.log(`✅ Completed sensor sample for "${this.currentLabel}"`);
+      console.log(`   Total values: ${this.currentSample.length} (${this.framesCollected} × ${this.fields.length})`);
+
+      this.emit('captureCompleted', {
+        label: this.currentLabel,
+        framesCollected: this.framesCollected,
+        sampleData: this.currentSample
+      });
+
+      this.currentSample = [];
+      this.framesCollected = 0;
+
+    } catch (error) {
+      console.error('❌ Failed to save sensor sample:', error);
+      this.emit('captureFailed', { error: error.message });
+    }
+  }
+
+  // The device the frames come from (none before the first frame)
+  getStreamDevices() {
+    return this.sourceDevice ? [this.sourceDevice] : [];
+  }
+
+  // Dropped/garbled frames since the capture started, stored with the sample
+  getCaptureStreamStats() {
+    return this.bridge.getStreamStatsSince(this.streamAtCapture, this.captureDevices);
+  }
+
+  cancelCapture() {
+    if (!this.isCapturing) return;
+
+    this.isCapturing = false;
+    this.currentSample = [];
+    this.framesCollected = 0;
+
+    console.log('❌ Sensor capture cancelled');
+    this.emit('captureCancelled', {});
+  }
+
+  // ========================================================================
+  // Settings
+  // ========================================================================
+
+  setFramesTarget(frames) {
+    this.framesTarget = frames;
+    console.log('✅ Frames target set to:', frames);
+  }
+
+  // ========================================================================
+  // Pause/Resume (for testing mode)
+  // ========================================================================
+
+  pause() {
+    this.isPaused = true;
+  }
+
+  resume() {
+    this.isPaused = false;
+  }
+
+  // ========================================================================
+  // Utility Methods
+  // ========================================================================
+
+  getLatestValues() {
+    return this.latestValues;
+  }
+
+  getCurrentBuffer() {
+    return this.currentBuffer;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SensorDataCollector;
+}
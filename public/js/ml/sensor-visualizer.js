@@ -0,0 +1,206 @@
+// ============================================================================
+// Custom Sensor Data Visualizer
+// ============================================================================
+// Live strip chart for the fields of a device profile: one row per channel
+// with its name, unit and current value. Rows are scaled to the field's
+// [min, max] range; fields without a range scale to the values on screen.
+// ============================================================================
+
+class SensorVisualizer {
+  constructor(canvasId) {
+    this.canvas = document.getElementById(canvasId);
+    this.ctx = this.canvas.getContext('2d');
+
+    // Setup high-DPI canvas for crisp rendering
+    this.setupHighDPI();
+
+    this.fields = [];      // Profile dataFormat.fields
+    this.dataBuffer = [];  // One array of values per field
+
+    this.maxBufferSize = 150; // Show last 150 frames (3 seconds at 50 Hz)
+    this.isAnimating = false;
+    this.isCapturing = false; // Track if currently capturing samples
+
+    // Colors - Purple theme matching IMU visualizer
+    this.colors = {
+      grid: '#2a1a4a',
+      text: '#a0a0d0',
+      background: '#0f0a1f',
+      idle: 'rgba(160, 160, 208, 0.7)',
+      channels: [
+        '#7c4dff', '#4ecdc4', '#ff4081', '#ffd166', '#6bb6ff', '#a5e887',
+        '#ff8a65', '#b371ff', '#42c1b8', '#f06292', '#fff176', '#519eff'
+      ],
+    };
+
+    // Start animation loop
+    this.startAnimation();
+  }
+
+  // ========================================================================
+  // High-DPI Canvas Setup
+  // ========================================================================
+
+  setupHighDPI() {
+    const dpr = window.devicePixelRatio || 1;
+
+    // Fixed dimensions for 280px canvas
+    const displayWidth = 800;
+    const displayHeight = 280;
+
+    this.canvas.style.width = displayWidth + 'px';
+    this.canvas.style.height = displayHeight + 'px';
+
+    this.canvas.width = displayWidth * dpr;
+    this.canvas.height = displayHeight * dpr;
+
+    this.ctx.scale(dpr, dpr);
+
+    this.displayWidth = displayWidth;
+    this.displayHeight = displayHeight;
+  }
+
+  // ========================================================================
+  // Data Management
+  // ========================================================================
+
+  setFields(fields) {
+    this.fields = fields || [];
+    this.clearBuffer();
+  }
+
+  addFrame(values) {
+    values.forEach((value, i) => {
+      const buffer = this.dataBuffer[i];
+      if (!buffer) return;
+
+      buffer.push(value);
+      if (buffer.length > this.maxBufferSize) {
+        buffer.shift();
+      }
+    });
+  }
+
+  clearBuffer() {
+    this.dataBuffer = this.fields.map(() => []);
+  }
+
+  // Set capturing state (affects line colors)
+  setCapturing(isCapturing) {
+    this.isCapturing = isCapturing;
+  }
+
+  // ========================================================================
+  // Animation Loop
+  // ========================================================================
+
+  startAnimation() {
+    if (this.isAnimating) return;
+    this.isAnimating = true;
+    this.animate();
+  }
+
+  stopAnimation() {
+    this.isAnimating = false;
+  }
+
+  animate() {
+    if (!this.isAnimating) return;
+
+    this.draw();
+    requestAnimationFrame(() => this.animate());
+  }
+
+  // ========================================================================
+  // Drawing
+  // ========================================================================
+
+  draw() {
+    const w = this.displayWidth;
+    const h = this.displayHeight;
+    const ctx = this.ctx;
+
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, w, h);
+
+    if (this.fields.length === 0) {
+      ctx.fillStyle = this.colors.text;
+      ctx.font = '14px monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('No sensor profile selected', w / 2, h / 2);
+      return;
+    }
+
+    const rowHeight = h / this.fields.length;
+    this.fields.forEach((field, i) => {
+      this.drawChannel(field, this.dataBuffer[i], i, i * rowHeight, w, rowHeight);
+    });
+  }
+
+  drawChannel(field, data, index, y, width, height) {
+    const ctx = this.ctx;
+    const labelWidth = 150;
+    const padding = 4;
+
+    // Row separator
+    ctx.strokeStyle = this.colors.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, y + height);
+    ctx.lineTo(width, y + height);
+    ctx.stroke();
+
+    // Name, unit and current value
+    const current = data.length > 0 ? data[data.length - 1] : null;
+    const unit = field.unit ? ` ${field.unit}` : '';
+    ctx.fillStyle = this.colors.channels[index % this.colors.channels.length];
+    ctx.font = 'bold 12px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(field.name, 8, y + height / 2 - (height > 30 ? 7 : 0));
+    if (height > 30) {
+      ctx.fillStyle = this.colors.text;
+      ctx.font = '11px monospace';
+      ctx.fillText(current === null ? '—' : `${current.toFixed(3)}${unit}`, 8, y + height / 2 + 8);
+    }
+
+    if (data.length < 2) return;
+
+    // Scale to the profile range, or to the visible values
+    const [min, max] = field.range || [Math.min(...data), Math.max(...data)];
+    const range = max - min || 1; // Avoid division by zero
+    const plotX = labelWidth;
+    const plotWidth = width - labelWidth - padding;
+    const plotY = y + padding;
+    const plotHeight = height - padding * 2;
+
+    ctx.beginPath();
+    ctx.strokeStyle = this.isCapturing
+      ? this.colors.channels[index % this.colors.channels.length]
+      : this.colors.idle;
+    ctx.lineWidth = 1.5;
+
+    data.forEach((value, i) => {
+      const px = plotX + (i / (this.maxBufferSize - 1)) * plotWidth;
+      const normalized = Math.max(0, Math.min(1, (value - min) / range));
+      const py = plotY + plotHeight - normalized * plotHeight;
+
+      if (i === 0) {
+        ctx.moveTo(px, py);
+      } else {
+        ctx.lineTo(px, py);
+      }
+    });
+
+    ctx.stroke();
+  }
+
+  // ========================================================================
+  // Utility Methods
+  // ========================================================================
+
+  resize() {
+    this.setupHighDPI();
+  }
+}
@@ -0,0 +1,292 @@
+// ============================================================================
+// Streaming Inference
+// ============================================================================
+// Gesture detection for test mode: instead of a continuous argmax over the
+// rolling buffer, frames are segmented with the same motion trigger the
+// DataCollector uses for capture (DataCollector.trigger), classified with
+// sliding windows while the motion lasts, and turned into one discrete event
+// per gesture:
+//   'gesture'    - { label, classIndex, confidence, probabilities, windows, frames }
+//   'rejected'   - { reason: 'idle' | 'low-confidence', label, confidence }
+//   'prediction' - every window (for probability bars)
+//   'stateChange'- 'listening' | 'gesture' | 'cooldown'
+// ============================================================================
+
+class StreamingInference {
+  constructor(mlTrainer, dataCollector, options = {}) {
+    this.mlTrainer = mlTrainer;
+    this.dataCollector = dataCollector;
+
+    // IMU frames: ax,ay,az,gx,gy,gz,mx,my,mz (per device when fused)
+    this.channels = 9;
+
+    // Settings
+    this.windowFrames = options.windowFrames || null; // null = model input size
+    this.hopFrames = options.hopFrames || 10;
+    this.confidenceThreshold = options.confidenceThreshold !== undefined ? options.confidenceThreshold : 0.7;
+    this.cooldownMs = options.cooldownMs !== undefined ? options.cooldownMs : 500;
+    this.quietFramesToEnd = options.quietFramesToEnd || 10; // Still frames that end a gesture
+    this.maxSegmentFrames = options.maxSegmentFrames || null; // null = 2x window
+
+    // Classes that mean "no gesture" (matched case-insensitively), on top of
+    // the flagged idle class
+    this.rejectLabels = options.rejectLabels || ['idle', 'none', 'unknown', 'background', 'nothing'];
+
+    // State
+    this.isRunning = false;
+    this.state = 'listening';
+    this.modelFrames = 0;
+    this.segment = [];
+    this.segmentPredictions = [];
+    this.framesSinceWindow = 0;
+    this.quietFrames = 0;
+    this.cooldownUntil = 0;
+    this.queue = Promise.resolve();
+
+    this.frameHandler = (frame) => this.processFrame(frame);
+
+    // Listeners
+    this.listeners = {
+      prediction: [],
+      gesture: [],
+      rejected: [],
+      stateChange: [],
+    };
+  }
+
+  // ========================================================================
+  // Event System
+  // ========================================================================
+
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // ========================================================================
+  // Start / Stop
+  // ========================================================================
+
+  start() {
+    if (this.isRunning) return;
+
+    if (!this.mlTrainer.model) {
+      throw new Error('No trained model available');
+    }
+
+    // The model must have been trained on the devices being fused now
+    const modelDevices = (this.mlTrainer.trainingData && this.mlTrainer.trainingData.devices) || [];
+    const devices = this.dataCollector.getDeviceLabels() || [];
+    if (modelDevices.join(',') !== devices.join(',')) {
+      throw new Error(`Model was trained on devices [${modelDevices.join(', ') || 'single device'}], not [${devices.join(', ') || 'single device'}]`);
+    }
+
+    // Raw IMU frames - MLTrainer.predict() runs any preprocessing itself
+    this.channels = this.dataCollector.getFrameChannels();
+    const inputSize = this.mlTrainer.getRawInputSize();
+    if (inputSize % this.channels !== 0) {
+      throw new Error(`Model input size ${inputSize} is not a multiple of ${this.channels} IMU channels`);
+    }
+
+    this.modelFrames = inputSize / this.channels;
+    this.reset();
+    this.isRunning = true;
+    this.dataCollector.on('frame', this.frameHandler);
+
+    console.log(`🎯 Streaming inference started (window ${this.getWindowFrames()} frames, hop ${this.hopFrames}, threshold ${(this.confidenceThreshold * 100).toFixed(0)}%)`);
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.dataCollector.off('frame', this.frameHandler);
+    this.reset();
+
+    console.log('🛑 Streaming inference stopped');
+  }
+
+  reset() {
+    this.segment = [];
+    this.segmentPredictions = [];
+    this.framesSinceWindow = 0;
+    this.quietFrames = 0;
+    this.cooldownUntil = 0;
+    this.setState('listening');
+  }
+
+  setState(state) {
+    if (this.state !== state) {
+      this.state = state;
+      this.emit('stateChange', state);
+    }
+  }
+
+  // ========================================================================
+  // Settings
+  // ========================================================================
+
+  getWindowFrames() {
+    return this.windowFrames || this.modelFrames;
+  }
+
+  getMaxSegmentFrames() {
+    return this.maxSegmentFrames || this.getWindowFrames() * 2;
+  }
+
+  setHopFrames(frames) {
+    this.hopFrames = Math.max(1, Math.round(frames));
+  }
+
+  setConfidenceThreshold(value) {
+    this.confidenceThreshold = Math.max(0, Math.min(1, value));
+  }
+
+  setCooldown(ms) {
+    this.cooldownMs = Math.max(0, ms);
+  }
+
+  isRejectLabel(label) {
+    return this.mlTrainer.isIdleLabel(label) ||
+      this.rejectLabels.includes(String(label).toLowerCase());
+  }
+
+  // ========================================================================
+  // Segmentation
+  // ========================================================================
+
+  processFrame({ values, motion, triggered }) {
+    if (!this.isRunning) return;
+
+    if (this.state === 'cooldown') {
+      if (Date.now() < this.cooldownUntil) return;
+      this.setState('listening');
+    }
+
+    if (this.state === 'listening') {
+      // Gesture onset - same trigger as sample capture
+      if (!triggered) return;
+
+      // segmentPredictions is cleared by finishSegment(), which runs on the
+      // queue after the previous gesture's windows. The segment starts with
+      // the collector's pre-trigger frames, like captured samples do.
+      this.segment = this.dataCollector.getPreTriggerFrames().slice(0, -1);
+      this.framesSinceWindow = 0;
+      this.quietFrames = 0;
+      this.setState('gesture');
+    }
+
+    this.segment.push(values);
+    this.framesSinceWindow++;
+    this.quietFrames = motion ? 0 : this.quietFrames + 1;
+
+    const windowFrames = this.getWindowFrames();
+
+    // First window as soon as it's full (matches how samples were captured),
+    // then one every hopFrames while the motion continues
+    if (this.segment.length === windowFrames ||
+        (this.segment.length > windowFrames && this.framesSinceWindow >= this.hopFrames)) {
+      this.framesSinceWindow = 0;
+      const windowValues = this.segment.slice(-windowFrames);
+      this.queue = this.queue.then(() => this.classifyWindow(windowValues));
+    }
+
+    const ended = this.segment.length >= windowFrames && this.quietFrames >= this.quietFramesToEnd;
+    if (ended || this.segment.length >= this.getMaxSegmentFrames()) {
+      const frames = this.segment.length;
+      this.segment = [];
+      this.cooldownUntil = Date.now() + this.cooldownMs;
+      this.setState('cooldown');
+      this.queue = this.queue.then(() => this.finishSegment(frames));
+    }
+  }
+
+  // ========================================================================
+  // Classification
+  // ========================================================================
+
+  async classifyWindow(windowValues) {
+    if (!this.isRunning) return;
+
+    const frames = windowValues.length === this.modelFrames
+      ? windowValues
+      : this.resampleFrames(windowValues, this.modelFrames);
+
+    try {
+      const prediction = await this.mlTrainer.predict(frames.flat(), { smooth: false });
+      this.segmentPredictions.push(prediction);
+      this.emit('prediction', prediction);
+    } catch (error) {
+      console.error('❌ Streaming prediction error:', error);
+    }
+  }
+
+  // Average the window probabilities over the whole gesture, then accept or
+  // reject the winner - one event per gesture instead of per window
+  finishSegment(frames) {
+    const predictions = this.segmentPredictions;
+    this.segmentPredictions = [];
+
+    if (!this.isRunning || predictions.length === 0) return;
+
+    const numClasses = predictions[0].probabilities.length;
+    const probabilities = new Array(numClasses).fill(0);
+    predictions.forEach(p => {
+      p.probabilities.forEach((prob, i) => {
+        probabilities[i] += prob / predictions.length;
+      });
+    });
+
+    const classIndex = probabilities.indexOf(Math.max(...probabilities));
+    const label = this.mlTrainer.trainingData.labels[classIndex];
+    const confidence = probabilities[classIndex];
+
+    if (this.isRejectLabel(label)) {
+      this.emit('rejected', { reason: 'idle', label, confidence, frames });
+    } else if (confidence < this.confidenceThreshold) {
+      this.emit('rejected', { reason: 'low-confidence', label, confidence, frames });
+    } else {
+      console.log(`🎯 Gesture detected: ${label} (${(confidence * 100).toFixed(1)}%)`);
+      this.emit('gesture', {
+        label,
+        classIndex,
+        confidence,
+        probabilities,
+        windows: predictions.length,
+        frames,
+        timestamp: Date.now(),
+      });
+    }
+  }
+
+  // Linear interpolation per channel when the window length differs from the
+  // frame count the model was trained on
+  resampleFrames(frames, targetCount) {
+    if (frames.length === 1) {
+      return new Array(targetCount).fill(frames[0]);
+    }
+
+    const result = [];
+    for (let i = 0; i < targetCount; i++) {
+      const position = (i * (frames.length - 1)) / (targetCount - 1);
+      const lower = Math.floor(position);
+      const upper = Math.min(lower + 1, frames.length - 1);
+      const t = position - lower;
+
+      result.push(frames[lower].map((value, c) => value + (frames[upper][c] - value) * t));
+    }
+    return result;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StreamingInference;
+}
@@ -0,0 +1,1054 @@
+// ============================================================================
+// TFLite Writer
+// ============================================================================
+// Serializes a trained TensorFlow.js model into a TensorFlow Lite flatbuffer
+// (schema v3) that TensorFlow Lite Micro can load on the Arduino.
+// Supports Dense, Dropout (removed at export), Conv1D, MaxPooling1D,
+// GlobalAveragePooling1D, BatchNormalization (folded into the Conv1D/Dense
+// before it, otherwise a MUL + ADD), Flatten, Reshape and Activation layers,
+// with optional post-training int8 quantization calibrated on real samples.
+// ============================================================================
+
+// ============================================================================
+// FlatBuffer Builder
+// ============================================================================
+// Minimal back-to-front flatbuffer builder (same layout rules as the official
+// flatbuffers library), covering only what the TFLite schema needs.
+
+class FlatBufferBuilder {
+  constructor(initialSize = 1024) {
+    this.bytes = new Uint8Array(initialSize);
+    this.view = new DataView(this.bytes.buffer);
+    this.space = initialSize;
+    this.minAlign = 1;
+    this.vtable = null;
+    this.objectEnd = 0;
+    this.vectorLength = 0;
+  }
+
+  // Bytes written so far (offsets are measured from the end of the buffer)
+  offset() {
+    return this.bytes.length - this.space;
+  }
+
+  grow(needed) {
+    const oldSize = this.bytes.length;
+    let newSize = oldSize * 2;
+    while (newSize - oldSize < needed) newSize *= 2;
+
+    const grown = new Uint8Array(newSize);
+    grown.set(this.bytes, newSize - oldSize);
+
+    this.bytes = grown;
+    this.view = new DataView(grown.buffer);
+    this.space += newSize - oldSize;
+  }
+
+  pad(count) {
+    for (let i = 0; i < count; i++) {
+      this.bytes[--this.space] = 0;
+    }
+  }
+
+  // Align so that `size` bytes can be written after `additionalBytes` more
+  prep(size, additionalBytes) {
+    if (size > this.minAlign) this.minAlign = size;
+
+    const alignSize = (~(this.offset() + additionalBytes) + 1) & (size - 1);
+    const needed = alignSize + size + additionalBytes;
+    if (this.space < needed) this.grow(needed);
+
+    this.pad(alignSize);
+  }
+
+  // ------------------------------------------------------------------------
+  // Scalars
+  // ------------------------------------------------------------------------
+
+  addInt8(value) {
+    this.prep(1, 0);
+    this.view.setInt8(--this.space, value);
+  }
+
+  addInt16(value) {
+    this.prep(2, 0);
+    this.space -= 2;
+    this.view.setInt16(this.space, value, true);
+  }
+
+  addInt32(value) {
+    this.prep(4, 0);
+    this.space -= 4;
+    this.view.setInt32(this.space, value, true);
+  }
+
+  addFloat32(value) {
+    this.prep(4, 0);
+    this.space -= 4;
+    this.view.setFloat32(this.space, value, true);
+  }
+
+  addInt64(value) {
+    this.prep(8, 0);
+    this.space -= 8;
+    this.view.setBigInt64(this.space, BigInt(value), true);
+  }
+
+  addOffset(target) {
+    this.prep(4, 0);
+    this.space -= 4;
+    this.view.setInt32(this.space, this.offset() - target, true);
+  }
+
+  // ------------------------------------------------------------------------
+  // Tables
+  // ------------------------------------------------------------------------
+
+  startObject(numFields) {
+    this.vtable = new Array(numFields).fill(0);
+    this.objectEnd = this.offset();
+  }
+
+  slot(field) {
+    this.vtable[field] = this.offset();
+  }
+
+  addFieldInt8(field, value, defaultValue) {
+    if (value === defaultValue) return;
+    this.addInt8(value);
+    this.slot(field);
+  }
+
+  addFieldInt32(field, value, defaultValue) {
+    if (value === defaultValue) return;
+    this.addInt32(value);
+    this.slot(field);
+  }
+
+  addFieldFloat32(field, value, defaultValue) {
+    if (value === defaultValue) return;
+    this.addFloat32(value);
+    this.slot(field);
+  }
+
+  addFieldOffset(field, target) {
+    if (!target) return;
+    this.addOffset(target);
+    this.slot(field);
+  }
+
+  endObject() {
+    // Placeholder for the vtable offset, patched below
+    this.addInt32(0);
+    const objectOffset = this.offset();
+
+    // Trailing unset fields can be left out of the vtable
+    let lastField = this.vtable.length - 1;
+    while (lastField >= 0 && this.vtable[lastField] === 0) lastField--;
+
+    for (let i = lastField; i >= 0; i--) {
+      this.addInt16(this.vtable[i] ? objectOffset - this.vtable[i] : 0);
+    }
+    this.addInt16(objectOffset - this.objectEnd);
+    this.addInt16((lastField + 1 + 2) * 2);
+
+    this.view.setInt32(this.bytes.length - objectOffset, this.offset() - objectOffset, true);
+    this.vtable = null;
+
+    return objectOffset;
+  }
+
+  // ------------------------------------------------------------------------
+  // Vectors & Strings
+  // ------------------------------------------------------------------------
+
+  startVector(elementSize, numElements, alignment) {
+    this.vectorLength = numElements;
+    this.prep(4, elementSize * numElements);
+    this.prep(alignment, elementSize * numElements);
+  }
+
+  endVector() {
+    this.space -= 4;
+    this.view.setInt32(this.space, this.vectorLength, true);
+    return this.offset();
+  }
+
+  createInt32Vector(values) {
+    this.startVector(4, values.length, 4);
+    for (let i = values.length - 1; i >= 0; i--) this.addInt32(values[i]);
+    return this.endVector();
+  }
+
+  createFloat32Vector(values) {
+    this.startVector(4, values.length, 4);
+    for (let i = values.length - 1; i >= 0; i--) this.addFloat32(values[i]);
+    return this.endVector();
+  }
+
+  createInt64Vector(values) {
+    this.startVector(8, values.length, 8);
+    for (let i = values.length - 1; i >= 0; i--) this.addInt64(values[i]);
+    return this.endVector();
+  }
+
+  createOffsetVector(offsets) {
+    this.startVector(4, offsets.length, 4);
+    for (let i = offsets.length - 1; i >= 0; i--) this.addOffset(offsets[i]);
+    return this.endVector();
+  }
+
+  createByteVector(data, alignment = 1) {
+    this.startVector(1, data.length, alignment);
+    this.space -= data.length;
+    this.bytes.set(data, this.space);
+    return this.endVector();
+  }
+
+  createString(text) {
+    const utf8 = new TextEncoder().encode(text);
+    this.prep(4, utf8.length + 1);
+    this.addInt8(0);
+    return this.createByteVector(utf8);
+  }
+
+  // ------------------------------------------------------------------------
+  // Finish
+  // ------------------------------------------------------------------------
+
+  finish(rootTable, fileIdentifier) {
+    this.prep(this.minAlign, 4 + fileIdentifier.length);
+    for (let i = fileIdentifier.length - 1; i >= 0; i--) {
+      this.addInt8(fileIdentifier.charCodeAt(i));
+    }
+    this.addOffset(rootTable);
+
+    return this.bytes.slice(this.space);
+  }
+}
+
+// ============================================================================
+// TFLite Schema Constants
+// ============================================================================
+
+const TFLITE_SCHEMA = {
+  version: 3,
+  fileIdentifier: 'TFL3',
+
+  // BuiltinOperator
+  ops: {
+    ADD: 0,
+    CONV_2D: 3,
+    LOGISTIC: 14,
+    MAX_POOL_2D: 17,
+    MUL: 18,
+    MEAN: 40,
+    FULLY_CONNECTED: 9,
+    RELU: 19,
+    RELU6: 21,
+    RESHAPE: 22,
+    SOFTMAX: 25,
+    TANH: 28
+  },
+
+  // Op versions the int8 kernels were introduced at
+  int8OpVersions: {
+    ADD: 2,
+    CONV_2D: 3,
+    LOGISTIC: 2,
+    MAX_POOL_2D: 2,
+    MUL: 2,
+    MEAN: 2,
+    FULLY_CONNECTED: 4,
+    RELU: 2,
+    RELU6: 2,
+    RESHAPE: 1,
+    SOFTMAX: 2,
+    TANH: 2
+  },
+
+  // BuiltinOptions union
+  options: {
+    NONE: 0,
+    Conv2DOptions: 1,
+    Pool2DOptions: 5,
+    FullyConnectedOptions: 8,
+    SoftmaxOptions: 9,
+    AddOptions: 11,
+    ReshapeOptions: 17,
+    MulOptions: 21,
+    ReducerOptions: 27
+  },
+
+  // TensorType
+  types: {
+    FLOAT32: 0,
+    INT32: 2,
+    INT8: 9
+  },
+
+  // ActivationFunctionType
+  activations: {
+    NONE: 0,
+    RELU: 1,
+    RELU6: 3
+  },
+
+  // Padding
+  padding: {
+    SAME: 0,
+    VALID: 1
+  }
+};
+
+// ============================================================================
+// TFLite Writer
+// ============================================================================
+
+class TFLiteWriter {
+  constructor() {
+    this.tensors = [];
+    this.operators = [];
+    this.inputTensor = null;
+    this.outputTensor = null;
+    this.quantization = null;
+    this.constants = [];
+  }
+
+  // ========================================================================
+  // Convert
+  // ========================================================================
+
+  /**
+   * Convert a tf.LayersModel into TFLite flatbuffer bytes.
+   *
+   * @param {tf.LayersModel} model - Trained model
+   * @param {Object} options
+   * @param {boolean} options.quantize - Full int8 post-training quantization
+   * @param {Array<Array<number>>} options.calibrationSamples - Normalized
+   *   input samples used to measure activation ranges (required for int8)
+   * @returns {Uint8Array} .tflite file contents
+   */
+  async convert(model, options = {}) {
+    const quantize = options.quantize || false;
+    const calibrationSamples = options.calibrationSamples || [];
+
+    console.log(`📦 Writing TFLite flatbuffer (${quantize ? 'int8' : 'float32'})...`);
+
+    if (quantize && calibrationSamples.length === 0) {
+      throw new Error('Int8 quantization needs calibration samples');
+    }
+
+    this.tensors = [];
+    this.operators = [];
+    this.quantization = null;
+
+    try {
+      this.buildGraph(model);
+
+      if (quantize) {
+        this.calibrate(calibrationSamples);
+        this.quantizeGraph();
+      }
+    } finally {
+      // Reference tensors are only needed for calibration
+      this.constants.forEach(t => t.dispose());
+      this.constants = [];
+    }
+
+    const bytes = this.serialize(quantize);
+
+    console.log(`   Operators: ${this.operators.map(op => op.opcode).join(' → ')}`);
+    console.log(`✅ TFLite model written (${bytes.length} bytes)`);
+
+    return bytes;
+  }
+
+  // ========================================================================
+  // Graph Construction
+  // ========================================================================
+
+  addTensor(name, shape, data = null) {
+    const tensor = {
+      index: this.tensors.length,
+      name: name,
+      shape: shape,
+      data: data,
+      min: Infinity,
+      max: -Infinity
+    };
+    this.tensors.push(tensor);
+    return tensor;
+  }
+
+  addOperator(opcode, inputs, outputs, options, run) {
+    this.operators.push({ opcode, inputs, outputs, options, run });
+    return outputs[0];
+  }
+
+  buildGraph(model) {
+    const inputShape = model.inputs[0].shape.slice(1);
+    this.inputTensor = this.addTensor('input', [1, ...inputShape]);
+
+    let current = this.inputTensor;
+
+    for (const layer of model.layers) {
+      const className = layer.getClassName();
+      const config = layer.getConfig();
+
+      switch (className) {
+        case 'InputLayer':
+          break;
+
+        case 'Dropout':
+          // Identity at inference time
+          console.log(`   Removed ${layer.name} (Dropout)`);
+          break;
+
+        case 'Flatten': {
+          const size = current.shape.slice(1).reduce((a, b) => a * b, 1);
+          current = this.addReshape(current, [1, size], layer.name);
+          break;
+        }
+
+        case 'Reshape':
+          current = this.addReshape(current, [1, ...config.targetShape], layer.name);
+          break;
+
+        case 'Dense':
+          current = this.addDense(layer, current);
+          break;
+
+        case 'Conv1D':
+          current = this.addConv1D(layer, current);
+          break;
+
+        case 'MaxPooling1D':
+          current = this.addMaxPool1D(layer, current);
+          break;
+
+        case 'GlobalAveragePooling1D':
+          current = this.addGlobalAveragePool1D(layer, current);
+          break;
+
+        case 'BatchNormalization':
+          current = this.addBatchNorm(layer, current);
+          break;
+
+        case 'Activation':
+          current = this.addActivation(config.activation, current, layer.name);
+          break;
+
+        default:
+          throw new Error(`Layer type ${className} (${layer.name}) is not supported by the TFLite exporter`);
+      }
+    }
+
+    this.outputTensor = current;
+  }
+
+  constant(tensor) {
+    this.constants.push(tensor);
+    return tensor;
+  }
+
+  addReshape(input, shape, name) {
+    const output = this.addTensor(name, shape);
+    return this.addOperator('RESHAPE', [input], [output], { newShape: shape },
+      x => x.reshape([x.shape[0], ...shape.slice(1)]));
+  }
+
+  // Conv1D and pooling run as their 2D equivalents on [1, 1, width, channels]
+  toConvLayout(input, name) {
+    if (input.shape.length === 4) return input;
+    if (input.shape.length !== 3) {
+      throw new Error(`${name} expects a [width, channels] input, got [${input.shape.slice(1)}]`);
+    }
+    return this.addReshape(input, [1, 1, input.shape[1], input.shape[2]], `${name}/expand`);
+  }
+
+  addDense(layer, input) {
+    if (input.shape.length !== 2) {
+      throw new Error(`${layer.name} (Dense) needs a flat input - add a Flatten layer before it`);
+    }
+
+    const config = layer.getConfig();
+    const [kernel, bias] = layer.getWeights();
+    const [inSize, outSize] = kernel.shape;
+    const kernelData = kernel.dataSync();
+
+    // Keras stores [in, out]; TFLite FULLY_CONNECTED wants [out, in]
+    const weights = new Float32Array(inSize * outSize);
+    for (let i = 0; i < inSize; i++) {
+      for (let o = 0; o < outSize; o++) {
+        weights[o * inSize + i] = kernelData[i * outSize + o];
+      }
+    }
+
+    const weightTensor = this.addTensor(`${layer.name}/kernel`, [outSize, inSize], weights);
+    const biasTensor = this.addTensor(`${layer.name}/bias`, [outSize],
+      bias ? Float32Array.from(bias.dataSync()) : new Float32Array(outSize));
+    weightTensor.role = 'weights';
+    biasTensor.role = 'bias';
+
+    const { fused, trailing } = this.splitActivation(config.activation);
+    const output = this.addTensor(trailing ? `${layer.name}/logits` : layer.name, [1, outSize]);
+
+    const kernelTensor = this.constant(tf.tensor2d(kernelData, [inSize, outSize]));
+    const biasValues = this.constant(tf.tensor1d(biasTensor.data));
+
+    this.addOperator('FULLY_CONNECTED', [input, weightTensor, biasTensor], [output],
+      { activation: fused },
+      x => this.applyFused(tf.add(tf.matMul(x, kernelTensor), biasValues), fused));
+
+    return trailing ? this.addActivation(trailing, output, layer.name) : output;
+  }
+
+  addConv1D(layer, input) {
+    input = this.toConvLayout(input, layer.name);
+
+    const config = layer.getConfig();
+    const [kernel, bias] = layer.getWeights();
+    const [kernelSize, inChannels, filters] = kernel.shape;
+    const kernelData = kernel.dataSync();
+    const stride = config.strides[0] || config.strides;
+    const dilation = (Array.isArray(config.dilationRate) ? config.dilationRate[0] : config.dilationRate) || 1;
+    const padding = config.padding === 'same' ? 'SAME' : 'VALID';
+
+    // Keras stores [k, in, out]; TFLite CONV_2D wants [out, 1, k, in]
+    const weights = new Float32Array(kernelSize * inChannels * filters);
+    for (let k = 0; k < kernelSize; k++) {
+      for (let c = 0; c < inChannels; c++) {
+        for (let f = 0; f < filters; f++) {
+          weights[(f * kernelSize + k) * inChannels + c] = kernelData[(k * inChannels + c) * filters + f];
+        }
+      }
+    }
+
+    const width = input.shape[2];
+    const outWidth = padding === 'SAME'
+      ? Math.ceil(width / stride)
+      : Math.floor((width - (kernelSize - 1) * dilation - 1) / stride) + 1;
+
+    const weightTensor = this.addTensor(`${layer.name}/kernel`, [filters, 1, kernelSize, inChannels], weights);
+    const biasTensor = this.addTensor(`${layer.name}/bias`, [filters],
+      bias ? Float32Array.from(bias.dataSync()) : new Float32Array(filters));
+    weightTensor.role = 'weights';
+    weightTensor.perChannel = true;
+    biasTensor.role = 'bias';
+
+    const { fused, trailing } = this.splitActivation(config.activation);
+    const output = this.addTensor(trailing ? `${layer.name}/conv` : layer.name, [1, 1, outWidth, filters]);
+
+    const filterTensor = this.constant(tf.tensor4d(kernelData, [1, kernelSize, inChannels, filters]));
+    const biasValues = this.constant(tf.tensor1d(biasTensor.data));
+
+    this.addOperator('CONV_2D', [input, weightTensor, biasTensor], [output],
+      { activation: fused, padding, stride, dilation },
+      x => this.applyFused(
+        tf.add(tf.conv2d(x, filterTensor, [1, stride], padding.toLowerCase(), 'NHWC', [1, dilation]), biasValues),
+        fused));
+
+    return trailing ? this.addActivation(trailing, output, layer.name) : output;
+  }
+
+  addMaxPool1D(layer, input) {
+    input = this.toConvLayout(input, layer.name);
+
+    const config = layer.getConfig();
+    const poolSize = Array.isArray(config.poolSize) ? config.poolSize[0] : config.poolSize;
+    const stride = (Array.isArray(config.strides) ? config.strides[0] : config.strides) || poolSize;
+    const padding = config.padding === 'same' ? 'SAME' : 'VALID';
+
+    const width = input.shape[2];
+    const outWidth = padding === 'SAME'
+      ? Math.ceil(width / stride)
+      : Math.floor((width - poolSize) / stride) + 1;
+
+    const output = this.addTensor(layer.name, [1, 1, outWidth, input.shape[3]]);
+    output.sharesQuantizationWith = input;
+
+    return this.addOperator('MAX_POOL_2D', [input], [output],
+      { padding, stride, poolSize },
+      x => tf.maxPool(x, [1, poolSize], [1, stride], padding.toLowerCase()));
+  }
+
+  addGlobalAveragePool1D(layer, input) {
+    if (input.shape.length !== 3 && input.shape.length !== 4) {
+      throw new Error(`${layer.name} expects a [width, channels] input, got [${input.shape.slice(1)}]`);
+    }
+
+    // Mean over the width - axis 1 of [1, width, channels], 2 of the conv layout
+    const axis = input.shape.length === 4 ? [1, 2] : [1];
+    const channels = input.shape[input.shape.length - 1];
+
+    const axisTensor = this.addTensor(`${layer.name}/axis`, [axis.length], Int32Array.from(axis));
+    axisTensor.role = 'axis';
+    const output = this.addTensor(layer.name, [1, channels]);
+
+    return this.addOperator('MEAN', [input, axisTensor], [output], {},
+      x => tf.mean(x, axis));
+  }
+
+  // Inference-time batch norm is a per-channel x * scale + shift
+  addBatchNorm(layer, input) {
+    const config = layer.getConfig();
+    const axis = Array.isArray(config.axis) ? config.axis[0] : config.axis;
+    if (axis !== -1 && axis !== input.shape.length - 1) {
+      throw new Error(`${layer.name} (BatchNormalization) must normalize the last axis`);
+    }
+
+    const weights = layer.getWeights().map(weight => weight.dataSync());
+    const gamma = config.scale !== false ? weights.shift() : null;
+    const beta = config.center !== false ? weights.shift() : null;
+    const [movingMean, movingVariance] = weights;
+
+    const channels = movingMean.length;
+    const scale = new Float32Array(channels);
+    const shift = new Float32Array(channels);
+    for (let c = 0; c < channels; c++) {
+      scale[c] = (gamma ? gamma[c] : 1) / Math.sqrt(movingVariance[c] + config.epsilon);
+      shift[c] = (beta ? beta[c] : 0) - movingMean[c] * scale[c];
+    }
+
+    const scaleValues = this.constant(tf.tensor1d(scale));
+    const shiftValues = this.constant(tf.tensor1d(shift));
+
+    // Straight after a Conv1D/Dense without activation: fold into its weights
+    const previous = this.operators[this.operators.length - 1];
+    if (previous && previous.outputs[0] === input && previous.options.activation === 'NONE' &&
+        (previous.opcode === 'FULLY_CONNECTED' || previous.opcode === 'CONV_2D')) {
+      const [, weightTensor, biasTensor] = previous.inputs;
+      const channelSize = weightTensor.data.length / channels;
+      for (let c = 0; c < channels; c++) {
+        for (let i = 0; i < channelSize; i++) {
+          weightTensor.data[c * channelSize + i] *= scale[c];
+        }
+        biasTensor.data[c] = biasTensor.data[c] * scale[c] + shift[c];
+      }
+
+      const run = previous.run;
+      previous.run = x => tf.add(tf.mul(run(x), scaleValues), shiftValues);
+      console.log(`   Folded ${layer.name} (BatchNormalization) into ${previous.outputs[0].name}`);
+      return input;
+    }
+
+    const scaleTensor = this.addTensor(`${layer.name}/scale`, [channels], scale);
+    const shiftTensor = this.addTensor(`${layer.name}/shift`, [channels], shift);
+    scaleTensor.role = 'constant';
+    shiftTensor.role = 'constant';
+
+    const scaled = this.addTensor(`${layer.name}/scaled`, input.shape.slice());
+    this.addOperator('MUL', [input, scaleTensor], [scaled], { activation: 'NONE' },
+      x => tf.mul(x, scaleValues));
+
+    const output = this.addTensor(layer.name, input.shape.slice());
+    return this.addOperator('ADD', [scaled, shiftTensor], [output], { activation: 'NONE' },
+      x => tf.add(x, shiftValues));
+  }
+
+  addActivation(activation, input, name) {
+    const opcodes = {
+      relu: 'RELU',
+      relu6: 'RELU6',
+      sigmoid: 'LOGISTIC',
+      tanh: 'TANH',
+      softmax: 'SOFTMAX'
+    };
+
+    if (!activation || activation === 'linear') return input;
+
+    const opcode = opcodes[activation];
+    if (!opcode) {
+      throw new Error(`Activation "${activation}" (${name}) is not supported by the TFLite exporter`);
+    }
+
+    const output = this.addTensor(`${name}/${activation}`, input.shape.slice());
+    const run = {
+      RELU: x => tf.relu(x),
+      RELU6: x => tf.relu6(x),
+      LOGISTIC: x => tf.sigmoid(x),
+      TANH: x => tf.tanh(x),
+      SOFTMAX: x => tf.softmax(x)
+    }[opcode];
+
+    return this.addOperator(opcode, [input], [output], { beta: 1.0 }, run);
+  }
+
+  // Relu-style activations fuse into the op, everything else becomes its own op
+  splitActivation(activation) {
+    if (!activation || activation === 'linear') return { fused: 'NONE', trailing: null };
+    if (activation === 'relu') return { fused: 'RELU', trailing: null };
+    if (activation === 'relu6') return { fused: 'RELU6', trailing: null };
+    return { fused: 'NONE', trailing: activation };
+  }
+
+  applyFused(x, fused) {
+    if (fused === 'RELU') return tf.relu(x);
+    if (fused === 'RELU6') return tf.relu6(x);
+    return x;
+  }
+
+  // ========================================================================
+  // Int8 Quantization
+  // ========================================================================
+
+  calibrate(samples) {
+    console.log(`   Calibrating on ${samples.length} samples...`);
+
+    const inputSize = this.inputTensor.shape.slice(1).reduce((a, b) => a * b, 1);
+    const valid = samples.filter(s => s.length === inputSize);
+    if (valid.length === 0) {
+      throw new Error(`No calibration samples match the model input size (${inputSize})`);
+    }
+
+    const record = (tensor, values) => {
+      const data = values.dataSync();
+      for (let i = 0; i < data.length; i++) {
+        if (data[i] < tensor.min) tensor.min = data[i];
+        if (data[i] > tensor.max) tensor.max = data[i];
+      }
+    };
+
+    tf.tidy(() => {
+      let x = tf.tensor2d(valid, [valid.length, inputSize])
+        .reshape([valid.length, ...this.inputTensor.shape.slice(1)]);
+      record(this.inputTensor, x);
+
+      for (const op of this.operators) {
+        x = op.run(x);
+        record(op.outputs[0], x);
+      }
+    });
+  }
+
+  quantizeGraph() {
+    const activationParams = (min, max) => {
+      // Range must include zero so that zero-padding is exact
+      min = Math.min(min, 0);
+      max = Math.max(max, 0);
+      if (max - min < 1e-8) max = min + 1e-8;
+
+      const scale = (max - min) / 255;
+      const zeroPoint = Math.max(-128, Math.min(127, Math.round(-128 - min / scale)));
+      return { scale: [scale], zeroPoint: [zeroPoint] };
+    };
+
+    // Activations (ops with fixed output ranges override below)
+    for (const tensor of this.tensors) {
+      if (tensor.data) continue;
+      tensor.quant = activationParams(tensor.min, tensor.max);
+    }
+
+    for (const op of this.operators) {
+      const output = op.outputs[0];
+      if (op.opcode === 'SOFTMAX' || op.opcode === 'LOGISTIC') {
+        output.quant = { scale: [1 / 256], zeroPoint: [-128] };
+      } else if (op.opcode === 'TANH') {
+        output.quant = { scale: [1 / 128], zeroPoint: [0] };
+      } else if (op.opcode === 'RESHAPE' || output.sharesQuantizationWith) {
+        output.quant = op.inputs[0].quant;
+      }
+    }
+
+    // Per-channel constants of unfolded batch norms (asymmetric, like activations)
+    for (const tensor of this.tensors) {
+      if (tensor.role !== 'constant') continue;
+
+      let min = Infinity;
+      let max = -Infinity;
+      tensor.data.forEach(value => {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      });
+
+      tensor.quant = activationParams(min, max);
+      const scale = tensor.quant.scale[0];
+      const zeroPoint = tensor.quant.zeroPoint[0];
+      tensor.quantized = Int8Array.from(tensor.data,
+        value => Math.max(-128, Math.min(127, Math.round(value / scale + zeroPoint))));
+    }
+
+    // Weights (symmetric, per output channel for conv) and int32 biases
+    for (const op of this.operators) {
+      if (op.opcode !== 'FULLY_CONNECTED' && op.opcode !== 'CONV_2D') continue;
+
+      const [input, weights, bias] = op.inputs;
+      const channels = weights.shape[0];
+      const perChannel = weights.perChannel ? channels : 1;
+      const channelSize = weights.data.length / channels;
+
+      const scales = new Array(perChannel).fill(0);
+      for (let c = 0; c < channels; c++) {
+        const slot = weights.perChannel ? c : 0;
+        for (let i = 0; i < channelSize; i++) {
+          scales[slot] = Math.max(scales[slot], Math.abs(weights.data[c * channelSize + i]));
+        }
+      }
+      for (let s = 0; s < perChannel; s++) {
+        scales[s] = scales[s] > 0 ? scales[s] / 127 : 1e-8;
+      }
+
+      const quantized = new Int8Array(weights.data.length);
+      for (let c = 0; c < channels; c++) {
+        const scale = scales[weights.perChannel ? c : 0];
+        for (let i = 0; i < channelSize; i++) {
+          const q = Math.round(weights.data[c * channelSize + i] / scale);
+          quantized[c * channelSize + i] = Math.max(-127, Math.min(127, q));
+        }
+      }
+      weights.quantized = quantized;
+      weights.quant = {
+        scale: scales,
+        zeroPoint: new Array(perChannel).fill(0),
+        quantizedDimension: 0
+      };
+
+      const inputScale = input.quant.scale[0];
+      const biasScales = [];
+      const biasQuantized = new Int32Array(bias.data.length);
+      for (let c = 0; c < bias.data.length; c++) {
+        const scale = inputScale * scales[weights.perChannel ? c : 0];
+        biasQuantized[c] = Math.round(bias.data[c] / scale);
+        if (weights.perChannel || c === 0) biasScales.push(scale);
+      }
+      bias.quantized = biasQuantized;
+      bias.quant = {
+        scale: biasScales,
+        zeroPoint: new Array(biasScales.length).fill(0),
+        quantizedDimension: 0
+      };
+    }
+
+    this.quantization = {
+      inputScale: this.inputTensor.quant.scale[0],
+      inputZeroPoint: this.inputTensor.quant.zeroPoint[0],
+      outputScale: this.outputTensor.quant.scale[0],
+      outputZeroPoint: this.outputTensor.quant.zeroPoint[0]
+    };
+
+    console.log(`   Input scale: ${this.quantization.inputScale.toFixed(6)}, zero point: ${this.quantization.inputZeroPoint}`);
+  }
+
+  // ========================================================================
+  // Serialization
+  // ========================================================================
+
+  tensorType(tensor, quantize) {
+    if (tensor.role === 'axis') return TFLITE_SCHEMA.types.INT32;
+    if (!quantize) return TFLITE_SCHEMA.types.FLOAT32;
+    return tensor.role === 'bias' ? TFLITE_SCHEMA.types.INT32 : TFLITE_SCHEMA.types.INT8;
+  }
+
+  tensorBytes(tensor, quantize) {
+    // Axis tensors stay int32
+    const values = quantize && tensor.quantized ? tensor.quantized : tensor.data;
+    return new Uint8Array(values.buffer, values.byteOffset, values.byteLength);
+  }
+
+  serialize(quantize) {
+    const fbb = new FlatBufferBuilder(64 * 1024);
+
+    // --- Buffers (index 0 is the mandatory empty buffer) ---
+    const bufferTables = [];
+    fbb.startObject(1);
+    bufferTables.push(fbb.endObject());
+
+    const bufferIndex = new Map();
+    for (const tensor of this.tensors) {
+      if (!tensor.data) continue;
+      const dataVector = fbb.createByteVector(this.tensorBytes(tensor, quantize), 16);
+      fbb.startObject(1);
+      fbb.addFieldOffset(0, dataVector);
+      bufferIndex.set(tensor, bufferTables.length);
+      bufferTables.push(fbb.endObject());
+    }
+    const buffersVector = fbb.createOffsetVector(bufferTables);
+
+    // --- Tensors ---
+    const tensorTables = this.tensors.map(tensor => {
+      const name = fbb.createString(tensor.name);
+      const shape = fbb.createInt32Vector(tensor.shape);
+
+      let quantTable = 0;
+      if (quantize && tensor.quant) {
+        const scale = fbb.createFloat32Vector(tensor.quant.scale);
+        const zeroPoint = fbb.createInt64Vector(tensor.quant.zeroPoint);
+        fbb.startObject(7);
+        fbb.addFieldOffset(2, scale);
+        fbb.addFieldOffset(3, zeroPoint);
+        fbb.addFieldInt32(6, tensor.quant.quantizedDimension || 0, 0);
+        quantTable = fbb.endObject();
+      }
+
+      fbb.startObject(5);
+      fbb.addFieldOffset(0, shape);
+      fbb.addFieldInt8(1, this.tensorType(tensor, quantize), 0);
+      fbb.addFieldInt32(2, bufferIndex.get(tensor) || 0, 0);
+      fbb.addFieldOffset(3, name);
+      fbb.addFieldOffset(4, quantTable);
+      return fbb.endObject();
+    });
+    const tensorsVector = fbb.createOffsetVector(tensorTables);
+
+    // --- Operator codes ---
+    const opcodes = [...new Set(this.operators.map(op => op.opcode))];
+    const opcodeTables = opcodes.map(opcode => {
+      const code = TFLITE_SCHEMA.ops[opcode];
+      const version = quantize ? TFLITE_SCHEMA.int8OpVersions[opcode] : 1;
+      fbb.startObject(4);
+      fbb.addFieldInt8(0, code, 0);
+      fbb.addFieldInt32(2, version, 1);
+      fbb.addFieldInt32(3, code, 0);
+      return fbb.endObject();
+    });
+    const opcodesVector = fbb.createOffsetVector(opcodeTables);
+
+    // --- Operators ---
+    const operatorTables = this.operators.map(op => {
+      const inputs = fbb.createInt32Vector(op.inputs.map(t => t.index));
+      const outputs = fbb.createInt32Vector(op.outputs.map(t => t.index));
+      const [optionsType, optionsTable] = this.serializeOptions(fbb, op);
+
+      fbb.startObject(5);
+      fbb.addFieldInt32(0, opcodes.indexOf(op.opcode), 0);
+      fbb.addFieldOffset(1, inputs);
+      fbb.addFieldOffset(2, outputs);
+      fbb.addFieldInt8(3, optionsType, 0);
+      fbb.addFieldOffset(4, optionsTable);
+      return fbb.endObject();
+    });
+    const operatorsVector = fbb.createOffsetVector(operatorTables);
+
+    // --- Subgraph ---
+    const subgraphName = fbb.createString('main');
+    const subgraphInputs = fbb.createInt32Vector([this.inputTensor.index]);
+    const subgraphOutputs = fbb.createInt32Vector([this.outputTensor.index]);
+
+    fbb.startObject(5);
+    fbb.addFieldOffset(0, tensorsVector);
+    fbb.addFieldOffset(1, subgraphInputs);
+    fbb.addFieldOffset(2, subgraphOutputs);
+    fbb.addFieldOffset(3, operatorsVector);
+    fbb.addFieldOffset(4, subgraphName);
+    const subgraph = fbb.endObject();
+    const subgraphsVector = fbb.createOffsetVector([subgraph]);
+
+    // --- Model ---
+    const description = fbb.createString('Tiny Trainer');
+
+    fbb.startObject(5);
+    fbb.addFieldInt32(0, TFLITE_SCHEMA.version, 0);
+    fbb.addFieldOffset(1, opcodesVector);
+    fbb.addFieldOffset(2, subgraphsVector);
+    fbb.addFieldOffset(3, description);
+    fbb.addFieldOffset(4, buffersVector);
+    const root = fbb.endObject();
+
+    return fbb.finish(root, TFLITE_SCHEMA.fileIdentifier);
+  }
+
+  serializeOptions(fbb, op) {
+    const activation = TFLITE_SCHEMA.activations[op.options.activation] || 0;
+    const padding = TFLITE_SCHEMA.padding[op.options.padding];
+
+    switch (op.opcode) {
+      case 'FULLY_CONNECTED':
+        fbb.startObject(4);
+        fbb.addFieldInt8(0, activation, 0);
+        return [TFLITE_SCHEMA.options.FullyConnectedOptions, fbb.endObject()];
+
+      case 'CONV_2D':
+        fbb.startObject(6);
+        fbb.addFieldInt8(0, padding, 0);
+        fbb.addFieldInt32(1, op.options.stride, 0);
+        fbb.addFieldInt32(2, 1, 0);
+        fbb.addFieldInt8(3, activation, 0);
+        fbb.addFieldInt32(4, op.options.dilation, 1);
+        return [TFLITE_SCHEMA.options.Conv2DOptions, fbb.endObject()];
+
+      case 'MAX_POOL_2D':
+        fbb.startObject(6);
+        fbb.addFieldInt8(0, padding, 0);
+        fbb.addFieldInt32(1, op.options.stride, 0);
+        fbb.addFieldInt32(2, 1, 0);
+        fbb.addFieldInt32(3, op.options.poolSize, 0);
+        fbb.addFieldInt32(4, 1, 0);
+        return [TFLITE_SCHEMA.options.Pool2DOptions, fbb.endObject()];
+
+      case 'ADD':
+        fbb.startObject(2);
+        fbb.addFieldInt8(0, activation, 0);
+        return [TFLITE_SCHEMA.options.AddOptions, fbb.endObject()];
+
+      case 'MUL':
+        fbb.startObject(1);
+        fbb.addFieldInt8(0, activation, 0);
+        return [TFLITE_SCHEMA.options.MulOptions, fbb.endObject()];
+
+      case 'MEAN':
+        // keep_dims defaults to false
+        fbb.startObject(1);
+        return [TFLITE_SCHEMA.options.ReducerOptions, fbb.endObject()];
+
+      case 'SOFTMAX':
+        fbb.startObject(1);
+        fbb.addFieldFloat32(0, op.options.beta, 0);
+        return [TFLITE_SCHEMA.options.SoftmaxOptions, fbb.endObject()];
+
+      case 'RESHAPE': {
+        const newShape = fbb.createInt32Vector(op.options.newShape);
+        fbb.startObject(1);
+        fbb.addFieldOffset(0, newShape);
+        return [TFLITE_SCHEMA.options.ReshapeOptions, fbb.endObject()];
+      }
+
+      default:
+        return [TFLITE_SCHEMA.options.NONE, 0];
+    }
+  }
+
+  // ========================================================================
+  // C Header
+  // ========================================================================
+
+  /**
+   * Format flatbuffer bytes as a C array for TensorFlow Lite Micro
+   * (`tflite::GetModel(model)`).
+   */
+  static toCHeader(bytes, quantization = null) {
+    let code = `// TensorFlow Lite Model
+// Generated: ${new Date().toISOString()}
+// Load with tflite::GetModel(model)
+
+#ifndef MODEL_H
+#define MODEL_H
+
+`;
+
+    if (quantization) {
+      code += `// Int8 quantized - convert inputs with q = value / scale + zero_point
+const float MODEL_INPUT_SCALE = ${quantization.inputScale};
+const int MODEL_INPUT_ZERO_POINT = ${quantization.inputZeroPoint};
+const float MODEL_OUTPUT_SCALE = ${quantization.outputScale};
+const int MODEL_OUTPUT_ZERO_POINT = ${quantization.outputZeroPoint};
+
+`;
+    }
+
+    code += `alignas(16) const unsigned char model[] = {\n`;
+    for (let i = 0; i < bytes.length; i += 12) {
+      const row = Array.from(bytes.subarray(i, i + 12))
+        .map(b => '0x' + b.toString(16).padStart(2, '0'));
+      code += `  ${row.join(', ')}${i + 12 < bytes.length ? ',' : ''}\n`;
+    }
+    code += `};\n\nconst unsigned int model_len = ${bytes.length};\n\n#endif\n`;
+
+    return code;
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TFLiteWriter;
+}
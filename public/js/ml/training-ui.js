@@ -14,11 +14,32 @@ class TrainingUI {
     // Chart state
     this.chartInitialized = false;
     this.maxEpochsToShow = 50;
+
+    // UI events (e.g. confusion matrix cell clicks)
+    this.listeners = {
+      showSamples: [],
+    };
     
     // Setup listeners
     this.setupTrainingListeners();
   }
 
+  // ========================================================================
+  // Event System
+  // ========================================================================
+
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => callback(data));
+    }
+  }
+
   // ========================================================================
   // Setup Training Listeners
   // ========================================================================
@@ -50,8 +71,24 @@ class TrainingUI {
     // Reset progress
     this.updateProgress(0, data.config.epochs);
     
+    // Advisory data warnings (class imbalance is handled by balancing)
+    if (data.warnings && data.warnings.length > 0 && typeof toast !== 'undefined') {
+      toast.warning(data.warnings.join('\n'), { title: 'Training Data', duration: 8000 });
+    }
+
     // Update status
-    this.updateStatus('Training in progress...', 'training');
+    if (data.finalModel) {
+      this.updateStatus('Retraining on all data...', 'training');
+    } else {
+      this.updateStatus(`${this.getFoldPrefix(data)}Training in progress...`, 'training');
+    }
+  }
+
+  // "Fold 2/5 - " while cross-validating, empty otherwise
+  getFoldPrefix(data) {
+    if (data.totalFolds === undefined) return '';
+    if (data.finalModel) return 'All data - ';
+    return `Fold ${data.fold + 1}/${data.totalFolds} - `;
   }
 
   // ========================================================================
@@ -60,7 +97,7 @@ class TrainingUI {
 
   onEpochBegin(data) {
     // Update current epoch indicator
-    this.updateStatus(`Epoch ${data.epoch + 1}...`, 'training');
+    this.updateStatus(`${this.getFoldPrefix(data)}Epoch ${data.epoch + 1}...`, 'training');
   }
 
   // ========================================================================
@@ -89,9 +126,11 @@ class TrainingUI {
       );
     } else {
       const accuracy = (data.accuracy * 100).toFixed(1);
-      const valAccuracy = (data.valAccuracy * 100).toFixed(1);
+      const valAccuracy = data.valAccuracy !== undefined
+        ? ` - Val Acc: ${(data.valAccuracy * 100).toFixed(1)}%`
+        : '';
       this.updateStatus(
-        `Epoch ${data.epoch + 1}/${data.totalEpochs} - Acc: ${accuracy}% - Val Acc: ${valAccuracy}%`,
+        `${this.getFoldPrefix(data)}Epoch ${data.epoch + 1}/${data.totalEpochs} - Acc: ${accuracy}%${valAccuracy}`,
         'training'
       );
     }
@@ -118,6 +157,11 @@ class TrainingUI {
       if (data.evaluation.isRegression) {
         const mae = data.evaluation.mae.toFixed(4);
         this.updateStatus(`Training complete! MAE: ${mae}`, 'complete');
+      } else if (data.evaluation.crossValidation) {
+        const cv = data.evaluation.crossValidation;
+        const accuracy = (cv.meanAccuracy * 100).toFixed(1);
+        const spread = (cv.stdAccuracy * 100).toFixed(1);
+        this.updateStatus(`Cross-validation complete! Accuracy: ${accuracy}% ± ${spread}%`, 'complete');
       } else {
         const accuracy = (data.evaluation.accuracy * 100).toFixed(1);
         this.updateStatus(`Training complete! Accuracy: ${accuracy}%`, 'complete');
@@ -131,6 +175,22 @@ class TrainingUI {
     this.updateModalButtons(true);
   }
 
+  // ========================================================================
+  // Restored Model (from project file)
+  // ========================================================================
+
+  showRestoredModel() {
+    console.log('📂 Model restored - updating UI');
+
+    this.showTrainingModal();
+    this.initializeCharts();
+    this.updateCharts(this.mlTrainer.history);
+    this.showTestingInterface();
+    this.updateStatus('Model loaded from project', 'complete');
+    this.enableExportButtons();
+    this.updateModalButtons(true);
+  }
+
   // ========================================================================
   // Training Error
   // ========================================================================
@@ -222,7 +282,7 @@ class TrainingUI {
     // Validation Loss
     const valLossEl = document.getElementById('metric-val-loss');
     if (valLossEl) {
-      valLossEl.textContent = data.valLoss.toFixed(4);
+      valLossEl.textContent = data.valLoss !== undefined ? data.valLoss.toFixed(4) : '-';
     }
 
     // Validation Accuracy / Val MAE
@@ -230,8 +290,10 @@ class TrainingUI {
     if (valAccEl) {
       if (isRegression) {
         valAccEl.textContent = data.valMae.toFixed(4);
-      } else {
+      } else if (data.valAccuracy !== undefined) {
         valAccEl.textContent = `${(data.valAccuracy * 100).toFixed(1)}%`;
+      } else {
+        valAccEl.textContent = '-';
       }
     }
   }
@@ -458,6 +520,21 @@ class TrainingUI {
             <div class="result-value">${valMae}</div>
           </div>
       `;
+    } else if (data.evaluation.crossValidation) {
+      // Cross-validation metrics (mean ± std across folds)
+      const cv = data.evaluation.crossValidation;
+      html += `
+          <div class="result-metric">
+            <div class="result-label">Mean Accuracy (${cv.completedFolds} folds)</div>
+            <div class="result-value">${(cv.meanAccuracy * 100).toFixed(1)}%</div>
+            <div class="result-spread">± ${(cv.stdAccuracy * 100).toFixed(1)}%</div>
+          </div>
+          <div class="result-metric">
+            <div class="result-label">Mean Macro F1</div>
+            <div class="result-value">${(cv.meanMacroF1 * 100).toFixed(1)}%</div>
+            <div class="result-spread">± ${(cv.stdMacroF1 * 100).toFixed(1)}%</div>
+          </div>
+      `;
     } else {
       // Classification metrics
       const accuracy = (data.evaluation.accuracy * 100).toFixed(1);
@@ -478,8 +555,14 @@ class TrainingUI {
       </div>
     `;
 
-    // Per-class accuracy (only for classification)
-    if (!data.evaluation.isRegression && data.evaluation.perClassAccuracy) {
+    // Confusion matrix and per-class metrics (only for classification)
+    if (!data.evaluation.isRegression && data.evaluation.confusionMatrix) {
+      if (data.evaluation.crossValidation) {
+        html += this.renderFoldResults(data.evaluation.crossValidation);
+      }
+      html += `<div id="confusion-matrix-view">${this.renderConfusionMatrix(data.evaluation)}</div>`;
+      html += this.renderClassMetrics(data.evaluation);
+    } else if (!data.evaluation.isRegression && data.evaluation.perClassAccuracy) {
       html += '<div class="per-class-results"><h4>Per-Class Accuracy:</h4>';
       data.evaluation.perClassAccuracy.forEach(stat => {
         const acc = (stat.accuracy * 100).toFixed(1);
@@ -496,6 +579,229 @@ class TrainingUI {
     
     resultsDiv.innerHTML = html;
     resultsDiv.style.display = 'block';
+
+    if (data.evaluation.confusionMatrix) {
+      this.setupConfusionMatrixListeners(resultsDiv, data.evaluation);
+    }
+
+    if (data.evaluation.crossValidation) {
+      this.setupFoldSelector(data.evaluation);
+    }
+  }
+
+  // ========================================================================
+  // Cross-Validation Results
+  // ========================================================================
+
+  renderFoldResults(cv) {
+    let html = `
+      <div class="per-class-results">
+        <h4>Cross-Validation Folds:</h4>
+        <p class="help-text">${cv.retrainedOnAll
+          ? `Exported model was retrained on all samples after ${cv.completedFolds}-fold cross-validation.`
+          : `Exported model is the last fold's model.`}</p>
+        <table class="class-metrics-table">
+          <thead>
+            <tr>
+              <th>Fold</th>
+              <th>Accuracy</th>
+              <th>Macro F1</th>
+              <th>Loss</th>
+              <th>Samples</th>
+            </tr>
+          </thead>
+          <tbody>
+    `;
+
+    cv.folds.forEach(fold => {
+      html += `
+        <tr>
+          <td class="cm-metric-label">Fold ${fold.fold + 1}</td>
+          <td>${(fold.accuracy * 100).toFixed(1)}%</td>
+          <td>${(fold.macroF1 * 100).toFixed(1)}%</td>
+          <td>${fold.loss.toFixed(4)}</td>
+          <td>${fold.validationSamples}</td>
+        </tr>
+      `;
+    });
+
+    html += `
+        <tr class="metrics-average">
+          <td class="cm-metric-label">Mean ± std</td>
+          <td>${(cv.meanAccuracy * 100).toFixed(1)}% ± ${(cv.stdAccuracy * 100).toFixed(1)}</td>
+          <td>${(cv.meanMacroF1 * 100).toFixed(1)}% ± ${(cv.stdMacroF1 * 100).toFixed(1)}</td>
+          <td>${cv.meanLoss.toFixed(4)}</td>
+          <td></td>
+        </tr>
+          </tbody>
+        </table>
+        <div class="fold-selector">
+          <label for="confusion-matrix-fold-select">Confusion matrix:</label>
+          <select id="confusion-matrix-fold-select">
+            <option value="all">All folds (pooled)</option>
+            ${cv.folds.map((fold, i) => `<option value="${i}">Fold ${fold.fold + 1}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+    `;
+
+    return html;
+  }
+
+  // Switch the heatmap between the pooled matrix and a single fold
+  setupFoldSelector(evaluation) {
+    const select = document.getElementById('confusion-matrix-fold-select');
+    const view = document.getElementById('confusion-matrix-view');
+    if (!select || !view) return;
+
+    select.addEventListener('change', () => {
+      const source = select.value === 'all'
+        ? evaluation
+        : {
+          ...evaluation,
+          confusionMatrix: evaluation.crossValidation.folds[select.value].confusionMatrix,
+          confusionSampleIds: evaluation.crossValidation.folds[select.value].confusionSampleIds,
+        };
+
+      view.innerHTML = this.renderConfusionMatrix(source);
+      this.setupConfusionMatrixListeners(view, source);
+    });
+  }
+
+  // ========================================================================
+  // Confusion Matrix
+  // ========================================================================
+
+  // Gesture labels are typed by the user - escape them before they go into
+  // markup or attributes
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  renderConfusionMatrix(evaluation) {
+    const { confusionMatrix } = evaluation;
+    const labels = evaluation.labels.map(label => this.escapeHtml(label));
+
+    let html = `
+      <div class="confusion-matrix-results">
+        <h4>Confusion Matrix:</h4>
+        <p class="help-text">Rows are the actual class, columns the predicted class. Click a cell to view its samples.</p>
+        <div class="confusion-matrix-scroll">
+          <table class="confusion-matrix">
+            <thead>
+              <tr>
+                <th class="cm-corner">Actual ↓ / Predicted →</th>
+                ${labels.map(label => `<th class="cm-col-label" title="${label}">${label}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+    `;
+
+    confusionMatrix.forEach((row, actual) => {
+      const rowTotal = row.reduce((sum, count) => sum + count, 0);
+
+      html += `<tr><th class="cm-row-label" title="${labels[actual]}">${labels[actual]}</th>`;
+
+      row.forEach((count, predicted) => {
+        // Shade by share of the actual class so small classes stay readable
+        const share = rowTotal > 0 ? count / rowTotal : 0;
+        const isDiagonal = actual === predicted;
+        const color = isDiagonal ? '0, 255, 136' : '255, 82, 82';
+        const percent = (share * 100).toFixed(0);
+        const tooltip = `Actual: ${labels[actual]}\nPredicted: ${labels[predicted]}\n${count} of ${rowTotal} (${percent}%)`;
+
+        const classes = ['cm-cell'];
+        if (isDiagonal) classes.push('cm-diagonal');
+        if (count > 0) classes.push('cm-clickable');
+
+        html += `
+          <td class="${classes.join(' ')}"
+              style="background: rgba(${color}, ${(0.08 + share * 0.72).toFixed(2)})"
+              data-actual="${actual}" data-predicted="${predicted}"
+              title="${tooltip}">${count}</td>
+        `;
+      });
+
+      html += '</tr>';
+    });
+
+    html += `
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    return html;
+  }
+
+  renderClassMetrics(evaluation) {
+    const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+    const row = (label, stat, className = '') => `
+      <tr class="${className}">
+        <td class="cm-metric-label">${this.escapeHtml(label)}</td>
+        <td>${percent(stat.precision)}</td>
+        <td>${percent(stat.recall)}</td>
+        <td>${percent(stat.f1)}</td>
+        <td>${stat.support}</td>
+      </tr>
+    `;
+
+    let html = `
+      <div class="per-class-results">
+        <h4>Per-Class Metrics:</h4>
+        <table class="class-metrics-table">
+          <thead>
+            <tr>
+              <th>Class</th>
+              <th>Precision</th>
+              <th>Recall</th>
+              <th>F1</th>
+              <th>Support</th>
+            </tr>
+          </thead>
+          <tbody>
+    `;
+
+    evaluation.classMetrics.forEach(stat => {
+      html += row(stat.label, stat);
+    });
+
+    html += row('Macro avg', evaluation.macroAvg, 'metrics-average');
+    html += row('Weighted avg', evaluation.weightedAvg, 'metrics-average');
+
+    html += `
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    return html;
+  }
+
+  setupConfusionMatrixListeners(container, evaluation) {
+    container.querySelectorAll('.cm-cell.cm-clickable').forEach(cell => {
+      cell.addEventListener('click', () => {
+        const actual = parseInt(cell.dataset.actual, 10);
+        const predicted = parseInt(cell.dataset.predicted, 10);
+        const sampleIds = evaluation.confusionSampleIds
+          ? evaluation.confusionSampleIds[actual][predicted]
+          : [];
+
+        this.emit('showSamples', {
+          actualLabel: evaluation.labels[actual],
+          predictedLabel: evaluation.labels[predicted],
+          sampleIds: sampleIds,
+          dataType: evaluation.dataType,
+        });
+      });
+    });
   }
 
   // ========================================================================
@@ -539,6 +845,12 @@ class TrainingUI {
       const classificationElements = testingInterface.querySelectorAll('.classification-testing');
       classificationElements.forEach(el => el.style.display = 'block');
 
+      // Gesture detection needs the IMU motion trigger
+      const streamingControl = document.getElementById('streaming-control');
+      if (streamingControl) {
+        streamingControl.style.display = dataType === 'imu' ? 'block' : 'none';
+      }
+
       console.log('🧪 Classification testing interface ready');
     }
 
@@ -642,6 +954,22 @@ class TrainingUI {
     const gestureEl = document.getElementById('predicted-gesture');
     const confidenceEl = document.getElementById('prediction-confidence');
 
+    // The idle class means "no gesture" - keep it out of the output
+    if (prediction.isIdle) {
+      if (gestureEl) {
+        gestureEl.textContent = '—';
+        gestureEl.classList.remove('low-confidence');
+        gestureEl.classList.add('no-prediction');
+      }
+
+      if (confidenceEl) {
+        confidenceEl.textContent = `No gesture (${prediction.predictedLabel})`;
+      }
+
+      this.updateProbabilityBars(prediction);
+      return;
+    }
+
     if (gestureEl) {
       gestureEl.textContent = prediction.predictedLabel;
 
@@ -657,7 +985,10 @@ class TrainingUI {
       confidenceEl.textContent = `${percent}% confident`;
     }
 
-    // Update probability bars
+    this.updateProbabilityBars(prediction);
+  }
+
+  updateProbabilityBars(prediction) {
     prediction.probabilities.forEach((prob, index) => {
       const barEl = document.getElementById(`prob-bar-${index}`);
       const valueEl = document.getElementById(`prob-value-${index}`);
@@ -696,6 +1027,77 @@ class TrainingUI {
     });
   }
 
+  // ========================================================================
+  // Gesture Events (streaming inference)
+  // ========================================================================
+
+  showGestureEvent(event) {
+    const gestureEl = document.getElementById('predicted-gesture');
+    const confidenceEl = document.getElementById('prediction-confidence');
+
+    if (gestureEl) {
+      gestureEl.textContent = event.label;
+      gestureEl.classList.remove('low-confidence', 'no-prediction', 'gesture-detected');
+      // Restart the highlight animation for repeated gestures
+      void gestureEl.offsetWidth;
+      gestureEl.classList.add('gesture-detected');
+    }
+
+    if (confidenceEl) {
+      confidenceEl.textContent = `${(event.confidence * 100).toFixed(1)}% confident`;
+    }
+
+    this.addGestureEventToLog(event.label, event.confidence, false);
+  }
+
+  showRejectedEvent(event) {
+    const gestureEl = document.getElementById('predicted-gesture');
+    const confidenceEl = document.getElementById('prediction-confidence');
+
+    if (gestureEl) {
+      gestureEl.textContent = 'Unknown';
+      gestureEl.classList.remove('low-confidence', 'gesture-detected');
+      gestureEl.classList.add('no-prediction');
+    }
+
+    if (confidenceEl) {
+      confidenceEl.textContent = event.reason === 'idle'
+        ? `No gesture (${event.label})`
+        : `Best guess ${event.label} at ${(event.confidence * 100).toFixed(1)}%`;
+    }
+
+    this.addGestureEventToLog(event.reason === 'idle' ? event.label : 'unknown', event.confidence, true);
+  }
+
+  addGestureEventToLog(label, confidence, rejected) {
+    const log = document.getElementById('gesture-event-log');
+    if (!log) return;
+
+    const entry = document.createElement('div');
+    entry.className = rejected ? 'gesture-event rejected' : 'gesture-event';
+    entry.innerHTML = `
+      <span class="gesture-event-label">${label}</span>
+      <span class="gesture-event-confidence">${(confidence * 100).toFixed(0)}%</span>
+      <span class="gesture-event-time">${new Date().toLocaleTimeString()}</span>
+    `;
+
+    log.style.display = 'block';
+    log.prepend(entry);
+
+    // Keep the most recent events only
+    while (log.children.length > 8) {
+      log.removeChild(log.lastChild);
+    }
+  }
+
+  clearGestureEvents() {
+    const log = document.getElementById('gesture-event-log');
+    if (log) {
+      log.innerHTML = '';
+      log.style.display = 'none';
+    }
+  }
+
   // ========================================================================
   // Export Buttons
   // ========================================================================
@@ -0,0 +1,223 @@
+// ============================================================================
+// Worker Training Backend
+// ============================================================================
+// MLTrainer fit backend (see MLTrainer.setFitBackend) that fits classifiers
+// and runs predictions in a dedicated Web Worker (ml-worker.js) with tf.js's
+// CPU or WASM backend. MLTrainer keeps its API and events; this class only
+// proxies the heavy calls as messages:
+//
+//   fit     - topology + tensors in, epoch events and trained weights out
+//             (the weights are set on the local model, for evaluation/export)
+//   predict - rows in, outputs out. The worker mirrors one model; a model it
+//             doesn't have (restored project, regression, audio) is sent
+//             over before its first prediction.
+// ============================================================================
+
+class WorkerTrainingBackend {
+  // options.backend: 'cpu' (default) or 'wasm'
+  constructor(options = {}) {
+    this.name = 'tf.js worker';
+    this.worker = new Worker('js/ml/ml-worker.js');
+    this.nextId = 1;
+    this.pending = new Map(); // message id -> { resolve, reject }
+
+    this.jobId = null;
+    this.callbacks = null;
+
+    // Renderer models <-> the one the worker holds
+    this.modelKeys = new WeakMap();
+    this.nextModelKey = 1;
+    this.workerModelKey = null;
+    this.loading = null; // { key, promise } while a model is sent over
+
+    this.worker.onmessage = ({ data }) => this.handleMessage(data);
+    this.worker.onerror = (error) => {
+      // e.g. tf.js couldn't be loaded - nothing pending will be answered
+      console.error('❌ ML worker error:', error.message);
+      this.rejectPending(new Error(`ML worker failed: ${error.message}`));
+    };
+
+    this.ready = this.request('init', { backend: options.backend || 'cpu' }).then(({ backend }) => {
+      this.name = `tf.js worker (${backend})`;
+      console.log(`✅ ML worker ready (${backend} backend)`);
+    });
+  }
+
+  static isAvailable() {
+    return typeof Worker !== 'undefined';
+  }
+
+  // ========================================================================
+  // Messaging
+  // ========================================================================
+
+  request(type, message = {}, transfer = []) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...message }, transfer);
+    });
+  }
+
+  rejectPending(error) {
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+
+  handleMessage(data) {
+    if (data.type === 'event') {
+      this.handleEvent(data);
+      return;
+    }
+
+    const pending = this.pending.get(data.id);
+    if (!pending) return;
+
+    this.pending.delete(data.id);
+    if (data.error) {
+      pending.reject(new Error(data.error));
+    } else {
+      pending.resolve(data.result);
+    }
+  }
+
+  handleEvent({ event, jobId, epoch, logs, ...data }) {
+    if (jobId !== this.jobId || !this.callbacks) return;
+
+    if (event === 'trainingStart') {
+      console.log(`🧵 Training in a worker (${data.backend}): ${data.samples} samples × ${data.inputs} inputs`);
+    } else if (event === 'epochBegin' && this.callbacks.onEpochBegin) {
+      this.callbacks.onEpochBegin(epoch, logs);
+    } else if (event === 'epochEnd' && this.callbacks.onEpochEnd) {
+      this.callbacks.onEpochEnd(epoch, logs);
+    }
+  }
+
+  getModelKey(model) {
+    if (!this.modelKeys.has(model)) {
+      this.modelKeys.set(model, this.nextModelKey++);
+    }
+    return this.modelKeys.get(model);
+  }
+
+  // ========================================================================
+  // Training
+  // ========================================================================
+
+  // Same contract as NativeTrainingBackend.fit()
+  async fit(model, tensors, options, callbacks = {}) {
+    await this.ready;
+
+    const jobId = `fit_${Date.now()}`;
+    const modelKey = this.getModelKey(model);
+
+    const job = {
+      jobId,
+      modelKey,
+      modelTopology: model.toJSON(null, false),
+      compile: {
+        learningRate: model.optimizer.getConfig().learningRate,
+        loss: model.loss,
+        metrics: ['accuracy'],
+      },
+      trainX: await this.toTransferable(tensors.trainX),
+      trainY: await this.toTransferable(tensors.trainY),
+      valX: await this.toTransferable(tensors.valX),
+      valY: await this.toTransferable(tensors.valY),
+      epochs: options.epochs,
+      batchSize: options.batchSize,
+      classWeight: options.classWeight,
+    };
+
+    // The values are our own copies (see toTransferable) - hand the buffers
+    // to the worker instead of cloning them again
+    const transfer = [job.trainX, job.trainY, job.valX, job.valY]
+      .filter(Boolean)
+      .map(data => data.values.buffer);
+
+    this.jobId = jobId;
+    this.callbacks = callbacks;
+
+    try {
+      const result = await this.request('fit', { job }, transfer);
+
+      const weights = result.weights.map(weight => tf.tensor(weight.values, weight.shape));
+      model.setWeights(weights);
+      weights.forEach(weight => weight.dispose());
+
+      // The worker kept the trained model for predictions
+      this.workerModelKey = modelKey;
+
+      return { stopped: result.stopped };
+    } finally {
+      this.jobId = null;
+      this.callbacks = null;
+    }
+  }
+
+  stop() {
+    if (this.jobId) {
+      this.request('stop');
+    }
+  }
+
+  // Copies the values: on the CPU backend tensor.data() resolves to the
+  // tensor's own store, and transferring that would detach the tensor
+  async toTransferable(tensor) {
+    if (!tensor) return null;
+    return { values: new Float32Array(await tensor.data()), shape: tensor.shape };
+  }
+
+  // ========================================================================
+  // Prediction
+  // ========================================================================
+
+  // rows: inputs as arrays -> flat outputs, like model.predict().data()
+  async predict(model, rows) {
+    await this.ready;
+
+    const modelKey = this.getModelKey(model);
+    if (modelKey !== this.workerModelKey) {
+      await this.loadModel(model, modelKey);
+    }
+
+    return this.request('predict', { modelKey, rows });
+  }
+
+  loadModel(model, modelKey) {
+    // Predictions arrive at 20 Hz - send each model once
+    if (!this.loading || this.loading.key !== modelKey) {
+      const promise = this.sendModel(model, modelKey).finally(() => {
+        if (this.loading && this.loading.promise === promise) {
+          this.loading = null;
+        }
+      });
+      this.loading = { key: modelKey, promise };
+    }
+
+    return this.loading.promise;
+  }
+
+  async sendModel(model, modelKey) {
+    const weights = await Promise.all(model.getWeights().map(async weight => ({
+      values: await weight.data(),
+      shape: weight.shape,
+    })));
+
+    await this.request('load', {
+      modelKey,
+      modelTopology: model.toJSON(null, false),
+      weights,
+    });
+    this.workerModelKey = modelKey;
+  }
+
+  terminate() {
+    this.worker.terminate();
+    this.rejectPending(new Error('ML worker terminated'));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkerTrainingBackend;
+}
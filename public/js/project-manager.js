@@ -0,0 +1,209 @@
+// ============================================================================
+// Project Manager - .tinyproj Save/Open
+// ============================================================================
+// Renderer side of project persistence. Collects state from the trainer UI,
+// hands it to the main process for writing, and restores it on open.
+// File selection and the recent projects list live in the main process.
+// ============================================================================
+
+const PROJECT_FILE_FILTERS = [
+    { name: 'Tiny Trainer Project', extensions: ['tinyproj'] },
+    { name: 'All Files', extensions: ['*'] }
+];
+
+class ProjectManager {
+    constructor({ collectState, applyState, getDeviceId } = {}) {
+        this.collectState = collectState;   // async () => project object
+        this.applyState = applyState;       // async (project) => void
+        this.getDeviceId = getDeviceId || (() => null);
+
+        this.currentPath = null;
+        this.isBusy = false;
+
+        // Listeners
+        this.listeners = {
+            projectSaved: [],
+            projectOpened: [],
+        };
+    }
+
+    // ========================================================================
+    // Event System
+    // ========================================================================
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // ========================================================================
+    // Availability
+    // ========================================================================
+
+    isAvailable() {
+        return typeof window !== 'undefined' && window.electron && window.electron.saveProject;
+    }
+
+    requireElectron() {
+        if (!this.isAvailable()) {
+            toast.error('Projects can only be saved from the desktop app', {
+                title: 'Not Available',
+                duration: 4000
+            });
+            return false;
+        }
+        return true;
+    }
+
+    getProjectName() {
+        if (!this.currentPath) return null;
+        const fileName = this.currentPath.split(/[\\/]/).pop();
+        return fileName.replace(/\.tinyproj$/i, '');
+    }
+
+    // ========================================================================
+    // Save
+    // ========================================================================
+
+    async save() {
+        if (!this.currentPath) {
+            return this.saveAs();
+        }
+        return this.saveTo(this.currentPath);
+    }
+
+    async saveAs() {
+        if (!this.requireElectron()) return false;
+
+        const result = await window.electron.showSaveDialog({
+            title: 'Save Project',
+            defaultPath: this.currentPath || 'untitled.tinyproj',
+            filters: PROJECT_FILE_FILTERS
+        });
+
+        if (result.canceled || !result.filePath) {
+            return false;
+        }
+
+        return this.saveTo(result.filePath);
+    }
+
+    async saveTo(filePath) {
+        if (!this.requireElectron() || this.isBusy) return false;
+
+        this.isBusy = true;
+
+        try {
+            console.log('💾 Saving project...');
+            const project = await this.collectState();
+            const result = await window.electron.saveProject(filePath, project, this.getDeviceId());
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.currentPath = result.filePath;
+            this.emit('projectSaved', { filePath: this.currentPath });
+
+            toast.success(`Saved ${this.getProjectName()}`, {
+                title: 'Project Saved',
+                duration: 3000
+            });
+
+            console.log('✅ Project saved:', this.currentPath);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save project:', error);
+            toast.error(`Failed to save project: ${error.message}`, {
+                title: 'Save Error',
+                duration: 5000
+            });
+            return false;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    // ========================================================================
+    // Open
+    // ========================================================================
+
+    async open() {
+        if (!this.requireElectron()) return false;
+
+        const result = await window.electron.showOpenDialog({
+            title: 'Open Project',
+            properties: ['openFile'],
+            filters: PROJECT_FILE_FILTERS
+        });
+
+        if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+            return false;
+        }
+
+        return this.openPath(result.filePaths[0]);
+    }
+
+    async openPath(filePath) {
+        if (!this.requireElectron() || this.isBusy) return false;
+
+        this.isBusy = true;
+
+        try {
+            console.log('📂 Opening project:', filePath);
+            const result = await window.electron.openProject(filePath);
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            await this.applyState(result.project);
+
+            this.currentPath = result.filePath;
+            this.emit('projectOpened', { filePath: this.currentPath, project: result.project });
+
+            toast.success(`Opened ${this.getProjectName()}`, {
+                title: 'Project Opened',
+                duration: 3000
+            });
+
+            console.log('✅ Project opened:', this.currentPath);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to open project:', error);
+            toast.error(`Failed to open project: ${error.message}`, {
+                title: 'Open Error',
+                duration: 5000
+            });
+            return false;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    // ========================================================================
+    // Recent Projects
+    // ========================================================================
+
+    async getRecentProjects() {
+        if (!this.isAvailable()) return [];
+        return window.electron.getRecentProjects();
+    }
+
+    async clearRecentProjects() {
+        if (!this.isAvailable()) return [];
+        return window.electron.clearRecentProjects();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectManager;
+}
@@ -587,68 +587,72 @@ class RegressionUI {
     }
   }
 
+  // Load regression data (JSON string or parsed object) and rebuild the parameter cards
+  loadData(jsonData) {
+    const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+
+    if (!this.regressionManager.importJSON(data)) {
+      throw new Error('Failed to import data');
+    }
+
+    const sampleCount = data.samples.length;
+    const outputCount = data.metadata.outputCount;
+    const outputLabels = data.metadata.outputLabels;
+
+    // Update parameters to match imported data
+    this.parameters = [];
+    for (let i = 0; i < outputCount; i++) {
+      this.parameters.push({
+        id: i + 1,
+        name: outputLabels[i] || `Parameter ${i + 1}`,
+        value: 0.5,
+        samples: sampleCount // All parameters share the same samples
+      });
+    }
+
+    // Update UI
+    this.renderParameters();
+    this.updateExportButtonState();
+
+    // Add visual feedback - green outline to show data loaded
+    this.parameters.forEach(param => {
+      const card = document.getElementById(`param-card-${param.id}`);
+      if (card) {
+        card.style.border = '2px solid #4caf50';
+        card.style.boxShadow = '0 0 8px rgba(76, 175, 80, 0.3)';
+
+        // Remove after 3 seconds
+        setTimeout(() => {
+          card.style.border = '';
+          card.style.boxShadow = '';
+        }, 3000);
+      }
+    });
+
+    // Update training info
+    if (typeof updateTrainingInfo === 'function') {
+      updateTrainingInfo();
+    }
+
+    return { sampleCount, outputCount };
+  }
+
   importData(file) {
     const reader = new FileReader();
 
     reader.onload = (e) => {
       try {
-        const jsonData = e.target.result;
-        const success = this.regressionManager.importJSON(jsonData);
-
-        if (success) {
-          // Parse to get metadata
-          const data = JSON.parse(jsonData);
-          const sampleCount = data.samples.length;
-          const outputCount = data.metadata.outputCount;
-          const outputLabels = data.metadata.outputLabels;
-
-          // Update parameters to match imported data
-          this.parameters = [];
-          for (let i = 0; i < outputCount; i++) {
-            this.parameters.push({
-              id: i + 1,
-              name: outputLabels[i] || `Parameter ${i + 1}`,
-              value: 0.5,
-              samples: sampleCount // All parameters share the same samples
-            });
-          }
+        const { sampleCount, outputCount } = this.loadData(e.target.result);
 
-          // Update UI
-          this.renderParameters();
-          this.updateExportButtonState();
-
-          // Add visual feedback - green outline to show data loaded
-          this.parameters.forEach(param => {
-            const card = document.getElementById(`param-card-${param.id}`);
-            if (card) {
-              card.style.border = '2px solid #4caf50';
-              card.style.boxShadow = '0 0 8px rgba(76, 175, 80, 0.3)';
-
-              // Remove after 3 seconds
-              setTimeout(() => {
-                card.style.border = '';
-                card.style.boxShadow = '';
-              }, 3000);
-            }
+        // Show toast notification
+        if (typeof toast !== 'undefined') {
+          toast.success(`Loaded ${sampleCount} samples with ${outputCount} outputs`, {
+            title: 'Data Loaded',
+            duration: 4000
           });
-
-          // Update training info
-          if (typeof updateTrainingInfo === 'function') {
-            updateTrainingInfo();
-          }
-
-          // Show toast notification
-          if (typeof toast !== 'undefined') {
-            toast.success(`Loaded ${sampleCount} samples with ${outputCount} outputs`, {
-              title: 'Data Loaded',
-              duration: 4000
-            });
-          }
-
-          console.log(`✅ Imported ${sampleCount} regression samples`);
-        } else {
-          throw new Error('Failed to import data');
         }
+
+        console.log(`✅ Imported ${sampleCount} regression samples`);
       } catch (error) {
         console.error('❌ Import failed:', error);
         if (typeof toast !== 'undefined') {
@@ -0,0 +1,551 @@
+// ============================================================================
+// Custom Sensor UI
+// ============================================================================
+// The "Custom Sensors" tab (FeatureFlags.ENABLE_CUSTOM_SENSORS): capture,
+// preview and training for any CSV-streaming board described by a device
+// profile with a `capture` section (see src/profiles/). The tab is built
+// from the selected profile - its fields become the channels of the
+// collector, the visualizer rows and the model inputs.
+//
+// Samples use the data type 'sensor:<profile id>', registered with
+// PreprocessingPipeline so channel selection, preprocessing and
+// normalization work as for the built-in sensors.
+// ============================================================================
+
+class SensorUI {
+  constructor(bridge) {
+    this.bridge = bridge;
+    this.enabled = false;
+
+    this.profiles = new Map(); // id -> profile with a capture section
+    this.profile = null;       // Selected profile
+    this.cards = new Map();    // label name -> card element
+
+    // Created in init() when the feature is enabled
+    this.gestureManager = null;
+    this.dataCollector = null;
+    this.visualizer = null;
+
+    this.init();
+  }
+
+  // ========================================================================
+  // Initialization
+  // ========================================================================
+
+  init() {
+    console.log('🎛️ Initializing SensorUI...');
+
+    if (!window.FeatureFlags?.ENABLE_CUSTOM_SENSORS) {
+      console.log('⚠️ Custom sensors are disabled via feature flag');
+      this.hideSensorFeature();
+      return;
+    }
+
+    this.enabled = true;
+    this.gestureManager = new GestureManager();
+    this.dataCollector = new SensorDataCollector(this.bridge, this.gestureManager);
+    this.visualizer = new SensorVisualizer('sensor-preview-canvas');
+
+    this.setupEventListeners();
+    this.loadProfiles();
+
+    console.log('✅ SensorUI initialized');
+  }
+
+  hideSensorFeature() {
+    const tabBtn = document.getElementById('sensor-tab-btn');
+    if (tabBtn) tabBtn.style.display = 'none';
+
+    const panel = document.getElementById('sensor-panel');
+    if (panel) panel.style.display = 'none';
+  }
+
+  static isSensorDataType(dataType) {
+    return typeof dataType === 'string' && dataType.startsWith('sensor:');
+  }
+
+  // ========================================================================
+  // Profiles
+  // ========================================================================
+
+  async loadProfiles() {
+    const select = document.getElementById('sensor-profile-select');
+
+    try {
+      const response = await fetch('/api/profiles');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { profiles } = await response.json();
+      profiles.filter(profile => profile.capture).forEach(profile => {
+        this.profiles.set(profile.id, profile);
+        PreprocessingPipeline.registerDataType(
+          SensorDataCollector.getDataType(profile), profile.dataFormat.fields
+        );
+      });
+    } catch (error) {
+      console.error('❌ Failed to load device profiles:', error);
+      showNotification(`Failed to load device profiles: ${error.message}`, 'error');
+    }
+
+    // Lines with a profile's value count are frames, not garbled
+    const lengths = [...this.profiles.values()].map(profile => profile.dataFormat.fields.length);
+    this.bridge.setFrameLengths([...new Set([...STREAM_FRAME_LENGTHS, ...lengths])]);
+
+    select.innerHTML = '';
+    if (this.profiles.size === 0) {
+      select.appendChild(new Option('No sensor profiles found', ''));
+      select.disabled = true;
+      document.getElementById('add-sensor-btn').disabled = true;
+      return;
+    }
+
+    this.profiles.forEach(profile => {
+      select.appendChild(new Option(profile.capture.label || profile.name, profile.id));
+    });
+    this.selectProfile(select.value);
+  }
+
+  getProfile() {
+    return this.profile;
+  }
+
+  getDataType() {
+    return this.profile ? SensorDataCollector.getDataType(this.profile) : null;
+  }
+
+  // Switching profiles changes the channels, so the labels of the previous
+  // one are dropped (after asking, if they have samples)
+  selectProfile(id) {
+    const profile = this.profiles.get(id);
+    const select = document.getElementById('sensor-profile-select');
+
+    if (!profile || profile === this.profile) {
+      select.value = this.profile ? this.profile.id : '';
+      return false;
+    }
+
+    if (this.gestureManager.getAllSamples().length > 0 &&
+        !confirm(`Switch to ${profile.name}? The labels and samples of ${this.profile.name} will be removed.`)) {
+      select.value = this.profile.id;
+      return false;
+    }
+
+    this.reset();
+    this.profile = profile;
+    select.value = profile.id;
+
+    this.dataCollector.setProfile(profile);
+    this.visualizer.setFields(profile.dataFormat.fields);
+    setupChannelSelect('sensor-', this.getDataType());
+
+    const framesInput = document.getElementById('sensor-frames-per-sample');
+    framesInput.value = this.dataCollector.framesTarget;
+    document.getElementById('sensor-frame-count').textContent = `0 / ${this.dataCollector.framesTarget}`;
+
+    const units = profile.dataFormat.fields
+      .map(field => field.unit ? `${field.name} (${field.unit})` : field.name)
+      .join(', ');
+    document.getElementById('sensor-profile-info').textContent =
+      `${profile.description || profile.name} - channels: ${units}`;
+    document.getElementById('sensor-tab-label').textContent = profile.capture.label || 'Custom Sensors';
+
+    if (window.tabManager) {
+      window.tabManager.setTabMode('sensor', profile.capture.command || null);
+    }
+
+    console.log(`🎛️ Sensor profile: ${profile.id} (${profile.dataFormat.fields.length} channels)`);
+    return true;
+  }
+
+  // ========================================================================
+  // Event Listeners
+  // ========================================================================
+
+  setupEventListeners() {
+    document.getElementById('sensor-profile-select').addEventListener('change', (e) => {
+      this.selectProfile(e.target.value);
+    });
+
+    document.getElementById('sensor-samples-per-class').addEventListener('change', (e) => {
+      this.gestureManager.samplesPerGesture = parseInt(e.target.value);
+      this.refreshCards();
+    });
+
+    document.getElementById('sensor-frames-per-sample').addEventListener('change', (e) => {
+      this.dataCollector.setFramesTarget(parseInt(e.target.value));
+      document.getElementById('sensor-frame-count').textContent = `0 / ${e.target.value}`;
+    });
+
+    document.getElementById('train-sensor-model-btn').addEventListener('click', () => {
+      this.startTraining();
+    });
+
+    this.setupAddLabelModal();
+
+    // Data collector events
+    this.dataCollector.on('dataUpdate', (values) => {
+      this.visualizer.addFrame(values);
+    });
+
+    this.dataCollector.on('captureStarted', (data) => {
+      this.updateStatus('Recording', 'recording');
+      this.setCardRecording(data.label, true);
+      this.visualizer.setCapturing(true);
+    });
+
+    this.dataCollector.on('frameCollected', (data) => {
+      document.getElementById('sensor-progress-fill').style.width = `${(data.progress * 100).toFixed(0)}%`;
+      document.getElementById('sensor-frame-count').textContent =
+        `${data.framesCollected} / ${data.framesTarget}`;
+    });
+
+    this.dataCollector.on('captureCompleted', (data) => {
+      this.updateStatus('Ready', 'ready');
+      this.setCardRecording(data.label, false);
+      this.updateCard(data.label);
+      this.updateTrainingInfo();
+      this.visualizer.setCapturing(false);
+      this.resetProgress();
+
+      showNotification(`Sample captured for ${data.label}`, 'success');
+    });
+
+    this.dataCollector.on('captureFailed', (data) => {
+      this.updateStatus('Error', 'error');
+      this.visualizer.setCapturing(false);
+      showNotification(`Capture failed: ${data.error}`, 'error');
+    });
+
+    this.dataCollector.on('captureCancelled', () => {
+      this.updateStatus('Ready', 'ready');
+      this.cards.forEach(card => card.classList.remove('recording'));
+      this.visualizer.setCapturing(false);
+      this.resetProgress();
+    });
+
+    // Gesture manager events
+    this.gestureManager.on('gestureAdded', (label) => {
+      this.addCard(label);
+      this.updateTrainingInfo();
+    });
+
+    this.gestureManager.on('gestureRemoved', (label) => {
+      const card = this.cards.get(label.name);
+      if (card) card.remove();
+      this.cards.delete(label.name);
+      this.updateTrainingInfo();
+
+      if (this.gestureManager.getAllGestures().length === 0) {
+        document.getElementById('sensor-empty-state').style.display = 'block';
+      }
+    });
+  }
+
+  setupAddLabelModal() {
+    const modal = document.getElementById('add-sensor-modal');
+    const nameInput = document.getElementById('sensor-name-input');
+    const createBtn = document.getElementById('create-sensor-btn');
+
+    document.getElementById('add-sensor-btn').addEventListener('click', () => {
+      modal.classList.add('active');
+      nameInput.value = '';
+      nameInput.focus();
+    });
+
+    document.getElementById('close-sensor-modal').addEventListener('click', () => {
+      modal.classList.remove('active');
+    });
+
+    document.getElementById('cancel-sensor-btn').addEventListener('click', () => {
+      modal.classList.remove('active');
+    });
+
+    createBtn.addEventListener('click', () => {
+      const name = nameInput.value.trim();
+      if (!name) return;
+
+      try {
+        this.gestureManager.addGesture(name);
+        modal.classList.remove('active');
+        showNotification(`Label "${name}" created`, 'success');
+      } catch (error) {
+        showNotification(error.message, 'error');
+      }
+    });
+
+    nameInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        createBtn.click();
+      }
+    });
+  }
+
+  // ========================================================================
+  // Label Cards
+  // ========================================================================
+
+  addCard(label) {
+    document.getElementById('sensor-empty-state').style.display = 'none';
+
+    const card = document.createElement('div');
+    card.className = 'gesture-card';
+    card.innerHTML = `
+      <div class="gesture-header">
+        <div class="gesture-name"></div>
+        <div class="gesture-menu">
+          <button class="menu-btn">⋮</button>
+          <div class="menu-dropdown">
+            <button data-action="clear">Clear Samples</button>
+            <button class="danger" data-action="delete">Delete</button>
+          </div>
+        </div>
+      </div>
+
+      <div class="gesture-info">
+        <div class="info-item">
+          <div class="info-label">Samples</div>
+          <div class="info-value" data-field="samples">0</div>
+        </div>
+        <div class="info-item">
+          <div class="info-label">Target</div>
+          <div class="info-value">${this.gestureManager.samplesPerGesture}</div>
+        </div>
+      </div>
+
+      <div class="sample-progress">
+        <div class="progress-label">
+          <span>Progress</span>
+          <span data-field="progress-text">0%</span>
+        </div>
+        <div class="progress-bar">
+          <div class="progress-fill" data-field="progress-bar" style="width: 0%"></div>
+        </div>
+      </div>
+
+      <div class="gesture-actions">
+        <button data-action="record">📹 Record Sample</button>
+      </div>
+    `;
+    card.querySelector('.gesture-name').textContent = label.name;
+
+    const menu = card.querySelector('.menu-dropdown');
+    card.querySelector('.menu-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      document.querySelectorAll('.menu-dropdown').forEach(m => {
+        if (m !== menu) m.classList.remove('active');
+      });
+      menu.classList.toggle('active');
+    });
+
+    card.querySelector('[data-action="record"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleRecording(label.name);
+    });
+
+    card.querySelector('[data-action="clear"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.classList.remove('active');
+      this.clearSamples(label.name);
+    });
+
+    card.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.classList.remove('active');
+      if (confirm(`Delete label "${label.name}" and all its samples?`)) {
+        this.gestureManager.removeGesture(label.name);
+      }
+    });
+
+    card.addEventListener('click', () => this.selectLabel(label.name));
+
+    this.cards.set(label.name, card);
+    document.getElementById('sensor-grid').appendChild(card);
+  }
+
+  updateCard(labelName) {
+    const label = this.gestureManager.getGesture(labelName);
+    const card = this.cards.get(labelName);
+    if (!label || !card) return;
+
+    const progress = Math.min((label.samples.length / this.gestureManager.samplesPerGesture) * 100, 100);
+    card.querySelector('[data-field="samples"]').textContent = label.samples.length;
+    card.querySelector('[data-field="progress-text"]').textContent = `${progress.toFixed(0)}%`;
+    card.querySelector('[data-field="progress-bar"]').style.width = `${progress}%`;
+  }
+
+  refreshCards() {
+    this.cards.forEach(card => card.remove());
+    this.cards.clear();
+
+    this.gestureManager.getAllGestures().forEach(label => {
+      this.addCard(label);
+      this.updateCard(label.name);
+    });
+
+    document.getElementById('sensor-empty-state').style.display =
+      this.gestureManager.getAllGestures().length > 0 ? 'none' : 'block';
+  }
+
+  selectLabel(name) {
+    this.cards.forEach((card, cardName) => {
+      card.classList.toggle('selected', cardName === name);
+    });
+    this.dataCollector.selectLabel(name);
+  }
+
+  setCardRecording(name, isRecording) {
+    const card = this.cards.get(name);
+    if (card) {
+      card.classList.toggle('recording', isRecording);
+    }
+  }
+
+  toggleRecording(name) {
+    if (this.dataCollector.isCapturing) {
+      this.dataCollector.cancelCapture();
+    } else {
+      this.selectLabel(name);
+      this.dataCollector.startCapture();
+    }
+  }
+
+  clearSamples(name) {
+    const label = this.gestureManager.getGesture(name);
+    if (label && confirm(`Clear all samples for "${name}"?`)) {
+      label.samples = [];
+      this.updateCard(name);
+      this.updateTrainingInfo();
+    }
+  }
+
+  // ========================================================================
+  // Training
+  // ========================================================================
+
+  async startTraining() {
+    try {
+      if (!this.gestureManager.isReadyForTraining()) {
+        showNotification('⚠️ Not enough training data. Need at least 2 labels with sufficient samples.', 'warning');
+        return;
+      }
+
+      const channels = getInputChannels('sensor-', this.getDataType());
+      if (channels.length === 0) {
+        showNotification('⚠️ Select at least one input channel.', 'warning');
+        return;
+      }
+
+      const learningRateInput = document.getElementById('sensor-learning-rate');
+      const config = {
+        preset: 'balanced',
+        epochs: 50,
+        batchSize: 16,
+        learningRate: learningRateInput ? parseFloat(learningRateInput.value) : 0.001,
+        dataType: this.getDataType(),
+        balancing: getClassBalancing('sensor-'),
+        crossValidation: getCrossValidationConfig('sensor-'),
+        normalization: getNormalizationMethod('sensor-'),
+        channels: channels,
+      };
+
+      console.log(`📊 Sensor training config (${config.dataType}): LR=${config.learningRate}, Epochs=${config.epochs}`);
+
+      await mlTrainer.train(this.gestureManager, config);
+
+      console.log('✅ Sensor model training complete');
+
+    } catch (error) {
+      console.error('❌ Sensor training failed:', error);
+      showNotification(`❌ Training failed: ${error.message}`, 'error');
+    }
+  }
+
+  // ========================================================================
+  // Status
+  // ========================================================================
+
+  updateStatus(text, status) {
+    const statusElement = document.getElementById('sensor-status-text');
+    statusElement.textContent = text;
+    statusElement.className = 'status-text';
+    if (status === 'recording' || status === 'error') {
+      statusElement.classList.add(status);
+    }
+  }
+
+  resetProgress() {
+    document.getElementById('sensor-progress-fill').style.width = '0%';
+    document.getElementById('sensor-frame-count').textContent = `0 / ${this.dataCollector.framesTarget}`;
+  }
+
+  updateTrainingInfo() {
+    const labels = this.gestureManager.getAllGestures();
+    const totalSamples = labels.reduce((sum, label) => sum + label.samples.length, 0);
+
+    const infoText = document.getElementById('sensor-training-info-text');
+    const trainBtn = document.getElementById('train-sensor-model-btn');
+
+    if (labels.length < 2) {
+      infoText.textContent = 'Add at least 2 labels with samples to train';
+      trainBtn.disabled = true;
+    } else if (totalSamples < labels.length * 2) {
+      infoText.textContent = 'Add more samples to each label';
+      trainBtn.disabled = true;
+    } else {
+      infoText.textContent = `Ready to train with ${totalSamples} samples across ${labels.length} labels`;
+      trainBtn.disabled = false;
+    }
+  }
+
+  // ========================================================================
+  // Project Persistence
+  // ========================================================================
+
+  reset() {
+    if (!this.enabled) return;
+
+    this.dataCollector.cancelCapture();
+    this.gestureManager.clear();
+    this.refreshCards();
+    this.updateTrainingInfo();
+  }
+
+  // { profile, dataset } - the profile id decides which channels the samples have
+  serialize() {
+    if (!this.enabled || !this.profile) return null;
+
+    return {
+      profile: this.profile.id,
+      dataset: this.gestureManager.serialize(),
+    };
+  }
+
+  // Project settings are applied before this, so the profile select may
+  // already show the saved profile
+  loadData(data) {
+    if (!this.enabled || !data) return;
+
+    if (!this.profiles.has(data.profile)) {
+      throw new Error(`The project's sensor profile "${data.profile}" isn't in public/profiles/`);
+    }
+
+    this.reset();
+    this.selectProfile(data.profile);
+    if (!this.gestureManager.importJSON(data.dataset)) {
+      throw new Error('Invalid custom sensor data in project');
+    }
+    this.refreshCards();
+    this.updateTrainingInfo();
+  }
+
+  getGestureManager() {
+    return this.gestureManager;
+  }
+
+  getDataCollector() {
+    return this.dataCollector;
+  }
+}
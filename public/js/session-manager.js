@@ -0,0 +1,153 @@
+// ============================================================================
+// Session Manager - Raw Stream Recording/Replay
+// ============================================================================
+// Renderer side of stream sessions. Recording and replaying happen in the
+// main process; a replay comes back through the normal serial-data stream,
+// so collectors, visualizers and test mode behave as they do live.
+// ============================================================================
+
+const SESSION_FILE_FILTERS = [
+    { name: 'Tiny Trainer Session', extensions: ['tinysession'] },
+    { name: 'All Files', extensions: ['*'] }
+];
+
+class SessionManager {
+    constructor() {
+        this.status = null; // Last status from the main process
+
+        // Listeners
+        this.listeners = {
+            statusChanged: [],
+        };
+
+        if (this.isAvailable()) {
+            window.electron.on('session-status', (status) => this.setStatus(status));
+        }
+    }
+
+    // ========================================================================
+    // Event System
+    // ========================================================================
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // ========================================================================
+    // Status
+    // ========================================================================
+
+    isAvailable() {
+        return typeof window !== 'undefined' && window.electron && window.electron.getSessionStatus;
+    }
+
+    async refreshStatus() {
+        if (!this.isAvailable()) return null;
+        this.setStatus(await window.electron.getSessionStatus());
+        return this.status;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.emit('statusChanged', status);
+    }
+
+    isRecording() {
+        return Boolean(this.status && this.status.recorder.recording);
+    }
+
+    isReplaying() {
+        return Boolean(this.status && this.status.player.replaying);
+    }
+
+    // ========================================================================
+    // Recording
+    // ========================================================================
+
+    async toggleRecording() {
+        return this.isRecording() ? this.stopRecording() : this.startRecording();
+    }
+
+    async startRecording() {
+        if (!this.isAvailable()) return false;
+
+        const result = await window.electron.startSessionRecording(null);
+        if (!result.success) {
+            toast.error(result.error, { title: 'Recording Failed', duration: 4000 });
+            return false;
+        }
+
+        toast.info('Recording the raw sensor stream', { title: 'Recording Session', duration: 3000 });
+        return true;
+    }
+
+    async stopRecording() {
+        if (!this.isAvailable()) return false;
+
+        const result = await window.electron.stopSessionRecording();
+        if (!result.success) {
+            toast.error(result.error, { title: 'Recording Failed', duration: 4000 });
+            return false;
+        }
+
+        const fileName = result.filePath.split(/[\\/]/).pop();
+        const seconds = Math.round(result.durationMs / 1000);
+        toast.success(`${fileName}: ${result.totalFrames} frames in ${seconds} s`, {
+            title: 'Session Saved',
+            duration: 5000
+        });
+        return true;
+    }
+
+    // ========================================================================
+    // Replay
+    // ========================================================================
+
+    async replay(speed = 1) {
+        if (!this.isAvailable()) return false;
+
+        const status = this.status || await this.refreshStatus();
+        const result = await window.electron.showOpenDialog({
+            title: 'Replay Session',
+            defaultPath: status.sessionsDir,
+            properties: ['openFile'],
+            filters: SESSION_FILE_FILTERS
+        });
+
+        if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+            return false;
+        }
+
+        return this.replayPath(result.filePaths[0], speed);
+    }
+
+    async replayPath(filePath, speed = 1) {
+        const result = await window.electron.startSessionReplay(filePath, speed);
+        if (!result.success) {
+            toast.error(result.error, { title: 'Replay Failed', duration: 5000 });
+            return false;
+        }
+
+        console.log(`▶️ Replaying ${filePath} (${result.deviceIds.join(', ')})`);
+        return true;
+    }
+
+    async stopReplay() {
+        if (!this.isAvailable()) return false;
+        await window.electron.stopSessionReplay();
+        return true;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+}
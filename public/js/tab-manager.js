@@ -1,7 +1,7 @@
 // ============================================================================
 // Tab Manager - Multi-Modal UI Navigation
 // ============================================================================
-// Handles switching between IMU, Color, and Audio tabs
+// Handles switching between IMU, Color, Audio and custom sensor tabs
 // Manages BLE mode switching and data routing
 // ============================================================================
 
@@ -9,6 +9,7 @@ class TabManager {
     constructor() {
         this.currentTab = 'imu';  // Default tab
         this.bleMode = 'MODE:IMU'; // Default BLE mode
+        this.tabModes = {}; // tab -> BLE mode set with setTabMode()
         this.onTabChangeCallbacks = [];
 
         this.init();
@@ -66,6 +67,16 @@ class TabManager {
         this.notifyTabChange(tabName, previousTab);
     }
 
+    // BLE mode command for a tab (null = none), e.g. from the custom sensor
+    // tab's device profile. Applied right away if the tab is open.
+    setTabMode(tabName, mode) {
+        this.tabModes[tabName] = mode;
+
+        if (tabName === this.currentTab) {
+            this.updateBLEMode(tabName);
+        }
+    }
+
     updateBLEMode(tabName) {
         let newMode;
 
@@ -81,7 +92,7 @@ class TabManager {
                 newMode = null;
                 break;
             default:
-                newMode = 'MODE:IMU';
+                newMode = tabName in this.tabModes ? this.tabModes[tabName] : 'MODE:IMU';
         }
 
         if (newMode !== this.bleMode) {
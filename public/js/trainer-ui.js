@@ -18,6 +18,7 @@ let audioUIManager;
 
 // Regression components
 let regressionUI;
+let sensorUI; // Custom sensor tab (device profiles)
 
 // ML Training components
 let dataProcessor;
@@ -28,10 +29,20 @@ let trainingUI;
 // Tab management
 let tabMgr;
 
+// Project persistence
+let projectManager;
+let pendingAudioProjectData = null; // Audio data from a project, applied when the audio tab initializes
+
+// Raw stream recording/replay
+let sessionManager;
+
 // Device connection
 let connectedDeviceId = null;
 let isDeviceConnected = false;
 
+// Values per line of the sensor streams: color, IMU, capacitive, all sensors
+const STREAM_FRAME_LENGTHS = [5, 9, 12, 14];
+
 // UI State
 let currentRecordingGesture = null;
 let currentRecordingColor = null;
@@ -55,6 +66,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initialize components
   gestureManager = new GestureManager();
   bridge = new BLEBridge();
+  bridge.setFrameLengths(STREAM_FRAME_LENGTHS);
   dataCollector = new DataCollector(bridge, gestureManager);
   visualizer = new IMUVisualizer('preview-canvas');
 
@@ -62,6 +74,9 @@ document.addEventListener('DOMContentLoaded', () => {
   regressionUI = new RegressionUI();
   regressionUI.setDataCollector(dataCollector);
 
+  // Initialize custom sensor tab (built from the device profiles)
+  sensorUI = new SensorUI(bridge);
+
   // Initialize color components
   colorDataCollector = new ColorDataCollector(bridge, gestureManager);
   colorVisualizer = new ColorVisualizer('color-swatch', 'color-values');
@@ -75,17 +90,35 @@ document.addEventListener('DOMContentLoaded', () => {
   dataProcessor = new DataProcessor();
   modelBuilder = new ModelBuilder();
   mlTrainer = new MLTrainer(dataProcessor, modelBuilder);
+  setupTrainingBackend();
   trainingUI = new TrainingUI(mlTrainer);
   window.trainingUIManager = trainingUI; // Make globally accessible for audio tab
+  trainingUI.on('showSamples', openEvaluationSamples);
+  streamingInference = new StreamingInference(mlTrainer, dataCollector);
+
+  // Initialize project persistence
+  projectManager = new ProjectManager({
+    collectState: collectProjectState,
+    applyState: applyProjectState,
+    getDeviceId: () => connectedDeviceId,
+  });
+  sessionManager = new SessionManager();
 
   // Setup event listeners
   setupEventListeners();
+  setupChannelSelect('', 'imu');
+  setupPreprocessingEditor();
+  setupTriggerEditor();
+  setupFusionEditor();
   setupGestureManagerListeners();
   setupDataCollectorListeners();
   setupTabListeners();
   setupBridgeListeners();
   setupColorEventListeners();
   setupAudioEventListeners();
+  setupProjectListeners();
+  setupSessionListeners();
+  setupStreamingInferenceListeners();
 
   // Update UI
   updateDeviceStatus();
@@ -137,6 +170,10 @@ function setupEventListeners() {
     gestureManager.setFramesPerSample(parseInt(e.target.value));
   });
 
+  document.getElementById('pre-trigger-frames').addEventListener('change', (e) => {
+    dataCollector.setPreTriggerFrames(parseInt(e.target.value));
+  });
+
   // Training settings
   document.getElementById('learning-rate').addEventListener('change', (e) => {
     const learningRate = parseFloat(e.target.value);
@@ -160,6 +197,16 @@ function setupEventListeners() {
       console.log('🛑 Auto-capture disabled by user');
     }
   });
+
+  // Idle class toggle - disabling stops collection but keeps the recorded class
+  document.getElementById('idle-class-enabled').addEventListener('change', (e) => {
+    if (e.target.checked) {
+      const idleGesture = dataCollector.enableIdleCollection();
+      updateGestureCard(idleGesture.name);
+    } else {
+      dataCollector.disableIdleCollection();
+    }
+  });
   
   // Training actions
   document.getElementById('load-data-btn').addEventListener('click', loadTrainingData);
@@ -252,6 +299,10 @@ function setupGestureManagerListeners() {
   gestureManager.on('gestureRemoved', (gesture) => {
     removeGestureCard(gesture.name);
     updateTrainingInfo();
+
+    if (gesture.isIdle) {
+      setIdleToggleOff();
+    }
   });
   
   gestureManager.on('allGesturesCleared', () => {
@@ -261,6 +312,7 @@ function setupGestureManagerListeners() {
       container.innerHTML = '';
     }
     updateTrainingInfo();
+    setIdleToggleOff();
   });
   
   gestureManager.on('gestureRenamed', ({ oldName, newName }) => {
@@ -323,11 +375,52 @@ function setupDataCollectorListeners() {
     updateCaptureStatus('ready', 'Ready', 0);
     showNotification(`❌ Capture failed: ${data.error}`, 'error');
   });
+
+  dataCollector.on('idleSampleCaptured', (data) => {
+    if (gestureManager.isSamplesFull(data.gesture)) {
+      showNotification(`✅ Idle class "${data.gesture}" complete! (${data.sampleCount} samples)`, 'success');
+    }
+  });
+}
+
+function setIdleToggleOff() {
+  const toggle = document.getElementById('idle-class-enabled');
+  if (toggle && toggle.checked) {
+    toggle.checked = false;
+    dataCollector.disableIdleCollection();
+  }
 }
 
 function setupBridgeListeners() {
+  bridge.onStreamStats(() => updateStreamStats());
+
   bridge.onStatus('*', (status, port, deviceId) => {
-    updateDeviceStatus(status === 'connected');
+    // The main process reconnects dropped devices on its own; a capture can't
+    // continue across the gap, so cancel it instead of stalling mid-sample
+    if (status === 'reconnecting' || status === 'disconnected') {
+      cancelActiveCaptures(deviceId);
+    }
+
+    if (status === 'reconnecting') {
+      updateDeviceStatus(false, 'Reconnecting...');
+      showNotification(`⚠️ ${deviceId} dropped out - reconnecting...`, 'warning');
+    } else if (status === 'reconnected') {
+      updateDeviceStatus(true);
+      showNotification(`✅ ${deviceId} reconnected`, 'success');
+    } else {
+      updateDeviceStatus(status === 'connected');
+    }
+  });
+}
+
+// Only the captures recording from deviceId - other boards (or a replay that
+// ended) don't interrupt them
+function cancelActiveCaptures(deviceId) {
+  const sensorCollector = sensorUI ? sensorUI.getDataCollector() : null;
+  [dataCollector, colorDataCollector, capacitiveDataCollector, sensorCollector].forEach(collector => {
+    if (collector && collector.isCapturing && collector.getStreamDevices().includes(deviceId)) {
+      collector.cancelCapture();
+    }
   });
 }
 
@@ -345,11 +438,11 @@ function addGestureCard(gesture) {
   }
   
   const card = document.createElement('div');
-  card.className = 'gesture-card';
+  card.className = gesture.isIdle ? 'gesture-card idle-gesture' : 'gesture-card';
   card.id = `gesture-${gesture.name}`;
   card.innerHTML = `
     <div class="gesture-header">
-      <div class="gesture-name">${gesture.name}</div>
+      <div class="gesture-name">${gesture.name}<span class="idle-badge" title="Collected automatically while nothing is happening. Not reported as a gesture.">idle</span></div>
       <div class="gesture-menu">
         <button class="menu-btn" onclick="toggleGestureMenu('${gesture.name}')">⋮</button>
         <div class="menu-dropdown" id="menu-${gesture.name}">
@@ -418,6 +511,11 @@ function updateGestureCard(name) {
   const sampleCount = gesture.samples.length;
   const target = gestureManager.samplesPerGesture;
   const progress = (sampleCount / target) * 100;
+
+  const card = document.getElementById(`gesture-${name}`);
+  if (card) {
+    card.classList.toggle('idle-gesture', !!gesture.isIdle);
+  }
   
   // Update count
   const countEl = document.getElementById(`samples-${name}`);
@@ -664,7 +762,7 @@ function updateCaptureStatus(state, text, progress) {
 // Device Status
 // ============================================================================
 
-function updateDeviceStatus(connected = true) {
+function updateDeviceStatus(connected = true, label = 'Disconnected') {
   isDeviceConnected = connected; // Track globally for testing checks
 
   const dot = document.getElementById('device-status-dot');
@@ -675,10 +773,21 @@ function updateDeviceStatus(connected = true) {
     nameEl.textContent = connectedDeviceId;
   } else {
     dot.classList.remove('connected');
-    nameEl.textContent = 'Disconnected';
+    nameEl.textContent = label;
   }
 }
 
+// Frames lost on the way from the device(s) - the bridge counts sequence
+// gaps (dropped) and lines that don't parse as a frame (garbled)
+function updateStreamStats() {
+  const statsEl = document.getElementById('stream-stats');
+  const { frames, dropped, garbled } = bridge.getStreamTotals();
+
+  statsEl.hidden = dropped === 0 && garbled === 0;
+  statsEl.textContent = `⚠️ ${dropped} dropped · ${garbled} garbled`;
+  statsEl.title = `${frames} frames received. Samples record the frames lost while they were captured.`;
+}
+
 // ============================================================================
 // Training Info
 // ============================================================================
@@ -877,6 +986,310 @@ function exportTrainingData() {
   showNotification('✅ Training data exported', 'success');
 }
 
+// ============================================================================
+// Project Save/Open (.tinyproj)
+// ============================================================================
+
+// Settings inputs stored with a project (auto-capture is left as-is on open)
+const PROJECT_SETTING_INPUTS = '.settings-controls input[id]:not(#auto-capture-enabled), .settings-controls select[id]:not(#preprocessing-add-select), #imu-mode-select, #quantize-model-enabled';
+
+const baseDocumentTitle = document.title;
+
+function setupProjectListeners() {
+  const openBtn = document.getElementById('open-project-btn');
+  const saveBtn = document.getElementById('save-project-btn');
+  const saveAsBtn = document.getElementById('save-project-as-btn');
+  const recentSelect = document.getElementById('recent-projects-select');
+
+  // Projects need the Electron file system APIs
+  const available = projectManager.isAvailable();
+  [openBtn, saveBtn, saveAsBtn, recentSelect].forEach(el => {
+    if (el) el.disabled = !available;
+  });
+
+  if (!available) {
+    console.log('⚠️ Project save/open unavailable (not running in Electron)');
+    return;
+  }
+
+  openBtn.addEventListener('click', () => projectManager.open());
+  saveBtn.addEventListener('click', () => projectManager.save());
+  saveAsBtn.addEventListener('click', () => projectManager.saveAs());
+
+  recentSelect.addEventListener('change', async (e) => {
+    const value = e.target.value;
+    e.target.value = '';
+
+    if (value === '__clear__') {
+      await projectManager.clearRecentProjects();
+      refreshRecentProjects();
+    } else if (value) {
+      projectManager.openPath(value);
+    }
+  });
+
+  // Keyboard shortcuts: Ctrl/Cmd+S, Ctrl/Cmd+Shift+S, Ctrl/Cmd+O
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 's') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        projectManager.saveAs();
+      } else {
+        projectManager.save();
+      }
+    } else if (key === 'o') {
+      e.preventDefault();
+      projectManager.open();
+    }
+  });
+
+  const onProjectChanged = () => {
+    document.title = `${projectManager.getProjectName()} - ${baseDocumentTitle}`;
+    refreshRecentProjects();
+  };
+  projectManager.on('projectSaved', onProjectChanged);
+  projectManager.on('projectOpened', onProjectChanged);
+
+  refreshRecentProjects();
+}
+
+async function refreshRecentProjects() {
+  const select = document.getElementById('recent-projects-select');
+  if (!select) return;
+
+  const recent = await projectManager.getRecentProjects();
+
+  select.innerHTML = '<option value="">Recent Projects</option>';
+  recent.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.path;
+    option.textContent = entry.name;
+    option.title = entry.path;
+    select.appendChild(option);
+  });
+
+  if (recent.length > 0) {
+    const clearOption = document.createElement('option');
+    clearOption.value = '__clear__';
+    clearOption.textContent = 'Clear Recent';
+    select.appendChild(clearOption);
+  }
+}
+
+// ============================================================================
+// Training Backend
+// ============================================================================
+
+// Classifiers train with tfjs-node in the main process when it's available,
+// keeping the window responsive on big datasets. Without it, training and
+// test-mode predictions run in a Web Worker; the UI thread is the fallback.
+async function setupTrainingBackend() {
+  try {
+    if (await NativeTrainingBackend.isAvailable()) {
+      mlTrainer.setFitBackend(new NativeTrainingBackend());
+      return;
+    }
+  } catch (error) {
+    console.warn('⚠️ Native training unavailable:', error);
+  }
+
+  if (!FeatureFlags.ENABLE_TRAINING_WORKER || !WorkerTrainingBackend.isAvailable()) {
+    return;
+  }
+
+  const backend = new WorkerTrainingBackend({ backend: FeatureFlags.TRAINING_WORKER_BACKEND });
+  try {
+    await backend.ready;
+    mlTrainer.setFitBackend(backend);
+  } catch (error) {
+    console.warn('⚠️ ML worker unavailable, training in the renderer:', error);
+    backend.terminate();
+  }
+}
+
+// ============================================================================
+// Stream Sessions
+// ============================================================================
+
+function setupSessionListeners() {
+  const recordBtn = document.getElementById('record-session-btn');
+  const replayBtn = document.getElementById('replay-session-btn');
+  const speedSelect = document.getElementById('replay-speed-select');
+
+  // Recording and replay run in the main process
+  const available = sessionManager.isAvailable();
+  [recordBtn, replayBtn, speedSelect].forEach(el => {
+    if (el) el.disabled = !available;
+  });
+
+  if (!available) {
+    console.log('⚠️ Session recording unavailable (not running in Electron)');
+    return;
+  }
+
+  recordBtn.addEventListener('click', () => sessionManager.toggleRecording());
+
+  replayBtn.addEventListener('click', () => {
+    if (sessionManager.isReplaying()) {
+      sessionManager.stopReplay();
+    } else {
+      sessionManager.replay(parseFloat(speedSelect.value));
+    }
+  });
+
+  sessionManager.on('statusChanged', updateSessionControls);
+  sessionManager.refreshStatus();
+}
+
+function updateSessionControls(status) {
+  const recordBtn = document.getElementById('record-session-btn');
+  const replayBtn = document.getElementById('replay-session-btn');
+  const speedSelect = document.getElementById('replay-speed-select');
+  const { recording } = status.recorder;
+  const { replaying } = status.player;
+
+  recordBtn.textContent = recording ? '⏹ Stop Recording' : '⏺ Record';
+  recordBtn.classList.toggle('active', recording);
+  recordBtn.disabled = replaying;
+
+  replayBtn.textContent = replaying ? '⏹ Stop Replay' : '▶ Replay';
+  replayBtn.classList.toggle('active', replaying);
+  replayBtn.disabled = recording;
+  speedSelect.disabled = recording || replaying;
+
+  if (replaying) {
+    replayBtn.title = `Replaying ${status.player.filePath.split(/[\\/]/).pop()} at ${status.player.speed}×`;
+  } else {
+    replayBtn.title = 'Replay a recorded session as if the board were streaming';
+  }
+}
+
+function collectProjectSettings() {
+  const settings = {};
+  document.querySelectorAll(PROJECT_SETTING_INPUTS).forEach(el => {
+    settings[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  return settings;
+}
+
+function applyProjectSettings(settings = {}) {
+  Object.entries(settings).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (!el || !el.matches(PROJECT_SETTING_INPUTS)) return;
+
+    if (el.type === 'checkbox') {
+      el.checked = !!value;
+    } else {
+      el.value = value;
+    }
+
+    // Let the existing change handlers push the value into the managers
+    el.dispatchEvent(new Event('change'));
+  });
+}
+
+async function collectProjectState() {
+  return {
+    activeTab: tabMgr ? tabMgr.currentTab : 'imu',
+    settings: collectProjectSettings(),
+    preprocessing: preprocessingSteps,
+    trigger: dataCollector.trigger.toJSON(),
+    fusion: dataCollector.fusion.toJSON(),
+    datasets: {
+      gestures: gestureManager.serialize(), // IMU and color share this manager
+      capacitive: capacitiveGestureManager ? capacitiveGestureManager.serialize() : null,
+      sensor: sensorUI.serialize(), // { profile, dataset } of the custom sensor tab
+      regression: JSON.parse(regressionUI.getRegressionManager().exportJSON()),
+      audio: audioUIManager ? audioUIManager.getTrainingData() : pendingAudioProjectData,
+    },
+    model: await mlTrainer.serializeModel(),
+  };
+}
+
+async function applyProjectState(project) {
+  if (mlTrainer.isTraining) {
+    throw new Error('Stop training before opening a project');
+  }
+
+  if (dataCollector && dataCollector.isCapturing) {
+    dataCollector.stopCapture();
+  }
+
+  const datasets = project.datasets || {};
+
+  // Devices before settings - they decide which IMU channel checkboxes exist
+  const fusion = project.fusion || {};
+  dataCollector.setDevices(fusion.devices || [], fusion.maxSkewMs);
+  renderFusionDevices();
+  setupChannelSelect('', 'imu');
+
+  // Custom sensor labels go first, so the settings can switch its profile
+  // without asking
+  sensorUI.reset();
+
+  // Settings first - importing datasets restores per-manager sample settings
+  applyProjectSettings(project.settings);
+  setPreprocessingSteps(project.preprocessing);
+  dataCollector.setTrigger(project.trigger || {});
+  renderTriggerSettings();
+
+  // IMU + color gestures
+  gestureManager.clear();
+  if (datasets.gestures && !gestureManager.importJSON(datasets.gestures)) {
+    throw new Error('Invalid gesture data in project');
+  }
+  rebuildGestureCards();
+  rebuildColorCards();
+  updateTrainingInfo();
+  updateColorTrainingInfo();
+
+  // Capacitive labels
+  if (capacitiveGestureManager) {
+    capacitiveGestureManager.clear();
+    if (datasets.capacitive && !capacitiveGestureManager.importJSON(datasets.capacitive)) {
+      throw new Error('Invalid capacitive data in project');
+    }
+    refreshCapacitiveCards();
+    updateCapacitiveTrainingInfo();
+  }
+
+  // Custom sensor labels
+  sensorUI.loadData(datasets.sensor);
+
+  // Regression samples
+  if (datasets.regression) {
+    regressionUI.loadData(datasets.regression);
+  }
+
+  // Audio (the audio tab is created lazily, so stash the data until then)
+  if (audioUIManager) {
+    if (datasets.audio) {
+      audioUIManager.applyTrainingData(datasets.audio);
+    }
+  } else {
+    pendingAudioProjectData = datasets.audio || null;
+  }
+
+  if (project.activeTab && tabMgr) {
+    tabMgr.switchTab(project.activeTab);
+  }
+
+  // Trained model
+  if (project.model) {
+    await mlTrainer.restoreModel(project.model);
+    trainingUI.showRestoredModel();
+  } else if (mlTrainer.model) {
+    mlTrainer.dispose();
+  }
+
+  if (project.deviceProfile) {
+    console.log(`📋 Project device profile: ${project.deviceProfile.name || project.deviceProfile.id}`);
+  }
+}
+
 // ============================================================================
 // Regression Export/Import
 // ============================================================================
@@ -936,6 +1349,7 @@ async function startTraining() {
         epochs: 50,
         batchSize: 16,
         learningRate: learningRate,
+        normalization: getNormalizationMethod(),
       };
 
       console.log(`📊 Regression training config: LR=${learningRate}, Epochs=${config.epochs}`);
@@ -953,6 +1367,12 @@ async function startTraining() {
         return;
       }
 
+      const channels = getInputChannels('', 'imu');
+      if (channels.length === 0) {
+        alert('Select at least one input channel.');
+        return;
+      }
+
       // Get learning rate from UI
       const learningRateInput = document.getElementById('learning-rate');
       const learningRate = learningRateInput ? parseFloat(learningRateInput.value) : 0.001;
@@ -963,9 +1383,15 @@ async function startTraining() {
         epochs: 50,
         batchSize: 16,
         learningRate: learningRate,
+        balancing: getClassBalancing(),
+        crossValidation: getCrossValidationConfig(),
+        normalization: getNormalizationMethod(),
+        channels: channels,
+        preprocessing: preprocessingSteps,
+        devices: dataCollector.getDeviceLabels(),
       };
 
-      console.log(`📊 Training config: LR=${learningRate}, Epochs=${config.epochs}, Augmentation=${dataProcessor.augmentationEnabled}`);
+      console.log(`📊 Training config: LR=${learningRate}, Epochs=${config.epochs}, Augmentation=${dataProcessor.augmentationEnabled}, Folds=${config.crossValidation ? config.crossValidation.k : 'off'}`);
 
       // Start classification training
       await mlTrainer.train(gestureManager, config);
@@ -977,6 +1403,400 @@ async function startTraining() {
   }
 }
 
+// Cross-validation settings for a tab ('' = IMU, 'color-', 'capacitive-')
+// Returns undefined when folds is 0 (single train/validation split)
+function getCrossValidationConfig(prefix = '') {
+  const foldsInput = document.getElementById(`${prefix}cross-validation-folds`);
+  const retrainInput = document.getElementById(`${prefix}cv-retrain-all-enabled`);
+  const folds = foldsInput ? parseInt(foldsInput.value, 10) : 0;
+
+  if (!folds || folds < 2) {
+    return undefined;
+  }
+
+  return {
+    k: Math.min(folds, 10),
+    retrainOnAll: retrainInput ? retrainInput.checked : true,
+  };
+}
+
+// Class balancing mode for a tab: 'classWeights', 'oversample' or 'none'
+function getClassBalancing(prefix = '') {
+  const select = document.getElementById(`${prefix}class-balancing-select`);
+  return select ? select.value : 'classWeights';
+}
+
+// Per-channel input normalization for a tab: 'standard' or 'minmax'
+function getNormalizationMethod(prefix = '') {
+  const select = document.getElementById(`${prefix}normalization-select`);
+  return select ? select.value : 'standard';
+}
+
+// ============================================================================
+// Input Channel Selection
+// ============================================================================
+
+// Fused IMU devices namespace the channels (wrist.ax, ankle.ax, ...)
+function getChannelNames(dataType) {
+  const devices = dataType === 'imu' ? dataCollector.getDeviceLabels() : null;
+  return PreprocessingPipeline.getChannelNames(dataType, devices);
+}
+
+// One checkbox per sensor channel (channel-ax, color-channel-r,
+// capacitive-channel-e0, ...), saved with the project settings
+function setupChannelSelect(prefix, dataType) {
+  const container = document.getElementById(`${prefix}channel-select`);
+  if (!container) return;
+
+  container.innerHTML = '';
+  getChannelNames(dataType).forEach(name => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `${prefix}channel-${name}`;
+    checkbox.checked = true;
+
+    const label = document.createElement('label');
+    label.className = 'channel-option';
+    label.append(checkbox, name);
+    container.appendChild(label);
+  });
+}
+
+// Checked channel names for a tab, in frame order
+function getInputChannels(prefix, dataType) {
+  return getChannelNames(dataType).filter(name => {
+    const checkbox = document.getElementById(`${prefix}channel-${name}`);
+    return !checkbox || checkbox.checked;
+  });
+}
+
+// ============================================================================
+// IMU Device Fusion
+// ============================================================================
+
+// One row per device seen on the bridge (plus configured ones that aren't
+// streaming yet). Checked rows, in order, are dataCollector's fused devices;
+// saved with the project (not PROJECT_SETTING_INPUTS)
+function setupFusionEditor() {
+  dataCollector.on('devicesChanged', renderFusionDevices);
+  renderFusionDevices();
+}
+
+function renderFusionDevices() {
+  const container = document.getElementById('fusion-devices');
+  if (!container) return;
+
+  const configured = dataCollector.fusion.devices;
+  const rows = configured.map(device => ({ ...device, checked: true }));
+  dataCollector.seenDevices
+    .filter(id => !configured.some(device => device.id === id))
+    .forEach(id => rows.push({ id, label: id.replace(/[^A-Za-z0-9_]/g, '_'), checked: false }));
+
+  container.innerHTML = '';
+
+  if (rows.length === 0) {
+    container.innerHTML = '<span class="pipeline-empty">No devices streaming yet</span>';
+    return;
+  }
+
+  rows.forEach((row, index) => {
+    const element = document.createElement('div');
+    element.className = 'fusion-device';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = row.checked;
+    checkbox.addEventListener('change', () => {
+      row.checked = checkbox.checked;
+      applyFusionDevices(rows);
+    });
+
+    const name = document.createElement('span');
+    name.className = 'fusion-device-id';
+    name.textContent = dataCollector.seenDevices.includes(row.id) ? row.id : `${row.id} (not streaming)`;
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'pipeline-channels';
+    labelInput.value = row.label;
+    labelInput.title = 'Channel prefix, e.g. wrist';
+    labelInput.addEventListener('change', () => {
+      row.label = labelInput.value.trim();
+      if (row.checked) applyFusionDevices(rows);
+    });
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'pipeline-step-btn';
+    upBtn.textContent = '↑';
+    upBtn.title = 'Move up (the first checked device is the primary)';
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => {
+      rows.splice(index - 1, 0, rows.splice(index, 1)[0]);
+      applyFusionDevices(rows);
+    });
+
+    element.append(checkbox, name, labelInput, upBtn);
+    container.appendChild(element);
+  });
+}
+
+function applyFusionDevices(rows) {
+  const devices = rows.filter(row => row.checked).map(row => ({ id: row.id, label: row.label }));
+
+  try {
+    dataCollector.setDevices(devices);
+  } catch (error) {
+    toast.error(error.message, { title: 'Devices' });
+  }
+
+  renderFusionDevices();
+
+  // Channel names depend on the fused devices
+  setupChannelSelect('', 'imu');
+  validatePreprocessingSteps();
+}
+
+// ============================================================================
+// IMU Capture Trigger Editor
+// ============================================================================
+
+// Edits dataCollector.trigger directly; it's saved with the project (not
+// PROJECT_SETTING_INPUTS) because each strategy keeps its own params
+function setupTriggerEditor() {
+  renderTriggerSettings();
+}
+
+function renderTriggerSettings() {
+  const container = document.getElementById('trigger-settings');
+  if (!container) return;
+
+  const trigger = dataCollector.trigger;
+  const strategies = MotionTrigger.getStrategies();
+  const params = trigger.getParams();
+  container.innerHTML = '';
+
+  const strategySelect = document.createElement('select');
+  strategySelect.className = 'mode-select-compact';
+  Object.entries(strategies).forEach(([name, strategy]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = strategy.label;
+    option.title = strategy.description;
+    strategySelect.appendChild(option);
+  });
+  strategySelect.value = trigger.strategy;
+  strategySelect.addEventListener('change', () => {
+    trigger.setStrategy(strategySelect.value);
+    renderTriggerSettings();
+  });
+  container.appendChild(strategySelect);
+
+  if ('axis' in params) {
+    const axisSelect = document.createElement('select');
+    axisSelect.className = 'mode-select-compact';
+    MotionTrigger.getAxes().forEach(axis => {
+      const option = document.createElement('option');
+      option.value = axis;
+      option.textContent = axis;
+      axisSelect.appendChild(option);
+    });
+    axisSelect.value = params.axis;
+    axisSelect.addEventListener('change', () => trigger.setParams({ axis: axisSelect.value }));
+    container.appendChild(axisSelect);
+  }
+
+  [
+    { name: 'threshold', label: 'Threshold', step: 0.01 },
+    { name: 'hysteresis', label: 'Hysteresis', step: 0.01 },
+    { name: 'maxGapFrames', label: 'Max gap (frames)', step: 1 },
+  ].filter(param => param.name in params).forEach(param => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.step = param.step;
+    input.value = params[param.name];
+    input.addEventListener('change', () => {
+      trigger.setParams({ [param.name]: parseFloat(input.value) });
+      input.value = trigger.getParams()[param.name];
+    });
+
+    const wrapper = document.createElement('label');
+    wrapper.className = 'pipeline-param';
+    wrapper.append(`${param.label} `, input);
+    container.appendChild(wrapper);
+  });
+
+  const help = document.getElementById('trigger-help');
+  if (help) {
+    help.textContent = strategies[trigger.strategy].description;
+  }
+}
+
+// ============================================================================
+// IMU Preprocessing Pipeline Editor
+// ============================================================================
+
+// Ordered PreprocessingPipeline steps for IMU classification, saved with the
+// project and passed to mlTrainer.train()
+let preprocessingSteps = [];
+
+function setupPreprocessingEditor() {
+  const addSelect = document.getElementById('preprocessing-add-select');
+  if (!addSelect) return;
+
+  Object.entries(PreprocessingPipeline.getFilters()).forEach(([type, filter]) => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = filter.label;
+    option.title = filter.description;
+    addSelect.appendChild(option);
+  });
+
+  // Steps refer to channels by name, so recheck when the selection changes
+  const channelSelect = document.getElementById('channel-select');
+  if (channelSelect) {
+    channelSelect.addEventListener('change', validatePreprocessingSteps);
+  }
+
+  addSelect.addEventListener('change', (e) => {
+    if (!e.target.value) return;
+    preprocessingSteps.push(PreprocessingPipeline.normalizeStep({ type: e.target.value }));
+    e.target.value = '';
+    renderPreprocessingSteps();
+  });
+
+  renderPreprocessingSteps();
+}
+
+function setPreprocessingSteps(steps) {
+  preprocessingSteps = new PreprocessingPipeline(steps || []).toJSON();
+  renderPreprocessingSteps();
+}
+
+function renderPreprocessingSteps() {
+  const container = document.getElementById('preprocessing-steps');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const filters = PreprocessingPipeline.getFilters();
+
+  if (preprocessingSteps.length === 0) {
+    container.innerHTML = '<span class="pipeline-empty">None - raw sensor values</span>';
+    return;
+  }
+
+  preprocessingSteps.forEach((step, index) => {
+    const filter = filters[step.type];
+    const row = document.createElement('div');
+    row.className = 'pipeline-step';
+    row.title = filter.description;
+
+    const label = document.createElement('span');
+    label.className = 'pipeline-step-label';
+    label.textContent = `${index + 1}. ${filter.label}`;
+    row.appendChild(label);
+
+    filter.params.forEach(param => {
+      row.appendChild(createPipelineParamInput(step, param));
+    });
+
+    // Channel lists as text: "ax,ay,az" (empty = all), magnitude groups "ax,ay,az; gx,gy,gz"
+    const channelsInput = document.createElement('input');
+    channelsInput.type = 'text';
+    channelsInput.className = 'pipeline-channels';
+    if (step.type === 'magnitude') {
+      channelsInput.value = step.params.groups.map(g => g.join(',')).join('; ');
+      channelsInput.placeholder = 'ax,ay,az; gx,gy,gz';
+    } else {
+      channelsInput.value = step.params.channels.join(',');
+      channelsInput.placeholder = 'all channels';
+    }
+    channelsInput.addEventListener('change', () => {
+      const parseList = text => text.split(',').map(c => c.trim()).filter(Boolean);
+      if (step.type === 'magnitude') {
+        step.params.groups = channelsInput.value.split(';').map(parseList).filter(g => g.length > 0);
+      } else {
+        step.params.channels = parseList(channelsInput.value);
+      }
+      validatePreprocessingSteps();
+    });
+    row.appendChild(channelsInput);
+
+    [['↑', -1, 'Move up'], ['↓', 1, 'Move down']].forEach(([text, offset, title]) => {
+      const button = document.createElement('button');
+      button.className = 'pipeline-step-btn';
+      button.textContent = text;
+      button.title = title;
+      button.disabled = !preprocessingSteps[index + offset];
+      button.addEventListener('click', () => {
+        const [moved] = preprocessingSteps.splice(index, 1);
+        preprocessingSteps.splice(index + offset, 0, moved);
+        renderPreprocessingSteps();
+      });
+      row.appendChild(button);
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'pipeline-step-btn';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove step';
+    removeBtn.addEventListener('click', () => {
+      preprocessingSteps.splice(index, 1);
+      renderPreprocessingSteps();
+    });
+    row.appendChild(removeBtn);
+
+    container.appendChild(row);
+  });
+
+  validatePreprocessingSteps();
+}
+
+function createPipelineParamInput(step, param) {
+  const input = document.createElement('input');
+
+  if (param.type === 'boolean') {
+    input.type = 'checkbox';
+    input.checked = !!step.params[param.name];
+    input.addEventListener('change', () => {
+      step.params[param.name] = input.checked;
+      validatePreprocessingSteps();
+    });
+  } else {
+    input.type = 'number';
+    input.min = param.min;
+    input.max = param.max;
+    input.step = param.step;
+    input.value = step.params[param.name];
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      step.params[param.name] = Math.max(param.min, Math.min(param.max, isNaN(value) ? param.min : value));
+      input.value = step.params[param.name];
+    });
+  }
+
+  const wrapper = document.createElement('label');
+  wrapper.className = 'pipeline-param';
+  wrapper.append(`${param.label} `, input);
+  return wrapper;
+}
+
+// Channel names are checked against what earlier steps produce
+function validatePreprocessingSteps() {
+  const container = document.getElementById('preprocessing-steps');
+
+  try {
+    const channels = new PreprocessingPipeline(preprocessingSteps).getOutputChannels(getInputChannels('', 'imu'));
+    container.title = `Model input channels: ${channels.join(', ')}`;
+    container.classList.remove('invalid');
+    return true;
+  } catch (error) {
+    container.title = error.message;
+    container.classList.add('invalid');
+    return false;
+  }
+}
+
 function stopTraining() {
   mlTrainer.stopTraining();
 }
@@ -1019,6 +1839,8 @@ async function exportModel() {
       modelType = 'audio';
     } else if (dataType === 'imu-regression') {
       modelType = 'regression';
+    } else if (SensorUI.isSensorDataType(dataType)) {
+      modelType = 'sensor';
     } else {
       modelType = 'gesture';
     }
@@ -1045,6 +1867,13 @@ async function exportModel() {
   }
 }
 
+// Normalization the current model was trained with - models saved before
+// per-channel stats have none and use the original fixed scaling
+function getModelNormalization(dataType) {
+  return mlTrainer.trainingData?.normalization ||
+    dataProcessor.getFixedNormalization(dataType === 'imu-regression' ? 'imu' : dataType);
+}
+
 async function downloadModelForArduino() {
   if (!mlTrainer || !mlTrainer.model) {
     toast.error('No trained model available. Train a model first.', {
@@ -1075,9 +1904,13 @@ async function downloadModelForArduino() {
       console.log('   Using ArduinoRegressionGenerator for regression model');
       const outputLabels = mlTrainer.trainingData.outputLabels || [];
       generator = new ArduinoRegressionGenerator();
-      await generator.convertModel(mlTrainer.model, outputLabels);
+      await generator.convertModel(mlTrainer.model, outputLabels, getModelNormalization(dataType));
       files = generator.generateArduinoCode();
 
+    } else if (SensorUI.isSensorDataType(dataType)) {
+      // The sketch would need to read the profile's sensors
+      throw new Error('Arduino sketches aren\'t generated for custom sensor models yet - use Export Model (JSON) instead');
+
     } else if (dataType === 'audio') {
       // Use specialized audio generator with full CNN inference
       console.log('   Using AudioArduinoGenerator for full CNN model');
@@ -1087,22 +1920,47 @@ async function downloadModelForArduino() {
       await generator.convertModel(mlTrainer.model, labels);
       files = generator.generateArduinoLibrary();
 
+      if (generator.tfliteError) {
+        toast.warning(`model.h not included: ${generator.tfliteError}`, {
+          title: 'TFLite Export',
+          duration: 5000
+        });
+      }
+
     } else {
       // Use standard generator for IMU, Color, and Capacitive classification
       console.log('   Using ArduinoModelGenerator for standard model');
 
       // Get labels from the appropriate gesture manager
-      let labels;
-      if (dataType === 'capacitive') {
-        labels = capacitiveGestureManager.getAllGestures().map(g => g.name);
-      } else {
-        labels = gestureManager.getAllGestures().map(g => g.name);
-      }
+      const manager = dataType === 'capacitive' ? capacitiveGestureManager : gestureManager;
+      const labels = manager.getAllGestures().map(g => g.name);
+
+      // Int8 quantization is calibrated on the collected samples
+      const quantize = document.getElementById('quantize-model-enabled')?.checked || false;
+      const normalization = getModelNormalization(dataType);
+      const channels = mlTrainer.trainingData?.inputChannels;
+      const preprocessing = mlTrainer.trainingData?.preprocessing || [];
+      const calibrationSamples = quantize
+        ? manager.getAllSamples().map(s => dataProcessor.prepareInput(s.data, mlTrainer.trainingData))
+        : [];
 
       console.log(`   ${dataType} labels:`, labels);
       generator = new ArduinoModelGenerator();
-      await generator.convertToTFLite(mlTrainer.model, labels, dataType);
+      const idleLabels = manager.getIdleLabels();
+      const preTriggerFrames = dataType === 'imu' ? dataCollector.preTriggerFrames : 0;
+      const trigger = dataType === 'imu' ? dataCollector.trigger.toJSON() : null;
+      const devices = mlTrainer.trainingData?.devices;
+      await generator.convertToTFLite(mlTrainer.model, labels, dataType, {
+        quantize, calibrationSamples, idleLabels, normalization, channels, preprocessing, preTriggerFrames, trigger, devices
+      });
       files = generator.generateArduinoCode();
+
+      if (generator.tfliteError) {
+        toast.warning(`model.h not included: ${generator.tfliteError}`, {
+          title: 'TFLite Export',
+          duration: 5000
+        });
+      }
     }
     
     // Create ZIP file
@@ -1126,6 +1984,8 @@ async function downloadModelForArduino() {
       modelType = 'audio';
     } else if (dataType === 'imu-regression') {
       modelType = 'regression';
+    } else if (SensorUI.isSensorDataType(dataType)) {
+      modelType = 'sensor';
     } else {
       modelType = 'gesture';
     }
@@ -1191,8 +2051,61 @@ function showNotification(message, type = 'info') {
 let isTestingActive = false;
 let testingInterval = null;
 let testingBuffer = [];
+let streamingInference = null; // Gesture detection mode (IMU)
 const TESTING_BUFFER_SIZE = 100; // Match training frame size
 
+function isStreamingInferenceEnabled() {
+  const toggle = document.getElementById('streaming-inference-enabled');
+  return toggle ? toggle.checked : false;
+}
+
+function applyStreamingSettings() {
+  const threshold = parseInt(document.getElementById('streaming-threshold-slider').value, 10) / 100;
+  const windowFrames = parseInt(document.getElementById('streaming-window-frames').value, 10);
+  const hopFrames = parseInt(document.getElementById('streaming-hop-frames').value, 10);
+  const cooldownMs = parseInt(document.getElementById('streaming-cooldown-ms').value, 10);
+
+  streamingInference.setConfidenceThreshold(threshold);
+  streamingInference.windowFrames = windowFrames > 0 ? windowFrames : null; // Empty = model size
+  if (hopFrames > 0) streamingInference.setHopFrames(hopFrames);
+  if (cooldownMs >= 0) streamingInference.setCooldown(cooldownMs);
+
+  document.getElementById('streaming-threshold-value').textContent = `${Math.round(threshold * 100)}%`;
+}
+
+function setupStreamingInferenceListeners() {
+  const toggle = document.getElementById('streaming-inference-enabled');
+  if (!toggle || !streamingInference) return;
+
+  ['streaming-threshold-slider', 'streaming-window-frames', 'streaming-hop-frames', 'streaming-cooldown-ms']
+    .forEach(id => {
+      document.getElementById(id).addEventListener('input', applyStreamingSettings);
+    });
+
+  // Switch modes on the fly while testing
+  toggle.addEventListener('change', () => {
+    if (isTestingActive) {
+      stopTesting();
+      startTesting();
+    }
+  });
+
+  streamingInference.on('prediction', (prediction) => trainingUI.updateProbabilityBars(prediction));
+  streamingInference.on('gesture', (event) => trainingUI.showGestureEvent(event));
+  streamingInference.on('rejected', (event) => trainingUI.showRejectedEvent(event));
+
+  streamingInference.on('stateChange', (state) => {
+    const statusEl = document.getElementById('testing-status');
+    if (!statusEl || !isTestingActive) return;
+
+    if (state === 'listening') {
+      statusEl.textContent = 'Listening for gestures...';
+    } else if (state === 'gesture') {
+      statusEl.textContent = 'Gesture in progress...';
+    }
+  });
+}
+
 function startTesting() {
   if (isTestingActive) return;
 
@@ -1211,6 +2124,9 @@ function startTesting() {
     } else if (dataType === 'capacitive') {
       const buffer = capacitiveDataCollector.getCurrentBuffer();
       hasData = buffer && buffer.length > 0;
+    } else if (SensorUI.isSensorDataType(dataType)) {
+      const buffer = sensorUI.getDataCollector().getCurrentBuffer();
+      hasData = buffer && buffer.length > 0;
     } else {
       const buffer = dataCollector.getCurrentBuffer();
       hasData = buffer && buffer.length > 0;
@@ -1236,6 +2152,9 @@ function startTesting() {
   isTestingActive = true;
   testingBuffer = [];
 
+  // Gestures performed while testing must not end up in the idle class
+  dataCollector.setIdleCollectionPaused(true);
+
   // Update UI
   document.getElementById('start-testing-btn').style.display = 'none';
   document.getElementById('stop-testing-btn').style.display = 'block';
@@ -1252,6 +2171,26 @@ function startTesting() {
     // For audio, we don't use continuous prediction
     // Instead, show a button to record test samples
     createAudioTestButton();
+  } else if (dataType === 'imu' && isStreamingInferenceEnabled()) {
+    document.getElementById('testing-status').classList.add('active');
+    trainingUI.clearGestureEvents();
+
+    // Discrete gesture events from motion-triggered sliding windows
+    try {
+      applyStreamingSettings();
+      streamingInference.start();
+      document.getElementById('testing-status').textContent = 'Listening for gestures...';
+    } catch (error) {
+      console.error('❌ Cannot start gesture detection:', error);
+      toast.error(error.message, { title: 'Gesture Detection' });
+      stopTesting();
+      return;
+    }
+
+    toast.info('Gesture detection active - perform gestures!', {
+      title: 'Testing Started',
+      duration: 3000
+    });
   } else {
     document.getElementById('testing-status').textContent = 'Testing active - perform gestures!';
     document.getElementById('testing-status').classList.add('active');
@@ -1277,6 +2216,12 @@ function stopTesting() {
     testingInterval = null;
   }
 
+  if (streamingInference) {
+    streamingInference.stop();
+  }
+
+  dataCollector.setIdleCollectionPaused(false);
+
   // Remove audio test button if it exists
   removeAudioTestButton();
 
@@ -1316,6 +2261,8 @@ async function runPrediction() {
     currentData = colorDataCollector.getCurrentBuffer();
   } else if (dataType === 'capacitive') {
     currentData = capacitiveDataCollector.getCurrentBuffer();
+  } else if (SensorUI.isSensorDataType(dataType)) {
+    currentData = sensorUI.getDataCollector().getCurrentBuffer();
   } else {
     // IMU or default
     currentData = dataCollector.getCurrentBuffer();
@@ -1329,12 +2276,11 @@ async function runPrediction() {
   console.log(`📊 Got ${currentData.length} data points from sensor`);
 
 
-  // Get actual sample size from model's input shape (most reliable)
+  // Get actual sample size from the model (most reliable)
   let targetSize;
   if (mlTrainer.model) {
-    // Get input shape from the model itself
-    const inputShape = mlTrainer.model.inputs[0].shape;
-    targetSize = inputShape[1]; // [null, inputSize] -> get inputSize
+    // Raw frames × channels - preprocessing may add channels after this
+    targetSize = mlTrainer.getRawInputSize();
     console.log(`🔍 Model expects input size: ${targetSize}`);
   } else if (mlTrainer.trainingData?.data?.length > 0) {
     // Fallback: use actual sample size from first training sample
@@ -1585,6 +2531,12 @@ function setupTabListeners() {
         audioUIManager = new AudioUIManager();
         audioUIManager.init();
         console.log('✅ Audio UI manager initialized');
+
+        // Apply audio data from a project opened before the tab was visited
+        if (pendingAudioProjectData) {
+          audioUIManager.applyTrainingData(pendingAudioProjectData);
+          pendingAudioProjectData = null;
+        }
       } catch (error) {
         console.error('❌ Failed to initialize audio UI manager:', error);
         console.error('   Error details:', error.message);
@@ -1600,7 +2552,9 @@ function setupTabListeners() {
     const tabNames = {
       'imu': 'IMU Gestures',
       'color': 'Color Recognition',
-      'audio': 'Sound Classification'
+      'audio': 'Sound Classification',
+      'capacitive': 'Capacitive Sensing',
+      'sensor': sensorUI.getProfile()?.capture.label || 'Custom Sensors'
     };
 
     if (typeof toast !== 'undefined') {
@@ -1616,6 +2570,8 @@ function setupTabListeners() {
 // ============================================================================
 
 function setupColorEventListeners() {
+  setupChannelSelect('color-', 'color');
+
   // Add Color button
   const addColorBtn = document.getElementById('add-color-btn');
   if (addColorBtn) {
@@ -2320,6 +3276,12 @@ async function startColorTraining() {
       return;
     }
 
+    const channels = getInputChannels('color-', 'color');
+    if (channels.length === 0) {
+      showNotification('⚠️ Select at least one input channel.', 'warning');
+      return;
+    }
+
     // Get learning rate from UI
     const learningRateInput = document.getElementById('color-learning-rate');
     const learningRate = learningRateInput ? parseFloat(learningRateInput.value) : 0.001;
@@ -2331,6 +3293,10 @@ async function startColorTraining() {
       batchSize: 16,
       learningRate: learningRate,
       dataType: 'color', // Important: tells the system this is color data
+      balancing: getClassBalancing('color-'),
+      crossValidation: getCrossValidationConfig('color-'),
+      normalization: getNormalizationMethod('color-'),
+      channels: channels,
     };
 
     console.log(`📊 Color training config: LR=${learningRate}, Epochs=${config.epochs}, Augmentation=${dataProcessor.augmentationEnabled}`);
@@ -2351,6 +3317,7 @@ async function startColorTraining() {
 // ============================================================================
 
 let currentViewingGesture = null;
+let currentSampleFilter = null; // Confusion matrix cell being viewed
 
 window.viewGestureSamples = function(gestureName) {
   currentViewingGesture = gestureName;
@@ -2361,6 +3328,8 @@ function openSampleViewerModal(gestureName) {
   const gesture = gestureManager.getGesture(gestureName);
   if (!gesture) return;
 
+  currentSampleFilter = null;
+
   // Update modal title
   document.getElementById('sample-viewer-title').textContent = `Samples: ${gestureName}`;
 
@@ -2431,9 +3400,55 @@ function createSampleCard(sample, index, gestureName) {
   return card;
 }
 
+// Samples from one cell of the evaluation confusion matrix
+function openEvaluationSamples(filter) {
+  currentViewingGesture = null;
+  currentSampleFilter = filter;
+
+  const { actualLabel, predictedLabel, sampleIds, dataType } = filter;
+  const isCapacitive = dataType === 'capacitive';
+  let manager = isCapacitive ? capacitiveGestureManager : gestureManager;
+  if (SensorUI.isSensorDataType(dataType)) {
+    manager = sensorUI.getGestureManager();
+  }
+
+  // Update modal title
+  document.getElementById('sample-viewer-title').textContent = actualLabel === predictedLabel
+    ? `Correctly classified: ${actualLabel}`
+    : `Misclassified: ${actualLabel} → ${predictedLabel}`;
+
+  // Build sample list (samples deleted since training are skipped)
+  const samplesList = document.getElementById('samples-list');
+  samplesList.innerHTML = '';
+
+  const found = sampleIds
+    .map(sampleId => manager.getSampleById(sampleId))
+    .filter(Boolean);
+
+  if (found.length === 0) {
+    samplesList.innerHTML = '<div class="empty-samples">These samples are no longer in the dataset</div>';
+  } else {
+    found.forEach(({ sample, gestureName }) => {
+      const index = manager.getGesture(gestureName).samples.indexOf(sample);
+      const sampleCard = isCapacitive
+        ? createCapacitiveSampleCard(sample, index, gestureName)
+        : createSampleCard(sample, index, gestureName);
+      samplesList.appendChild(sampleCard);
+    });
+  }
+
+  // Update sample count in modal
+  document.getElementById('sample-viewer-count').textContent =
+    `${found.length} validation sample${found.length !== 1 ? 's' : ''}`;
+
+  // Show modal
+  document.getElementById('sample-viewer-modal').classList.add('active');
+}
+
 function closeSampleViewerModal() {
   document.getElementById('sample-viewer-modal').classList.remove('active');
   currentViewingGesture = null;
+  currentSampleFilter = null;
 }
 
 window.deleteSampleConfirm = function(gestureName, sampleIndex) {
@@ -2447,7 +3462,9 @@ function deleteSample(gestureName, sampleIndex) {
     gestureManager.removeSample(gestureName, sampleIndex);
 
     // Refresh the sample viewer
-    if (currentViewingGesture === gestureName) {
+    if (currentSampleFilter) {
+      openEvaluationSamples(currentSampleFilter);
+    } else if (currentViewingGesture === gestureName) {
       openSampleViewerModal(gestureName);
     }
 
@@ -2516,6 +3533,8 @@ function initCapacitiveUI() {
 }
 
 function setupCapacitiveEventListeners() {
+  setupChannelSelect('capacitive-', 'capacitive');
+
   // Data collector events
   capacitiveDataCollector.on('dataUpdate', (values) => {
     // Update visualizer with latest electrode values
@@ -2906,6 +3925,8 @@ function openCapacitiveSampleViewerModal(labelName) {
   const label = capacitiveGestureManager.getGesture(labelName);
   if (!label) return;
 
+  currentSampleFilter = null;
+
   // Update modal title
   document.getElementById('sample-viewer-title').textContent = `Samples: ${labelName}`;
 
@@ -3005,7 +4026,11 @@ window.deleteCapacitiveSampleConfirm = function(labelName, sampleIndex) {
       updateCapacitiveTrainingInfo();
 
       // Refresh the modal
-      openCapacitiveSampleViewerModal(labelName);
+      if (currentSampleFilter) {
+        openEvaluationSamples(currentSampleFilter);
+      } else {
+        openCapacitiveSampleViewerModal(labelName);
+      }
 
       showNotification('Sample deleted', 'info');
     }
@@ -3152,6 +4177,12 @@ async function startCapacitiveTraining() {
       return;
     }
 
+    const channels = getInputChannels('capacitive-', 'capacitive');
+    if (channels.length === 0) {
+      showNotification('⚠️ Select at least one input electrode.', 'warning');
+      return;
+    }
+
     // Get learning rate from UI
     const learningRateInput = document.getElementById('capacitive-learning-rate');
     const learningRate = learningRateInput ? parseFloat(learningRateInput.value) : 0.001;
@@ -3172,6 +4203,10 @@ async function startCapacitiveTraining() {
       batchSize: 16,
       learningRate: learningRate,
       dataType: 'capacitive', // Important: tells the system this is capacitive data
+      balancing: getClassBalancing('capacitive-'),
+      crossValidation: getCrossValidationConfig('capacitive-'),
+      normalization: getNormalizationMethod('capacitive-'),
+      channels: channels,
     };
 
     console.log(`📊 Capacitive training config: LR=${learningRate}, Epochs=${config.epochs}, Augmentation=${augmentationEnabled}`);
@@ -20,7 +20,11 @@ const DEFAULT_SETTINGS = {
   theme: 'dark',
   serverPort: 3000,
   bluetoothEnabled: true,
+  virtualDevicesEnabled: true,
+  binaryProtocol: true, // Negotiate binary frames with firmware that supports them
+  nativeTraining: true, // Train classifiers with tfjs-node in the main process when it loads
   lastDevices: [],
+  recentProjects: [],
   windowBounds: {
     width: 1200,
     height: 800
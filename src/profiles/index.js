@@ -0,0 +1,132 @@
+// ============================================================================
+// Device Profiles
+// ============================================================================
+// Every *.json in public/profiles/ describes one board: its connection and
+// the fields of one CSV line (name, type, unit, optional [min, max] range).
+// Profiles are validated against device-profile.schema.json on load; a
+// profile that fails is skipped and its problems are logged, so one broken
+// file doesn't hide the others.
+//
+// Profiles with a `capture` section are custom sensor modalities - the
+// trainer builds a capture tab from their fields (flex sensors, pots, EMG...).
+//
+// Profiles with connection.type "gatt" are standard BLE devices (heart rate
+// straps...): their characteristics are decoded into the dataFormat fields by
+// src/transports/gatt-decoder.js, so every field must be a decoder channel.
+// Fields with a "default" are optional channels (the device may never send
+// them).
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema-validator');
+const schema = require('./device-profile.schema.json');
+
+// Schema errors plus the checks JSON Schema can't express -> [] when valid
+function validateProfile(profile) {
+  const errors = validate(profile, schema, 'profile');
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const names = new Set();
+  profile.dataFormat.fields.forEach((field, i) => {
+    if (names.has(field.name)) {
+      errors.push(`profile.dataFormat.fields[${i}]: duplicate field "${field.name}"`);
+    }
+    names.add(field.name);
+
+    if (field.range && !(field.range[0] < field.range[1])) {
+      errors.push(`profile.dataFormat.fields[${i}].range: min must be below max`);
+    }
+  });
+
+  if (isGattProfile(profile)) {
+    errors.push(...validateGattConnection(profile));
+  }
+
+  return errors;
+}
+
+function isGattProfile(profile) {
+  return Boolean(profile.connection && profile.connection.type === 'gatt');
+}
+
+function validateGattConnection(profile) {
+  const { services } = profile.connection;
+  if (!services) {
+    return ['profile.connection: missing "services" for a gatt connection'];
+  }
+
+  const errors = [];
+  const channels = new Set();
+  services.forEach((service, s) => {
+    service.characteristics.forEach((characteristic, c) => {
+      const path = `profile.connection.services[${s}].characteristics[${c}]`;
+      const read = new Set();
+
+      characteristic.fields.forEach((field, f) => {
+        if (field.when && !read.has(field.when.field)) {
+          errors.push(`${path}.fields[${f}].when: "${field.when.field}" isn't an earlier field`);
+        }
+        read.add(field.name);
+
+        if (field.channel !== false) {
+          channels.add(field.name);
+        }
+      });
+    });
+  });
+
+  profile.dataFormat.fields.forEach((field, i) => {
+    if (!channels.has(field.name)) {
+      errors.push(`profile.dataFormat.fields[${i}]: "${field.name}" isn't decoded from any characteristic`);
+    }
+  });
+
+  return errors;
+}
+
+// dir -> { profiles: Map(id -> profile), errors: [{ file, errors }] }
+function loadProfiles(dir) {
+  const profiles = new Map();
+  const failed = [];
+
+  if (!fs.existsSync(dir)) {
+    return { profiles, errors: failed };
+  }
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      let profile;
+      try {
+        profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch (error) {
+        failed.push({ file, errors: [`invalid JSON: ${error.message}`] });
+        return;
+      }
+
+      const errors = validateProfile(profile);
+      if (errors.length === 0 && profiles.has(profile.id)) {
+        errors.push(`profile.id: "${profile.id}" is already used by another profile`);
+      }
+
+      if (errors.length > 0) {
+        failed.push({ file, errors });
+        return;
+      }
+
+      profiles.set(profile.id, profile);
+    });
+
+  return { profiles, errors: failed };
+}
+
+module.exports = {
+  loadProfiles,
+  validateProfile,
+  isGattProfile,
+  schema,
+};
@@ -0,0 +1,82 @@
+// ============================================================================
+// Schema Validator
+// ============================================================================
+// Checks a value against the subset of JSON Schema (draft-07) the device
+// profile schema uses: type, required, properties, items, enum, pattern,
+// minLength, minItems/maxItems and minimum/maximum. Unknown keywords are
+// ignored, like a full validator does with annotations.
+//
+// validate() returns every problem as 'path: message' instead of stopping at
+// the first, so a broken profile can be fixed in one go.
+// ============================================================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function validate(value, schema, path = '$', errors = []) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path}: expected ${schema.type}, got ${typeOf(value)}`);
+    return errors; // The other keywords don't apply to the wrong type
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: "${value}" doesn't match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}: missing "${key}"`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) {
+        validate(value[key], propertySchema, `${path}.${key}`, errors);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,19 @@
+// ============================================================================
+// Stream Sessions
+// ============================================================================
+// Record the raw frames of a live session and replay them later without the
+// board - for tuning trigger thresholds and preprocessing on the same data.
+//
+// Unlike the virtual transport's CSV replays (one looping device, fixed
+// rate), a session keeps every device and the time each frame arrived.
+// ============================================================================
+
+const { SessionRecorder, SESSION_EXTENSION } = require('./session-recorder');
+const { SessionPlayer, readSession } = require('./session-player');
+
+module.exports = {
+  SessionRecorder,
+  SessionPlayer,
+  readSession,
+  SESSION_EXTENSION,
+};
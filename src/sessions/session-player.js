@@ -0,0 +1,163 @@
+// ============================================================================
+// Session Player
+// ============================================================================
+// Feeds a recorded .tinysession file back through broadcastData(), so the
+// trainer's collectors, visualizers and test mode see the frames exactly as
+// they arrived from the board - in real time, or faster with a speed factor.
+// Replayed devices stream as 'replay:<recorded id>', so a replay doesn't mix
+// into the live stream of the board it was recorded from.
+// Emits 'finished' when the last frame was sent (not after stop()).
+// ============================================================================
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { SESSION_FORMAT, SESSION_FORMAT_VERSION } = require('./session-recorder');
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 16;
+const REPLAY_ID_PREFIX = 'replay:';
+
+// filePath -> { header, frames: [{ t, id, data, deviceTimestamp }] }
+function readSession(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim() !== '');
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (error) {
+    throw new Error('Not a Tiny Trainer session file');
+  }
+
+  if (!header || header.format !== SESSION_FORMAT) {
+    throw new Error('Not a Tiny Trainer session file');
+  }
+  if (header.version > SESSION_FORMAT_VERSION) {
+    throw new Error(`Session format version ${header.version} is newer than this app supports`);
+  }
+
+  // A recording cut short (crash, full disk) can end in a partial line
+  const frames = [];
+  lines.slice(1).forEach(line => {
+    try {
+      const frame = JSON.parse(line);
+      if (typeof frame.t === 'number' && typeof frame.id === 'string' && typeof frame.data === 'string') {
+        frames.push(frame);
+      }
+    } catch (error) {
+      // Skip it
+    }
+  });
+
+  return { header, frames };
+}
+
+class SessionPlayer extends EventEmitter {
+  // broadcast(deviceId, data, deviceTimestamp) - usually broadcastData()
+  constructor(broadcast) {
+    super();
+    this.broadcast = broadcast;
+    this.session = null;
+    this.filePath = null;
+    this.speed = 1;
+    this.index = 0;
+    this.startedAt = 0;
+    this.timer = null;
+  }
+
+  isPlaying() {
+    return this.session !== null;
+  }
+
+  // -> the (replay:) device ids in the session
+  start(filePath, speed = 1) {
+    if (this.isPlaying()) {
+      throw new Error('A session is already replaying');
+    }
+
+    const session = readSession(filePath);
+    if (session.frames.length === 0) {
+      throw new Error('The session has no frames');
+    }
+
+    this.session = session;
+    this.filePath = filePath;
+    this.speed = Math.min(MAX_SPEED, Math.max(MIN_SPEED, Number(speed) || 1));
+    this.index = 0;
+    this.startedAt = Date.now();
+
+    console.log(`▶️ Replaying ${filePath} (${session.frames.length} frames, ${this.speed}×)`);
+    this.tick();
+
+    return this.getDeviceIds();
+  }
+
+  // Sends every frame that is due, then sleeps until the next one. Due times
+  // come from the wall clock, so timer jitter doesn't add up over a session.
+  tick() {
+    this.timer = null;
+    const { frames } = this.session;
+    const elapsed = (Date.now() - this.startedAt) * this.speed;
+
+    while (this.index < frames.length && frames[this.index].t <= elapsed) {
+      const frame = frames[this.index++];
+      this.broadcast(REPLAY_ID_PREFIX + frame.id, frame.data, frame.deviceTimestamp ?? null);
+    }
+
+    if (this.index >= frames.length) {
+      const deviceIds = this.getDeviceIds();
+      this.session = null;
+      console.log('⏹️ Replay finished');
+      this.emit('finished', { filePath: this.filePath, deviceIds });
+      return;
+    }
+
+    const delay = (frames[this.index].t - elapsed) / this.speed;
+    this.timer = setTimeout(() => this.tick(), Math.max(0, delay));
+  }
+
+  // -> the device ids of the stopped session
+  stop() {
+    if (!this.isPlaying()) {
+      return [];
+    }
+
+    const deviceIds = this.getDeviceIds();
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.session = null;
+
+    console.log('⏹️ Replay stopped');
+    return deviceIds;
+  }
+
+  getDeviceIds() {
+    if (!this.session) return [];
+    return [...new Set([
+      ...Object.keys(this.session.header.devices || {}),
+      ...this.session.frames.map(frame => frame.id),
+    ])].map(id => REPLAY_ID_PREFIX + id);
+  }
+
+  // What the recording's header says about a replayed device (name, profile, ...)
+  getDevice(deviceId) {
+    if (!this.session || !deviceId.startsWith(REPLAY_ID_PREFIX)) return null;
+    const devices = this.session.header.devices || {};
+    return devices[deviceId.slice(REPLAY_ID_PREFIX.length)] || null;
+  }
+
+  getStatus() {
+    const playing = this.isPlaying();
+    return {
+      replaying: playing,
+      filePath: this.filePath,
+      speed: this.speed,
+      frames: playing ? this.session.frames.length : 0,
+      framesSent: playing ? this.index : 0,
+    };
+  }
+}
+
+module.exports = {
+  SessionPlayer,
+  readSession,
+};
@@ -0,0 +1,123 @@
+// ============================================================================
+// Session Recorder
+// ============================================================================
+// Writes the raw serial-data frames of a live session to a .tinysession file
+// (JSON Lines). The first line describes the session and its devices, every
+// other line is one frame as broadcastData() sent it:
+//
+//   {"format":"tinysession","version":1,"startedAt":"...","devices":{...}}
+//   {"t":0,"id":"device_1","data":"#812,0.01,-0.98,...","deviceTimestamp":null}
+//   {"t":21,"id":"device_1","data":"#813,0.02,-0.97,...","deviceTimestamp":null}
+//
+// t is the time in ms since the recording started. Lines keep their sequence
+// numbers, so a replay counts dropped and garbled frames like the live stream.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_EXTENSION = 'tinysession';
+const SESSION_FORMAT = 'tinysession';
+const SESSION_FORMAT_VERSION = 1;
+
+class SessionRecorder {
+  constructor(sessionsDir) {
+    this.sessionsDir = sessionsDir;
+    this.stream = null;
+    this.filePath = null;
+    this.startedAt = 0;
+    this.stoppedAt = 0;
+    this.deviceIds = null; // null = every device
+    this.frames = new Map(); // deviceId -> frames recorded
+  }
+
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  // devices: deviceId -> { name, profile, transport, protocol, info } of the
+  // connected devices; deviceIds limits the recording to some of them
+  start(devices, deviceIds = null) {
+    if (this.isRecording()) {
+      throw new Error('Already recording');
+    }
+
+    fs.mkdirSync(this.sessionsDir, { recursive: true });
+
+    const startedAt = new Date();
+    const stamp = startedAt.toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
+    this.filePath = path.join(this.sessionsDir, `session_${stamp}.${SESSION_EXTENSION}`);
+    this.startedAt = startedAt.getTime();
+    this.stoppedAt = 0;
+    this.deviceIds = deviceIds ? new Set(deviceIds) : null;
+    this.frames = new Map();
+
+    this.stream = fs.createWriteStream(this.filePath, { encoding: 'utf8' });
+    this.stream.on('error', (error) => {
+      console.error('❌ Session recording failed:', error);
+    });
+
+    this.stream.write(`${JSON.stringify({
+      format: SESSION_FORMAT,
+      version: SESSION_FORMAT_VERSION,
+      startedAt: startedAt.toISOString(),
+      devices,
+    })}\n`);
+
+    console.log('⏺️ Recording session to:', this.filePath);
+    return this.filePath;
+  }
+
+  record(deviceId, data, deviceTimestamp = null) {
+    if (!this.isRecording() || (this.deviceIds && !this.deviceIds.has(deviceId))) {
+      return;
+    }
+
+    this.stream.write(`${JSON.stringify({
+      t: Date.now() - this.startedAt,
+      id: deviceId,
+      data,
+      deviceTimestamp,
+    })}\n`);
+
+    this.frames.set(deviceId, (this.frames.get(deviceId) || 0) + 1);
+  }
+
+  // Resolves once the file is flushed -> summary of the recording
+  stop() {
+    if (!this.isRecording()) {
+      return Promise.reject(new Error('Not recording'));
+    }
+
+    const stream = this.stream;
+    this.stream = null;
+    this.stoppedAt = Date.now();
+    const summary = this.getStatus();
+
+    return new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(() => {
+        console.log(`⏹️ Session saved: ${summary.filePath} (${summary.totalFrames} frames)`);
+        resolve(summary);
+      });
+    });
+  }
+
+  getStatus() {
+    const frames = Object.fromEntries(this.frames);
+    return {
+      recording: this.isRecording(),
+      filePath: this.filePath,
+      durationMs: this.startedAt ? (this.stoppedAt || Date.now()) - this.startedAt : 0,
+      frames,
+      totalFrames: Object.values(frames).reduce((sum, count) => sum + count, 0),
+    };
+  }
+}
+
+module.exports = {
+  SessionRecorder,
+  SESSION_EXTENSION,
+  SESSION_FORMAT,
+  SESSION_FORMAT_VERSION,
+};
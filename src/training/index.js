@@ -0,0 +1,147 @@
+// ============================================================================
+// Native Training
+// ============================================================================
+// Fits classifiers with tfjs-node's native CPU kernels in the main process,
+// so big datasets (capacitive: 1200 inputs per sample) don't freeze the
+// trainer window. The renderer still prepares the data and builds the model;
+// it sends the model topology and the tensors, and gets the trained weights
+// back in model.getWeights() order - evaluation, test mode and export keep
+// using the renderer's model.
+//
+// Emits 'trainingStart', 'epochBegin', 'epochEnd' and 'trainingEnd' (with
+// the jobId of the fit) like MLTrainer does in the renderer.
+// ============================================================================
+
+const EventEmitter = require('events');
+
+class NativeTrainer extends EventEmitter {
+  constructor() {
+    super();
+    this.tf = null;
+    this.model = null;
+    this.jobId = null;
+    this.shouldStop = false;
+
+    // tfjs-node needs native bindings - training falls back to the renderer
+    // on machines where they fail to load
+    try {
+      this.tf = require('@tensorflow/tfjs-node');
+      console.log(`🧠 Native training available (tfjs-node ${this.tf.version.tfjs})`);
+    } catch (error) {
+      console.error('❌ Native training unavailable:', error.message);
+    }
+  }
+
+  isAvailable() {
+    return this.tf !== null;
+  }
+
+  isTraining() {
+    return this.jobId !== null;
+  }
+
+  getStatus() {
+    return {
+      available: this.isAvailable(),
+      training: this.isTraining(),
+      backend: this.tf ? this.tf.getBackend() : null,
+      version: this.tf ? this.tf.version.tfjs : null,
+    };
+  }
+
+  // job: { jobId, modelTopology, compile: { learningRate, loss, metrics },
+  //   trainX, trainY, valX, valY ({ values: Float32Array, shape } or null),
+  //   epochs, batchSize, classWeight }
+  // -> { weights: [{ values: Float32Array, shape }], stopped }
+  async fit(job) {
+    if (!this.isAvailable()) {
+      throw new Error('Native training is not available');
+    }
+    if (this.isTraining()) {
+      throw new Error('Training already in progress');
+    }
+
+    const tf = this.tf;
+    this.jobId = job.jobId;
+    this.shouldStop = false;
+
+    const toTensor = (data) => (data ? tf.tensor2d(data.values, data.shape) : null);
+    const tensors = {
+      trainX: toTensor(job.trainX),
+      trainY: toTensor(job.trainY),
+      valX: toTensor(job.valX),
+      valY: toTensor(job.valY),
+    };
+
+    const optimizer = tf.train.adam(job.compile.learningRate);
+
+    try {
+      this.model = await tf.models.modelFromJSON(job.modelTopology);
+      this.model.compile({
+        optimizer: optimizer,
+        loss: job.compile.loss,
+        metrics: job.compile.metrics,
+      });
+
+      this.emit('trainingStart', {
+        jobId: job.jobId,
+        samples: job.trainX.shape[0],
+        inputs: job.trainX.shape[1],
+        backend: tf.getBackend(),
+      });
+
+      await this.model.fit(tensors.trainX, tensors.trainY, {
+        epochs: job.epochs,
+        batchSize: job.batchSize,
+        validationData: tensors.valX ? [tensors.valX, tensors.valY] : undefined,
+        classWeight: job.classWeight,
+        shuffle: true,
+        callbacks: {
+          onEpochBegin: async (epoch, logs) => {
+            if (this.shouldStop) {
+              this.model.stopTraining = true;
+            }
+            this.emit('epochBegin', { jobId: job.jobId, epoch, logs });
+          },
+          onEpochEnd: async (epoch, logs) => {
+            this.emit('epochEnd', { jobId: job.jobId, epoch, logs });
+
+            // Let a pending stop request (IPC) in - fit() doesn't yield every epoch
+            await new Promise(resolve => setImmediate(resolve));
+            if (this.shouldStop) {
+              this.model.stopTraining = true;
+            }
+          },
+        },
+      });
+
+      const weights = this.model.getWeights().map(weight => ({
+        values: weight.dataSync(),
+        shape: weight.shape,
+      }));
+
+      this.emit('trainingEnd', { jobId: job.jobId, stopped: this.shouldStop });
+      return { weights, stopped: this.shouldStop };
+
+    } finally {
+      Object.values(tensors).forEach(tensor => {
+        if (tensor) tensor.dispose();
+      });
+      if (this.model) {
+        this.model.dispose();
+        this.model = null;
+      }
+      optimizer.dispose();
+      this.jobId = null;
+    }
+  }
+
+  stop() {
+    if (this.isTraining()) {
+      console.log('🛑 Stopping native training...');
+      this.shouldStop = true;
+    }
+  }
+}
+
+module.exports = { NativeTrainer };
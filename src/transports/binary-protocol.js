@@ -0,0 +1,149 @@
+// ============================================================================
+// Binary Stream Protocol
+// ============================================================================
+// Compact alternative to the CSV lines of the streaming sketches. After the
+// main process writes "PROTO:BIN" and the firmware answers "OK:PROTO_BIN",
+// every frame is sent as (little-endian):
+//
+//   0xA5 | count | uint16 frame counter | uint32 device millis |
+//   count × int16 (value × 8192) | XOR of all previous bytes
+//
+// A 14-value frame is 37 bytes instead of ~100 bytes of ASCII. Text replies
+// (OK:..., PONG, INFO) stay newline-terminated ASCII, so the decoder splits
+// one byte stream into both. Firmware that answers ERROR:UNKNOWN_COMMAND
+// keeps streaming CSV, which the decoder passes through unchanged.
+//
+// Decoded frames become the same lines the CSV firmware sends with sequence
+// numbers ("#seq,v1,v2,..."), so the trainer handles both alike. A corrupted
+// frame fails its checksum and shows up as a dropped frame.
+// ============================================================================
+
+const LineAssembler = require('./line-assembler');
+
+const FRAME_SYNC = 0xA5;
+const FRAME_SCALE = 8192; // int16 / 8192 = ±4 with 0.00012 resolution
+const FRAME_HEADER_BYTES = 8; // sync, count, counter, timestamp
+const MAX_FRAME_VALUES = 32;
+
+const PROTOCOL_COMMAND = 'PROTO:BIN';
+const PROTOCOL_ACK = 'OK:PROTO_BIN';
+
+function getFrameSize(count) {
+  return FRAME_HEADER_BYTES + count * 2 + 1;
+}
+
+// buffer holds a complete frame at offset -> { sequence, timestamp, values },
+// or null when the checksum doesn't match
+function decodeFrame(buffer, offset) {
+  const count = buffer[offset + 1];
+  const size = getFrameSize(count);
+
+  let checksum = 0;
+  for (let i = offset; i < offset + size - 1; i++) {
+    checksum ^= buffer[i];
+  }
+  if (checksum !== buffer[offset + size - 1]) {
+    return null;
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    values.push(buffer.readInt16LE(offset + FRAME_HEADER_BYTES + i * 2) / FRAME_SCALE);
+  }
+
+  return {
+    sequence: buffer.readUInt16LE(offset + 2),
+    timestamp: buffer.readUInt32LE(offset + 4),
+    values,
+  };
+}
+
+function skipCorrupted(buffer, start) {
+  for (let i = start; i < buffer.length; i++) {
+    if (buffer[i] === FRAME_SYNC) return i;
+    if (buffer[i] === 0x0A) return i + 1;
+  }
+  return buffer.length;
+}
+
+// ============================================================================
+// Decoder
+// ============================================================================
+
+class FrameDecoder {
+  constructor() {
+    this.lines = new LineAssembler();
+    this.pending = Buffer.alloc(0);
+  }
+
+  // chunk: Buffer from one notification -> [{ line, deviceTimestamp }]
+  // (deviceTimestamp is null for CSV and text lines)
+  push(chunk) {
+    const buffer = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    const output = [];
+    let textStart = 0;
+    let i = 0;
+
+    const flushText = (end) => {
+      if (end > textStart) {
+        this.lines.push(buffer.toString('utf8', textStart, end))
+          .forEach(line => output.push({ line, deviceTimestamp: null }));
+      }
+    };
+
+    while (i < buffer.length) {
+      if (buffer[i] !== FRAME_SYNC) {
+        i++;
+        continue;
+      }
+
+      // Wait for the rest of a frame split over notifications
+      if (i + 1 >= buffer.length) break;
+
+      const count = buffer[i + 1];
+      if (count < 1 || count > MAX_FRAME_VALUES) {
+        i++;
+        continue;
+      }
+
+      const size = getFrameSize(count);
+      if (i + size > buffer.length) break;
+
+      const frame = decodeFrame(buffer, i);
+      if (!frame) {
+        // Corrupted - drop it up to the next frame or text line
+        flushText(i);
+        i = skipCorrupted(buffer, i + 1);
+        textStart = i;
+        continue;
+      }
+
+      flushText(i);
+      output.push({
+        line: `#${frame.sequence},${frame.values.map(value => value.toFixed(5)).join(',')}\n`,
+        deviceTimestamp: frame.timestamp,
+      });
+      i += size;
+      textStart = i;
+    }
+
+    flushText(i);
+    this.pending = buffer.subarray(i);
+
+    return output;
+  }
+
+  reset() {
+    this.lines.reset();
+    this.pending = Buffer.alloc(0);
+  }
+}
+
+module.exports = {
+  FrameDecoder,
+  decodeFrame,
+  FRAME_SYNC,
+  FRAME_SCALE,
+  PROTOCOL_COMMAND,
+  PROTOCOL_ACK,
+};
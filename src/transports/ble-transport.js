@@ -0,0 +1,348 @@
+// ============================================================================
+// BLE Transport
+// ============================================================================
+// Nordic UART Service devices over @abandonware/noble
+// Emits 'stateChange' and 'discover'; connect() resolves to a BleConnection
+// that emits 'data' (one complete UTF-8 line per event, plus the device
+// timestamp of binary frames) and 'disconnect'.
+//
+// Standard GATT devices (heart rate straps, ...) connect with the services of
+// their device profile instead: connect(id, { gatt, channels }) resolves to a
+// GattConnection that decodes their notifications into the same CSV lines.
+// ============================================================================
+
+const EventEmitter = require('events');
+const { FrameDecoder, PROTOCOL_COMMAND, PROTOCOL_ACK } = require('./binary-protocol');
+const { decodeCharacteristic, GattFrameAssembler, normalizeUuid } = require('./gatt-decoder');
+
+// Nordic UART Service defaults
+const DEFAULT_UUIDS = {
+  service: '6E400001-B5A3-F393-E0A9-E50E24DCCA9E',
+  txCharacteristic: '6E400003-B5A3-F393-E0A9-E50E24DCCA9E',
+  rxCharacteristic: '6E400002-B5A3-F393-E0A9-E50E24DCCA9E',
+};
+
+// ============================================================================
+// Connection
+// ============================================================================
+
+class BleConnection extends EventEmitter {
+  constructor(peripheral, txCharacteristic, rxCharacteristic) {
+    super();
+    this.peripheral = peripheral;
+    this.txCharacteristic = txCharacteristic;
+    this.rxCharacteristic = rxCharacteristic;
+    this.transport = 'ble';
+    this.id = peripheral.id;
+    this.name = peripheral.advertisement.localName || 'Unknown';
+    this.protocol = 'csv';
+
+    // Notifications are MTU-sized chunks, not lines - reassemble them (and
+    // decode binary frames once negotiated)
+    this.decoder = new FrameDecoder();
+
+    this.txCharacteristic.on('data', (data) => {
+      this.decoder.push(data).forEach(({ line, deviceTimestamp }) => {
+        this.emit('data', line, deviceTimestamp);
+      });
+    });
+
+    this.peripheral.once('disconnect', () => {
+      this.emit('disconnect');
+    });
+  }
+
+  write(data) {
+    if (!this.rxCharacteristic) {
+      return Promise.reject(new Error('RX characteristic not available'));
+    }
+
+    const buffer = Buffer.from(data, 'utf8');
+
+    return new Promise((resolve, reject) => {
+      this.rxCharacteristic.write(buffer, false, (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+
+  // Ask the firmware for binary frames; resolves to the protocol in use.
+  // Old firmware answers ERROR:UNKNOWN_COMMAND (or nothing) and stays on CSV.
+  negotiateBinary(timeoutMs = 1500) {
+    return new Promise((resolve) => {
+      const finish = (protocol) => {
+        clearTimeout(timer);
+        this.off('data', onReply);
+        this.protocol = protocol;
+        resolve(protocol);
+      };
+
+      const onReply = (line) => {
+        if (line.startsWith(PROTOCOL_ACK)) {
+          finish('binary');
+        } else if (line.startsWith('ERROR:')) {
+          finish('csv');
+        }
+      };
+
+      const timer = setTimeout(() => finish('csv'), timeoutMs);
+      this.on('data', onReply);
+
+      this.write(`${PROTOCOL_COMMAND}\n`).catch(() => finish('csv'));
+    });
+  }
+
+  disconnect() {
+    return new Promise((resolve, reject) => {
+      this.peripheral.disconnect((error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+}
+
+// ============================================================================
+// GATT Connection
+// ============================================================================
+
+class GattConnection extends EventEmitter {
+  // subscriptions: [{ characteristic, fields }], channels: the profile's
+  // dataFormat fields, in line order
+  constructor(peripheral, subscriptions, channels) {
+    super();
+    this.peripheral = peripheral;
+    this.transport = 'ble';
+    this.id = peripheral.id;
+    this.name = peripheral.advertisement.localName || 'Unknown';
+    this.protocol = 'gatt';
+    this.assembler = new GattFrameAssembler(channels);
+
+    subscriptions.forEach(({ characteristic, fields }) => {
+      const decoded = fields.filter(field => field.channel !== false).map(field => field.name);
+
+      characteristic.on('data', (data) => {
+        let values;
+        try {
+          values = decodeCharacteristic(data, fields);
+        } catch (error) {
+          console.warn(`⚠️ ${this.name} ${characteristic.uuid}: ${error.message}`);
+          return;
+        }
+
+        const line = this.assembler.push(values, decoded);
+        if (line) {
+          this.emit('data', line, null);
+        }
+      });
+    });
+
+    this.peripheral.once('disconnect', () => {
+      this.emit('disconnect');
+    });
+  }
+
+  // Standard profiles are read-only - MODE:, INFO etc. don't apply
+  write() {
+    return Promise.reject(new Error('GATT profile devices do not accept commands'));
+  }
+
+  disconnect() {
+    return new Promise((resolve, reject) => {
+      this.peripheral.disconnect((error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+}
+
+// ============================================================================
+// Transport
+// ============================================================================
+
+class BleTransport extends EventEmitter {
+  // scanServices: extra service UUIDs to scan for (GATT device profiles)
+  constructor(uuids = {}, scanServices = []) {
+    super();
+    this.type = 'ble';
+    this.uuids = { ...DEFAULT_UUIDS, ...uuids };
+    this.scanServices = [normalizeUuid(this.uuids.service), ...scanServices.map(normalizeUuid)];
+    this.noble = null;
+    this.state = 'unsupported';
+
+    // noble needs native bindings - keep the app usable (virtual devices)
+    // on machines where they fail to load
+    try {
+      this.noble = require('@abandonware/noble');
+      this.state = this.noble.state;
+    } catch (error) {
+      console.error('❌ BLE unavailable:', error.message);
+      return;
+    }
+
+    this.noble.on('stateChange', (state) => {
+      this.state = state;
+      console.log(`🔵 Bluetooth state: ${state}`);
+
+      if (state !== 'poweredOn') {
+        this.noble.stopScanning();
+      }
+
+      this.emit('stateChange', state);
+    });
+
+    this.noble.on('discover', (peripheral) => {
+      this.emit('discover', {
+        id: peripheral.id,
+        name: peripheral.advertisement.localName || 'Unknown Device',
+        rssi: peripheral.rssi,
+        connectable: peripheral.connectable,
+        transport: this.type,
+      });
+    });
+  }
+
+  isReady() {
+    return this.state === 'poweredOn';
+  }
+
+  startScanning() {
+    if (!this.isReady()) {
+      throw new Error('Bluetooth not ready');
+    }
+    // Scan for UART service devices (and the GATT profiles' services)
+    this.noble.startScanning(this.scanServices, false);
+  }
+
+  stopScanning() {
+    if (this.isReady()) {
+      this.noble.stopScanning();
+    }
+  }
+
+  findPeripheral(peripheralId) {
+    if (!this.noble) return null;
+    return Object.values(this.noble._peripherals || {}).find(p => p.id === peripheralId) || null;
+  }
+
+  owns(peripheralId) {
+    return this.findPeripheral(peripheralId) !== null;
+  }
+
+  // options.gatt: a device profile's GATT connection ({ services }) and
+  // options.channels its dataFormat fields - without them, NUS
+  async connect(peripheralId, options = {}) {
+    const peripheral = this.findPeripheral(peripheralId);
+    if (!peripheral) {
+      throw new Error('Device not found');
+    }
+
+    console.log(`🔗 Connecting to ${peripheral.advertisement.localName}...`);
+
+    // Connect to peripheral
+    await new Promise((resolve, reject) => {
+      peripheral.connect((error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+
+    console.log('✅ Connected to peripheral');
+
+    // Don't leave the peripheral connected when the setup fails
+    try {
+      return await this.setupConnection(peripheral, options);
+    } catch (error) {
+      if (peripheral.state === 'connected') {
+        peripheral.disconnect();
+      }
+      throw error;
+    }
+  }
+
+  // Abandons a connect() that hasn't finished (it rejects); a peripheral that
+  // is already connected is disconnected
+  cancelConnect(peripheralId) {
+    const peripheral = this.findPeripheral(peripheralId);
+    if (!peripheral) return;
+
+    if (peripheral.state === 'connecting') {
+      peripheral.cancelConnect();
+    } else if (peripheral.state === 'connected') {
+      peripheral.disconnect();
+    }
+  }
+
+  async setupConnection(peripheral, options) {
+    // Discover services and characteristics
+    const { services, characteristics } = await new Promise((resolve, reject) => {
+      peripheral.discoverAllServicesAndCharacteristics((error, services, characteristics) => {
+        if (error) reject(error);
+        else resolve({ services, characteristics });
+      });
+    });
+
+    console.log(`📡 Found ${services.length} services, ${characteristics.length} characteristics`);
+
+    if (options.gatt) {
+      return this.connectGatt(peripheral, characteristics, options);
+    }
+
+    // Find UART characteristics
+    const txCharacteristic = characteristics.find(
+      c => c.uuid.toLowerCase() === normalizeUuid(this.uuids.txCharacteristic)
+    );
+
+    const rxCharacteristic = characteristics.find(
+      c => c.uuid.toLowerCase() === normalizeUuid(this.uuids.rxCharacteristic)
+    );
+
+    if (!txCharacteristic) {
+      throw new Error('TX characteristic not found');
+    }
+
+    console.log('✅ Found UART characteristics');
+
+    // Subscribe to notifications
+    await new Promise((resolve, reject) => {
+      txCharacteristic.subscribe((error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+
+    return new BleConnection(peripheral, txCharacteristic, rxCharacteristic);
+  }
+
+  // Subscribe to every characteristic the profile decodes. A failed subscribe
+  // throws, and connect() disconnects the peripheral.
+  async connectGatt(peripheral, characteristics, options) {
+    const subscriptions = [];
+
+    for (const service of options.gatt.services) {
+      for (const spec of service.characteristics) {
+        const characteristic = characteristics.find(c => normalizeUuid(c.uuid) === normalizeUuid(spec.uuid));
+        if (!characteristic) {
+          throw new Error(`${spec.name || 'Characteristic'} (${spec.uuid}) not found`);
+        }
+
+        await new Promise((resolve, reject) => {
+          characteristic.subscribe((error) => {
+            if (error) reject(error);
+            else resolve();
+          });
+        });
+
+        subscriptions.push({ characteristic, fields: spec.fields });
+      }
+    }
+
+    console.log(`✅ Subscribed to ${subscriptions.length} GATT characteristic(s)`);
+
+    return new GattConnection(peripheral, subscriptions, options.channels);
+  }
+}
+
+module.exports = BleTransport;
@@ -0,0 +1,140 @@
+// ============================================================================
+// GATT Characteristic Decoders
+// ============================================================================
+// Standard BLE devices (heart rate straps, cycling sensors, ...) don't stream
+// text - every notification is a packed binary value described by the
+// characteristic's spec. A device profile with connection.type "gatt" lists
+// the characteristics to subscribe to and how to unpack them:
+//
+//   { "uuid": "2A37", "fields": [
+//     { "name": "flags", "type": "uint8", "channel": false },
+//     { "name": "heartRate", "type": "uint8", "when": { "field": "flags", "bit": 0, "set": false } },
+//     { "name": "heartRate", "type": "uint16", "when": { "field": "flags", "bit": 0, "set": true } },
+//     { "name": "rrInterval", "type": "uint16", "scale": 0.0009765625, "repeat": true,
+//       "when": { "field": "flags", "bit": 4, "set": true } } ] }
+//
+// Fields are read in order, little-endian (as in the Bluetooth specs).
+// value = raw * scale + offset. `when` skips a field unless a bit of an
+// earlier field (usually the flags byte) matches. `repeat` reads the field
+// until the end of the value and keeps the last one. Fields with
+// "channel": false are read but not streamed.
+//
+// GattFrameAssembler turns the decoded values into the same CSV lines the
+// streaming sketches send, one per notification, in the order of the
+// profile's dataFormat.fields. A dataFormat field with a "default" is an
+// optional channel (RR intervals, which many straps never send): frames
+// don't wait for it, and a notification of its characteristic that doesn't
+// carry it streams the default instead of the last value.
+// ============================================================================
+
+const FIELD_TYPES = {
+  uint8: { size: 1, read: (buffer, offset) => buffer.readUInt8(offset) },
+  int8: { size: 1, read: (buffer, offset) => buffer.readInt8(offset) },
+  uint16: { size: 2, read: (buffer, offset) => buffer.readUInt16LE(offset) },
+  int16: { size: 2, read: (buffer, offset) => buffer.readInt16LE(offset) },
+  uint24: { size: 3, read: (buffer, offset) => buffer.readUIntLE(offset, 3) },
+  uint32: { size: 4, read: (buffer, offset) => buffer.readUInt32LE(offset) },
+  int32: { size: 4, read: (buffer, offset) => buffer.readInt32LE(offset) },
+  float32: { size: 4, read: (buffer, offset) => buffer.readFloatLE(offset) },
+};
+
+// Short form of Bluetooth SIG UUIDs ('0000180d-0000-1000-8000-00805f9b34fb'
+// -> '180d'), the way noble reports them
+function normalizeUuid(uuid) {
+  const compact = uuid.toLowerCase().replace(/-/g, '');
+  const match = compact.match(/^0000([0-9a-f]{4})00001000800000805f9b34fb$/);
+  return match ? match[1] : compact;
+}
+
+function isFieldPresent(field, raw) {
+  if (!field.when) return true;
+
+  const flags = raw[field.when.field];
+  if (flags === undefined) return false;
+
+  const bitSet = (flags & (1 << field.when.bit)) !== 0;
+  return bitSet === (field.when.set !== false);
+}
+
+// buffer: one characteristic value -> { name: scaled value } of the fields
+// present. A value shorter than its fields is an error (wrong decoder).
+function decodeCharacteristic(buffer, fields) {
+  const raw = {};    // Unscaled, for `when` conditions
+  const values = {};
+  let offset = 0;
+
+  fields.forEach(field => {
+    if (!isFieldPresent(field, raw)) return;
+
+    const type = FIELD_TYPES[field.type];
+    const count = field.repeat ? Math.floor((buffer.length - offset) / type.size) : 1;
+    if (count === 0 && field.repeat) return;
+
+    if (offset + type.size * count > buffer.length) {
+      throw new Error(`${field.name}: value too short (${buffer.length} bytes)`);
+    }
+
+    for (let i = 0; i < count; i++) {
+      raw[field.name] = type.read(buffer, offset);
+      offset += type.size;
+    }
+
+    if (field.channel !== false) {
+      values[field.name] = raw[field.name] * (field.scale ?? 1) + (field.offset ?? 0);
+    }
+  });
+
+  return values;
+}
+
+// ============================================================================
+// Frame Assembler
+// ============================================================================
+
+class GattFrameAssembler {
+  // fields: the profile's dataFormat.fields, in line order
+  constructor(fields) {
+    this.channels = fields.map(field => field.name);
+    this.defaults = {}; // Optional channel -> value when it isn't sent
+    fields.forEach(field => {
+      if (field.default !== undefined) {
+        this.defaults[field.name] = field.default;
+      }
+    });
+    this.latest = {};
+  }
+
+  // Decoded values of one notification -> CSV line, or null until every
+  // required channel has a value. decoded: the channels the notification's
+  // characteristic can carry - its optional ones that are missing fall back
+  // to their default. Channels of other characteristics keep their last value.
+  push(values, decoded = []) {
+    decoded.forEach(name => {
+      if (name in this.defaults && !(name in values)) {
+        this.latest[name] = this.defaults[name];
+      }
+    });
+    Object.assign(this.latest, values);
+
+    if (!this.channels.every(name => name in this.latest || name in this.defaults)) {
+      return null;
+    }
+
+    const line = this.channels.map(name => {
+      const value = name in this.latest ? this.latest[name] : this.defaults[name];
+      return +value.toFixed(5);
+    });
+    return `${line.join(',')}\n`;
+  }
+
+  reset() {
+    this.latest = {};
+  }
+}
+
+module.exports = {
+  decodeCharacteristic,
+  GattFrameAssembler,
+  normalizeUuid,
+  FIELD_TYPES,
+};
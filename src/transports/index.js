@@ -0,0 +1,99 @@
+// ============================================================================
+// Transport Manager
+// ============================================================================
+// Pluggable device transports (BLE, USB serial, virtual, ...).
+// Every transport exposes:
+//   isReady(), startScanning(), stopScanning(), owns(peripheralId),
+//   connect(peripheralId, options) -> connection, optionally
+//   cancelConnect(peripheralId) to abandon a connect() in progress
+// and emits 'discover' (device info) and optionally 'stateChange'.
+// Connections expose write(string), disconnect() and emit 'data' (one complete
+// line per event) / 'disconnect'.
+// ============================================================================
+
+const EventEmitter = require('events');
+const BleTransport = require('./ble-transport');
+const SerialTransport = require('./serial-transport');
+const VirtualTransport = require('./virtual-transport');
+
+class TransportManager extends EventEmitter {
+  constructor() {
+    super();
+    this.transports = new Map(); // type -> transport
+  }
+
+  register(transport) {
+    this.transports.set(transport.type, transport);
+
+    transport.on('discover', (deviceInfo) => this.emit('discover', deviceInfo));
+    transport.on('stateChange', (state) => this.emit('stateChange', transport.type, state));
+
+    return transport;
+  }
+
+  get(type) {
+    return this.transports.get(type) || null;
+  }
+
+  isAnyReady() {
+    return [...this.transports.values()].some(t => t.isReady());
+  }
+
+  getStates() {
+    const states = {};
+    for (const [type, transport] of this.transports) {
+      states[type] = transport.state;
+    }
+    return states;
+  }
+
+  // Start scanning on every ready transport; returns the types that started
+  startScanning() {
+    const started = [];
+    for (const [type, transport] of this.transports) {
+      if (transport.isReady()) {
+        transport.startScanning();
+        started.push(type);
+      }
+    }
+    return started;
+  }
+
+  stopScanning() {
+    for (const transport of this.transports.values()) {
+      transport.stopScanning();
+    }
+  }
+
+  findTransport(peripheralId) {
+    for (const transport of this.transports.values()) {
+      if (transport.owns(peripheralId)) {
+        return transport;
+      }
+    }
+    return null;
+  }
+
+  // options are transport specific (BLE: a GATT device profile)
+  async connect(peripheralId, options = {}) {
+    const transport = this.findTransport(peripheralId);
+    if (!transport) {
+      throw new Error('Device not found');
+    }
+    return transport.connect(peripheralId, options);
+  }
+
+  cancelConnect(peripheralId) {
+    const transport = this.findTransport(peripheralId);
+    if (transport && transport.cancelConnect) {
+      transport.cancelConnect(peripheralId);
+    }
+  }
+}
+
+module.exports = {
+  TransportManager,
+  BleTransport,
+  SerialTransport,
+  VirtualTransport,
+};
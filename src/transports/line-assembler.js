@@ -0,0 +1,52 @@
+// ============================================================================
+// Line Assembler
+// ============================================================================
+// BLE notifications are limited by the MTU, so one CSV line from the sketch
+// can arrive split over several notifications (and several lines can share
+// one). The assembler buffers the chunks of one device and returns complete
+// lines, each with its trailing newline - the same shape serial and virtual
+// connections emit.
+//
+// A line that grows past maxLineLength without a newline (lost notification
+// with the newline in it, wrong firmware) is flushed as-is; the trainer
+// counts it as garbled instead of the buffer growing forever.
+// ============================================================================
+
+const DEFAULT_MAX_LINE_LENGTH = 512; // Matches the sketch's characteristic size
+
+class LineAssembler {
+  constructor(maxLineLength = DEFAULT_MAX_LINE_LENGTH) {
+    this.maxLineLength = maxLineLength;
+    this.buffer = '';
+  }
+
+  // chunk: string from one notification -> complete lines ('...\n')
+  push(chunk) {
+    this.buffer += chunk;
+
+    const lines = [];
+    let newline = this.buffer.indexOf('\n');
+
+    while (newline !== -1) {
+      const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+      if (line.length > 0) {
+        lines.push(`${line}\n`);
+      }
+      this.buffer = this.buffer.slice(newline + 1);
+      newline = this.buffer.indexOf('\n');
+    }
+
+    if (this.buffer.length > this.maxLineLength) {
+      lines.push(`${this.buffer}\n`);
+      this.buffer = '';
+    }
+
+    return lines;
+  }
+
+  reset() {
+    this.buffer = '';
+  }
+}
+
+module.exports = LineAssembler;
@@ -0,0 +1,169 @@
+// ============================================================================
+// Serial Transport
+// ============================================================================
+// USB serial connection to the Arduino for machines with flaky Bluetooth.
+// The sketch's CSV lines arrive over the serial port instead of the UART
+// TX characteristic; each line is emitted as 'data' with its trailing newline,
+// exactly like a BLE notification, so the trainer and BLEBridge don't change.
+// Commands (MODE:IMU, INFO, ...) are written to the port as lines.
+// ============================================================================
+
+const EventEmitter = require('events');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_BAUD_RATE = 115200;
+const PORT_ID_PREFIX = 'serial:';
+
+// ============================================================================
+// Connection
+// ============================================================================
+
+class SerialConnection extends EventEmitter {
+  constructor(port, parser, name) {
+    super();
+    this.port = port;
+    this.transport = 'serial';
+    this.id = `${PORT_ID_PREFIX}${port.path}`;
+    this.name = name;
+
+    parser.on('data', (line) => {
+      this.emit('data', `${line.replace(/\r$/, '')}\n`);
+    });
+
+    port.on('error', (error) => {
+      console.error(`❌ Serial error on ${port.path}:`, error.message);
+    });
+
+    // Fires on unplug as well as on disconnect()
+    port.once('close', () => {
+      this.emit('disconnect');
+    });
+  }
+
+  write(data) {
+    return new Promise((resolve, reject) => {
+      this.port.write(data, (error) => {
+        if (error) return reject(error);
+        this.port.drain((drainError) => {
+          if (drainError) reject(drainError);
+          else resolve();
+        });
+      });
+    });
+  }
+
+  disconnect() {
+    if (!this.port.isOpen) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.port.close((error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+}
+
+// ============================================================================
+// Transport
+// ============================================================================
+
+class SerialTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.type = 'serial';
+    this.baudRate = options.baudRate || DEFAULT_BAUD_RATE;
+    this.ports = new Map(); // id -> port info from the last scan
+    this.serialport = null;
+    this.state = 'unsupported';
+
+    // serialport is a native module - BLE and virtual devices keep working
+    // if it isn't available on this machine
+    try {
+      this.serialport = require('serialport');
+      this.state = 'poweredOn';
+    } catch (error) {
+      console.error('❌ Serial unavailable:', error.message);
+    }
+  }
+
+  isReady() {
+    return this.serialport !== null;
+  }
+
+  getPortName(portInfo) {
+    const label = portInfo.friendlyName || portInfo.manufacturer || 'Serial Device';
+    return label.includes(portInfo.path) ? label : `${label} (${portInfo.path})`;
+  }
+
+  async listPorts() {
+    const ports = await this.serialport.SerialPort.list();
+
+    // Only USB devices - skips built-in UARTs and Bluetooth serial ports
+    return ports.filter(portInfo => portInfo.vendorId || portInfo.productId);
+  }
+
+  startScanning() {
+    this.listPorts()
+      .then((ports) => {
+        this.ports.clear();
+
+        ports.forEach((portInfo) => {
+          const id = `${PORT_ID_PREFIX}${portInfo.path}`;
+          this.ports.set(id, portInfo);
+
+          this.emit('discover', {
+            id,
+            name: this.getPortName(portInfo),
+            rssi: null,
+            connectable: true,
+            transport: this.type,
+          });
+        });
+      })
+      .catch((error) => {
+        console.error('❌ Error listing serial ports:', error);
+      });
+  }
+
+  stopScanning() {
+    // Port enumeration is one-shot
+  }
+
+  owns(peripheralId) {
+    return typeof peripheralId === 'string' && peripheralId.startsWith(PORT_ID_PREFIX);
+  }
+
+  async connect(peripheralId) {
+    if (!this.isReady()) {
+      throw new Error('Serial ports are not available');
+    }
+
+    const path = peripheralId.substring(PORT_ID_PREFIX.length);
+    const portInfo = this.ports.get(peripheralId) || { path };
+    const { SerialPort, ReadlineParser } = this.serialport;
+
+    console.log(`🔗 Opening serial port ${path} at ${this.baudRate} baud...`);
+
+    const port = new SerialPort({ path, baudRate: this.baudRate, autoOpen: false });
+
+    await new Promise((resolve, reject) => {
+      port.open((error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+
+    const parser = port.pipe(new ReadlineParser({ delimiter: '\n' }));
+
+    console.log('✅ Serial port open');
+    return new SerialConnection(port, parser, this.getPortName(portInfo));
+  }
+}
+
+module.exports = SerialTransport;
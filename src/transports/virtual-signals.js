@@ -0,0 +1,194 @@
+// ============================================================================
+// Virtual Device Signals
+// ============================================================================
+// Synthetic sensor streams for the virtual device, normalized the same way as
+// the example firmware (examples/Arduino/*):
+//   IMU:        ax,ay,az (/4g), gx,gy,gz (/2000dps), mx,my,mz (/50uT)
+//   Color:      r,g,b (fraction of r+g+b), c (/255), proximity (/255)
+//   Capacitive: e0..e11 (0.0-1.0, higher = closer)
+// Each generator takes time in seconds and a pattern name, and returns values
+// ============================================================================
+
+const fs = require('fs');
+
+// ============================================================================
+// Noise
+// ============================================================================
+
+// Seeded PRNG (mulberry32) so simulated sessions are reproducible
+function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// ============================================================================
+// IMU Patterns
+// ============================================================================
+
+const GRAVITY = 0.25; // 1g after the firmware's /4 scaling
+
+const IMU_PATTERNS = {
+  idle: () => [0, 0, GRAVITY, 0, 0, 0, 0, 0, 0],
+
+  shake: (t) => {
+    const s = Math.sin(2 * Math.PI * 5 * t);
+    return [0.5 * s, 0, GRAVITY, 0, 0, 0.15 * Math.cos(2 * Math.PI * 5 * t), 0, 0, 0];
+  },
+
+  circle: (t) => {
+    const phase = 2 * Math.PI * 1.5 * t;
+    return [0.3 * Math.sin(phase), 0.3 * Math.cos(phase), GRAVITY, 0, 0, 0.2, 0, 0, 0];
+  },
+
+  tilt: (t) => {
+    const angle = 0.8 * Math.sin(2 * Math.PI * 0.5 * t);
+    const rate = 0.8 * 2 * Math.PI * 0.5 * Math.cos(2 * Math.PI * 0.5 * t);
+    return [
+      GRAVITY * Math.sin(angle), 0, GRAVITY * Math.cos(angle),
+      0, (rate * 180 / Math.PI) / 2000, 0,
+      0.1 * Math.sin(angle), 0, 0.1 * Math.cos(angle),
+    ];
+  },
+
+  punch: (t) => {
+    // One sharp forward jab per second
+    const local = t % 1;
+    const pulse = Math.exp(-Math.pow(local - 0.2, 2) / 0.002);
+    return [0.8 * pulse, 0, GRAVITY, 0, 0.1 * pulse, 0, 0, 0, 0];
+  },
+};
+
+function generateIMU(t, pattern, random) {
+  const base = (IMU_PATTERNS[pattern] || IMU_PATTERNS.idle)(t);
+  return base.map((value, axis) => {
+    const noise = axis < 3 ? 0.005 : axis < 6 ? 0.002 : 0.01;
+    return clamp(value + (random() - 0.5) * 2 * noise, -1, 1);
+  });
+}
+
+// ============================================================================
+// Color Patterns
+// ============================================================================
+
+// [r, g, b] as fraction of total, clear, proximity
+const COLOR_PATTERNS = {
+  idle: [0.34, 0.33, 0.33, 0.10, 0.00],
+  red: [0.62, 0.20, 0.18, 0.45, 0.80],
+  green: [0.22, 0.55, 0.23, 0.40, 0.80],
+  blue: [0.18, 0.27, 0.55, 0.35, 0.80],
+  yellow: [0.45, 0.42, 0.13, 0.60, 0.80],
+  white: [0.33, 0.34, 0.33, 0.90, 0.80],
+};
+
+function generateColor(t, pattern, random) {
+  const [r, g, b, c, p] = COLOR_PATTERNS[pattern] || COLOR_PATTERNS.idle;
+  const jitter = () => (random() - 0.5) * 0.02;
+
+  const rn = Math.max(0, r + jitter());
+  const gn = Math.max(0, g + jitter());
+  const bn = Math.max(0, b + jitter());
+  const total = rn + gn + bn;
+
+  return [
+    rn / total,
+    gn / total,
+    bn / total,
+    clamp(c + jitter(), 0, 1),
+    clamp(p + jitter(), 0, 1),
+  ];
+}
+
+// ============================================================================
+// Capacitive Patterns
+// ============================================================================
+
+const NUM_ELECTRODES = 12;
+const ELECTRODE_BASELINE = 0.55;
+const ELECTRODE_TOUCHED = 0.9;
+
+// Returns 0-1 touch amount for each electrode
+const CAPACITIVE_PATTERNS = {
+  idle: () => new Array(NUM_ELECTRODES).fill(0),
+
+  palm: () => new Array(NUM_ELECTRODES).fill(1),
+
+  swipe: (t) => {
+    // Finger sweeps across the electrodes once per second
+    const position = (t % 1) * NUM_ELECTRODES;
+    return Array.from({ length: NUM_ELECTRODES }, (_, i) =>
+      Math.exp(-Math.pow(i - position, 2) / 1.5)
+    );
+  },
+
+  tap: (t) => {
+    // Electrode 0 tapped twice per second
+    const touching = (t * 2) % 1 < 0.3 ? 1 : 0;
+    return Array.from({ length: NUM_ELECTRODES }, (_, i) => (i === 0 ? touching : 0));
+  },
+
+  pinch: () => Array.from({ length: NUM_ELECTRODES }, (_, i) =>
+    (i === 0 || i === NUM_ELECTRODES - 1 ? 1 : 0)
+  ),
+};
+
+function generateCapacitive(t, pattern, random) {
+  const touch = (CAPACITIVE_PATTERNS[pattern] || CAPACITIVE_PATTERNS.idle)(t);
+  return touch.map(amount => {
+    const value = ELECTRODE_BASELINE + amount * (ELECTRODE_TOUCHED - ELECTRODE_BASELINE);
+    return clamp(value + (random() - 0.5) * 0.01, 0, 1);
+  });
+}
+
+// ============================================================================
+// CSV Recordings
+// ============================================================================
+
+// Load a recorded stream: one frame per line, comma separated numbers.
+// Header rows and blank lines are skipped.
+function loadCSVRecording(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const frames = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const values = trimmed.split(',').map(Number);
+    if (values.some(v => Number.isNaN(v))) return;
+
+    frames.push(values);
+  });
+
+  if (frames.length === 0) {
+    throw new Error(`No numeric frames in ${filePath}`);
+  }
+
+  return frames;
+}
+
+function formatFrame(values) {
+  return values.map(v => v.toFixed(4)).join(',') + '\n';
+}
+
+module.exports = {
+  createRandom,
+  generateIMU,
+  generateColor,
+  generateCapacitive,
+  loadCSVRecording,
+  formatFrame,
+  IMU_PATTERNS: Object.keys(IMU_PATTERNS),
+  COLOR_PATTERNS: Object.keys(COLOR_PATTERNS),
+  CAPACITIVE_PATTERNS: Object.keys(CAPACITIVE_PATTERNS),
+  NUM_ELECTRODES,
+};
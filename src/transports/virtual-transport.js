@@ -0,0 +1,323 @@
+// ============================================================================
+// Virtual Transport
+// ============================================================================
+// Simulated BLE peripherals so the app runs with no Arduino attached.
+// Virtual devices show up in the normal scan/discover flow and behave like the
+// example firmware: they stream CSV lines at SAMPLE_RATE_HZ and answer the
+// same commands (PING, INFO, MODE:IMU/COLOR/ALL, LED_ON/OFF, ...).
+//
+// Extra simulator command:
+//   SIM:PATTERN:<name>  - switch the synthetic signal (e.g. shake, red, swipe)
+//
+// CSV recordings (*.csv) in the recordings directory are advertised as
+// "Replay" devices that loop the recorded frames.
+// ============================================================================
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const signals = require('./virtual-signals');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DEFAULT_SAMPLE_RATE_HZ = 50; // Matches SAMPLE_RATE_HZ in the example firmware
+const FIRMWARE_VERSION = '1.3.0'; // Matches FIRMWARE_VERSION in the example firmware
+const VIRTUAL_RSSI = -40;
+
+const MODE_IMU_ONLY = 'IMU';
+const MODE_COLOR_ONLY = 'COLOR';
+const MODE_ALL_SENSORS = 'ALL';
+
+const IMU_CHANNELS = ['ax', 'ay', 'az', 'gx', 'gy', 'gz', 'mx', 'my', 'mz'];
+const COLOR_CHANNELS = ['r', 'g', 'b', 'c', 'p'];
+const ELECTRODE_CHANNELS = Array.from({ length: signals.NUM_ELECTRODES }, (_, i) => `e${i}`);
+
+// Built-in synthetic devices (names mirror DEVICE_NAME in the example sketches)
+const SYNTHETIC_DEVICES = [
+  { id: 'virtual-multi-sensor', name: 'Virtual NanoBLE-MultiSensor', kind: 'multi-sensor' },
+  { id: 'virtual-mpr121', name: 'Virtual NanoBLE-MPR121', kind: 'capacitive' },
+];
+
+// ============================================================================
+// Virtual Connection
+// ============================================================================
+
+class VirtualConnection extends EventEmitter {
+  constructor(device, sampleRateHz) {
+    super();
+    this.transport = 'virtual';
+    this.id = device.id;
+    this.name = device.name;
+    this.device = device;
+    this.sampleRateHz = sampleRateHz;
+
+    this.mode = MODE_ALL_SENSORS;
+    this.pattern = 'idle';
+    this.frameIndex = 0;
+    this.random = signals.createRandom();
+    this.timer = null;
+
+    this.start();
+  }
+
+  start() {
+    this.timer = setInterval(() => this.sendSensorData(), 1000 / this.sampleRateHz);
+  }
+
+  // Deliver asynchronously, like a BLE notification
+  send(line) {
+    setImmediate(() => this.emit('data', line));
+  }
+
+  // ========================================================================
+  // Streaming
+  // ========================================================================
+
+  sendSensorData() {
+    const t = this.frameIndex / this.sampleRateHz;
+    this.frameIndex++;
+
+    let values;
+    if (this.device.kind === 'replay') {
+      values = this.getReplayFrame();
+    } else if (this.device.kind === 'capacitive') {
+      values = signals.generateCapacitive(t, this.pattern, this.random);
+    } else {
+      const imu = signals.generateIMU(t, this.pattern, this.random);
+      const color = signals.generateColor(t, this.pattern, this.random);
+
+      if (this.mode === MODE_IMU_ONLY) values = imu;
+      else if (this.mode === MODE_COLOR_ONLY) values = color;
+      else values = imu.concat(color);
+    }
+
+    this.emit('data', signals.formatFrame(values));
+  }
+
+  getReplayFrame() {
+    const frames = this.device.frames;
+    const frame = frames[(this.frameIndex - 1) % frames.length];
+
+    // 14-column recordings (MODE:ALL) can serve the IMU or color modes too
+    if (frame.length === 14) {
+      if (this.mode === MODE_IMU_ONLY) return frame.slice(0, 9);
+      if (this.mode === MODE_COLOR_ONLY) return frame.slice(9);
+    }
+
+    return frame;
+  }
+
+  // ========================================================================
+  // Commands
+  // ========================================================================
+
+  write(data) {
+    data.split('\n').map(c => c.trim()).filter(Boolean).forEach(command => {
+      this.handleCommand(command);
+    });
+    return Promise.resolve();
+  }
+
+  handleCommand(command) {
+    console.log(`🧪 ${this.name} received: ${command}`);
+
+    if (command === 'PING') {
+      this.send('PONG\n');
+    } else if (command === 'INFO') {
+      this.send(this.getInfo());
+    } else if (command === 'LED_ON' || command === 'LED_OFF') {
+      this.send(`OK:${command}\n`);
+    } else if (command.startsWith('SIM:PATTERN:')) {
+      const pattern = command.substring('SIM:PATTERN:'.length);
+      if (this.getPatterns().includes(pattern)) {
+        this.pattern = pattern;
+        this.send(`OK:PATTERN_${pattern.toUpperCase()}\n`);
+      } else {
+        this.send('ERROR:UNKNOWN_PATTERN\n');
+      }
+    } else if (this.device.kind === 'capacitive') {
+      this.handleCapacitiveCommand(command);
+    } else {
+      this.handleMultiSensorCommand(command);
+    }
+  }
+
+  handleMultiSensorCommand(command) {
+    if (command === 'MODE:IMU') {
+      this.mode = MODE_IMU_ONLY;
+      this.send('OK:MODE_IMU\n');
+    } else if (command === 'MODE:COLOR') {
+      this.mode = MODE_COLOR_ONLY;
+      this.send('OK:MODE_COLOR\n');
+    } else if (command === 'MODE:ALL') {
+      this.mode = MODE_ALL_SENSORS;
+      this.send('OK:MODE_ALL\n');
+    } else if (command === 'RECALIBRATE') {
+      this.send('OK:RECALIBRATING\n');
+    } else {
+      this.send('ERROR:UNKNOWN_COMMAND\n');
+    }
+  }
+
+  handleCapacitiveCommand(command) {
+    if (command.startsWith('THRESHOLD:')) {
+      const [touch, release] = command.substring(10).split(',').map(v => parseInt(v, 10));
+      if (release === undefined) {
+        this.send('ERROR:INVALID_FORMAT\n');
+      } else if (touch > 0 && release > 0) {
+        this.send('OK:THRESHOLD_SET\n');
+      } else {
+        this.send('ERROR:INVALID_THRESHOLD\n');
+      }
+    } else if (command === 'DEBUG') {
+      this.send('OK:DEBUG_PRINTED\n');
+    } else {
+      this.send('ERROR:UNKNOWN_COMMAND\n');
+    }
+  }
+
+  getPatterns() {
+    if (this.device.kind === 'replay') return ['idle'];
+    if (this.device.kind === 'capacitive') return signals.CAPACITIVE_PATTERNS;
+    return [...new Set([...signals.IMU_PATTERNS, ...signals.COLOR_PATTERNS])];
+  }
+
+  // Same single INFO line as the example firmware (parsed by the main process)
+  getInfo() {
+    const fields = [
+      'firmware=virtual',
+      `version=${FIRMWARE_VERSION}`,
+    ];
+
+    if (this.device.kind === 'capacitive') {
+      fields.push('sensors=capacitive', 'imu=none', 'mode=capacitive');
+    } else if (this.device.kind === 'replay') {
+      fields.push(`sensors=replay:${this.device.file}`, 'imu=none', `mode=${this.mode.toLowerCase()}`);
+    } else {
+      fields.push('sensors=imu,color', 'imu=LSM9DS1', `mode=${this.mode.toLowerCase()}`);
+    }
+
+    fields.push(
+      `rate=${this.sampleRateHz}`,
+      `channels=${this.getChannels().join(',')}`,
+      'protocol=csv',
+      `patterns=${this.getPatterns().join(',')}`,
+    );
+
+    return `INFO:${fields.join(';')}\n`;
+  }
+
+  // Channel names of the frames currently streamed
+  getChannels() {
+    if (this.device.kind === 'capacitive') {
+      return ELECTRODE_CHANNELS;
+    }
+
+    let count = this.device.kind === 'replay' ? this.device.frames[0].length : 14;
+    if (count === 14 && this.mode === MODE_IMU_ONLY) count = 9;
+    if (count === 14 && this.mode === MODE_COLOR_ONLY) count = 5;
+
+    if (count === 14) return IMU_CHANNELS.concat(COLOR_CHANNELS);
+    if (count === 9) return IMU_CHANNELS;
+    if (count === 5) return COLOR_CHANNELS;
+    if (count === 12) return ELECTRODE_CHANNELS;
+    return Array.from({ length: count }, (_, i) => `v${i}`);
+  }
+
+  // ========================================================================
+  // Disconnect
+  // ========================================================================
+
+  disconnect() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      setImmediate(() => this.emit('disconnect'));
+    }
+    return Promise.resolve();
+  }
+}
+
+// ============================================================================
+// Transport
+// ============================================================================
+
+class VirtualTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.type = 'virtual';
+    this.sampleRateHz = options.sampleRateHz || DEFAULT_SAMPLE_RATE_HZ;
+    this.recordingsDir = options.recordingsDir || null;
+    this.state = 'poweredOn';
+    this.devices = new Map(); // id -> device definition
+
+    this.loadDevices();
+  }
+
+  isReady() {
+    return true;
+  }
+
+  loadDevices() {
+    this.devices.clear();
+
+    SYNTHETIC_DEVICES.forEach(device => this.devices.set(device.id, { ...device }));
+
+    if (this.recordingsDir && fs.existsSync(this.recordingsDir)) {
+      fs.readdirSync(this.recordingsDir)
+        .filter(file => file.toLowerCase().endsWith('.csv'))
+        .forEach(file => {
+          const name = path.basename(file, path.extname(file));
+          this.devices.set(`virtual-replay-${name}`, {
+            id: `virtual-replay-${name}`,
+            name: `Replay: ${name}`,
+            kind: 'replay',
+            file: path.join(this.recordingsDir, file),
+          });
+        });
+    }
+  }
+
+  startScanning() {
+    this.loadDevices();
+
+    // Advertise on the next tick so listeners see it like a real discovery
+    setImmediate(() => {
+      for (const device of this.devices.values()) {
+        this.emit('discover', {
+          id: device.id,
+          name: device.name,
+          rssi: VIRTUAL_RSSI,
+          connectable: true,
+          transport: this.type,
+        });
+      }
+    });
+  }
+
+  stopScanning() {
+    // Nothing to stop - discovery is instant
+  }
+
+  owns(peripheralId) {
+    return this.devices.has(peripheralId);
+  }
+
+  async connect(peripheralId) {
+    const device = this.devices.get(peripheralId);
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    if (device.kind === 'replay') {
+      device.frames = signals.loadCSVRecording(device.file);
+    }
+
+    console.log(`🧪 Connected to virtual device: ${device.name}`);
+    return new VirtualConnection(device, this.sampleRateHz);
+  }
+}
+
+module.exports = VirtualTransport;